@@ -0,0 +1,107 @@
+#!/usr/bin/env bun
+
+/**
+ * 🔑 API Key Management Script
+ * Issues the first admin key (after that, /api/admin/api-keys works too)
+ *
+ * Usage:
+ *   bun run api-keys create <name> [--role client|admin] [--rate <requests per minute>]
+ *   bun run api-keys list
+ *   bun run api-keys revoke <id>
+ *   bun run api-keys usage <id> [--days 30]
+ */
+
+import { initDatabase, createApiKey, getApiKey, listApiKeys, updateApiKey, getApiKeyUsage } from '../src/db/database.js';
+import { API_KEY_ROLES, generateApiKey } from '../src/services/apiAccess.js';
+import config from '../src/config.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+function option(name, fallback = null) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function daysAgo(n) {
+  return new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+initDatabase(config.dbPath);
+
+switch (command) {
+  case 'create': {
+    const name = args[0];
+    const role = option('role', 'client');
+    const rate = option('rate');
+
+    if (!name || name.startsWith('--')) fail('Usage: create <name> [--role client|admin] [--rate <n>]');
+    if (!API_KEY_ROLES.includes(role)) fail(`--role must be one of ${API_KEY_ROLES.join(', ')}`);
+    if (rate !== null && !/^\d+$/.test(rate)) fail('--rate must be a non-negative integer');
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    const apiKey = createApiKey({
+      name,
+      role,
+      keyPrefix,
+      keyHash,
+      rateLimitPerMinute: rate === null ? null : parseInt(rate, 10)
+    });
+
+    console.log(`✅ Created ${apiKey.role} key #${apiKey.id} (${apiKey.name})\n`);
+    console.log(`   ${key}\n`);
+    console.log('⚠️  Store it now, it cannot be shown again');
+    break;
+  }
+
+  case 'list': {
+    const keys = listApiKeys({ since: daysAgo(29) });
+    if (keys.length === 0) {
+      console.log('No API keys yet');
+      break;
+    }
+
+    console.log('🔑 API keys (requests in the last 30 days)\n');
+    for (const apiKey of keys) {
+      const limit = apiKey.rate_limit_per_minute ?? `default (${config.rateLimitPerMinute})`;
+      console.log(
+        `#${apiKey.id} ${apiKey.key_prefix}…  ${apiKey.name}  [${apiKey.role}${apiKey.active ? '' : ', revoked'}]` +
+        `  limit/min: ${limit}  requests: ${apiKey.requests}  429s: ${apiKey.rate_limited}` +
+        `  last used: ${apiKey.last_used_at || 'never'}`
+      );
+    }
+    break;
+  }
+
+  case 'revoke': {
+    const apiKey = getApiKey(args[0]);
+    if (!apiKey) fail(`API key #${args[0]} not found`);
+
+    updateApiKey(apiKey.id, { active: false });
+    console.log(`🚫 Revoked key #${apiKey.id} (${apiKey.name})`);
+    break;
+  }
+
+  case 'usage': {
+    const apiKey = getApiKey(args[0]);
+    const days = parseInt(option('days', '30'), 10);
+    if (!apiKey) fail(`API key #${args[0]} not found`);
+    if (!(days > 0)) fail('--days must be a positive integer');
+
+    // The server flushes its counts every API_USAGE_FLUSH_MS, the latest requests may be missing
+    console.log(`📈 Usage of #${apiKey.id} (${apiKey.name}) over the last ${days} days\n`);
+    for (const row of getApiKeyUsage(apiKey.id, { from: daysAgo(days - 1) })) {
+      console.log(`${row.day}  ${row.route.padEnd(40)}  ${row.requests} requests, ${row.rate_limited} rate limited, ${row.errors} errors`);
+    }
+    break;
+  }
+
+  default:
+    fail('Usage: api-keys <create|list|revoke|usage> (see scripts/apiKeys.js)');
+}
+
+process.exit(0);
@@ -7,8 +7,10 @@
  */
 
 import { initDatabase } from '../src/db/database.js';
-import { upsertLaunch, createSyncLog, updateSyncLog, getLaunchById } from '../src/db/database.js';
-import { fetchLaunches, mapLaunchToDb, sleep } from '../src/services/launchLibrary.js';
+import { upsertLaunch, createSyncLog, updateSyncLog, recordSyncError, getLaunchById, rebuildFlightStats } from '../src/db/database.js';
+import { fetchLaunches, mapLaunchToDb, mapLaunchPayloads, sleep } from '../src/services/launchLibrary.js';
+import { getActiveWebhooks, queueLaunchEvents, deliverDueWebhooks } from '../src/services/webhooks.js';
+import { reportSyncStarted, reportSyncProgress } from '../src/utils/syncProgress.js';
 import config from '../src/config.js';
 import logger from '../src/utils/logger.js';
 
@@ -24,6 +26,7 @@ async function dailySync() {
 
   // Create sync log entry
   const syncId = createSyncLog('incremental');
+  reportSyncStarted(syncId);
 
   // Calculate lookback time
   const lookbackTime = new Date(Date.now() - LOOKBACK_HOURS * 60 * 60 * 1000);
@@ -39,8 +42,12 @@ async function dailySync() {
   let totalUpdated = 0;
   let totalUnchanged = 0;
   let apiCalls = 0;
+  let webhooksQueued = 0;
   const startTime = Date.now();
 
+  // Snapshot of webhook subscriptions for this run
+  const webhooks = getActiveWebhooks();
+
   try {
     while (hasMore) {
       logger.sync(`Fetching batch ${offset / BATCH_SIZE + 1}...`);
@@ -70,20 +77,24 @@ async function dailySync() {
 
           if (!existing) {
             // New launch
-            upsertLaunch(mapped);
+            const result = upsertLaunch(mapped, { syncId, payloads: mapLaunchPayloads(apiLaunch) });
+            webhooksQueued += queueLaunchEvents(mapped, result, webhooks);
             totalAdded++;
             logger.rocket(`New: ${mapped.name}`);
           } else if (existing.last_updated !== mapped.last_updated) {
-            // Updated launch
-            upsertLaunch(mapped);
+            // Updated launch (field-level diffs go to launch_history)
+            const result = upsertLaunch(mapped, { syncId, payloads: mapLaunchPayloads(apiLaunch) });
+            webhooksQueued += queueLaunchEvents(mapped, result, webhooks);
             totalUpdated++;
-            logger.info(`Updated: ${mapped.name}`);
+            const changedFields = result.fieldChanges.map(change => change.field).join(', ');
+            logger.info(`Updated: ${mapped.name}${changedFields ? ` (${changedFields})` : ''}`);
           } else {
             // Unchanged
             totalUnchanged++;
           }
         } catch (error) {
           logger.error(`Failed to process launch ${apiLaunch.id}:`, error.message);
+          recordSyncError(syncId, { launchId: apiLaunch.id, message: error.message });
         }
       }
 
@@ -96,6 +107,15 @@ async function dailySync() {
         api_calls_made: apiCalls,
         last_api_offset: offset
       });
+      reportSyncProgress({
+        fetched: totalFetched,
+        added: totalAdded,
+        updated: totalUpdated,
+        unchanged: totalUnchanged,
+        apiCalls,
+        offset,
+        total: response.count
+      });
 
       // Check if there are more pages
       hasMore = response.next !== null;
@@ -108,6 +128,12 @@ async function dailySync() {
       }
     }
 
+    // Renumber flights, since new or rescheduled launches shift everything after them
+    if (totalAdded > 0 || totalUpdated > 0) {
+      const numbered = rebuildFlightStats();
+      logger.info(`Recomputed flight numbers for ${numbered} launches`);
+    }
+
     // Mark sync as successful
     updateSyncLog(syncId, {
       status: 'success',
@@ -119,6 +145,20 @@ async function dailySync() {
       api_calls_made: apiCalls
     });
 
+    // One bounded pass over due webhook deliveries; retries and anything left over
+    // go out from the API process (failures are logged, never fail the sync)
+    if (webhooksQueued > 0) {
+      logger.sync(`Delivering ${webhooksQueued} webhook notifications...`);
+    }
+    try {
+      const { delivered, failed } = await deliverDueWebhooks({ maxMs: config.webhookSyncBudgetMs });
+      if (delivered > 0 || failed > 0) {
+        logger.info(`Webhooks: ${delivered} delivered, ${failed} failed`);
+      }
+    } catch (error) {
+      logger.error('Webhook delivery error:', error.message);
+    }
+
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     logger.success(`\n✅ Daily sync complete!`);
     logger.info(`📊 Summary:`);
@@ -127,6 +167,7 @@ async function dailySync() {
     logger.info(`   - Updated launches: ${totalUpdated}`);
     logger.info(`   - Unchanged: ${totalUnchanged}`);
     logger.info(`   - API calls: ${apiCalls}`);
+    logger.info(`   - Webhook notifications: ${webhooksQueued}`);
     logger.info(`   - Time elapsed: ${elapsed}s\n`);
 
     process.exit(0);
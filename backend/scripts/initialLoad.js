@@ -7,8 +7,9 @@
  */
 
 import { initDatabase } from '../src/db/database.js';
-import { upsertLaunch, createSyncLog, updateSyncLog } from '../src/db/database.js';
-import { fetchLaunches, mapLaunchToDb, sleep } from '../src/services/launchLibrary.js';
+import { upsertLaunch, createSyncLog, updateSyncLog, recordSyncError, rebuildFlightStats } from '../src/db/database.js';
+import { fetchLaunches, mapLaunchToDb, mapLaunchPayloads, sleep } from '../src/services/launchLibrary.js';
+import { reportSyncStarted, reportSyncProgress } from '../src/utils/syncProgress.js';
 import config from '../src/config.js';
 import logger from '../src/utils/logger.js';
 
@@ -21,11 +22,11 @@ async function initialLoad() {
   // Initialize database
   const db = initDatabase(config.dbPath);
 
-  // Check for incomplete sync to resume
+  // Check for an interrupted or cancelled sync to resume
   const incompleteSyncStmt = db.prepare(`
     SELECT id, last_api_offset, records_fetched, records_added, api_calls_made
     FROM sync_log
-    WHERE sync_type = 'full' AND status = 'running'
+    WHERE sync_type = 'full' AND status IN ('running', 'cancelled')
     ORDER BY started_at DESC
     LIMIT 1
   `);
@@ -48,10 +49,14 @@ async function initialLoad() {
 
     logger.info(`📥 Resuming incomplete sync #${syncId} from offset ${offset}`);
     logger.info(`   Already processed: ${totalFetched} launches in ${apiCalls} API calls`);
+
+    updateSyncLog(syncId, { status: 'running', completed_at: null, error_message: null });
+    reportSyncStarted(syncId, { resumedFromOffset: offset });
   } else {
     // Create new sync log entry
     syncId = createSyncLog('full');
     logger.info(`Sync log ID: ${syncId}`);
+    reportSyncStarted(syncId);
   }
 
   let hasMore = true;
@@ -103,13 +108,15 @@ async function initialLoad() {
       for (const apiLaunch of response.results) {
         try {
           const launch = mapLaunchToDb(apiLaunch);
-          const result = upsertLaunch(launch);
+          const result = upsertLaunch(launch, { syncId, payloads: mapLaunchPayloads(apiLaunch) });
 
           totalFetched++;
 
           // Determine if it was an insert or update
-          if (result.changes > 0) {
+          if (result.isNew) {
             totalAdded++;
+          } else if (result.fieldChanges.length > 0) {
+            totalUpdated++;
           }
 
           // Log progress every 100 launches
@@ -123,6 +130,7 @@ async function initialLoad() {
           }
         } catch (error) {
           logger.error(`Failed to process launch ${apiLaunch.id}:`, error.message);
+          recordSyncError(syncId, { launchId: apiLaunch.id, message: error.message });
         }
       }
 
@@ -134,6 +142,14 @@ async function initialLoad() {
         api_calls_made: apiCalls,
         last_api_offset: offset
       });
+      reportSyncProgress({
+        fetched: totalFetched,
+        added: totalAdded,
+        updated: totalUpdated,
+        apiCalls,
+        offset,
+        total: response.count
+      });
 
       // Check if there are more pages
       hasMore = response.next !== null;
@@ -147,6 +163,10 @@ async function initialLoad() {
       }
     }
 
+    // Flight numbers, streaks and success rates per rocket and provider
+    const numbered = rebuildFlightStats();
+    logger.info(`Computed flight numbers for ${numbered} launches`);
+
     // Mark sync as successful
     updateSyncLog(syncId, {
       status: 'success',
@@ -1,4 +1,12 @@
-import { Database } from 'bun:sqlite';
+import {
+  initDatabase,
+  closeDatabase,
+  getManualPayloadByPattern,
+  createManualPayload,
+  updateManualPayload,
+  getManualPayload
+} from '../src/db/database.js';
+import config from '../src/config.js';
 import logger from '../src/utils/logger.js';
 
 /**
@@ -116,55 +124,53 @@ const MANUAL_PAYLOADS = [
 async function populateManualPayloads() {
   logger.info('📝 Populating manual payload data...');
 
-  const db = new Database('./data/launches.db');
+  initDatabase(config.dbPath);
 
   try {
-    const insertStmt = db.prepare(`
-      INSERT OR REPLACE INTO manual_payloads
-      (mission_pattern, payload_mass_kg, source, notes, updated_at)
-      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
-    `);
-
     let added = 0;
+    let updated = 0;
+    const counts = [];
 
     for (const payload of MANUAL_PAYLOADS) {
-      insertStmt.run(
-        payload.mission_pattern,
-        payload.payload_mass_kg,
-        payload.source,
-        payload.notes
-      );
-      added++;
+      const values = {
+        missionPattern: payload.mission_pattern,
+        payloadMassKg: payload.payload_mass_kg,
+        source: payload.source,
+        notes: payload.notes
+      };
+
+      // Priorities set through the admin API are left alone
+      const existing = getManualPayloadByPattern(payload.mission_pattern);
+      const entry = existing
+        ? updateManualPayload(existing.id, values)
+        : createManualPayload(values);
+
+      if (existing) {
+        updated++;
+      } else {
+        added++;
+      }
       logger.info(`✅ ${payload.mission_pattern}: ${payload.payload_mass_kg} kg`);
-    }
 
-    logger.info(`\n✅ Added ${added} manual payload entries`);
-
-    // Show how many launches can now use this data
-    const counts = [];
-    for (const payload of MANUAL_PAYLOADS) {
-      const pattern = payload.mission_pattern;
-      const count = db.query(`
-        SELECT COUNT(*) as count
-        FROM launches
-        WHERE name LIKE ?
-      `).get(pattern);
-
-      if (count.count > 0) {
-        counts.push({ pattern, count: count.count, mass: payload.payload_mass_kg });
+      if (entry.matched_launches > 0) {
+        counts.push(entry);
       }
     }
 
+    logger.info(`\n✅ Added ${added} and refreshed ${updated} manual payload entries`);
+
+    // Show how many launches can now use this data (applied counts once every entry is in)
     logger.info('\n📊 Launch coverage:');
     counts.forEach(c => {
-      logger.info(`   ${c.pattern}: ${c.count} launches × ${c.mass} kg`);
+      const { applied_launches: applied } = getManualPayload(c.id);
+      logger.info(`   ${c.mission_pattern}: ${c.matched_launches} launches (${applied} using it) × ${c.payload_mass_kg} kg`);
     });
 
   } catch (error) {
     logger.error('❌ Error populating manual payloads:', error.message);
     throw error;
   } finally {
-    db.close();
+    closeDatabase();
   }
 }
 
@@ -1,6 +1,6 @@
 #!/usr/bin/env bun
 
-import { initDatabase, initSchema } from '../src/db/database.js';
+import { initDatabase, initSchema, rebuildSearchIndex, rebuildEntityTables, rebuildFlightStats } from '../src/db/database.js';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { mkdirSync, existsSync } from 'fs';
@@ -26,6 +26,20 @@ try {
   // Create schema
   initSchema();
 
+  // Backfill the full-text search index for databases that predate it
+  const indexed = rebuildSearchIndex({ onlyIfStale: true });
+  if (indexed !== null) {
+    console.log(`🔎 Indexed ${indexed} launches for full-text search`);
+  }
+
+  // Backfill providers, locations, pads and rockets from launches synced before they were populated
+  const scanned = rebuildEntityTables();
+  console.log(`🏢 Refreshed providers, locations, pads and rockets from ${scanned} launches`);
+
+  // Flight numbers, streaks and success rates (otherwise filled in by the next sync)
+  const numbered = rebuildFlightStats();
+  console.log(`🔢 Computed flight numbers for ${numbered} launches`);
+
   console.log('\n✅ Database setup complete!');
   console.log(`📍 Database location: ${DB_PATH}\n`);
 
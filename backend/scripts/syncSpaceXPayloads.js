@@ -1,11 +1,20 @@
-import { initDatabase } from '../src/db/database.js';
-import { fetchSpaceXLaunches, findMatchingSpaceXLaunch } from '../src/services/spacex.js';
+import { initDatabase, createSyncLog, updateSyncLog, replaceLaunchPayloads } from '../src/db/database.js';
+import { fetchSpaceXLaunches, findMatchingSpaceXLaunch, mapSpaceXPayloads } from '../src/services/spacex.js';
+import { reportSyncStarted, reportSyncProgress } from '../src/utils/syncProgress.js';
+import config from '../src/config.js';
 import logger from '../src/utils/logger.js';
 
 async function syncSpaceXPayloads() {
   logger.info('🚀 Starting SpaceX payload sync...');
 
-  const db = initDatabase('./data/launches.db');
+  const db = initDatabase(config.dbPath);
+
+  const syncId = createSyncLog('spacex');
+  reportSyncStarted(syncId);
+
+  let matched = 0;
+  let updated = 0;
+  let alreadyHadData = 0;
 
   try {
     // Fetch all SpaceX launches with payload data
@@ -13,12 +22,16 @@ async function syncSpaceXPayloads() {
 
     if (spacexLaunches.length === 0) {
       logger.warn('⚠️  No SpaceX launches with payload data found');
+      updateSyncLog(syncId, {
+        status: 'success',
+        completed_at: new Date().toISOString()
+      });
       return;
     }
 
     // Get all SpaceX launches from our database (provider = SpaceX)
     const ourLaunches = db.query(`
-      SELECT id, name, net, payload_total_mass_kg
+      SELECT id, name, net
       FROM launches
       WHERE provider_name LIKE '%SpaceX%'
       ORDER BY net DESC
@@ -26,9 +39,6 @@ async function syncSpaceXPayloads() {
 
     logger.info(`📊 Found ${ourLaunches.length} SpaceX launches in our database`);
 
-    let matched = 0;
-    let updated = 0;
-    let alreadyHadData = 0;
     let noMatch = 0;
 
     for (const ourLaunch of ourLaunches) {
@@ -38,37 +48,19 @@ async function syncSpaceXPayloads() {
       if (spacexLaunch) {
         matched++;
 
-        // Check if we already have payload data
-        if (ourLaunch.payload_total_mass_kg && ourLaunch.payload_total_mass_kg > 0) {
-          // We have data - check if SpaceX data is different (actual vs capacity)
-          const diff = Math.abs(ourLaunch.payload_total_mass_kg - spacexLaunch.totalMassKg);
-
-          if (diff > 1) { // More than 1kg difference
-            logger.info(`🔄 Updating ${ourLaunch.name}`);
-            logger.info(`   Old: ${ourLaunch.payload_total_mass_kg} kg (capacity)`);
-            logger.info(`   New: ${spacexLaunch.totalMassKg} kg (actual from SpaceX)`);
-
-            db.query(`
-              UPDATE launches
-              SET payload_total_mass_kg = ?
-              WHERE id = ?
-            `).run(spacexLaunch.totalMassKg, ourLaunch.id);
-
-            updated++;
-          } else {
-            alreadyHadData++;
-          }
-        } else {
-          // No payload data yet - add it
-          logger.info(`✅ Adding payload data for ${ourLaunch.name}: ${spacexLaunch.totalMassKg} kg`);
-
-          db.query(`
-            UPDATE launches
-            SET payload_total_mass_kg = ?
-            WHERE id = ?
-          `).run(spacexLaunch.totalMassKg, ourLaunch.id);
+        // The SpaceX manifest replaces the one from Launch Library 2 (see PAYLOAD_SOURCES)
+        const payloads = mapSpaceXPayloads(spacexLaunch);
+        const { changed, fieldChanges } = replaceLaunchPayloads(ourLaunch.id, 'spacex', payloads, { syncId });
 
+        if (changed) {
+          logger.info(`🔄 Updating ${ourLaunch.name}: ${payloads.map(payload => payload.name).join(', ')}`);
+          const massChange = fieldChanges.find(change => change.field === 'payload_total_mass_kg');
+          if (massChange) {
+            logger.info(`   Mass: ${massChange.oldValue ?? 'unknown'} → ${massChange.newValue ?? 'unknown'} kg`);
+          }
           updated++;
+        } else {
+          alreadyHadData++;
         }
       } else {
         noMatch++;
@@ -76,12 +68,21 @@ async function syncSpaceXPayloads() {
       }
     }
 
+    updateSyncLog(syncId, {
+      status: 'success',
+      completed_at: new Date().toISOString(),
+      records_fetched: matched,
+      records_updated: updated,
+      records_unchanged: alreadyHadData
+    });
+    reportSyncProgress({ fetched: matched, updated, unchanged: alreadyHadData, total: ourLaunches.length });
+
     logger.info('\n✅ SpaceX payload sync complete!');
     logger.info(`📊 Summary:`);
     logger.info(`   - Total SpaceX launches in DB: ${ourLaunches.length}`);
     logger.info(`   - Matched with SpaceX API: ${matched}`);
-    logger.info(`   - Updated with new data: ${updated}`);
-    logger.info(`   - Already had correct data: ${alreadyHadData}`);
+    logger.info(`   - Payload manifests updated: ${updated}`);
+    logger.info(`   - Already up to date: ${alreadyHadData}`);
     logger.info(`   - No match found: ${noMatch}`);
 
     // Show some examples of updated launches
@@ -102,6 +103,13 @@ async function syncSpaceXPayloads() {
 
   } catch (error) {
     logger.error('❌ Error during SpaceX sync:', error.message);
+    updateSyncLog(syncId, {
+      status: 'failed',
+      completed_at: new Date().toISOString(),
+      error_message: error.message,
+      records_fetched: matched,
+      records_updated: updated
+    });
     throw error;
   } finally {
     db.close();
@@ -1,5 +1,5 @@
 import { Database } from 'bun:sqlite';
-import { fetchLaunches, mapLaunchToDb } from '../src/services/launchLibrary.js';
+import { fetchLaunches, mapLaunchToDb, mapLaunchPayloads } from '../src/services/launchLibrary.js';
 import { initDatabase, upsertLaunch } from '../src/db/database.js';
 import logger from '../src/utils/logger.js';
 
@@ -7,7 +7,7 @@ const DELAY_MS = parseInt(process.env.SYNC_DELAY_MS || '300000');
 const BATCH_SIZE = 100;
 
 async function updateSpacecraftPayload() {
-  logger.info('🔄 Updating spacecraft records with payload capacity...');
+  logger.info('🔄 Refreshing payload manifests of launches with spacecraft...');
   logger.info(`⏱️  Using ${DELAY_MS / 1000}s delay between API calls`);
 
   const db = initDatabase('./data/launches.db');
@@ -45,12 +45,13 @@ async function updateSpacecraftPayload() {
 
         for (const apiLaunch of response.results) {
           const mappedLaunch = mapLaunchToDb(apiLaunch);
-          upsertLaunch(mappedLaunch);
+          const payloads = mapLaunchPayloads(apiLaunch);
+          upsertLaunch(mappedLaunch, { payloads });
           updated++;
 
-          if (mappedLaunch.payload_total_mass_kg) {
+          if (payloads.length > 0) {
             withPayload++;
-            logger.info(`  ✅ ${mappedLaunch.name}: ${mappedLaunch.payload_total_mass_kg} kg`);
+            logger.info(`  ✅ ${mappedLaunch.name}: ${payloads.map(payload => payload.name).join(', ')}`);
           }
         }
       }
@@ -74,7 +75,7 @@ async function updateSpacecraftPayload() {
   logger.info('\n✅ Update complete!');
   logger.info(`📊 Summary:`);
   logger.info(`   - Launches processed: ${updated}`);
-  logger.info(`   - With payload capacity: ${withPayload}`);
+  logger.info(`   - With payloads: ${withPayload}`);
   logger.info(`   - API calls made: ${apiCalls}`);
 
   db.close();
@@ -26,6 +26,36 @@ export const config = {
   syncDelayMs: parseInt(process.env.SYNC_DELAY_MS || '5000', 10),
   syncLookbackHours: parseInt(process.env.SYNC_LOOKBACK_HOURS || '48', 10),
 
+  // Calendar subscription feeds
+  calendarFeedMaxEvents: parseInt(process.env.CALENDAR_FEED_MAX_EVENTS || '500', 10),
+  calendarFeedCacheSeconds: parseInt(process.env.CALENDAR_FEED_CACHE_SECONDS || '900', 10),
+  calendarFeedLookbackDays: parseInt(process.env.CALENDAR_FEED_LOOKBACK_DAYS || '30', 10),
+
+  // Outbound webhooks
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+  webhookRetryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '10', 10),
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+  // API process delivery pass interval (0 = off) and how long a sync may spend delivering
+  webhookPollMs: parseInt(process.env.WEBHOOK_POLL_MS || '30000', 10),
+  webhookSyncBudgetMs: parseInt(process.env.WEBHOOK_SYNC_BUDGET_MS || '60000', 10),
+
+  // Live update stream (SSE)
+  streamPollMs: parseInt(process.env.STREAM_POLL_MS || '5000', 10),
+  streamHeartbeatMs: parseInt(process.env.STREAM_HEARTBEAT_MS || '25000', 10),
+
+  // HTTP caching: 0 makes clients revalidate every time (a 304 when nothing has synced)
+  apiCacheMaxAgeSeconds: parseInt(process.env.API_CACHE_MAX_AGE_SECONDS || '0', 10),
+  responseCacheMaxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '500', 10),
+
+  // API keys and rate limiting (requests per minute per key or anonymous IP, 0 = unlimited)
+  rateLimitPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '600', 10),
+  rateLimitAnonymousPerMinute: parseInt(process.env.RATE_LIMIT_ANONYMOUS_PER_MINUTE || '120', 10),
+  apiKeyRequiredRoutes: parseList(process.env.API_KEY_REQUIRED_ROUTES || ''),
+  apiUsageFlushMs: parseInt(process.env.API_USAGE_FLUSH_MS || '30000', 10),
+  corsOrigins: parseList(process.env.CORS_ORIGINS || '*'),
+  // Which proxies to believe X-Forwarded-For from (Express "trust proxy" setting)
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY || 'loopback'),
+
   // Logging
   logLevel: process.env.LOG_LEVEL || 'info',
 };
@@ -39,4 +69,20 @@ if (!config.ll2ApiKey) {
   console.warn('⚠️  LL2_API_KEY not set. API requests will be rate-limited to 15/hour.');
 }
 
+/**
+ * Split a comma-separated setting
+ */
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * TRUST_PROXY may be true/false, a hop count or a list of addresses/subnets
+ */
+function parseTrustProxy(value) {
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
 export default config;
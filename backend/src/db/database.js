@@ -2,6 +2,8 @@ import { Database } from 'bun:sqlite';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { EARTH_RADIUS_KM, parseCoordinates, boundingBox } from '../utils/geo.js';
+import { InvalidCursorError, cursorFingerprint } from '../utils/launchCursor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -55,9 +57,25 @@ export function initSchema() {
     db.run(statement);
   }
 
+  // CREATE TABLE IF NOT EXISTS leaves tables from older versions as they were
+  for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(existing => existing.name === column)) {
+      console.log(`➕ Adding ${table}.${column}`);
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
   console.log('✅ Database schema initialized');
 }
 
+// Columns added to tables after they first shipped
+const COLUMN_MIGRATIONS = [
+  { table: 'manual_payloads', column: 'priority', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  // NULL on existing launches marks totals from before manifests (see LEGACY_TOTAL_FIELDS)
+  { table: 'launches', column: 'manifest_stored_at', definition: 'DATETIME' }
+];
+
 /**
  * Get the current database instance
  * @returns {Database}
@@ -69,12 +87,39 @@ export function getDatabase() {
   return db;
 }
 
+// Columns that are bookkeeping rather than launch data, never diffed into history
+const UNTRACKED_HISTORY_FIELDS = new Set(['id', 'last_updated', 'imported_at', 'updated_at', 'manifest_stored_at']);
+
+// Before payload manifests were stored these held the LL2 spacecraft count and rocket
+// capacity (or a SpaceX mass). The first manifest stored for such a launch replaces them
+// quietly: no history rows and no updated_at bump, as nothing about the launch changed
+const LEGACY_TOTAL_FIELDS = new Set(['payload_count', 'payload_total_mass_kg']);
+
 /**
  * 🚀 Insert or update a launch record
+ * Changed fields on an existing launch are recorded in launch_history
  * @param {Object} launch - Launch data object
- * @returns {Object} - Result with changes info
+ * @param {Object} options - Upsert options
+ * @param {number} options.syncId - Sync log ID to attribute history entries to
+ * @param {Array} options.payloads - Launch Library 2 payload manifest (mapLaunchPayloads),
+ *   replacing the stored one; without it the stored manifest is kept
+ * @returns {Object} - Result with changes info plus { isNew, fieldChanges }
  */
-export function upsertLaunch(launch) {
+export function upsertLaunch(launch, { syncId = null, payloads = null } = {}) {
+  const existing = db.prepare('SELECT * FROM launches WHERE id = ?').get(launch.id);
+
+  // payload_count and payload_total_mass_kg always follow the manifest, which may come from another source
+  launch = { ...launch, ...getManifestTotals(launch.id, payloads && { source: 'll2', rows: payloads }) };
+  const legacyTotals = !!existing && existing.manifest_stored_at === null;
+  const fieldChanges = existing
+    ? diffLaunch(existing, launch).filter(change => !(legacyTotals && LEGACY_TOTAL_FIELDS.has(change.field)))
+    : [];
+  const manifestChanged = !!payloads && payloadRowsChanged(launch.id, 'll2', payloads);
+
+  // updated_at drives ETags, the live stream and "updated" badges, so a sync that
+  // only re-confirms a launch leaves it alone
+  const touched = !existing || fieldChanges.length > 0 || (manifestChanged && !legacyTotals);
+
   const stmt = db.prepare(`
     INSERT INTO launches (
       id, name, slug, status_id, status_name, status_abbrev, status_description,
@@ -154,16 +199,556 @@ export function upsertLaunch(launch) {
       webcast_live = $webcast_live,
       slug_url = $slug_url,
       last_updated = $last_updated,
-      updated_at = CURRENT_TIMESTAMP
+      updated_at = CASE WHEN $touched THEN CURRENT_TIMESTAMP ELSE launches.updated_at END
   `);
 
   // Convert keys to include $ prefix for Bun SQLite
-  const params = {};
+  const params = { $touched: touched ? 1 : 0 };
   for (const [key, value] of Object.entries(launch)) {
     params[`$${key}`] = value;
   }
 
-  return stmt.run(params);
+  const historyStmt = db.prepare(`
+    INSERT INTO launch_history (launch_id, sync_id, field, old_value, new_value, source_updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const result = db.transaction(() => {
+    const runResult = stmt.run(params);
+
+    if (manifestChanged) {
+      writePayloadRows(launch.id, 'll2', payloads);
+    }
+    if (payloads) {
+      markManifestStored(launch.id);
+    }
+
+    for (const change of fieldChanges) {
+      historyStmt.run(launch.id, syncId, change.field, change.oldValue, change.newValue, launch.last_updated || null);
+    }
+
+    indexLaunchForSearch(launch.id);
+    upsertLaunchEntities(launch);
+
+    return runResult;
+  })();
+
+  return { ...result, isNew: !existing, fieldChanges };
+}
+
+/**
+ * 🏢 Refresh the provider, location, pad and rocket configuration a launch refers to
+ * The latest synced launch wins, except for details only some API modes return
+ * (logos, wiki links, site coordinates), which are kept when missing
+ * @param {Object} launch - Launch data (mapLaunchToDb shape or a launches row)
+ */
+function upsertLaunchEntities(launch) {
+  if (launch.provider_id && launch.provider_name) {
+    // Names are unique, so a provider that was renumbered upstream replaces its old row
+    db.prepare('DELETE FROM providers WHERE name = ? AND id != ?').run(launch.provider_name, launch.provider_id);
+    db.prepare(`
+      INSERT INTO providers (id, name, abbrev, type, country_code, logo_url, wiki_url)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        abbrev = excluded.abbrev,
+        type = excluded.type,
+        country_code = excluded.country_code,
+        logo_url = COALESCE(excluded.logo_url, providers.logo_url),
+        wiki_url = COALESCE(excluded.wiki_url, providers.wiki_url)
+    `).run(
+      launch.provider_id,
+      launch.provider_name,
+      launch.provider_abbrev ?? null,
+      launch.provider_type ?? null,
+      launch.provider_country_code ?? null,
+      launch.provider_logo_url ?? null,
+      launch.provider_wiki_url ?? null
+    );
+  }
+
+  if (launch.location_id && launch.location_name) {
+    db.prepare('DELETE FROM locations WHERE name = ? AND id != ?').run(launch.location_name, launch.location_id);
+    db.prepare(`
+      INSERT INTO locations (id, name, country_code, map_image, timezone, latitude, longitude)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        country_code = excluded.country_code,
+        map_image = excluded.map_image,
+        timezone = excluded.timezone,
+        latitude = COALESCE(excluded.latitude, locations.latitude),
+        longitude = COALESCE(excluded.longitude, locations.longitude)
+    `).run(
+      launch.location_id,
+      launch.location_name,
+      launch.location_country_code ?? null,
+      launch.location_map_image ?? null,
+      launch.location_timezone ?? null,
+      launch.location_latitude ?? null,
+      launch.location_longitude ?? null
+    );
+  }
+
+  if (launch.pad_id && launch.pad_name) {
+    db.prepare(`
+      INSERT INTO pads (id, name, location_id, latitude, longitude, wiki_url, map_url, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        location_id = excluded.location_id,
+        latitude = excluded.latitude,
+        longitude = excluded.longitude,
+        wiki_url = excluded.wiki_url,
+        map_url = excluded.map_url,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      launch.pad_id,
+      launch.pad_name,
+      launch.location_id ?? null,
+      launch.pad_latitude ?? null,
+      launch.pad_longitude ?? null,
+      launch.pad_wiki_url ?? null,
+      launch.pad_map_url ?? null
+    );
+  }
+
+  if (launch.rocket_id && launch.rocket_name) {
+    db.prepare(`
+      INSERT INTO rocket_configurations (id, name, family, variant, full_name, updated_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        family = excluded.family,
+        variant = excluded.variant,
+        full_name = excluded.full_name,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      launch.rocket_id,
+      launch.rocket_name,
+      launch.rocket_family ?? null,
+      launch.rocket_variant ?? null,
+      launch.rocket_full_name ?? null
+    );
+  }
+}
+
+/**
+ * 🏗️ Fill the providers, locations, pads and rocket_configurations tables from stored launches
+ * Needed once for databases synced before the tables were populated
+ * @returns {number} - Launches read
+ */
+export function rebuildEntityTables() {
+  const launches = db.prepare('SELECT * FROM launches ORDER BY net ASC').all();
+
+  return db.transaction(() => {
+    // Oldest first so each entity ends up with its most recent details
+    for (const launch of launches) {
+      upsertLaunchEntities(launch);
+    }
+    return launches.length;
+  })();
+}
+
+/**
+ * 📦 Replace one source's payload manifest for a launch
+ * Totals on the launch are recomputed (changes go to launch_history) and the launch is
+ * touched so cached responses and stream clients pick up the new manifest, except
+ * for the first manifest of a launch synced before manifests existed (LEGACY_TOTAL_FIELDS)
+ * @param {string} launchId - Launch ID
+ * @param {string} source - One of PAYLOAD_SOURCES
+ * @param {Array} rows - Payloads: { source_id, name, type, customer, operator, quantity,
+ *   mass_kg, orbit, norad_ids (array), cospar_id }
+ * @param {Object} options - { syncId: sync log ID to attribute history entries to }
+ * @returns {Object|null} - { changed, fieldChanges }, or null if the launch doesn't exist
+ */
+export function replaceLaunchPayloads(launchId, source, rows, { syncId = null } = {}) {
+  const existing = db.prepare('SELECT * FROM launches WHERE id = ?').get(launchId);
+  if (!existing) return null;
+
+  if (!payloadRowsChanged(launchId, source, rows)) return { changed: false, fieldChanges: [] };
+
+  const totals = getManifestTotals(launchId, { source, rows });
+  const legacyTotals = existing.manifest_stored_at === null;
+  const fieldChanges = legacyTotals ? [] : diffLaunch(existing, totals);
+
+  db.transaction(() => {
+    writePayloadRows(launchId, source, rows);
+
+    db.prepare(`
+      UPDATE launches
+      SET
+        payload_count = ?,
+        payload_total_mass_kg = ?,
+        updated_at = CASE WHEN ? THEN updated_at ELSE CURRENT_TIMESTAMP END
+      WHERE id = ?
+    `).run(totals.payload_count, totals.payload_total_mass_kg, legacyTotals ? 1 : 0, launchId);
+    markManifestStored(launchId);
+
+    const historyStmt = db.prepare(`
+      INSERT INTO launch_history (launch_id, sync_id, field, old_value, new_value)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    for (const change of fieldChanges) {
+      historyStmt.run(launchId, syncId, change.field, change.oldValue, change.newValue);
+    }
+  })();
+
+  return { changed: true, fieldChanges };
+}
+
+/**
+ * payload_count and payload_total_mass_kg of a launch's manifest
+ * @param {string} launchId - Launch ID
+ * @param {Object|null} replacement - { source, rows } about to replace that source's stored rows
+ */
+function getManifestTotals(launchId, replacement = null) {
+  let rows = db.prepare('SELECT source, quantity, mass_kg FROM payloads WHERE launch_id = ?').all(launchId);
+  if (replacement) {
+    rows = [
+      ...rows.filter(row => row.source !== replacement.source),
+      ...replacement.rows.map(row => ({ ...row, source: replacement.source }))
+    ];
+  }
+
+  const manifestSource = PAYLOAD_SOURCES.find(source => rows.some(row => row.source === source));
+  const manifest = rows.filter(row => row.source === manifestSource);
+  const masses = manifest.map(row => row.mass_kg).filter(mass => mass !== null && mass !== undefined);
+
+  return {
+    payload_count: manifest.length > 0 ? manifest.reduce((sum, row) => sum + (row.quantity || 1), 0) : null,
+    payload_total_mass_kg: masses.length > 0 ? masses.reduce((sum, mass) => sum + mass, 0) : null
+  };
+}
+
+function markManifestStored(launchId) {
+  db.prepare(`
+    UPDATE launches SET manifest_stored_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND manifest_stored_at IS NULL
+  `).run(launchId);
+}
+
+/**
+ * Whether rows differ from the manifest stored for a launch and source
+ */
+function payloadRowsChanged(launchId, source, rows) {
+  const stored = db.prepare(`
+    SELECT ${PAYLOAD_FIELDS.join(', ')} FROM payloads
+    WHERE launch_id = ? AND source = ?
+    ORDER BY position
+  `).all(launchId, source);
+
+  const incoming = rows.map(toPayloadParams);
+  return stored.length !== incoming.length || !stored.every((row, index) =>
+    PAYLOAD_FIELDS.every(field => historyValuesEqual(toHistoryValue(row[field]), toHistoryValue(incoming[index][field])))
+  );
+}
+
+function writePayloadRows(launchId, source, rows) {
+  db.prepare('DELETE FROM payloads WHERE launch_id = ? AND source = ?').run(launchId, source);
+
+  const insertStmt = db.prepare(`
+    INSERT INTO payloads (launch_id, source, position, ${PAYLOAD_FIELDS.join(', ')})
+    VALUES (?, ?, ?, ${placeholders(PAYLOAD_FIELDS)})
+  `);
+  rows.forEach((row, position) => {
+    const params = toPayloadParams(row);
+    insertStmt.run(launchId, source, position, ...PAYLOAD_FIELDS.map(field => params[field]));
+  });
+}
+
+function toPayloadParams(row) {
+  const params = {};
+  for (const field of PAYLOAD_FIELDS) {
+    params[field] = row[field] ?? null;
+  }
+  params.quantity = row.quantity || 1;
+  params.norad_ids = row.norad_ids?.length ? JSON.stringify(row.norad_ids) : null;
+  params.source_id = params.source_id === null ? null : String(params.source_id);
+  return params;
+}
+
+// launch_flight_stats column prefix -> launches column flights are counted per
+const FLIGHT_STATS_SCOPES = {
+  config: 'rocket_id',
+  family: 'rocket_family',
+  provider: 'provider_id'
+};
+
+const FLIGHT_STATS_FIELDS = ['flight_number', 'year_flight_number', 'success_streak', 'successes', 'completed'];
+
+// launch_flight_stats columns selected alongside launches.* for the API
+const FLIGHT_STATS_COLUMNS = Object.keys(FLIGHT_STATS_SCOPES)
+  .flatMap(scope => FLIGHT_STATS_FIELDS.map(field => `launch_flight_stats.${scope}_${field}`))
+  .join(',\n      ');
+
+const FLIGHT_STATS_JOIN = 'LEFT JOIN launch_flight_stats ON launch_flight_stats.launch_id = launches.id';
+
+// The one manual payload entry that applies to a launch: of the patterns matching
+// its name, highest priority first, then the longest (most specific), then the oldest
+const MANUAL_PAYLOAD_MATCH = `(
+  SELECT candidates.id
+  FROM manual_payloads AS candidates
+  WHERE launches.name LIKE candidates.mission_pattern
+  ORDER BY candidates.priority DESC, LENGTH(candidates.mission_pattern) DESC, candidates.id
+  LIMIT 1
+)`;
+
+const MANUAL_PAYLOAD_COLUMNS = `
+  manual_payloads.payload_mass_kg as manual_payload_mass_kg,
+  manual_payloads.source as manual_payload_source`;
+
+const MANUAL_PAYLOAD_JOIN = `LEFT JOIN manual_payloads ON manual_payloads.id = ${MANUAL_PAYLOAD_MATCH}`;
+
+// Payload sources, most detailed first. A launch's manifest is the rows of the
+// first source that has any for it
+const PAYLOAD_SOURCES = ['spacex', 'll2'];
+
+const PAYLOAD_FIELDS = ['source_id', 'name', 'type', 'customer', 'operator', 'quantity', 'mass_kg', 'orbit', 'norad_ids', 'cospar_id'];
+
+const PAYLOAD_MANIFEST_SOURCE = `(
+  SELECT ranked.source
+  FROM payloads AS ranked
+  WHERE ranked.launch_id = launches.id
+  ORDER BY CASE ranked.source ${PAYLOAD_SOURCES.map((source, rank) => `WHEN '${source}' THEN ${rank}`).join(' ')} END
+  LIMIT 1
+)`;
+
+// The manifest as a JSON array, in source order
+const PAYLOAD_MANIFEST_COLUMNS = `
+  (
+    SELECT json_group_array(json_object(
+      'name', manifest.name,
+      'type', manifest.type,
+      'customer', manifest.customer,
+      'operator', manifest.operator,
+      'quantity', manifest.quantity,
+      'mass_kg', manifest.mass_kg,
+      'orbit', manifest.orbit,
+      'norad_ids', json(manifest.norad_ids),
+      'cospar_id', manifest.cospar_id,
+      'source', manifest.source
+    ))
+    FROM (
+      SELECT * FROM payloads
+      WHERE payloads.launch_id = launches.id AND payloads.source = ${PAYLOAD_MANIFEST_SOURCE}
+      ORDER BY payloads.position
+    ) AS manifest
+  ) as payload_manifest`;
+
+/**
+ * 🔢 Recompute flight numbers, success streaks and running success counts for every launch
+ * Launches are counted in NET order per rocket configuration, rocket family and provider.
+ * A launch's counts include its own outcome once known; upcoming launches get the
+ * record they go into the flight with. Run after each sync
+ * @returns {number} - Launches numbered
+ */
+export function rebuildFlightStats() {
+  const launches = db.prepare(`
+    SELECT id, net, status_abbrev, rocket_id, rocket_family, provider_id
+    FROM launches
+    WHERE net IS NOT NULL
+    ORDER BY net ASC, id ASC
+  `).all();
+
+  const columns = Object.keys(FLIGHT_STATS_SCOPES)
+    .flatMap(scope => FLIGHT_STATS_FIELDS.map(field => `${scope}_${field}`));
+  const insertStmt = db.prepare(`
+    INSERT INTO launch_flight_stats (launch_id, ${columns.join(', ')})
+    VALUES ($launch_id, ${columns.map(column => `$${column}`).join(', ')})
+  `);
+
+  return db.transaction(() => {
+    db.run('DELETE FROM launch_flight_stats');
+
+    // Running record per scope, keyed by configuration id / family name / provider id
+    const records = Object.fromEntries(Object.keys(FLIGHT_STATS_SCOPES).map(scope => [scope, new Map()]));
+
+    for (const launch of launches) {
+      const year = launch.net.slice(0, 4);
+      const outcome = launch.status_abbrev;
+      const params = { $launch_id: launch.id };
+
+      for (const [scope, column] of Object.entries(FLIGHT_STATS_SCOPES)) {
+        const key = launch[column];
+        if (key === null || key === undefined || key === '') {
+          for (const field of FLIGHT_STATS_FIELDS) params[`$${scope}_${field}`] = null;
+          continue;
+        }
+
+        if (!records[scope].has(key)) {
+          records[scope].set(key, { flights: 0, years: new Map(), streak: 0, successes: 0, completed: 0 });
+        }
+        const record = records[scope].get(key);
+
+        record.flights++;
+        record.years.set(year, (record.years.get(year) || 0) + 1);
+        if (outcome === 'Success') {
+          record.successes++;
+          record.completed++;
+          record.streak++;
+        } else if (outcome === 'Failure' || outcome === 'Partial Failure') {
+          record.completed++;
+          record.streak = 0;
+        }
+
+        params[`$${scope}_flight_number`] = record.flights;
+        params[`$${scope}_year_flight_number`] = record.years.get(year);
+        params[`$${scope}_success_streak`] = record.streak;
+        params[`$${scope}_successes`] = record.successes;
+        params[`$${scope}_completed`] = record.completed;
+      }
+
+      insertStmt.run(params);
+    }
+
+    return launches.length;
+  })();
+}
+
+// Column expressions feeding launches_fts, shared by single-row and full rebuilds
+const SEARCH_INDEX_COLUMNS = `
+  name,
+  COALESCE(mission_name, ''),
+  COALESCE(mission_description, ''),
+  COALESCE(provider_name, '') || ' ' || COALESCE(provider_abbrev, ''),
+  COALESCE(rocket_full_name, rocket_name, '') || ' ' || COALESCE(rocket_family, ''),
+  COALESCE(spacecraft_name, ''),
+  COALESCE(pad_name, '') || ' ' || COALESCE(location_name, '')
+`;
+
+// bm25 column weights, in launches_fts column order
+const SEARCH_RANK_WEIGHTS = '10.0, 6.0, 1.0, 4.0, 4.0, 3.0, 2.0';
+
+// API names for launches_fts columns, in column order (used for highlights)
+const SEARCH_HIGHLIGHT_FIELDS = ['name', 'mission', 'description', 'provider', 'rocket', 'spacecraft', 'pad'];
+
+/**
+ * 🔎 Refresh one launch's full-text search row
+ * @param {string} id - Launch ID
+ */
+function indexLaunchForSearch(id) {
+  db.prepare(`
+    DELETE FROM launches_fts WHERE rowid = (SELECT rowid FROM launches WHERE id = ?)
+  `).run(id);
+
+  db.prepare(`
+    INSERT INTO launches_fts (rowid, title, mission, description, provider, rocket, spacecraft, pad)
+    SELECT rowid, ${SEARCH_INDEX_COLUMNS}
+    FROM launches
+    WHERE id = ?
+  `).run(id);
+}
+
+/**
+ * 🏗️ Rebuild the full-text search index from the launches table
+ * Needed once for databases created before launches_fts existed
+ * @param {Object} options - { onlyIfStale }: skip when row counts already match
+ * @returns {number|null} - Rows indexed, or null if skipped
+ */
+export function rebuildSearchIndex({ onlyIfStale = false } = {}) {
+  if (onlyIfStale) {
+    const { launchCount } = db.prepare('SELECT COUNT(*) AS launchCount FROM launches').get();
+    const { indexCount } = db.prepare('SELECT COUNT(*) AS indexCount FROM launches_fts').get();
+    if (launchCount === indexCount) return null;
+  }
+
+  return db.transaction(() => {
+    db.run('DELETE FROM launches_fts');
+    return db.prepare(`
+      INSERT INTO launches_fts (rowid, title, mission, description, provider, rocket, spacecraft, pad)
+      SELECT rowid, ${SEARCH_INDEX_COLUMNS}
+      FROM launches
+    `).run().changes;
+  })();
+}
+
+/**
+ * 🔤 Turn free text into a safe FTS5 query
+ * Every word must match (in any order), each as a prefix so partial words work.
+ * "Quoted phrases" must match exactly and `a OR b` matches either side
+ * @param {string} search - User search text
+ * @returns {string|null} - FTS5 MATCH expression, or null if nothing searchable
+ */
+function toFtsQuery(search) {
+  const groups = [];
+  let joinNext = false;
+
+  for (const [, phrase, word] of String(search).matchAll(/"([^"]*)"?|(\S+)/g)) {
+    if (word === 'OR') {
+      joinNext = groups.length > 0;
+      continue;
+    }
+
+    const text = (phrase ?? word).replace(/"/g, '').trim();
+    if (!/[\p{L}\p{N}]/u.test(text)) continue;
+
+    const term = phrase !== undefined ? `"${text}"` : `"${text}"*`;
+    if (joinNext) {
+      groups[groups.length - 1].push(term);
+    } else {
+      groups.push([term]);
+    }
+    joinNext = false;
+  }
+
+  if (groups.length === 0) return null;
+
+  return groups
+    .map(terms => (terms.length > 1 ? `(${terms.join(' OR ')})` : terms[0]))
+    .join(' ');
+}
+
+/**
+ * 🔀 Compare a stored launch row with incoming launch data
+ * @param {Object} existing - Current database row
+ * @param {Object} launch - Incoming launch data (mapLaunchToDb shape)
+ * @returns {Array} - [{ field, oldValue, newValue }] for every changed column
+ */
+export function diffLaunch(existing, launch) {
+  const changes = [];
+
+  for (const [field, value] of Object.entries(launch)) {
+    if (UNTRACKED_HISTORY_FIELDS.has(field) || !(field in existing)) continue;
+
+    const oldValue = toHistoryValue(existing[field]);
+    const newValue = toHistoryValue(value);
+
+    if (!historyValuesEqual(oldValue, newValue)) {
+      changes.push({ field, oldValue, newValue });
+    }
+  }
+
+  return changes;
+}
+
+function toHistoryValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return String(value);
+}
+
+function historyValuesEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null) return false;
+
+  // SQLite REAL/INTEGER affinity turns LL2's "28.56" strings into numbers
+  const numA = Number(a);
+  const numB = Number(b);
+  return Number.isFinite(numA) && Number.isFinite(numB) && numA === numB;
+}
+
+/**
+ * 🕰️ Get the change history of a launch, newest first
+ * @param {string} launchId - Launch ID
+ * @returns {Array} - launch_history rows
+ */
+export function getLaunchHistory(launchId) {
+  return db.prepare(`
+    SELECT id, launch_id, sync_id, field, old_value, new_value, source_updated_at, changed_at
+    FROM launch_history
+    WHERE launch_id = ?
+    ORDER BY changed_at DESC, id DESC
+  `).all(launchId);
 }
 
 /**
@@ -207,6 +792,88 @@ export function updateSyncLog(syncId, updates) {
   stmt.run(...params);
 }
 
+/**
+ * ⚠️ Record a launch a sync run failed to process
+ * @param {number} syncId - Sync log ID
+ * @param {Object} error - { launchId, message }
+ */
+export function recordSyncError(syncId, { launchId = null, message }) {
+  db.prepare(`
+    INSERT INTO sync_errors (sync_id, launch_id, message)
+    VALUES (?, ?, ?)
+  `).run(syncId, launchId, message);
+}
+
+/**
+ * 🔍 Get a sync run by ID
+ * @param {number} syncId - Sync log ID
+ * @returns {Object|null} - sync_log row with error_count, or null
+ */
+export function getSyncLog(syncId) {
+  return db.prepare(`
+    SELECT
+      sync_log.*,
+      (SELECT COUNT(*) FROM sync_errors WHERE sync_errors.sync_id = sync_log.id) AS error_count
+    FROM sync_log
+    WHERE id = ?
+  `).get(syncId) || null;
+}
+
+/**
+ * 📋 Page through sync runs, newest first
+ * @param {Object} options - { limit, offset, status, type, finished: only runs with a completed_at }
+ * @returns {Object} - { runs, total }
+ */
+export function listSyncLogs({ limit = 20, offset = 0, status = null, type = null, finished = false } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (finished) {
+    conditions.push('completed_at IS NOT NULL');
+  }
+
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (type) {
+    conditions.push('sync_type = ?');
+    params.push(type);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const runs = db.prepare(`
+    SELECT
+      sync_log.*,
+      (SELECT COUNT(*) FROM sync_errors WHERE sync_errors.sync_id = sync_log.id) AS error_count
+    FROM sync_log
+    ${where}
+    ORDER BY id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM sync_log ${where}`).get(...params);
+
+  return { runs, total };
+}
+
+/**
+ * 📋 Errors recorded for a sync run, in the order they happened
+ * @param {number} syncId - Sync log ID
+ * @param {Object} options - { limit }
+ * @returns {Array} - sync_errors rows
+ */
+export function listSyncErrors(syncId, { limit = 500 } = {}) {
+  return db.prepare(`
+    SELECT id, launch_id, message, created_at
+    FROM sync_errors
+    WHERE sync_id = ?
+    ORDER BY id
+    LIMIT ?
+  `).all(syncId, limit);
+}
+
 /**
  * 🔍 Get launch by ID
  * @param {string} id - Launch ID
@@ -216,170 +883,536 @@ export function getLaunchById(id) {
   const stmt = db.prepare(`
     SELECT
       launches.*,
-      manual_payloads.payload_mass_kg as manual_payload_mass_kg,
-      manual_payloads.source as manual_payload_source
+      ${MANUAL_PAYLOAD_COLUMNS},
+      ${PAYLOAD_MANIFEST_COLUMNS},
+      ${FLIGHT_STATS_COLUMNS}
     FROM launches
-    LEFT JOIN manual_payloads ON launches.name LIKE manual_payloads.mission_pattern
+    ${MANUAL_PAYLOAD_JOIN}
+    ${FLIGHT_STATS_JOIN}
     WHERE launches.id = ?
   `);
   return stmt.get(id);
 }
 
+// SQL condition and bound params for one value of each list filter
+const LIST_FILTER_CONDITIONS = {
+  provider: { condition: 'provider_name LIKE ?', toParams: value => [`%${value}%`] },
+  country: { condition: 'location_country_code = ? COLLATE NOCASE', toParams: value => [value] },
+  // US state, matched inside "Site, ST, USA" location names
+  state: { condition: 'location_name LIKE ?', toParams: value => [`%, ${value},%`] },
+  location: { condition: 'location_name LIKE ?', toParams: value => [`%${value}%`] },
+  rocket: { condition: '(rocket_name LIKE ? OR rocket_family LIKE ?)', toParams: value => [`%${value}%`, `%${value}%`] },
+  status: { condition: 'status_abbrev = ? COLLATE NOCASE', toParams: value => [value] },
+  orbit: { condition: 'mission_orbit_abbrev = ? COLLATE NOCASE', toParams: value => [value] },
+  missionType: { condition: 'mission_type = ? COLLATE NOCASE', toParams: value => [value] },
+  destination: { condition: 'spacecraft_destination = ? COLLATE NOCASE', toParams: value => [value] },
+  providerType: { condition: 'provider_type = ? COLLATE NOCASE', toParams: value => [value] }
+};
+
+// Payload mass as shown by the API: LL2 figure first, manually curated mass as fallback
+const PAYLOAD_MASS_EXPRESSION = `COALESCE(
+  launches.payload_total_mass_kg,
+  (SELECT payload_mass_kg FROM manual_payloads WHERE manual_payloads.id = ${MANUAL_PAYLOAD_MATCH})
+)`;
+
+// Payload mass facet buckets (kg); max is exclusive, null means open-ended
+const PAYLOAD_MASS_RANGES = [
+  { label: 'Under 1 t', min: null, max: 1000 },
+  { label: '1-5 t', min: 1000, max: 5000 },
+  { label: '5-10 t', min: 5000, max: 10000 },
+  { label: '10-20 t', min: 10000, max: 20000 },
+  { label: '20 t and over', min: 20000, max: null }
+];
+
 /**
- * 📋 Query launches with filters
- * @param {Object} filters - Query filters and pagination
- * @returns {Object} - { launches: [], total: number }
+ * Great-circle distance (km) from a point to the launch pad, as an SQL expression
+ * Coordinates are inlined so the expression can be reused in SELECT, WHERE and
+ * ORDER BY without juggling parameter positions - they must come from parseCoordinates
  */
-export function queryLaunches(filters = {}) {
+function padDistanceSql({ latitude, longitude }) {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  return `(2 * ${EARTH_RADIUS_KM} * asin(min(1, sqrt(
+    pow(sin(radians(launches.pad_latitude - ${lat}) / 2), 2) +
+    cos(radians(${lat})) * cos(radians(launches.pad_latitude)) *
+    pow(sin(radians(launches.pad_longitude - ${lon}) / 2), 2)
+  ))))`;
+}
+
+/**
+ * Initial bearing (degrees clockwise from north) from a point to the launch pad
+ */
+function padBearingSql({ latitude, longitude }) {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  return `((degrees(atan2(
+    sin(radians(launches.pad_longitude - ${lon})) * cos(radians(launches.pad_latitude)),
+    cos(radians(${lat})) * sin(radians(launches.pad_latitude)) -
+      sin(radians(${lat})) * cos(radians(launches.pad_latitude)) * cos(radians(launches.pad_longitude - ${lon}))
+  )) + 360) % 360)`;
+}
+
+function isFiniteNumber(value) {
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value));
+}
+
+function toValueList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).filter(item => item !== '' && item !== null);
+}
+
+/**
+ * 🧩 Build the individual conditions for the launch filter vocabulary
+ * Each condition names the facet it belongs to (list filter key, or "mass"),
+ * so facet counts can leave out their own filter; null means always applied
+ * @param {Object} filters - Launch filters (see queryLaunches)
+ * @param {Object} options - { searchJoined }: query already joins launches_fts
+ * @returns {Array} - [{ facet: string|null, sql: string, params: [] }]
+ */
+export function buildLaunchConditions(filters = {}, { searchJoined = false } = {}) {
   const {
     upcoming = false,
     past = false,
-    provider,
-    country,
-    state,
-    location,
-    rocket,
-    status,
     from,
     to,
+    minMass,
+    maxMass,
+    radiusKm,
     search,
-    limit = 20,
-    offset = 0,
-    sort = 'net',
-    order = 'asc'
+    exclude = {}
   } = filters;
 
-  const whereClauses = [];
-  const params = [];
+  const near = filters.near ? parseCoordinates(filters.near) : null;
+
+  const conditions = [];
+  const add = (facet, sql, params = []) => conditions.push({ facet, sql, params });
 
   // Time-based filters
   if (upcoming) {
-    whereClauses.push("net >= datetime('now')");
+    add(null, "net >= datetime('now')");
   } else if (past) {
-    whereClauses.push("net < datetime('now')");
+    add(null, "net < datetime('now')");
   }
 
   if (from) {
-    whereClauses.push('net >= ?');
-    params.push(from);
+    add(null, 'net >= ?', [from]);
   }
 
   if (to) {
-    whereClauses.push('net <= ?');
-    params.push(to);
+    add(null, 'net <= ?', [to]);
   }
 
-  // Provider filter
-  if (provider) {
-    whereClauses.push('provider_name LIKE ?');
-    params.push(`%${provider}%`);
+  // Payload mass range (kg); launches without a known mass never match
+  if (isFiniteNumber(minMass)) {
+    add('mass', `${PAYLOAD_MASS_EXPRESSION} >= ?`, [Number(minMass)]);
   }
 
-  // Country filter
-  if (country) {
-    whereClauses.push('location_country_code = ?');
-    params.push(country);
+  if (isFiniteNumber(maxMass)) {
+    add('mass', `${PAYLOAD_MASS_EXPRESSION} <= ?`, [Number(maxMass)]);
   }
 
-  // State filter (for USA locations)
-  if (state) {
-    whereClauses.push('location_name LIKE ?');
-    params.push(`%, ${state},%`);
-  }
+  // Distance from a point: only pads with coordinates, within radiusKm if given
+  // (the bounding box lets SQLite discard most rows before the trigonometry)
+  if (near) {
+    add(null, 'launches.pad_latitude IS NOT NULL AND launches.pad_longitude IS NOT NULL');
 
-  // Location filter
-  if (location) {
-    whereClauses.push('location_name LIKE ?');
-    params.push(`%${location}%`);
+    if (isFiniteNumber(radiusKm) && Number(radiusKm) > 0) {
+      const box = boundingBox(near, Number(radiusKm));
+      add(null, 'launches.pad_latitude BETWEEN ? AND ?', [box.minLatitude, box.maxLatitude]);
+      if (box.minLongitude !== null) {
+        add(null, 'launches.pad_longitude BETWEEN ? AND ?', [box.minLongitude, box.maxLongitude]);
+      }
+      add(null, `${padDistanceSql(near)} <= ?`, [Number(radiusKm)]);
+    }
   }
 
-  // Rocket filter
-  if (rocket) {
-    whereClauses.push('(rocket_name LIKE ? OR rocket_family LIKE ?)');
-    params.push(`%${rocket}%`, `%${rocket}%`);
+  // Value filters: each accepts one value or a list (any may match),
+  // plus exclusions under filters.exclude
+  for (const [key, { condition, toParams }] of Object.entries(LIST_FILTER_CONDITIONS)) {
+    const included = toValueList(filters[key]);
+    if (included.length > 0) {
+      add(key, `(${included.map(() => condition).join(' OR ')})`, included.flatMap(toParams));
+    }
+
+    const excluded = toValueList(exclude[key]);
+    if (excluded.length > 0) {
+      // IFNULL keeps rows where the column is NULL (they can't match an excluded value)
+      add(key, `NOT IFNULL(${excluded.map(() => condition).join(' OR ')}, 0)`, excluded.flatMap(toParams));
+    }
   }
 
-  // Status filter
-  if (status) {
-    whereClauses.push('status_abbrev = ?');
-    params.push(status);
+  // Search filter (full-text index)
+  const ftsQuery = search ? toFtsQuery(search) : null;
+  if (ftsQuery) {
+    if (searchJoined) {
+      // Caller joined launches_fts, so bm25()/snippet() can run in the same query
+      add(null, 'launches_fts MATCH ?', [ftsQuery]);
+    } else {
+      add(null, 'launches.rowid IN (SELECT rowid FROM launches_fts WHERE launches_fts MATCH ?)', [ftsQuery]);
+    }
   }
 
-  // Search filter
-  if (search) {
-    whereClauses.push(`(
-      name LIKE ? OR
-      mission_name LIKE ? OR
-      mission_description LIKE ? OR
-      provider_name LIKE ?
-    )`);
-    const searchPattern = `%${search}%`;
-    params.push(searchPattern, searchPattern, searchPattern, searchPattern);
+  // Excluded words or phrases
+  for (const term of toValueList(exclude.search)) {
+    const excludedQuery = toFtsQuery(term);
+    if (!excludedQuery) continue;
+    add(null, 'launches.rowid NOT IN (SELECT rowid FROM launches_fts WHERE launches_fts MATCH ?)', [excludedQuery]);
   }
 
-  const whereClause = whereClauses.length > 0
-    ? `WHERE ${whereClauses.join(' AND ')}`
+  return conditions;
+}
+
+/**
+ * 🧩 Build the WHERE clause for the launch filter vocabulary
+ * Shared by queryLaunches and every aggregate that must filter identically
+ * @param {Object} filters - Launch filters (see queryLaunches)
+ * @param {Object} options - { searchJoined }: query already joins launches_fts
+ * @returns {Object} - { whereClause: string, params: [] }
+ */
+export function buildLaunchFilterClause(filters = {}, options = {}) {
+  const conditions = buildLaunchConditions(filters, options);
+
+  const whereClause = conditions.length > 0
+    ? `WHERE ${conditions.map(condition => condition.sql).join(' AND ')}`
     : '';
 
-  // Validate sort field
-  const validSortFields = ['net', 'provider_name', 'location_name', 'rocket_name'];
-  const sortField = validSortFields.includes(sort) ? sort : 'net';
+  return { whereClause, params: conditions.flatMap(condition => condition.params) };
+}
+
+/**
+ * 📋 Query launches with filters
+ * Pages either by offset or, when filters.cursor is set, by keyset on
+ * (sort value, id) so pages stay stable while syncs insert rows
+ * @param {Object} filters - Query filters and pagination
+ * @param {Object} filters.cursor - Decoded cursor from a previous page (see launchCursor.js)
+ * @param {boolean} filters.includeTotal - Run the COUNT(*) query (default true)
+ * @param {string} filters.sort - Sort field; searches default to relevance, everything else to net
+ * @param {Object} filters.near - { latitude, longitude }: adds distance_km/bearing, enables sort=distance
+ * @returns {Object} - { launches: [], total: number|null, hasMore, hasPrevious, nextCursor, prevCursor }
+ * @throws {InvalidCursorError} - When the cursor doesn't match the query's sort, order, search or point
+ */
+export function queryLaunches(filters = {}) {
+  const {
+    search,
+    limit = 20,
+    cursor = null,
+    includeTotal = true
+  } = filters;
+
+  const ftsQuery = search ? toFtsQuery(search) : null;
+  const searching = !!ftsQuery;
+  const { whereClause, params } = buildLaunchFilterClause(filters, { searchJoined: searching });
+
+  // Searches join the full-text index for ranking and highlights
+  const searchJoin = searching ? 'JOIN launches_fts ON launches_fts.rowid = launches.rowid' : '';
+  const searchColumns = searching
+    ? [
+        `bm25(launches_fts, ${SEARCH_RANK_WEIGHTS}) AS search_rank`,
+        ...SEARCH_HIGHLIGHT_FIELDS.map((field, index) =>
+          `snippet(launches_fts, ${index}, '<mark>', '</mark>', '…', 16) AS search_highlight_${field}`
+        )
+      ].join(',\n      ')
+    : null;
+
+  // Queries near a point report each pad's distance and bearing from it
+  const near = filters.near ? parseCoordinates(filters.near) : null;
+  const distanceColumns = near
+    ? `${padDistanceSql(near)} AS distance_km,
+      ${padBearingSql(near)} AS bearing`
+    : null;
+
+  // A cursor carries the sort it was issued for
+  if (cursor) {
+    assertCursorMatches(cursor, { sort: filters.sort, order: filters.order, searching, ftsQuery, near });
+  }
+
+  const sortField = cursor?.sort || resolveSortField(filters.sort || (searching ? 'relevance' : 'net'), { searching, near });
+  const order = cursor?.order || filters.order || 'asc';
+  const offset = cursor ? (cursor.offset ?? 0) : (filters.offset || 0);
   const sortOrder = order.toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+  const byRelevance = sortField === 'relevance';
+  const byDistance = sortField === 'distance';
+
+  // Launch ID breaks ties so every row has a unique position
+  // (near filters exclude pads without coordinates, so distances are never NULL)
+  const sortExpression = byRelevance
+    ? `bm25(launches_fts, ${SEARCH_RANK_WEIGHTS})`
+    : byDistance
+    ? padDistanceSql(near)
+    : `COALESCE(launches.${sortField}, '')`;
+  const sortDirection = byRelevance ? 'ASC' : sortOrder; // bm25 scores are lower for better matches
+
+  // Keyset mode walks from the cursor row; "prev" pages run backwards and are flipped afterwards
+  // (relevance ranks shift as the index changes, so those cursors carry an offset instead)
+  const keyset = cursor && cursor.key ? cursor : null;
+  const backwards = keyset?.direction === 'prev';
+  const queryDirection = backwards ? flipDirection(sortDirection) : sortDirection;
+
+  let pageClause = whereClause;
+  const pageParams = [...params];
+  if (keyset) {
+    const comparison = queryDirection === 'ASC' ? '>' : '<';
+    const keysetCondition = `(${sortExpression}, launches.id) ${comparison} (?, ?)`;
+    pageClause = whereClause ? `${whereClause} AND ${keysetCondition}` : `WHERE ${keysetCondition}`;
+    pageParams.push(keyset.key[0], keyset.key[1]);
+  }
 
   // Get total count
-  const countStmt = db.prepare(`
-    SELECT COUNT(*) as total
-    FROM launches
-    ${whereClause}
-  `);
-  const { total } = countStmt.get(...params);
+  let total = null;
+  if (includeTotal) {
+    const countStmt = db.prepare(`
+      SELECT COUNT(*) as total
+      FROM launches
+      ${searchJoin}
+      ${whereClause}
+    `);
+    total = countStmt.get(...params).total;
+  }
 
   // Get paginated results with manual payload data
+  // One extra row tells us whether another page follows
   const dataStmt = db.prepare(`
     SELECT
       launches.*,
-      manual_payloads.payload_mass_kg as manual_payload_mass_kg,
-      manual_payloads.source as manual_payload_source
+      ${searchColumns ? `${searchColumns},` : ''}
+      ${distanceColumns ? `${distanceColumns},` : ''}
+      ${sortExpression} AS sort_value,
+      ${MANUAL_PAYLOAD_COLUMNS},
+      ${PAYLOAD_MANIFEST_COLUMNS},
+      ${FLIGHT_STATS_COLUMNS}
     FROM launches
-    LEFT JOIN manual_payloads ON launches.name LIKE manual_payloads.mission_pattern
-    ${whereClause}
-    ORDER BY ${sortField} ${sortOrder}
+    ${searchJoin}
+    ${MANUAL_PAYLOAD_JOIN}
+    ${FLIGHT_STATS_JOIN}
+    ${pageClause}
+    ORDER BY ${sortExpression} ${queryDirection}, launches.id ${queryDirection}
     LIMIT ? OFFSET ?
   `);
 
-  const launches = dataStmt.all(...params, limit, offset);
+  const rows = dataStmt.all(...pageParams, limit + 1, keyset ? 0 : offset);
+  const hasExtraRow = rows.length > limit;
+  const launches = rows.slice(0, limit);
+  if (backwards) launches.reverse();
+
+  const hasMore = backwards ? !!keyset : hasExtraRow;
+  const hasPrevious = backwards ? hasExtraRow : (keyset ? true : offset > 0);
+
+  const cursorBase = { sort: sortField, order: sortOrder.toLowerCase() };
+  const match = sortFingerprint(sortField, { ftsQuery, near });
+  if (match !== undefined) cursorBase.match = match;
+  const first = launches[0];
+  const last = launches[launches.length - 1];
+  let nextCursor = null;
+  let prevCursor = null;
+
+  if (byRelevance) {
+    if (hasMore) nextCursor = { ...cursorBase, offset: offset + limit };
+    if (hasPrevious) prevCursor = { ...cursorBase, offset: Math.max(0, offset - limit) };
+  } else {
+    if (hasMore && last) nextCursor = { ...cursorBase, key: [last.sort_value, last.id], direction: 'next' };
+    if (hasPrevious && first) prevCursor = { ...cursorBase, key: [first.sort_value, first.id], direction: 'prev' };
+  }
 
-  return { launches, total };
+  return { launches, total, hasMore, hasPrevious, nextCursor, prevCursor };
 }
 
 /**
- * 🌍 Map country codes to country names
- * @param {string} code - ISO 3-letter country code
- * @returns {string} - Country name (USA stays as USA)
+ * The sort a query actually applies: relevance needs search text and distance
+ * a near point, anything else falls back to NET
  */
-function getCountryName(code) {
-  // USA stays as USA
-  if (code === 'USA') return 'USA';
+function resolveSortField(sort, { searching, near }) {
+  if (sort === 'relevance') return searching ? 'relevance' : 'net';
+  if (sort === 'distance') return near ? 'distance' : 'net';
+  return ['net', 'provider_name', 'location_name', 'rocket_name'].includes(sort) ? sort : 'net';
+}
 
-  // Handle unknown country
-  if (code === '???') return 'Unknown';
+/**
+ * Fingerprint of the search or point that relevance and distance positions
+ * depend on; undefined for other sorts, null when the query lacks it
+ */
+function sortFingerprint(sortField, { ftsQuery, near }) {
+  if (sortField === 'relevance') return ftsQuery ? cursorFingerprint(ftsQuery) : null;
+  if (sortField === 'distance') return near ? cursorFingerprint(`${near.latitude},${near.longitude}`) : null;
+  return undefined;
+}
 
-  const countryMap = {
-    'CHN': 'China',
-    'RUS': 'Russia',
-    'IND': 'India',
-    'JPN': 'Japan',
-    'FRA': 'France',
-    'GUF': 'French Guiana',
-    'NZL': 'New Zealand',
-    'IRN': 'Iran',
-    'ISR': 'Israel',
-    'KOR': 'South Korea',
-    'PRK': 'North Korea',
-    'ITA': 'Italy',
-    'BRA': 'Brazil',
-    'AUS': 'Australia',
-    'GBR': 'United Kingdom',
+/**
+ * Reject a cursor sent with an explicit sort or order other than its own, or
+ * with a different search or point than the relevance or distance page it came from.
+ * Reading its position against another ordering would skip or repeat launches
+ * @throws {InvalidCursorError}
+ */
+function assertCursorMatches(cursor, { sort, order, searching, ftsQuery, near }) {
+  if (sort && resolveSortField(sort, { searching, near }) !== cursor.sort) {
+    throw new InvalidCursorError(
+      'Pagination cursor does not match the query',
+      `This cursor was issued for sort=${cursor.sort}; send that sort or none`
+    );
+  }
+
+  if (order && order.toLowerCase() !== cursor.order) {
+    throw new InvalidCursorError(
+      'Pagination cursor does not match the query',
+      `This cursor was issued for order=${cursor.order}; send that order or none`
+    );
+  }
+
+  const match = sortFingerprint(cursor.sort, { ftsQuery, near });
+  if (match !== undefined && match !== cursor.match) {
+    throw new InvalidCursorError(
+      'Pagination cursor does not match the query',
+      `A sort=${cursor.sort} cursor needs the same ${cursor.sort === 'distance' ? 'near' : 'search'} as the page it came from`
+    );
+  }
+}
+
+function flipDirection(direction) {
+  return direction === 'ASC' ? 'DESC' : 'ASC';
+}
+
+/**
+ * 📡 Get launches written after a stream cursor, matching filters
+ * Used by the live update stream to pick up rows the sync process writes.
+ * Rows from the current second are held back until it has passed, because
+ * updated_at only has one-second resolution
+ * @param {Object} cursor - { updatedAt, id } of the last row already sent
+ * @param {Object} filters - Launch filters (see queryLaunches)
+ * @param {number} limit - Maximum rows to return
+ * @returns {Array} - Launch rows ordered by (updated_at, id)
+ */
+export function getLaunchesUpdatedSince(cursor, filters = {}, limit = 200) {
+  const { whereClause, params } = buildLaunchFilterClause(filters);
+  const cursorCondition = `
+    (launches.updated_at > ? OR (launches.updated_at = ? AND launches.id > ?))
+    AND launches.updated_at < datetime('now')
+  `;
+  const condition = whereClause
+    ? `${whereClause} AND ${cursorCondition}`
+    : `WHERE ${cursorCondition}`;
+
+  return db.prepare(`
+    SELECT
+      launches.*,
+      ${MANUAL_PAYLOAD_COLUMNS},
+      ${PAYLOAD_MANIFEST_COLUMNS},
+      ${FLIGHT_STATS_COLUMNS}
+    FROM launches
+    ${MANUAL_PAYLOAD_JOIN}
+    ${FLIGHT_STATS_JOIN}
+    ${condition}
+    ORDER BY launches.updated_at, launches.id
+    LIMIT ?
+  `).all(...params, cursor.updatedAt, cursor.updatedAt, cursor.id, limit);
+}
+
+/**
+ * 🕒 Cursor of the most recently written launch
+ * @returns {Object} - { updatedAt, id }
+ */
+export function getLatestLaunchCursor() {
+  const row = db.prepare(`
+    SELECT updated_at, id
+    FROM launches
+    ORDER BY updated_at DESC, id DESC
+    LIMIT 1
+  `).get();
+
+  return row
+    ? { updatedAt: row.updated_at, id: row.id }
+    : { updatedAt: '1970-01-01 00:00:00', id: '' };
+}
+
+/**
+ * 🏷️ Markers that move whenever launch-derived responses can change: a sync starting
+ * or finishing, a launch row being written, a NET passing (which moves a launch from
+ * upcoming to past, using the same comparison as the filters) and the year turning over
+ * Launch columns are index lookups and sync_log is small, so this is cheap enough to read per request
+ * @returns {Object} - { sync_id, synced_at, launches_updated_at, last_net_passed, next_net, year }
+ */
+export function getDataVersion() {
+  return db.prepare(`
+    SELECT
+      (SELECT MAX(id) FROM sync_log) AS sync_id,
+      (SELECT MAX(completed_at) FROM sync_log) AS synced_at,
+      (SELECT MAX(updated_at) FROM launches) AS launches_updated_at,
+      (SELECT MAX(net) FROM launches WHERE net < datetime('now')) AS last_net_passed,
+      (SELECT MIN(net) FROM launches WHERE net >= datetime('now')) AS next_net,
+      strftime('%Y', 'now') AS year
+  `).get();
+}
+
+/**
+ * 🏷️ When a single launch (and its flight numbers) was last written
+ * @param {string} id - Launch ID
+ * @returns {Object|null} - { updated_at, flight_stats_computed_at }, null if the launch doesn't exist
+ */
+export function getLaunchVersion(id) {
+  return db.prepare(`
+    SELECT launches.updated_at, launch_flight_stats.computed_at AS flight_stats_computed_at
+    FROM launches
+    ${FLIGHT_STATS_JOIN}
+    WHERE launches.id = ?
+  `).get(id) || null;
+}
+
+/**
+ * 🕰️ Get filtered launches with their NET and status history
+ * Raw material for slip/scrub analytics
+ * @param {Object} filters - Launch filters (see queryLaunches)
+ * @returns {Object} - { launches: [], history: [] }
+ */
+export function getLaunchTimelines(filters = {}) {
+  const { whereClause, params } = buildLaunchFilterClause(filters);
+
+  const launches = db.prepare(`
+    SELECT
+      id, name, net, status_abbrev, imported_at,
+      provider_id, provider_name,
+      rocket_family,
+      pad_id, pad_name, location_name
+    FROM launches
+    ${whereClause}
+  `).all(...params);
+
+  const history = db.prepare(`
+    SELECT launch_id, field, old_value, new_value, changed_at, sync_id
+    FROM launch_history
+    WHERE field IN ('net', 'status_abbrev')
+      AND launch_id IN (SELECT id FROM launches ${whereClause})
+    ORDER BY launch_id, changed_at, id
+  `).all(...params);
+
+  return { launches, history };
+}
+
+/**
+ * 🌍 Map country codes to country names
+ * @param {string} code - ISO 3-letter country code
+ * @returns {string} - Country name (USA stays as USA)
+ */
+function getCountryName(code) {
+  // USA stays as USA
+  if (code === 'USA') return 'USA';
+
+  // Handle unknown country
+  if (code === '???') return 'Unknown';
+
+  const countryMap = {
+    'CHN': 'China',
+    'RUS': 'Russia',
+    'IND': 'India',
+    'JPN': 'Japan',
+    'FRA': 'France',
+    'GUF': 'French Guiana',
+    'NZL': 'New Zealand',
+    'IRN': 'Iran',
+    'ISR': 'Israel',
+    'KOR': 'South Korea',
+    'PRK': 'North Korea',
+    'ITA': 'Italy',
+    'BRA': 'Brazil',
+    'AUS': 'Australia',
+    'GBR': 'United Kingdom',
     'DEU': 'Germany',
     'CAN': 'Canada',
     'ESP': 'Spain',
@@ -508,144 +1541,207 @@ function getCountryName(code) {
   return countryMap[code] || code; // Fallback to code if not found
 }
 
+// Facet -> the filter key(s) whose conditions it ignores when counted
+const FACET_FILTERS = {
+  providers: 'provider',
+  countries: 'country',
+  states: 'state',
+  locations: 'location',
+  statuses: 'status',
+  rocketFamilies: 'rocket',
+  orbits: 'orbit',
+  missionTypes: 'missionType',
+  destinations: 'destination',
+  providerTypes: 'providerType',
+  massRanges: 'mass'
+};
+
 /**
  * 📊 Get filter options for dropdowns
+ * Counts respect the active filters, except that each facet ignores its own
+ * filter (so picking a provider still lists the other providers).
+ * Done in one scan: every row carries a match flag per filtered facet, and a
+ * row counts towards a facet when it passes every other facet's filter
+ * @param {Object} filters - Launch filters (see queryLaunches)
  * @returns {Object} - Filter options with counts
  */
-export function getFilterOptions() {
-  const providers = db.prepare(`
-    SELECT
-      provider_name as name,
-      provider_abbrev as abbrev,
-      COUNT(*) as count
-    FROM launches
-    WHERE provider_name IS NOT NULL
-    GROUP BY provider_name, provider_abbrev
-    ORDER BY count DESC
-  `).all();
+export function getFilterOptions(filters = {}) {
+  const conditions = buildLaunchConditions(filters);
+
+  const baseConditions = conditions.filter(condition => condition.facet === null);
+  const facetKeys = [...new Set(conditions.filter(condition => condition.facet).map(condition => condition.facet))];
+
+  // One 0/1 column per filtered facet
+  const flagColumns = facetKeys.map((key, index) => {
+    const facetConditions = conditions.filter(condition => condition.facet === key);
+    return {
+      key,
+      alias: `match_${index}`,
+      sql: facetConditions.map(condition => condition.sql).join(' AND '),
+      params: facetConditions.flatMap(condition => condition.params)
+    };
+  });
+
+  // Rows failing two or more facet filters can't count anywhere
+  const whereClauses = baseConditions.map(condition => condition.sql);
+  const whereParams = baseConditions.flatMap(condition => condition.params);
+  if (flagColumns.length > 1) {
+    whereClauses.push(`(${flagColumns.map(flag => `(CASE WHEN ${flag.sql} THEN 0 ELSE 1 END)`).join(' + ')}) <= 1`);
+    whereParams.push(...flagColumns.flatMap(flag => flag.params));
+  }
 
-  const countriesRaw = db.prepare(`
+  const rows = db.prepare(`
     SELECT
-      location_country_code as code,
-      COUNT(*) as count
+      provider_name, provider_abbrev, provider_type,
+      location_name, location_country_code,
+      status_abbrev, status_name,
+      rocket_family,
+      mission_orbit_abbrev, mission_orbit_name, mission_type,
+      spacecraft_destination,
+      ${PAYLOAD_MASS_EXPRESSION} as mass
+      ${flagColumns.map(flag => `, (CASE WHEN ${flag.sql} THEN 1 ELSE 0 END) as ${flag.alias}`).join('')}
     FROM launches
-    WHERE location_country_code IS NOT NULL
-    GROUP BY location_country_code
-  `).all();
+    ${whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : ''}
+  `).all(...flagColumns.flatMap(flag => flag.params), ...whereParams);
+
+  const tallies = Object.fromEntries(Object.keys(FACET_FILTERS).map(facet => [facet, new Map()]));
+  const tally = (facet, key, describe) => {
+    const entry = tallies[facet].get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      tallies[facet].set(key, { ...describe(), count: 1 });
+    }
+  };
 
-  // Map country codes to names
-  const countriesMapped = countriesRaw.map(country => ({
-    code: country.code,
-    name: getCountryName(country.code),
-    count: country.count
-  }));
+  for (const row of rows) {
+    const failed = flagColumns.filter(flag => row[flag.alias] === 0).map(flag => flag.key);
+    // Passing everything counts for every facet; failing one counts only for that facet
+    const counts = facet => failed.length === 0 || failed[0] === FACET_FILTERS[facet];
 
-  // Sort alphabetically by name, but keep USA at the top
-  const countries = countriesMapped.sort((a, b) => {
-    if (a.code === 'USA') return -1;
-    if (b.code === 'USA') return 1;
-    return a.name.localeCompare(b.name);
-  });
+    if (row.provider_name && counts('providers')) {
+      tally('providers', `${row.provider_name}|${row.provider_abbrev}`, () => ({
+        name: row.provider_name,
+        abbrev: row.provider_abbrev
+      }));
+    }
 
-  const locationsRaw = db.prepare(`
-    SELECT
-      location_name as name,
-      location_country_code as countryCode,
-      COUNT(*) as count
-    FROM launches
-    WHERE location_name IS NOT NULL
-    GROUP BY location_name, location_country_code
-  `).all();
+    if (row.location_country_code && counts('countries')) {
+      tally('countries', row.location_country_code, () => ({
+        code: row.location_country_code,
+        name: getCountryName(row.location_country_code)
+      }));
+    }
 
-  // Sort locations alphabetically by name
-  const locations = locationsRaw.sort((a, b) => a.name.localeCompare(b.name));
+    if (row.location_name && counts('locations')) {
+      tally('locations', `${row.location_name}|${row.location_country_code}`, () => ({
+        name: row.location_name,
+        countryCode: row.location_country_code
+      }));
+    }
 
-  const statuses = db.prepare(`
-    SELECT
-      status_abbrev as abbrev,
-      status_name as name,
-      COUNT(*) as count
-    FROM launches
-    WHERE status_abbrev IS NOT NULL
-    GROUP BY status_abbrev, status_name
-    ORDER BY count DESC
-  `).all();
+    // US states from "City, STATE, Country" location names
+    const stateCode = row.location_country_code === 'USA' && row.location_name
+      ? row.location_name.split(',').map(part => part.trim())[1]
+      : null;
+    if (stateCode && stateCode.length === 2 && counts('states')) {
+      tally('states', stateCode, () => ({ code: stateCode, name: stateCode }));
+    }
 
-  const rocketFamilies = db.prepare(`
-    SELECT
-      rocket_family as family,
-      COUNT(*) as count
-    FROM launches
-    WHERE rocket_family IS NOT NULL
-    GROUP BY rocket_family
-    ORDER BY count DESC
-  `).all();
+    if (row.status_abbrev && counts('statuses')) {
+      tally('statuses', `${row.status_abbrev}|${row.status_name}`, () => ({
+        abbrev: row.status_abbrev,
+        name: row.status_name
+      }));
+    }
 
-  // Extract US states from location_name (format: "City, STATE, Country")
-  // Only for locations in USA
-  const usLocations = db.prepare(`
-    SELECT location_name as name
-    FROM launches
-    WHERE location_country_code = 'USA' AND location_name IS NOT NULL
-    GROUP BY location_name
-  `).all();
+    if (row.rocket_family && counts('rocketFamilies')) {
+      tally('rocketFamilies', row.rocket_family, () => ({ family: row.rocket_family }));
+    }
 
-  const statesMap = new Map();
-  for (const loc of usLocations) {
-    // Extract state from "City, STATE, Country" format
-    const parts = loc.name.split(',').map(p => p.trim());
-    if (parts.length >= 2) {
-      const stateCode = parts[1]; // Second part is the state
-      if (stateCode && stateCode.length === 2) { // State codes are 2 letters
-        if (!statesMap.has(stateCode)) {
-          statesMap.set(stateCode, 0);
-        }
-        // Count occurrences
-        const count = db.prepare(`
-          SELECT COUNT(*) as count
-          FROM launches
-          WHERE location_name LIKE ?
-        `).get(`%, ${stateCode},%`).count;
-        statesMap.set(stateCode, count);
-      }
+    if (row.mission_orbit_abbrev && counts('orbits')) {
+      tally('orbits', `${row.mission_orbit_abbrev}|${row.mission_orbit_name}`, () => ({
+        abbrev: row.mission_orbit_abbrev,
+        name: row.mission_orbit_name
+      }));
+    }
+
+    if (row.mission_type && counts('missionTypes')) {
+      tally('missionTypes', row.mission_type, () => ({ name: row.mission_type }));
+    }
+
+    if (row.spacecraft_destination && counts('destinations')) {
+      tally('destinations', row.spacecraft_destination, () => ({ name: row.spacecraft_destination }));
+    }
+
+    if (row.provider_type && counts('providerTypes')) {
+      tally('providerTypes', row.provider_type, () => ({ name: row.provider_type }));
+    }
+
+    if (row.mass !== null && counts('massRanges')) {
+      const bucket = PAYLOAD_MASS_RANGES.findIndex(range => range.max === null || row.mass < range.max);
+      tally('massRanges', bucket, () => ({}));
     }
   }
 
-  const states = Array.from(statesMap.entries())
-    .map(([code, count]) => ({ code, name: code, count }))
-    .sort((a, b) => b.count - a.count);
+  const byCount = facet => Array.from(tallies[facet].values()).sort((a, b) => b.count - a.count);
+
+  // Countries alphabetically by name, but keep USA at the top
+  const countries = Array.from(tallies.countries.values()).sort((a, b) => {
+    if (a.code === 'USA') return -1;
+    if (b.code === 'USA') return 1;
+    return a.name.localeCompare(b.name);
+  });
+
+  // Locations alphabetically by name
+  const locations = Array.from(tallies.locations.values()).sort((a, b) => a.name.localeCompare(b.name));
+
+  const massRanges = PAYLOAD_MASS_RANGES.map((range, index) => ({
+    ...range,
+    count: tallies.massRanges.get(index)?.count || 0
+  }));
 
   return {
-    providers,
+    providers: byCount('providers'),
     countries,
     locations,
-    statuses,
-    rocketFamilies,
-    states
+    statuses: byCount('statuses'),
+    rocketFamilies: byCount('rocketFamilies'),
+    states: byCount('states'),
+    orbits: byCount('orbits'),
+    missionTypes: byCount('missionTypes'),
+    destinations: byCount('destinations'),
+    providerTypes: byCount('providerTypes'),
+    massRanges
   };
 }
 
+
 /**
  * 📈 Get statistics
+ * @param {Object} filters - Launch filters (see queryLaunches) the figures are scoped to
  * @returns {Object} - Stats object
  */
-export function getStats() {
-  const totalStmt = db.prepare('SELECT COUNT(*) as total FROM launches');
-  const { total: totalLaunches } = totalStmt.get();
+export function getStats(filters = {}) {
+  const { whereClause, params } = buildLaunchFilterClause(filters);
+  const where = (condition) => whereClause ? `${whereClause} AND ${condition}` : `WHERE ${condition}`;
+
+  const totalStmt = db.prepare(`SELECT COUNT(*) as total FROM launches ${whereClause}`);
+  const { total: totalLaunches } = totalStmt.get(...params);
 
   const upcomingStmt = db.prepare(`
     SELECT COUNT(*) as total
     FROM launches
-    WHERE net >= datetime('now')
+    ${where("net >= datetime('now')")}
   `);
-  const { total: upcomingLaunches } = upcomingStmt.get();
+  const { total: upcomingLaunches } = upcomingStmt.get(...params);
 
   const thisYearStmt = db.prepare(`
     SELECT COUNT(*) as total
     FROM launches
-    WHERE strftime('%Y', net) = strftime('%Y', 'now')
+    ${where("strftime('%Y', net) = strftime('%Y', 'now')")}
   `);
-  const { total: launchesThisYear } = thisYearStmt.get();
+  const { total: launchesThisYear } = thisYearStmt.get(...params);
 
   const lastSyncStmt = db.prepare(`
     SELECT completed_at as lastSync
@@ -659,11 +1755,11 @@ export function getStats() {
   const nextLaunchStmt = db.prepare(`
     SELECT id, name, net
     FROM launches
-    WHERE net >= datetime('now')
+    ${where("net >= datetime('now')")}
     ORDER BY net ASC
     LIMIT 1
   `);
-  const nextLaunch = nextLaunchStmt.get();
+  const nextLaunch = nextLaunchStmt.get(...params);
 
   return {
     totalLaunches,
@@ -674,6 +1770,1015 @@ export function getStats() {
   };
 }
 
+// Period key per timeseries interval; weeks are keyed by their Monday
+export const TIMESERIES_INTERVALS = {
+  year: "strftime('%Y', launches.net)",
+  month: "strftime('%Y-%m', launches.net)",
+  week: "date(launches.net, 'weekday 0', '-6 days')"
+};
+
+// Column each timeseries breakdown groups by
+export const TIMESERIES_GROUPS = {
+  provider: 'launches.provider_name',
+  country: 'launches.location_country_code',
+  rocketFamily: 'launches.rocket_family',
+  orbit: 'launches.mission_orbit_abbrev',
+  status: 'launches.status_abbrev'
+};
+
+/**
+ * 📈 Launch counts and outcomes per period, optionally broken down by a group
+ * @param {Object} filters - Launch filters (see queryLaunches)
+ * @param {Object} options - { interval: key of TIMESERIES_INTERVALS, groupBy: key of TIMESERIES_GROUPS or null }
+ * @returns {Array} - [{ period, group_key, group_label, total, successes, failures, partial_failures }] ordered by period
+ */
+export function getLaunchTimeseries(filters = {}, { interval = 'year', groupBy = null } = {}) {
+  const periodExpression = TIMESERIES_INTERVALS[interval] || TIMESERIES_INTERVALS.year;
+  const groupExpression = groupBy && TIMESERIES_GROUPS[groupBy] ? TIMESERIES_GROUPS[groupBy] : 'NULL';
+
+  const { whereClause, params } = buildLaunchFilterClause(filters);
+  const condition = whereClause ? `${whereClause} AND launches.net IS NOT NULL` : 'WHERE launches.net IS NOT NULL';
+
+  const rows = db.prepare(`
+    SELECT
+      ${periodExpression} AS period,
+      ${groupExpression} AS group_key,
+      COUNT(*) AS total,
+      SUM(launches.status_abbrev = 'Success') AS successes,
+      SUM(launches.status_abbrev = 'Failure') AS failures,
+      SUM(launches.status_abbrev = 'Partial Failure') AS partial_failures
+    FROM launches
+    ${condition}
+    GROUP BY period, group_key
+    ORDER BY period ASC
+  `).all(...params);
+
+  return rows.map(row => ({
+    ...row,
+    group_label: groupBy === 'country' && row.group_key ? getCountryName(row.group_key) : row.group_key
+  }));
+}
+
+// Launch counts shared by the provider, pad and rocket endpoints (alias "l" is launches)
+const ENTITY_STATS_COLUMNS = `
+  COUNT(l.id) AS total_launches,
+  COALESCE(SUM(l.net >= datetime('now')), 0) AS upcoming_launches,
+  COALESCE(SUM(l.status_abbrev = 'Success'), 0) AS successes,
+  COALESCE(SUM(l.status_abbrev = 'Failure'), 0) AS failures,
+  COALESCE(SUM(l.status_abbrev = 'Partial Failure'), 0) AS partial_failures,
+  MIN(CASE WHEN l.net < datetime('now') THEN l.net END) AS first_launch,
+  MAX(CASE WHEN l.net < datetime('now') THEN l.net END) AS last_launch,
+  MIN(CASE WHEN l.net >= datetime('now') THEN l.net END) AS next_launch
+`;
+
+// launches column each entity is referenced by
+const ENTITY_LAUNCH_COLUMNS = {
+  provider: 'provider_id',
+  pad: 'pad_id',
+  rocket: 'rocket_id'
+};
+
+/**
+ * 🏢 List launch service providers with their launch counts
+ * @returns {Array} - providers rows plus ENTITY_STATS_COLUMNS, busiest first
+ */
+export function listProviders() {
+  return db.prepare(`
+    SELECT providers.*, ${ENTITY_STATS_COLUMNS}
+    FROM providers
+    LEFT JOIN launches l ON l.provider_id = providers.id
+    GROUP BY providers.id
+    ORDER BY total_launches DESC, providers.name ASC
+  `).all();
+}
+
+/**
+ * 🏢 Get a provider with its launch counts and launch history
+ * @param {number} id - Provider ID
+ * @param {Object} options - { limit }: launches per history list
+ * @returns {Object|null} - { provider, recentLaunches, upcomingLaunches } or null
+ */
+export function getProviderById(id, { limit = 20 } = {}) {
+  const [provider] = getProvidersByIds([id]);
+
+  if (!provider) return null;
+
+  return { provider, ...getEntityLaunches('provider', id, limit) };
+}
+
+/**
+ * 🏢 Get several providers with their launch counts in one query
+ * @param {Array<number>} ids - Provider IDs
+ * @returns {Array} - providers rows plus ENTITY_STATS_COLUMNS (unknown IDs are left out)
+ */
+export function getProvidersByIds(ids) {
+  if (ids.length === 0) return [];
+
+  return db.prepare(`
+    SELECT providers.*, ${ENTITY_STATS_COLUMNS}
+    FROM providers
+    LEFT JOIN launches l ON l.provider_id = providers.id
+    WHERE providers.id IN (${placeholders(ids)})
+    GROUP BY providers.id
+  `).all(...ids);
+}
+
+/**
+ * 🛫 Get a launch pad (with its location) with launch counts and launch history
+ * @param {number} id - Pad ID
+ * @param {Object} options - { limit }: launches per history list
+ * @returns {Object|null} - { pad, recentLaunches, upcomingLaunches } or null
+ */
+export function getPadById(id, { limit = 20 } = {}) {
+  const [pad] = getPadsByIds([id]);
+
+  if (!pad) return null;
+
+  return { pad, ...getEntityLaunches('pad', id, limit) };
+}
+
+/**
+ * 🛫 Get several launch pads (with their locations) and launch counts in one query
+ * @param {Array<number>} ids - Pad IDs
+ * @returns {Array} - pads rows with location_* columns plus ENTITY_STATS_COLUMNS
+ */
+export function getPadsByIds(ids) {
+  if (ids.length === 0) return [];
+
+  return db.prepare(`
+    SELECT
+      pads.*,
+      locations.name AS location_name,
+      locations.country_code AS location_country_code,
+      locations.map_image AS location_map_image,
+      locations.timezone AS location_timezone,
+      ${ENTITY_STATS_COLUMNS}
+    FROM pads
+    LEFT JOIN locations ON locations.id = pads.location_id
+    LEFT JOIN launches l ON l.pad_id = pads.id
+    WHERE pads.id IN (${placeholders(ids)})
+    GROUP BY pads.id
+  `).all(...ids);
+}
+
+/**
+ * 🚀 Get a rocket configuration with launch counts and launch history
+ * @param {number} id - Rocket configuration ID
+ * @param {Object} options - { limit }: launches per history list
+ * @returns {Object|null} - { rocket, recentLaunches, upcomingLaunches } or null
+ */
+export function getRocketConfigurationById(id, { limit = 20 } = {}) {
+  const [rocket] = getRocketConfigurationsByIds([id]);
+
+  if (!rocket) return null;
+
+  return { rocket, ...getEntityLaunches('rocket', id, limit) };
+}
+
+/**
+ * 🚀 Get several rocket configurations with their launch counts in one query
+ * @param {Array<number>} ids - Rocket configuration IDs
+ * @returns {Array} - rocket_configurations rows plus ENTITY_STATS_COLUMNS
+ */
+export function getRocketConfigurationsByIds(ids) {
+  if (ids.length === 0) return [];
+
+  return db.prepare(`
+    SELECT rocket_configurations.*, ${ENTITY_STATS_COLUMNS}
+    FROM rocket_configurations
+    LEFT JOIN launches l ON l.rocket_id = rocket_configurations.id
+    WHERE rocket_configurations.id IN (${placeholders(ids)})
+    GROUP BY rocket_configurations.id
+  `).all(...ids);
+}
+
+/**
+ * 📉 Track record of a rocket family, overall, per configuration and per year
+ * Streaks come from launch_flight_stats, so they reflect the last rebuildFlightStats run
+ * @param {string} family - Rocket family name (case-insensitive)
+ * @returns {Object|null} - { family, configurations, years } or null if no launch has this family
+ */
+export function getRocketFamilyReliability(family) {
+  const match = db.prepare(`
+    SELECT rocket_family FROM launches WHERE rocket_family = ? COLLATE NOCASE LIMIT 1
+  `).get(family);
+
+  if (!match) return null;
+
+  const name = match.rocket_family;
+
+  // Streak as of the latest launch that has taken place, per group
+  const currentStreak = (scope, groupColumn, groupValue) => `(
+    SELECT s.${scope}_success_streak
+    FROM launches recent
+    JOIN launch_flight_stats s ON s.launch_id = recent.id
+    WHERE recent.${groupColumn} = ${groupValue} AND recent.net < datetime('now')
+    ORDER BY recent.net DESC, recent.id DESC
+    LIMIT 1
+  )`;
+
+  const summary = db.prepare(`
+    SELECT
+      ${ENTITY_STATS_COLUMNS},
+      MAX(fs.family_success_streak) AS longest_streak,
+      ${currentStreak('family', 'rocket_family', '$family')} AS current_streak
+    FROM launches l
+    LEFT JOIN launch_flight_stats fs ON fs.launch_id = l.id
+    WHERE l.rocket_family = $family
+  `).get({ $family: name });
+
+  const configurations = db.prepare(`
+    SELECT
+      l.rocket_id AS id,
+      COALESCE(rocket_configurations.name, l.rocket_name) AS name,
+      COALESCE(rocket_configurations.variant, l.rocket_variant) AS variant,
+      COALESCE(rocket_configurations.full_name, l.rocket_full_name) AS full_name,
+      ${ENTITY_STATS_COLUMNS},
+      MAX(fs.config_success_streak) AS longest_streak,
+      ${currentStreak('config', 'rocket_id', 'l.rocket_id')} AS current_streak
+    FROM launches l
+    LEFT JOIN rocket_configurations ON rocket_configurations.id = l.rocket_id
+    LEFT JOIN launch_flight_stats fs ON fs.launch_id = l.id
+    WHERE l.rocket_family = ? AND l.rocket_id IS NOT NULL
+    GROUP BY l.rocket_id
+    ORDER BY total_launches DESC, name ASC
+  `).all(name);
+
+  const years = db.prepare(`
+    SELECT
+      strftime('%Y', net) AS year,
+      COUNT(*) AS total,
+      SUM(status_abbrev = 'Success') AS successes,
+      SUM(status_abbrev = 'Failure') AS failures,
+      SUM(status_abbrev = 'Partial Failure') AS partial_failures
+    FROM launches
+    WHERE rocket_family = ? AND net IS NOT NULL
+    GROUP BY year
+    ORDER BY year ASC
+  `).all(name);
+
+  return { family: { name, ...summary }, configurations, years };
+}
+
+/**
+ * Most recent past launches and next upcoming launches of an entity
+ */
+function getEntityLaunches(entity, id, limit) {
+  const column = ENTITY_LAUNCH_COLUMNS[entity];
+  const select = `
+    SELECT
+      launches.*,
+      ${MANUAL_PAYLOAD_COLUMNS},
+      ${PAYLOAD_MANIFEST_COLUMNS},
+      ${FLIGHT_STATS_COLUMNS}
+    FROM launches
+    ${MANUAL_PAYLOAD_JOIN}
+    ${FLIGHT_STATS_JOIN}
+    WHERE launches.${column} = ?
+  `;
+
+  const recentLaunches = db.prepare(`
+    ${select} AND launches.net < datetime('now')
+    ORDER BY launches.net DESC
+    LIMIT ?
+  `).all(id, limit);
+
+  const upcomingLaunches = db.prepare(`
+    ${select} AND launches.net >= datetime('now')
+    ORDER BY launches.net ASC
+    LIMIT ?
+  `).all(id, limit);
+
+  return { recentLaunches, upcomingLaunches };
+}
+
+/**
+ * 📚 Recent or upcoming launches of several providers/pads/rockets in one query
+ * @param {string} entity - 'provider', 'pad' or 'rocket'
+ * @param {Array<number>} ids - Entity IDs
+ * @param {Object} options - { upcoming, limit }: upcoming launches soonest first,
+ *   otherwise past launches most recent first; at most `limit` per entity
+ * @returns {Map} - entity ID -> launch rows
+ */
+export function getEntityLaunchesByIds(entity, ids, { upcoming = false, limit = 20 } = {}) {
+  const column = ENTITY_LAUNCH_COLUMNS[entity];
+  const byEntity = new Map(ids.map(id => [id, []]));
+
+  if (ids.length === 0) return byEntity;
+
+  const rows = db.prepare(`
+    SELECT * FROM (
+      SELECT
+        launches.*,
+        ${MANUAL_PAYLOAD_COLUMNS},
+        ${PAYLOAD_MANIFEST_COLUMNS},
+        ${FLIGHT_STATS_COLUMNS},
+        ROW_NUMBER() OVER (
+          PARTITION BY launches.${column}
+          ORDER BY launches.net ${upcoming ? 'ASC' : 'DESC'}, launches.id
+        ) AS entity_launch_rank
+      FROM launches
+      ${MANUAL_PAYLOAD_JOIN}
+      ${FLIGHT_STATS_JOIN}
+      WHERE launches.${column} IN (${placeholders(ids)})
+        AND launches.net ${upcoming ? '>=' : '<'} datetime('now')
+    )
+    WHERE entity_launch_rank <= ?
+    ORDER BY entity_launch_rank
+  `).all(...ids, limit);
+
+  for (const row of rows) {
+    byEntity.get(row[column])?.push(row);
+  }
+
+  return byEntity;
+}
+
+/**
+ * 🔍 Get several launches by ID in one query
+ * @param {Array<string>} ids - Launch IDs
+ * @returns {Array} - Launch rows (as getLaunchById), unknown IDs left out
+ */
+export function getLaunchesByIds(ids) {
+  if (ids.length === 0) return [];
+
+  return db.prepare(`
+    SELECT
+      launches.*,
+      ${MANUAL_PAYLOAD_COLUMNS},
+      ${PAYLOAD_MANIFEST_COLUMNS},
+      ${FLIGHT_STATS_COLUMNS}
+    FROM launches
+    ${MANUAL_PAYLOAD_JOIN}
+    ${FLIGHT_STATS_JOIN}
+    WHERE launches.id IN (${placeholders(ids)})
+  `).all(...ids);
+}
+
+// "?, ?, ?" for an IN list
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+/**
+ * 📋 List manual payload entries with how many launches they match
+ * @returns {Array} - manual_payloads rows with matched_launches (pattern matches)
+ *   and applied_launches (launches where this entry wins the match)
+ */
+export function listManualPayloads() {
+  return db.prepare(`
+    ${MANUAL_PAYLOAD_WITH_COUNTS}
+    ORDER BY manual_payloads.priority DESC, LENGTH(manual_payloads.mission_pattern) DESC, manual_payloads.id
+  `).all();
+}
+
+/**
+ * 🔍 Get a manual payload entry by ID
+ * @param {number} id - Entry ID
+ * @returns {Object|null} - Row with match counts, or null
+ */
+export function getManualPayload(id) {
+  return db.prepare(`
+    ${MANUAL_PAYLOAD_WITH_COUNTS}
+    WHERE manual_payloads.id = ?
+  `).get(id) || null;
+}
+
+/**
+ * 🔍 Get a manual payload entry by its pattern
+ * @param {string} pattern - mission_pattern
+ * @returns {Object|null} - manual_payloads row, or null
+ */
+export function getManualPayloadByPattern(pattern) {
+  return db.prepare('SELECT * FROM manual_payloads WHERE mission_pattern = ?').get(pattern) || null;
+}
+
+/**
+ * ➕ Add a manual payload entry
+ * Launches it matches are touched so cached responses and stream clients pick up the mass
+ * @param {Object} entry - { missionPattern, payloadMassKg, source, notes, priority }
+ * @returns {Object} - The created entry
+ */
+export function createManualPayload({ missionPattern, payloadMassKg, source = null, notes = null, priority = 0 }) {
+  const id = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO manual_payloads (mission_pattern, payload_mass_kg, source, notes, priority)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(missionPattern, payloadMassKg, source, notes, priority);
+
+    touchLaunchesMatching([missionPattern]);
+    return result.lastInsertRowid;
+  })();
+
+  return getManualPayload(id);
+}
+
+/**
+ * 📝 Update a manual payload entry
+ * @param {number} id - Entry ID
+ * @param {Object} updates - Any of { missionPattern, payloadMassKg, source, notes, priority }
+ * @returns {Object|null} - Updated entry, or null if not found
+ */
+export function updateManualPayload(id, updates) {
+  const existing = db.prepare('SELECT mission_pattern FROM manual_payloads WHERE id = ?').get(id);
+  if (!existing) return null;
+
+  const columns = {
+    missionPattern: 'mission_pattern',
+    payloadMassKg: 'payload_mass_kg',
+    source: 'source',
+    notes: 'notes',
+    priority: 'priority'
+  };
+
+  const fields = [];
+  const params = [];
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] === undefined) continue;
+    fields.push(`${column} = ?`);
+    params.push(updates[key]);
+  }
+
+  if (fields.length > 0) {
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE manual_payloads
+        SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...params, id);
+
+      // Launches the old pattern matched may fall back to another entry or none
+      touchLaunchesMatching([existing.mission_pattern, updates.missionPattern].filter(Boolean));
+    })();
+  }
+
+  return getManualPayload(id);
+}
+
+/**
+ * 🗑️ Delete a manual payload entry
+ * @param {number} id - Entry ID
+ * @returns {boolean} - True if deleted
+ */
+export function deleteManualPayload(id) {
+  return db.transaction(() => {
+    const existing = db.prepare('SELECT mission_pattern FROM manual_payloads WHERE id = ?').get(id);
+    if (!existing) return false;
+
+    db.prepare('DELETE FROM manual_payloads WHERE id = ?').run(id);
+    touchLaunchesMatching([existing.mission_pattern]);
+    return true;
+  })();
+}
+
+/**
+ * 🔭 Launches a pattern would match, and which entry each currently resolves to
+ * @param {Object} options - { pattern, priority, excludeId: entry being edited, limit }
+ * @returns {Object} - { launches, total, applied }: launches (most recent first) with
+ *   current_pattern/current_priority of the entry they use now and would_apply when the
+ *   pattern would take over; applied counts those over all matches
+ */
+export function previewManualPayloadPattern({ pattern, priority = 0, excludeId = null, limit = 50 }) {
+  // Same ordering as MANUAL_PAYLOAD_MATCH. On equal priority and length the existing
+  // entry keeps the launch, as it would against a newly created (younger) one
+  const competitor = `(
+    SELECT candidates.id
+    FROM manual_payloads AS candidates
+    WHERE launches.name LIKE candidates.mission_pattern
+      AND candidates.id IS NOT $exclude_id
+    ORDER BY candidates.priority DESC, LENGTH(candidates.mission_pattern) DESC, candidates.id
+    LIMIT 1
+  )`;
+
+  const matches = `
+    SELECT
+      launches.id,
+      launches.name,
+      launches.net,
+      launches.payload_total_mass_kg,
+      current.id AS current_id,
+      current.mission_pattern AS current_pattern,
+      current.priority AS current_priority,
+      (
+        current.id IS NULL
+        OR $priority > current.priority
+        OR ($priority = current.priority AND LENGTH($pattern) > LENGTH(current.mission_pattern))
+      ) AS would_apply
+    FROM launches
+    LEFT JOIN manual_payloads AS current ON current.id = ${competitor}
+    WHERE launches.name LIKE $pattern
+  `;
+  const params = { $pattern: pattern, $priority: priority, $exclude_id: excludeId };
+
+  const launches = db.prepare(`
+    ${matches}
+    ORDER BY launches.net DESC
+    LIMIT $limit
+  `).all({ ...params, $limit: limit });
+
+  const { total, applied } = db.prepare(`
+    SELECT COUNT(*) AS total, COALESCE(SUM(would_apply), 0) AS applied
+    FROM (${matches})
+  `).get(params);
+
+  return {
+    launches: launches.map(launch => ({ ...launch, would_apply: launch.would_apply === 1 })),
+    total,
+    applied
+  };
+}
+
+const MANUAL_PAYLOAD_WITH_COUNTS = `
+  SELECT
+    manual_payloads.*,
+    (SELECT COUNT(*) FROM launches WHERE launches.name LIKE manual_payloads.mission_pattern) AS matched_launches,
+    (
+      SELECT COUNT(*) FROM launches
+      WHERE launches.name LIKE manual_payloads.mission_pattern AND ${MANUAL_PAYLOAD_MATCH} = manual_payloads.id
+    ) AS applied_launches
+  FROM manual_payloads
+`;
+
+/**
+ * Bump updated_at on launches whose manual payload may have changed, so the data
+ * version (ETags, cached facets) moves on and stream clients receive them again
+ */
+function touchLaunchesMatching(patterns) {
+  const stmt = db.prepare('UPDATE launches SET updated_at = CURRENT_TIMESTAMP WHERE name LIKE ?');
+  for (const pattern of new Set(patterns)) {
+    stmt.run(pattern);
+  }
+}
+
+/**
+ * 📅 Create a calendar subscription
+ * @param {Object} subscription - { token, name, filters }
+ * @returns {Object} - Created subscription row
+ */
+export function createCalendarSubscription({ token, name, filters }) {
+  db.prepare(`
+    INSERT INTO calendar_subscriptions (token, name, filters)
+    VALUES (?, ?, ?)
+  `).run(token, name || null, JSON.stringify(filters || {}));
+
+  return getCalendarSubscription(token);
+}
+
+/**
+ * 🔍 Get calendar subscription by token
+ * @param {string} token - Subscription token
+ * @returns {Object|null} - Subscription row with parsed filters, or null
+ */
+export function getCalendarSubscription(token) {
+  const row = db.prepare(`
+    SELECT * FROM calendar_subscriptions WHERE token = ?
+  `).get(token);
+
+  if (!row) return null;
+
+  return { ...row, filters: JSON.parse(row.filters || '{}') };
+}
+
+/**
+ * 📝 Update a calendar subscription's name and/or filters
+ * @param {string} token - Subscription token
+ * @param {Object} updates - { name, filters }
+ * @returns {Object|null} - Updated subscription row, or null if not found
+ */
+export function updateCalendarSubscription(token, { name, filters }) {
+  const fields = [];
+  const params = [];
+
+  if (name !== undefined) {
+    fields.push('name = ?');
+    params.push(name || null);
+  }
+
+  if (filters !== undefined) {
+    fields.push('filters = ?');
+    params.push(JSON.stringify(filters));
+  }
+
+  if (fields.length > 0) {
+    params.push(token);
+    db.prepare(`
+      UPDATE calendar_subscriptions
+      SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE token = ?
+    `).run(...params);
+  }
+
+  return getCalendarSubscription(token);
+}
+
+/**
+ * 🗑️ Delete a calendar subscription
+ * @param {string} token - Subscription token
+ * @returns {boolean} - True if a subscription was deleted
+ */
+export function deleteCalendarSubscription(token) {
+  const result = db.prepare(`
+    DELETE FROM calendar_subscriptions WHERE token = ?
+  `).run(token);
+
+  return result.changes > 0;
+}
+
+/**
+ * 👀 Record a calendar client fetching a subscription feed
+ * @param {string} token - Subscription token
+ */
+export function touchCalendarSubscription(token) {
+  db.prepare(`
+    UPDATE calendar_subscriptions
+    SET last_accessed_at = CURRENT_TIMESTAMP, access_count = access_count + 1
+    WHERE token = ?
+  `).run(token);
+}
+
+/**
+ * 🪝 Create a webhook subscription
+ * @param {Object} webhook - { url, description, secret, events, filters, netThresholdMinutes }
+ * @returns {Object} - Created webhook row
+ */
+export function createWebhook({ url, description, secret, events, filters, netThresholdMinutes }) {
+  const result = db.prepare(`
+    INSERT INTO webhooks (url, description, secret, events, filters, net_threshold_minutes)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    url,
+    description || null,
+    secret,
+    JSON.stringify(events),
+    JSON.stringify(filters || {}),
+    netThresholdMinutes
+  );
+
+  return getWebhook(result.lastInsertRowid);
+}
+
+/**
+ * 🔍 Get webhook by ID
+ * @param {number} id - Webhook ID
+ * @returns {Object|null} - Webhook row with parsed events/filters, or null
+ */
+export function getWebhook(id) {
+  const row = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+  return row ? parseWebhookRow(row) : null;
+}
+
+/**
+ * 📋 List webhooks
+ * @param {Object} options - { activeOnly }
+ * @returns {Array} - Webhook rows with parsed events/filters
+ */
+export function listWebhooks({ activeOnly = false } = {}) {
+  const rows = db.prepare(`
+    SELECT * FROM webhooks
+    ${activeOnly ? 'WHERE active = 1' : ''}
+    ORDER BY id
+  `).all();
+
+  return rows.map(parseWebhookRow);
+}
+
+/**
+ * 📝 Update a webhook
+ * @param {number} id - Webhook ID
+ * @param {Object} updates - Any of { url, description, events, filters, netThresholdMinutes, active }
+ * @returns {Object|null} - Updated webhook row, or null if not found
+ */
+export function updateWebhook(id, updates) {
+  const columns = {
+    url: value => value,
+    description: value => value || null,
+    events: value => JSON.stringify(value),
+    filters: value => JSON.stringify(value),
+    netThresholdMinutes: value => value,
+    active: value => (value ? 1 : 0)
+  };
+  const columnNames = { netThresholdMinutes: 'net_threshold_minutes' };
+
+  const fields = [];
+  const params = [];
+
+  for (const [key, toColumn] of Object.entries(columns)) {
+    if (updates[key] === undefined) continue;
+    fields.push(`${columnNames[key] || key} = ?`);
+    params.push(toColumn(updates[key]));
+  }
+
+  if (fields.length > 0) {
+    params.push(id);
+    db.prepare(`
+      UPDATE webhooks
+      SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(...params);
+  }
+
+  return getWebhook(id);
+}
+
+/**
+ * 🗑️ Delete a webhook (and its delivery log)
+ * @param {number} id - Webhook ID
+ * @returns {boolean} - True if a webhook was deleted
+ */
+export function deleteWebhook(id) {
+  return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+}
+
+function parseWebhookRow(row) {
+  return {
+    ...row,
+    events: JSON.parse(row.events || '[]'),
+    filters: JSON.parse(row.filters || '{}'),
+    active: row.active === 1
+  };
+}
+
+/**
+ * 🎯 Check whether a launch matches a filter set
+ * Uses the same WHERE clause as queryLaunches so semantics never drift
+ * @param {string} launchId - Launch ID
+ * @param {Object} filters - Launch filters
+ * @returns {boolean}
+ */
+export function launchMatchesFilters(launchId, filters = {}) {
+  const { whereClause, params } = buildLaunchFilterClause(filters);
+  const condition = whereClause ? `${whereClause} AND id = ?` : 'WHERE id = ?';
+
+  const row = db.prepare(`
+    SELECT 1 AS matched FROM launches ${condition} LIMIT 1
+  `).get(...params, launchId);
+
+  return !!row;
+}
+
+/**
+ * 🧮 Pick the launches in a list that match a filter set
+ * Batch form of launchMatchesFilters, one query for the whole list
+ * @param {Array} launchIds - Launch IDs
+ * @param {Object} filters - Launch filters
+ * @returns {Set} - IDs of the matching launches
+ */
+export function filterLaunchIds(launchIds, filters = {}) {
+  if (launchIds.length === 0) return new Set();
+
+  const { whereClause, params } = buildLaunchFilterClause(filters);
+  const idCondition = `launches.id IN (${placeholders(launchIds)})`;
+  const condition = whereClause ? `${whereClause} AND ${idCondition}` : `WHERE ${idCondition}`;
+
+  const rows = db.prepare(`SELECT launches.id FROM launches ${condition}`).all(...params, ...launchIds);
+  return new Set(rows.map(row => row.id));
+}
+
+/**
+ * 📨 Queue a webhook delivery
+ * @param {Object} delivery - { webhookId, event, launchId, payload }
+ * @returns {number} - Delivery ID
+ */
+export function createWebhookDelivery({ webhookId, event, launchId, payload }) {
+  const result = db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, event, launch_id, payload)
+    VALUES (?, ?, ?, ?)
+  `).run(webhookId, event, launchId || null, payload);
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * 🔐 Claim the next due delivery so no other process sends it
+ * The row moves to 'sending' with next_attempt_at as the lease expiry, in one
+ * UPDATE; a 'sending' row whose lease ran out (its sender died) can be claimed again.
+ * Deliveries of deactivated webhooks are left pending until they are reactivated
+ * @param {Object} options - { leaseSeconds, deliveryId? only claim this delivery }
+ * @returns {Object|null} - Delivery row joined with webhook url/secret, or null when nothing is due
+ */
+export function claimNextWebhookDelivery({ leaseSeconds, deliveryId = null }) {
+  const claimed = db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = 'sending', next_attempt_at = datetime('now', $lease)
+    WHERE id = (
+      SELECT webhook_deliveries.id
+      FROM webhook_deliveries
+      JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+      WHERE webhooks.active = 1
+        AND webhook_deliveries.status IN ('pending', 'sending')
+        AND webhook_deliveries.next_attempt_at <= datetime('now')
+        AND ($deliveryId IS NULL OR webhook_deliveries.id = $deliveryId)
+      ORDER BY webhook_deliveries.id
+      LIMIT 1
+    )
+    RETURNING *
+  `).get({ $lease: `+${leaseSeconds} seconds`, $deliveryId: deliveryId });
+
+  if (!claimed) return null;
+
+  const { url, secret } = db.prepare('SELECT url, secret FROM webhooks WHERE id = ?').get(claimed.webhook_id);
+  return { ...claimed, url, secret };
+}
+
+/**
+ * 📝 Record the outcome of a delivery attempt
+ * @param {number} id - Delivery ID
+ * @param {Object} outcome - { status, attempts, responseStatus, errorMessage, retryInSeconds }
+ */
+export function updateWebhookDelivery(id, { status, attempts, responseStatus, errorMessage, retryInSeconds }) {
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET
+      status = ?,
+      attempts = ?,
+      response_status = ?,
+      error_message = ?,
+      next_attempt_at = datetime('now', ?),
+      delivered_at = CASE WHEN ? = 'success' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+    WHERE id = ?
+  `).run(
+    status,
+    attempts,
+    responseStatus ?? null,
+    errorMessage ?? null,
+    `+${retryInSeconds || 0} seconds`,
+    status,
+    id
+  );
+}
+
+/**
+ * 📜 List deliveries for a webhook, newest first
+ * @param {number} webhookId - Webhook ID
+ * @param {Object} options - { limit, offset, status }
+ * @returns {Object} - { deliveries: [], total: number }
+ */
+export function listWebhookDeliveries(webhookId, { limit = 50, offset = 0, status } = {}) {
+  const where = status ? 'WHERE webhook_id = ? AND status = ?' : 'WHERE webhook_id = ?';
+  const params = status ? [webhookId, status] : [webhookId];
+
+  const { total } = db.prepare(`
+    SELECT COUNT(*) as total FROM webhook_deliveries ${where}
+  `).get(...params);
+
+  const deliveries = db.prepare(`
+    SELECT * FROM webhook_deliveries
+    ${where}
+    ORDER BY id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  return { deliveries, total };
+}
+
+/**
+ * 🔑 Store a new API key
+ * @param {Object} key - { name, keyPrefix, keyHash, role, rateLimitPerMinute }
+ * @returns {Object} - The api_keys row
+ */
+export function createApiKey({ name, keyPrefix, keyHash, role = 'client', rateLimitPerMinute = null }) {
+  const result = db.prepare(`
+    INSERT INTO api_keys (name, key_prefix, key_hash, role, rate_limit_per_minute)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(name, keyPrefix, keyHash, role, rateLimitPerMinute ?? null);
+
+  return getApiKey(result.lastInsertRowid);
+}
+
+/**
+ * 🔍 Get an API key by ID
+ * @param {number} id - API key ID
+ * @returns {Object|null} - api_keys row, or null
+ */
+export function getApiKey(id) {
+  const row = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+  return row ? parseApiKeyRow(row) : null;
+}
+
+/**
+ * 🔍 Find an active API key by the hash of its secret
+ * @param {string} keyHash - SHA-256 hex digest of the presented key
+ * @returns {Object|null} - api_keys row, or null if unknown or deactivated
+ */
+export function getActiveApiKeyByHash(keyHash) {
+  const row = db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND active = 1').get(keyHash);
+  return row ? parseApiKeyRow(row) : null;
+}
+
+/**
+ * 📋 List API keys with their request totals
+ * @param {Object} options - { since: 'YYYY-MM-DD' day the totals start from }
+ * @returns {Array} - api_keys rows with requests, rate_limited and errors
+ */
+export function listApiKeys({ since = '0000-00-00' } = {}) {
+  const rows = db.prepare(`
+    SELECT
+      api_keys.*,
+      COALESCE(SUM(api_key_usage.requests), 0) AS requests,
+      COALESCE(SUM(api_key_usage.rate_limited), 0) AS rate_limited,
+      COALESCE(SUM(api_key_usage.errors), 0) AS errors
+    FROM api_keys
+    LEFT JOIN api_key_usage ON api_key_usage.api_key_id = api_keys.id AND api_key_usage.day >= ?
+    GROUP BY api_keys.id
+    ORDER BY api_keys.id
+  `).all(since);
+
+  return rows.map(parseApiKeyRow);
+}
+
+/**
+ * 📝 Update an API key
+ * @param {number} id - API key ID
+ * @param {Object} updates - Any of { name, role, rateLimitPerMinute, active }
+ * @returns {Object|null} - Updated row, or null if not found
+ */
+export function updateApiKey(id, updates) {
+  const columns = {
+    name: value => value,
+    role: value => value,
+    rateLimitPerMinute: value => value,
+    active: value => (value ? 1 : 0)
+  };
+  const columnNames = { rateLimitPerMinute: 'rate_limit_per_minute' };
+
+  const fields = [];
+  const params = [];
+
+  for (const [key, toColumn] of Object.entries(columns)) {
+    if (updates[key] === undefined) continue;
+    fields.push(`${columnNames[key] || key} = ?`);
+    params.push(toColumn(updates[key]));
+  }
+
+  if (fields.length > 0) {
+    params.push(id);
+    db.prepare(`
+      UPDATE api_keys
+      SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(...params);
+  }
+
+  return getApiKey(id);
+}
+
+/**
+ * 📊 Add buffered request counts to the usage table
+ * @param {Array} entries - [{ apiKeyId, day, route, requests, rateLimited, errors, lastUsedAt }]
+ */
+export function recordApiKeyUsage(entries) {
+  const usageStmt = db.prepare(`
+    INSERT INTO api_key_usage (api_key_id, day, route, requests, rate_limited, errors)
+    VALUES ($api_key_id, $day, $route, $requests, $rate_limited, $errors)
+    ON CONFLICT (api_key_id, day, route) DO UPDATE SET
+      requests = requests + excluded.requests,
+      rate_limited = rate_limited + excluded.rate_limited,
+      errors = errors + excluded.errors
+  `);
+  const lastUsedStmt = db.prepare(`
+    UPDATE api_keys
+    SET last_used_at = MAX(COALESCE(last_used_at, ''), $last_used_at)
+    WHERE id = $api_key_id
+  `);
+
+  db.transaction(() => {
+    for (const entry of entries) {
+      usageStmt.run({
+        $api_key_id: entry.apiKeyId,
+        $day: entry.day,
+        $route: entry.route,
+        $requests: entry.requests,
+        $rate_limited: entry.rateLimited,
+        $errors: entry.errors
+      });
+      lastUsedStmt.run({ $api_key_id: entry.apiKeyId, $last_used_at: entry.lastUsedAt });
+    }
+  })();
+}
+
+/**
+ * 📈 Usage of one API key per day and route, newest day first
+ * @param {number} id - API key ID
+ * @param {Object} options - { from, to } inclusive 'YYYY-MM-DD' days
+ * @returns {Array} - [{ day, route, requests, rate_limited, errors }]
+ */
+export function getApiKeyUsage(id, { from = '0000-00-00', to = '9999-12-31' } = {}) {
+  return db.prepare(`
+    SELECT day, route, requests, rate_limited, errors
+    FROM api_key_usage
+    WHERE api_key_id = ? AND day BETWEEN ? AND ?
+    ORDER BY day DESC, requests DESC, route
+  `).all(id, from, to);
+}
+
+function parseApiKeyRow(row) {
+  return {
+    ...row,
+    active: row.active === 1
+  };
+}
+
 /**
  * 🧹 Close database connection
  */
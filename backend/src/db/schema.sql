@@ -64,8 +64,9 @@ CREATE TABLE IF NOT EXISTS launches (
     spacecraft_status TEXT,        -- Active, Inactive, Lost, etc.
     spacecraft_description TEXT,
     spacecraft_destination TEXT,   -- e.g., "International Space Station", "Mars"
-    payload_count INTEGER,         -- Number of payloads
-    payload_total_mass_kg REAL,    -- Total payload mass in kilograms
+    payload_count INTEGER,         -- Number of payloads in the manifest (payloads table)
+    payload_total_mass_kg REAL,    -- Known payload masses in the manifest, summed (kg)
+    manifest_stored_at DATETIME,   -- When a payload manifest was first stored (NULL: totals predate manifests)
 
     -- Media
     image_url TEXT,                -- Launch/mission image
@@ -112,13 +113,16 @@ CREATE INDEX IF NOT EXISTS idx_launches_spacecraft_destination ON launches(space
 -- Compound index for common query: upcoming launches sorted by date
 CREATE INDEX IF NOT EXISTS idx_launches_upcoming ON launches(net, status_abbrev);
 
+-- Recently written rows (live update stream)
+CREATE INDEX IF NOT EXISTS idx_launches_updated_at ON launches(updated_at, id);
+
 -- ============================================
 -- SYNC LOG TABLE
 -- Track data synchronization history
 -- ============================================
 CREATE TABLE IF NOT EXISTS sync_log (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    sync_type TEXT NOT NULL,       -- 'full', 'incremental', 'manual'
+    sync_type TEXT NOT NULL,       -- 'full', 'incremental', 'spacex', 'manual'
     started_at DATETIME NOT NULL,
     completed_at DATETIME,
 
@@ -129,7 +133,7 @@ CREATE TABLE IF NOT EXISTS sync_log (
     records_unchanged INTEGER DEFAULT 0,
 
     -- Status
-    status TEXT DEFAULT 'running', -- 'running', 'success', 'failed', 'partial'
+    status TEXT DEFAULT 'running', -- 'running', 'success', 'failed', 'partial', 'cancelled'
     error_message TEXT,
 
     -- API details
@@ -141,8 +145,22 @@ CREATE INDEX IF NOT EXISTS idx_sync_log_started ON sync_log(started_at);
 CREATE INDEX IF NOT EXISTS idx_sync_log_status ON sync_log(status);
 
 -- ============================================
--- PROVIDERS TABLE (Optional - for filter dropdowns)
--- Denormalized for faster filter queries
+-- SYNC ERRORS TABLE
+-- Launches a sync run failed to process (the run itself carries on)
+-- ============================================
+CREATE TABLE IF NOT EXISTS sync_errors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sync_id INTEGER NOT NULL REFERENCES sync_log(id) ON DELETE CASCADE,
+    launch_id TEXT,                -- NULL when the error isn't about one launch
+    message TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_errors_sync ON sync_errors(sync_id);
+
+-- ============================================
+-- PROVIDERS TABLE
+-- Launch service providers, kept current by upsertLaunch
 -- ============================================
 CREATE TABLE IF NOT EXISTS providers (
     id INTEGER PRIMARY KEY,
@@ -159,8 +177,8 @@ CREATE INDEX IF NOT EXISTS idx_providers_name ON providers(name);
 CREATE INDEX IF NOT EXISTS idx_providers_country ON providers(country_code);
 
 -- ============================================
--- LOCATIONS TABLE (Optional - for filter dropdowns)
--- Denormalized for faster filter queries
+-- LOCATIONS TABLE
+-- Launch sites (a location has one or more pads), kept current by upsertLaunch
 -- ============================================
 CREATE TABLE IF NOT EXISTS locations (
     id INTEGER PRIMARY KEY,
@@ -176,6 +194,79 @@ CREATE TABLE IF NOT EXISTS locations (
 CREATE INDEX IF NOT EXISTS idx_locations_name ON locations(name);
 CREATE INDEX IF NOT EXISTS idx_locations_country ON locations(country_code);
 
+-- ============================================
+-- PADS TABLE
+-- Launch pads, kept current by upsertLaunch
+-- ============================================
+CREATE TABLE IF NOT EXISTS pads (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    location_id INTEGER,
+    latitude REAL,
+    longitude REAL,
+    wiki_url TEXT,
+    map_url TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pads_location ON pads(location_id);
+
+-- ============================================
+-- ROCKET CONFIGURATIONS TABLE
+-- Launch vehicle configurations (e.g. Falcon 9 Block 5), kept current by upsertLaunch
+-- ============================================
+CREATE TABLE IF NOT EXISTS rocket_configurations (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    family TEXT,
+    variant TEXT,
+    full_name TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_rocket_configurations_family ON rocket_configurations(family);
+
+-- Entity lookups on launches (launch history per provider/pad/rocket)
+CREATE INDEX IF NOT EXISTS idx_launches_provider_id ON launches(provider_id, net);
+CREATE INDEX IF NOT EXISTS idx_launches_pad_id ON launches(pad_id, net);
+CREATE INDEX IF NOT EXISTS idx_launches_rocket_id ON launches(rocket_id, net);
+CREATE INDEX IF NOT EXISTS idx_launches_rocket_family_net ON launches(rocket_family, net);
+
+-- ============================================
+-- LAUNCH FLIGHT STATS TABLE
+-- Flight numbers and track record of each launch's rocket configuration,
+-- rocket family and provider, counted in NET order.
+-- Rebuilt from launches after every sync by rebuildFlightStats.
+-- Counts include the launch itself once its outcome is known, upcoming
+-- launches get the record they go into the flight with
+-- ============================================
+CREATE TABLE IF NOT EXISTS launch_flight_stats (
+    launch_id TEXT PRIMARY KEY,
+
+    -- Rocket configuration (launches.rocket_id)
+    config_flight_number INTEGER,     -- nth launch of the configuration
+    config_year_flight_number INTEGER, -- nth launch of the configuration in the calendar year
+    config_success_streak INTEGER,    -- consecutive successes up to this launch
+    config_successes INTEGER,
+    config_completed INTEGER,         -- launches with a known outcome (success/failure/partial failure)
+
+    -- Rocket family (launches.rocket_family)
+    family_flight_number INTEGER,
+    family_year_flight_number INTEGER,
+    family_success_streak INTEGER,
+    family_successes INTEGER,
+    family_completed INTEGER,
+
+    -- Launch service provider (launches.provider_id)
+    provider_flight_number INTEGER,
+    provider_year_flight_number INTEGER,
+    provider_success_streak INTEGER,
+    provider_successes INTEGER,
+    provider_completed INTEGER,
+
+    computed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================
 -- MANUAL PAYLOADS TABLE
 -- Manually curated payload mass data for missions
@@ -197,9 +288,203 @@ CREATE TABLE IF NOT EXISTS manual_payloads (
     -- Additional notes about the payload
     notes TEXT,
 
+    -- When several patterns match a launch the highest priority wins, then the
+    -- longest (most specific) pattern, then the oldest entry
+    priority INTEGER NOT NULL DEFAULT 0,
+
     -- Timestamps for audit trail
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_manual_payloads_pattern ON manual_payloads(mission_pattern);
+
+-- ============================================
+-- PAYLOADS TABLE
+-- Payload manifest of each launch, one row per payload.
+-- Rows are kept per source: Launch Library 2 (spacecraft and
+-- payload flights) on every launch sync, the SpaceX API on the
+-- SpaceX payload sync. A launch uses the rows of its most
+-- detailed source (spacex, then ll2), which also give
+-- launches.payload_count and payload_total_mass_kg
+-- ============================================
+CREATE TABLE IF NOT EXISTS payloads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    launch_id TEXT NOT NULL REFERENCES launches(id) ON DELETE CASCADE,
+    source TEXT NOT NULL,          -- ll2 or spacex
+    source_id TEXT,                -- Spacecraft or payload ID in the source API
+    position INTEGER NOT NULL,     -- Order within the source's manifest
+
+    name TEXT NOT NULL,
+    type TEXT,                     -- Satellite, Capsule, Crew Dragon, etc.
+    customer TEXT,                 -- Comma-separated when several
+    operator TEXT,
+    quantity INTEGER NOT NULL DEFAULT 1,  -- Identical units flown as this row (e.g. a Starlink batch)
+    mass_kg REAL,                  -- Mass of the whole row in kilograms, null when unknown
+    orbit TEXT,                    -- Target orbit abbreviation (LEO, GTO, ISS, ...)
+
+    -- Catalog identifiers, when the source knows them
+    norad_ids TEXT,                -- JSON array of NORAD catalog numbers
+    cospar_id TEXT,                -- International designator, e.g. 2024-001A
+
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payloads_launch ON payloads(launch_id, source, position);
+
+-- ============================================
+-- CALENDAR SUBSCRIPTIONS TABLE
+-- Saved filter sets served as subscribable webcal feeds
+-- ============================================
+CREATE TABLE IF NOT EXISTS calendar_subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    -- Unguessable token used in the feed URL (/api/calendars/:token.ics)
+    token TEXT NOT NULL UNIQUE,
+    name TEXT,
+
+    -- Filter set as JSON, same keys as /api/launches query params
+    filters TEXT NOT NULL DEFAULT '{}',
+
+    -- Usage tracking
+    last_accessed_at DATETIME,
+    access_count INTEGER DEFAULT 0,
+
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_subscriptions_token ON calendar_subscriptions(token);
+
+-- ============================================
+-- LAUNCH HISTORY TABLE
+-- Field-level diffs captured whenever a sync updates a launch
+-- (NET slips, status flips, mission changes, ...)
+-- ============================================
+CREATE TABLE IF NOT EXISTS launch_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    launch_id TEXT NOT NULL REFERENCES launches(id) ON DELETE CASCADE,
+
+    -- Sync run that recorded the change (NULL for ad-hoc scripts)
+    sync_id INTEGER,
+
+    -- Column that changed, with values before and after
+    field TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+
+    -- LL2 last_updated of the revision that introduced the change
+    source_updated_at DATETIME,
+    changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_launch_history_launch ON launch_history(launch_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_launch_history_field ON launch_history(field, changed_at);
+
+-- ============================================
+-- WEBHOOKS TABLE
+-- Registered HTTP endpoints notified of launch changes during syncs
+-- ============================================
+CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    description TEXT,
+
+    -- Shared secret for the HMAC-SHA256 signature header
+    secret TEXT NOT NULL,
+
+    -- JSON array of subscribed events, e.g. ["launch.created", "launch.status_changed"]
+    events TEXT NOT NULL,
+
+    -- JSON filter set, same vocabulary as /api/launches (provider, country, rocket, status, ...)
+    filters TEXT NOT NULL DEFAULT '{}',
+
+    -- Only notify NET moves of at least this many minutes
+    net_threshold_minutes INTEGER DEFAULT 60,
+
+    active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- WEBHOOK DELIVERIES TABLE
+-- Delivery log and retry queue
+-- ============================================
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event TEXT NOT NULL,
+    launch_id TEXT,
+
+    -- Exact JSON body that is signed and POSTed
+    payload TEXT NOT NULL,
+
+    -- Delivery state
+    status TEXT DEFAULT 'pending', -- 'pending', 'sending' (claimed until next_attempt_at), 'success', 'failed'
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    response_status INTEGER,
+    error_message TEXT,
+
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(status, next_attempt_at);
+
+-- ============================================
+-- API KEYS TABLE
+-- Keys for clients calling the API directly. Only a SHA-256 hash of each key is stored
+-- ============================================
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+
+    -- First characters of the key, so a key can be recognised in listings
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+
+    role TEXT NOT NULL DEFAULT 'client', -- 'client', 'admin'
+
+    -- Requests per minute (also the burst size), NULL for the configured default
+    rate_limit_per_minute INTEGER,
+
+    active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME
+);
+
+-- ============================================
+-- API KEY USAGE TABLE
+-- Requests per key, UTC day and route, flushed from memory by the API process
+-- ============================================
+CREATE TABLE IF NOT EXISTS api_key_usage (
+    api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    day TEXT NOT NULL,             -- 'YYYY-MM-DD'
+    route TEXT NOT NULL,           -- e.g. 'GET /api/launches/:id'
+    requests INTEGER DEFAULT 0,
+    rate_limited INTEGER DEFAULT 0, -- answered with 429
+    errors INTEGER DEFAULT 0,      -- other 4xx/5xx responses
+    PRIMARY KEY (api_key_id, day, route)
+);
+
+-- ============================================
+-- FULL-TEXT SEARCH INDEX (FTS5)
+-- One row per launch with rowid = launches.rowid, kept in sync by upsertLaunch.
+-- title = name, mission = mission_name, description = mission_description,
+-- provider = provider name + abbrev, rocket = rocket full name + family,
+-- spacecraft = spacecraft_name, pad = pad + location name
+-- ============================================
+CREATE VIRTUAL TABLE IF NOT EXISTS launches_fts USING fts5(
+    title,
+    mission,
+    description,
+    provider,
+    rocket,
+    spacecraft,
+    pad,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
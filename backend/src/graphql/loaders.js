@@ -0,0 +1,96 @@
+/**
+ * 📦 GraphQL batch loaders
+ * Nested fields (a launch's provider, a provider's launches...) ask a loader for one key;
+ * keys requested while a level of the query resolves are fetched together in a single
+ * SQLite query, so a page of launches costs one query per relation rather than one per row.
+ * Loaders are created per request and cache their results for that request only
+ */
+
+import {
+  getLaunchesByIds,
+  getProvidersByIds,
+  getPadsByIds,
+  getRocketConfigurationsByIds,
+  getEntityLaunchesByIds
+} from '../db/database.js';
+import { formatLaunchForAPI } from '../utils/launchFormatter.js';
+import { formatProviderForAPI, formatPadForAPI, formatRocketForAPI } from '../utils/entityFormatter.js';
+
+/**
+ * Create a loader that batches load(key) calls made in the same tick
+ * @param {Function} batchFn - keys => Map of key -> value (missing keys resolve to null)
+ * @returns {Object} - { load(key): Promise }
+ */
+export function createLoader(batchFn) {
+  const cache = new Map();
+  let queue = null;
+
+  const dispatch = () => {
+    const pending = queue;
+    queue = null;
+
+    try {
+      const results = batchFn([...pending.keys()]);
+      for (const [key, { resolve }] of pending) {
+        resolve(results.get(key) ?? null);
+      }
+    } catch (error) {
+      for (const { reject } of pending.values()) {
+        reject(error);
+      }
+    }
+  };
+
+  return {
+    load(key) {
+      if (!cache.has(key)) {
+        if (!queue) {
+          queue = new Map();
+          // Let the rest of this level's resolvers queue their keys first
+          setImmediate(dispatch);
+        }
+        cache.set(key, new Promise((resolve, reject) => queue.set(key, { resolve, reject })));
+      }
+      return cache.get(key);
+    }
+  };
+}
+
+/**
+ * Loaders for one GraphQL request
+ * Entity values are API-formatted objects (formatLaunchForAPI and friends)
+ */
+export function createLoaders() {
+  const entityLaunchLoaders = new Map();
+
+  return {
+    launch: createLoader(ids => byId(getLaunchesByIds(ids).map(formatLaunchForAPI))),
+    provider: createLoader(ids => byId(getProvidersByIds(ids).map(formatProviderForAPI))),
+    pad: createLoader(ids => byId(getPadsByIds(ids).map(formatPadForAPI))),
+    rocket: createLoader(ids => byId(getRocketConfigurationsByIds(ids).map(formatRocketForAPI))),
+
+    /**
+     * Loader for the recent or upcoming launches of providers, pads or rockets
+     * (one loader per list shape, since the batch query takes a single limit)
+     */
+    entityLaunches(entity, { upcoming, limit }) {
+      const key = `${entity}:${upcoming}:${limit}`;
+      if (!entityLaunchLoaders.has(key)) {
+        entityLaunchLoaders.set(key, createLoader(ids => {
+          const rows = getEntityLaunchesByIds(entity, ids, { upcoming, limit });
+          return new Map([...rows].map(([id, launches]) => [id, launches.map(formatLaunchForAPI)]));
+        }));
+      }
+      return entityLaunchLoaders.get(key);
+    }
+  };
+}
+
+function byId(items) {
+  return new Map(items.map(item => [item.id, item]));
+}
+
+export default {
+  createLoader,
+  createLoaders
+};
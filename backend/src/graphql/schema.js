@@ -0,0 +1,460 @@
+/**
+ * 🕸️ GraphQL schema
+ * Launches, providers, pads, rockets and stats for clients that want to pick their own fields.
+ * Filters, sorting and cursors behave as on /api/launches; relations resolve through the
+ * per-request batch loaders in loaders.js
+ */
+
+import { buildSchema, GraphQLError } from 'graphql';
+import {
+  queryLaunches,
+  listProviders,
+  getStats,
+  getLaunchTimeseries,
+  TIMESERIES_INTERVALS,
+  TIMESERIES_GROUPS
+} from '../db/database.js';
+import { parseLaunchFilters } from '../utils/launchFilters.js';
+import { decodeCursor, encodeCursor } from '../utils/launchCursor.js';
+import { formatLaunchForAPI } from '../utils/launchFormatter.js';
+import { formatProviderForAPI } from '../utils/entityFormatter.js';
+import { buildTimeseries } from '../services/launchStats.js';
+
+// Same page cap as /api/launches, also used for nested launch lists
+const MAX_PAGE_SIZE = 100;
+
+const typeDefs = `
+  type Query {
+    "Launches matching the filter, a page at a time"
+    launches(
+      filter: LaunchFilter
+      first: Int = 20
+      "pageInfo.endCursor of the previous page"
+      after: String
+      "pageInfo.startCursor of the next page, to page backwards"
+      before: String
+      sort: LaunchSort
+      "Defaults to ASC, or to the order of the after/before cursor"
+      order: SortOrder
+    ): LaunchConnection!
+    launch(id: ID!): Launch
+    "Launch providers, busiest first"
+    providers: [Provider!]!
+    provider(id: Int!): Provider
+    pad(id: Int!): Pad
+    rocket(id: Int!): Rocket
+    "Summary counts for the launches matching the filter"
+    stats(filter: LaunchFilter): Stats!
+  }
+
+  "The /api/launches filters. List fields take several values and !-prefixed exclusions"
+  input LaunchFilter {
+    "Structured search query, e.g. \\"provider:SpaceX starlink -rideshare\\""
+    q: String
+    search: String
+    upcoming: Boolean
+    past: Boolean
+    provider: [String!]
+    country: [String!]
+    state: [String!]
+    location: [String!]
+    rocket: [String!]
+    status: [String!]
+    orbit: [String!]
+    missionType: [String!]
+    destination: [String!]
+    providerType: [String!]
+    "Payload mass range in kg"
+    minMass: Float
+    maxMass: Float
+    "\\"latitude,longitude\\": only pads with coordinates, with distances"
+    near: String
+    radiusKm: Float
+    "ISO dates"
+    from: String
+    to: String
+  }
+
+  enum LaunchSort {
+    NET
+    PROVIDER_NAME
+    LOCATION_NAME
+    ROCKET_NAME
+    "Needs search text"
+    RELEVANCE
+    "Needs filter.near"
+    DISTANCE
+  }
+
+  enum SortOrder {
+    ASC
+    DESC
+  }
+
+  type LaunchConnection {
+    nodes: [Launch!]!
+    pageInfo: PageInfo!
+    "Counted only when requested"
+    totalCount: Int!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  type Launch {
+    id: ID!
+    name: String!
+    slug: String
+    status: LaunchStatus!
+    net: String
+    windowStart: String
+    windowEnd: String
+    rocket: Rocket
+    provider: Provider
+    pad: Pad
+    location: Location
+    mission: Mission
+    spacecraft: Spacecraft
+    payloads: [Payload!]
+    imageUrl: String
+    infographicUrl: String
+    webcastLive: Boolean!
+    slugUrl: String
+    lastUpdated: String
+    updatedAt: String
+    flightStats: FlightStats
+    "Only for launches queried with filter.near"
+    distanceKm: Float
+    bearing: Int
+    direction: String
+  }
+
+  type LaunchStatus {
+    id: Int
+    name: String
+    abbrev: String
+    description: String
+  }
+
+  type Provider {
+    id: Int!
+    name: String!
+    abbrev: String
+    type: String
+    countryCode: String
+    logoUrl: String
+    wikiUrl: String
+    stats: EntityStats
+    recentLaunches(limit: Int = 10): [Launch!]!
+    upcomingLaunches(limit: Int = 10): [Launch!]!
+  }
+
+  type Pad {
+    id: Int!
+    name: String!
+    latitude: Float
+    longitude: Float
+    wikiUrl: String
+    mapUrl: String
+    location: Location
+    stats: EntityStats
+    recentLaunches(limit: Int = 10): [Launch!]!
+    upcomingLaunches(limit: Int = 10): [Launch!]!
+  }
+
+  type Location {
+    id: Int
+    name: String
+    countryCode: String
+    mapImage: String
+    timezone: String
+  }
+
+  type Rocket {
+    id: Int!
+    name: String!
+    family: String
+    variant: String
+    fullName: String
+    stats: EntityStats
+    recentLaunches(limit: Int = 10): [Launch!]!
+    upcomingLaunches(limit: Int = 10): [Launch!]!
+  }
+
+  type Mission {
+    id: Int
+    name: String
+    description: String
+    type: String
+    orbit: Orbit
+  }
+
+  type Orbit {
+    id: Int
+    name: String
+    abbrev: String
+  }
+
+  type Spacecraft {
+    id: Int
+    name: String
+    serialNumber: String
+    status: String
+    description: String
+    destination: String
+    payloadCount: Int
+    payloadTotalMassKg: Float
+    payloadSource: String
+  }
+
+  "One entry of a launch's payload manifest"
+  type Payload {
+    name: String!
+    type: String
+    customer: String
+    operator: String
+    "Identical units flown as this entry, e.g. the satellites of a Starlink batch"
+    quantity: Int!
+    "Mass of the whole entry, null when unknown"
+    massKg: Float
+    orbit: String
+    noradIds: [Int!]!
+    cosparId: String
+    "ll2 or spacex"
+    source: String!
+  }
+
+  type FlightStats {
+    rocket: FlightRecord
+    family: FlightRecord
+    provider: FlightRecord
+    milestones: [Milestone!]!
+  }
+
+  type FlightRecord {
+    flightNumber: Int!
+    year: String
+    yearFlightNumber: Int
+    successStreak: Int
+    successes: Int
+    completedFlights: Int
+    successRate: Float
+  }
+
+  type Milestone {
+    scope: String!
+    flightNumber: Int!
+    label: String!
+  }
+
+  "Launch counts of a provider, pad or rocket"
+  type EntityStats {
+    totalLaunches: Int!
+    upcomingLaunches: Int!
+    successes: Int!
+    failures: Int!
+    partialFailures: Int!
+    successRate: Float
+    firstLaunch: String
+    lastLaunch: String
+    nextLaunch: String
+  }
+
+  type Stats {
+    totalLaunches: Int!
+    upcomingLaunches: Int!
+    launchesThisYear: Int!
+    lastSync: String
+    nextLaunch: Launch
+    "Counts per period, as GET /api/stats/timeseries"
+    timeseries(interval: TimeseriesInterval = YEAR, groupBy: TimeseriesGroup, groups: Int = 10): Timeseries!
+  }
+
+  enum TimeseriesInterval {
+    YEAR
+    MONTH
+    WEEK
+  }
+
+  enum TimeseriesGroup {
+    PROVIDER
+    COUNTRY
+    ROCKET_FAMILY
+    ORBIT
+    STATUS
+  }
+
+  type Timeseries {
+    interval: String!
+    groupBy: String
+    totals: OutcomeCounts!
+    groups: [OutcomeCounts!]!
+    periods: [TimeseriesPeriod!]!
+  }
+
+  type OutcomeCounts {
+    key: String
+    label: String
+    total: Int!
+    successes: Int!
+    failures: Int!
+    partialFailures: Int!
+    successRate: Float
+  }
+
+  type TimeseriesPeriod {
+    period: String!
+    total: Int!
+    successes: Int!
+    failures: Int!
+    partialFailures: Int!
+    successRate: Float
+    breakdown: [OutcomeCounts!]
+  }
+`;
+
+const SORT_FIELDS = {
+  NET: 'net',
+  PROVIDER_NAME: 'provider_name',
+  LOCATION_NAME: 'location_name',
+  ROCKET_NAME: 'rocket_name',
+  RELEVANCE: 'relevance',
+  DISTANCE: 'distance'
+};
+
+const TIMESERIES_GROUP_KEYS = {
+  PROVIDER: 'provider',
+  COUNTRY: 'country',
+  ROCKET_FAMILY: 'rocketFamily',
+  ORBIT: 'orbit',
+  STATUS: 'status'
+};
+
+const resolvers = {
+  Query: {
+    launches(_, { filter, first, after, before, sort, order }, context, info) {
+      const filters = parseLaunchFilters(filter || {});
+      const cursorToken = after || before;
+
+      const result = queryLaunches({
+        ...filters,
+        limit: clampLimit(first),
+        sort: sort ? SORT_FIELDS[sort] : undefined,
+        order: order?.toLowerCase(),
+        cursor: cursorToken ? decodeCursor(cursorToken) : null,
+        includeTotal: selectsField(info, 'totalCount')
+      });
+
+      return {
+        nodes: result.launches.map(formatLaunchForAPI),
+        pageInfo: {
+          hasNextPage: result.hasMore,
+          hasPreviousPage: result.hasPrevious,
+          startCursor: encodeCursor(result.prevCursor),
+          endCursor: encodeCursor(result.nextCursor)
+        },
+        totalCount: result.total
+      };
+    },
+
+    launch: (_, { id }, { loaders }) => loaders.launch.load(id),
+    providers: () => listProviders().map(formatProviderForAPI),
+    provider: (_, { id }, { loaders }) => loaders.provider.load(id),
+    pad: (_, { id }, { loaders }) => loaders.pad.load(id),
+    rocket: (_, { id }, { loaders }) => loaders.rocket.load(id),
+
+    stats(_, { filter }) {
+      const filters = parseLaunchFilters(filter || {});
+      return { ...getStats(filters), filters };
+    }
+  },
+
+  // Launches are formatLaunchForAPI objects. Related entities come from their own
+  // tables when synced there, otherwise from the copy stored on the launch
+  Launch: {
+    rocket: (launch, _, { loaders }) => loadEntity(loaders.rocket, launch.rocket),
+    provider: (launch, _, { loaders }) => loadEntity(loaders.provider, launch.provider),
+    pad: (launch, _, { loaders }) => loadEntity(loaders.pad, { ...launch.pad, location: launch.location })
+  },
+
+  Provider: entityLaunchResolvers('provider'),
+  Pad: entityLaunchResolvers('pad'),
+  Rocket: entityLaunchResolvers('rocket'),
+
+  Stats: {
+    nextLaunch: (stats, _, { loaders }) => (stats.nextLaunch ? loaders.launch.load(stats.nextLaunch.id) : null),
+
+    timeseries(stats, { interval, groupBy, groups }) {
+      const intervalKey = interval.toLowerCase();
+      const groupKey = groupBy ? TIMESERIES_GROUP_KEYS[groupBy] : null;
+      // Enums keep these in step with the REST endpoint's options
+      if (!(intervalKey in TIMESERIES_INTERVALS) || (groupKey && !(groupKey in TIMESERIES_GROUPS))) {
+        throw new GraphQLError('Unsupported timeseries option');
+      }
+
+      const rows = getLaunchTimeseries(stats.filters, { interval: intervalKey, groupBy: groupKey });
+      return buildTimeseries(rows, {
+        interval: intervalKey,
+        groupBy: groupKey,
+        groupLimit: Math.min(Math.max(groups, 1), 50)
+      });
+    }
+  }
+};
+
+/**
+ * recentLaunches/upcomingLaunches resolvers for an entity type
+ */
+function entityLaunchResolvers(entity) {
+  const launches = upcoming => (parent, { limit }, { loaders }) =>
+    loaders.entityLaunches(entity, { upcoming, limit: clampLimit(limit) }).load(parent.id).then(rows => rows || []);
+
+  return {
+    recentLaunches: launches(false),
+    upcomingLaunches: launches(true)
+  };
+}
+
+function loadEntity(loader, fallback) {
+  if (!fallback || fallback.id === null || fallback.id === undefined) return null;
+  return loader.load(fallback.id).then(entity => entity || fallback);
+}
+
+function clampLimit(limit) {
+  return Math.min(Math.max(limit ?? 20, 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Whether the query asks for a field directly under the current one (fragments included)
+ */
+function selectsField(info, name) {
+  const visit = selectionSet => (selectionSet?.selections || []).some(selection => {
+    if (selection.kind === 'Field') return selection.name.value === name;
+    if (selection.kind === 'InlineFragment') return visit(selection.selectionSet);
+    if (selection.kind === 'FragmentSpread') return visit(info.fragments[selection.name.value]?.selectionSet);
+    return false;
+  });
+
+  return info.fieldNodes.some(node => visit(node.selectionSet));
+}
+
+/**
+ * Attach resolver functions to the types built from typeDefs
+ */
+function attachResolvers(schema, resolverMap) {
+  for (const [typeName, fields] of Object.entries(resolverMap)) {
+    const typeFields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolve] of Object.entries(fields)) {
+      typeFields[fieldName].resolve = resolve;
+    }
+  }
+  return schema;
+}
+
+export const schema = attachResolvers(buildSchema(typeDefs), resolvers);
+
+export default schema;
@@ -12,6 +12,21 @@ import { initDatabase } from './db/database.js';
 // Import routes
 import launchesRoutes from './routes/launches.js';
 import filtersRoutes from './routes/filters.js';
+import calendarsRoutes from './routes/calendars.js';
+import analyticsRoutes from './routes/analytics.js';
+import webhooksRoutes from './routes/webhooks.js';
+import providersRoutes from './routes/providers.js';
+import padsRoutes from './routes/pads.js';
+import rocketsRoutes from './routes/rockets.js';
+import statsRoutes from './routes/stats.js';
+import graphqlRoutes from './routes/graphql.js';
+import apiKeysRoutes from './routes/apiKeys.js';
+import adminSyncRoutes from './routes/adminSync.js';
+import manualPayloadsRoutes from './routes/manualPayloads.js';
+import { openApiDocument } from './openapi/spec.js';
+import { identifyClient, rateLimit, requireApiKey, flushApiKeyUsage, startUsageFlush } from './services/apiAccess.js';
+import { stopSyncOnShutdown } from './services/syncRunner.js';
+import { startWebhookDelivery } from './services/webhooks.js';
 
 const app = express();
 
@@ -24,9 +39,15 @@ try {
   process.exit(1);
 }
 
+// Client IPs (for anonymous rate limits) come from X-Forwarded-For set by nginx
+app.set('trust proxy', config.trustProxy);
+
 // Middleware
 app.use(helmet()); // Security headers
-app.use(cors()); // Enable CORS
+app.use(cors({
+  origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins,
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+}));
 app.use(express.json()); // Parse JSON bodies
 
 // Request logging
@@ -44,9 +65,35 @@ app.get('/health', (req, res) => {
   });
 });
 
+// API keys and per-client rate limits (not applied to /health)
+app.use(['/api', '/graphql'], identifyClient, rateLimit);
+if (config.apiKeyRequiredRoutes.length > 0) {
+  app.use(config.apiKeyRequiredRoutes, requireApiKey());
+}
+startUsageFlush();
+
+// Webhook retries and deliveries a sync left queued
+startWebhookDelivery();
+
+// OpenAPI document for client generators (also drives request validation)
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
 // API routes
 app.use('/api/launches', launchesRoutes);
 app.use('/api/filters', filtersRoutes);
+app.use('/api/calendars', calendarsRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/webhooks', requireApiKey({ role: 'admin' }), webhooksRoutes);
+app.use('/api/providers', providersRoutes);
+app.use('/api/pads', padsRoutes);
+app.use('/api/rockets', rocketsRoutes);
+app.use('/api/stats', statsRoutes);
+app.use('/api/admin/api-keys', requireApiKey({ role: 'admin' }), apiKeysRoutes);
+app.use('/api/admin/sync', requireApiKey({ role: 'admin' }), adminSyncRoutes);
+app.use('/api/admin/manual-payloads', requireApiKey({ role: 'admin' }), manualPayloadsRoutes);
+app.use('/graphql', graphqlRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -72,11 +119,41 @@ app.listen(config.port, () => {
   logger.info(`Database: ${config.dbPath}`);
   logger.info(`\nAPI endpoints:`);
   logger.info(`  GET  /api/launches - List launches with filters`);
+  logger.info(`  GET  /api/launches/stream - Live launch updates (SSE)`);
   logger.info(`  GET  /api/launches/:id - Get launch details`);
   logger.info(`  GET  /api/launches/:id/ics - Download launch ICS file`);
+  logger.info(`  GET  /api/launches/:id/history - Launch change history`);
+  logger.info(`  GET  /api/launches/:id/visibility - Visibility estimate for a viewer location`);
   logger.info(`  GET  /api/launches/ics - Download filtered launches ICS file`);
   logger.info(`  GET  /api/filters - Get filter options`);
+  logger.info(`  GET  /api/providers - List launch providers`);
+  logger.info(`  GET  /api/providers/:id - Provider with launch history`);
+  logger.info(`  GET  /api/pads/:id - Launch pad with launch history`);
+  logger.info(`  GET  /api/rockets/:id - Rocket configuration with launch history`);
+  logger.info(`  GET  /api/stats/timeseries - Launches and success rates over time`);
+  logger.info(`  GET  /api/analytics/slips - NET slip and scrub analytics`);
+  logger.info(`  POST /api/calendars - Create calendar subscription`);
+  logger.info(`  GET  /api/calendars/:token.ics - Subscribable calendar feed`);
+  logger.info(`  GET  /api/webhooks - List webhook subscriptions (admin key)`);
+  logger.info(`  POST /api/webhooks - Register webhook endpoint (admin key)`);
+  logger.info(`  GET  /api/admin/api-keys - Manage API keys and view usage (admin key)`);
+  logger.info(`  POST /api/admin/sync - Start, follow and cancel syncs, browse sync history (admin key)`);
+  logger.info(`  GET  /api/admin/manual-payloads - Manage manual payload masses, preview pattern matches (admin key)`);
+  logger.info(`  GET  /api/openapi.json - OpenAPI 3 description of the REST API`);
+  logger.info(`  POST /graphql - GraphQL endpoint (launches, providers, pads, rockets, stats)`);
   logger.info(`  GET  /health - Health check\n`);
+  if (config.apiKeyRequiredRoutes.length > 0) {
+    logger.info(`API key required for: ${config.apiKeyRequiredRoutes.join(', ')}`);
+  }
 });
 
+// Keep usage counts still waiting for the next flush, stop a sync started from the admin API
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    flushApiKeyUsage();
+    stopSyncOnShutdown();
+    process.exit(0);
+  });
+}
+
 export default app;
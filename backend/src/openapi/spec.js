@@ -0,0 +1,1788 @@
+/**
+ * 📘 OpenAPI document
+ * Machine-readable description of the REST API, served at /api/openapi.json.
+ * Query and path parameters declared here are also what requestValidation.js
+ * checks incoming requests against, so the document and the routes can't drift apart
+ */
+
+import { TIMESERIES_INTERVALS, TIMESERIES_GROUPS } from '../db/database.js';
+import { EXPORT_FORMATS, EXPORT_COLUMNS } from '../services/launchExport.js';
+import { WEBHOOK_EVENTS } from '../services/webhooks.js';
+import { API_KEY_ROLES } from '../services/apiAccess.js';
+import { SYNC_TYPES } from '../services/syncRunner.js';
+
+const SYNC_STATUSES = ['running', 'success', 'failed', 'partial', 'cancelled'];
+
+const LAUNCH_SORT_FIELDS = ['net', 'provider_name', 'location_name', 'rocket_name', 'relevance', 'distance'];
+
+const LIST_FILTERS = {
+  provider: 'Provider name or abbreviation',
+  country: 'Launch site country code (e.g. USA)',
+  state: 'US state code of the launch site (e.g. FL)',
+  location: 'Launch site name',
+  rocket: 'Rocket family',
+  status: 'Status abbreviation (Go, TBD, Success, ...)',
+  orbit: 'Orbit abbreviation (LEO, GTO, ...)',
+  missionType: 'Mission type',
+  destination: 'Spacecraft destination',
+  providerType: 'Provider type (Commercial, Government, ...)'
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+const response = name => ({ $ref: `#/components/responses/${name}` });
+
+const nullable = (type, extra = {}) => ({ type, nullable: true, ...extra });
+
+// "YYYY-MM-DD" or a full ISO 8601 timestamp
+const dateOrDateTime = {
+  anyOf: [
+    { type: 'string', format: 'date' },
+    { type: 'string', format: 'date-time' }
+  ]
+};
+
+/**
+ * 200 response wrapping `data` in the { success, data } envelope every route uses
+ */
+function success(description, dataSchema) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: ['success', 'data'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            data: dataSchema
+          }
+        }
+      }
+    }
+  };
+}
+
+function fileResponse(description, contentTypes) {
+  return {
+    description,
+    content: Object.fromEntries(contentTypes.map(type => [type, { schema: { type: 'string' } }]))
+  };
+}
+
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+const launchFilterParameters = [
+  'q', 'search', 'upcoming', 'past',
+  ...Object.keys(LIST_FILTERS),
+  'minMass', 'maxMass', 'near', 'radiusKm',
+  'from', 'to', 'dateFrom', 'dateTo', 'exclude'
+].map(param);
+
+const parameters = {
+  q: {
+    name: 'q',
+    in: 'query',
+    description: 'Structured search query, e.g. `provider:SpaceX starlink -rideshare`',
+    schema: { type: 'string' }
+  },
+  search: {
+    name: 'search',
+    in: 'query',
+    description: 'Free-text search over names, missions and locations',
+    schema: { type: 'string' }
+  },
+  upcoming: {
+    name: 'upcoming',
+    in: 'query',
+    description: 'Only launches with a NET in the future',
+    schema: { type: 'boolean' }
+  },
+  past: {
+    name: 'past',
+    in: 'query',
+    description: 'Only launches with a NET in the past',
+    schema: { type: 'boolean' }
+  },
+  ...Object.fromEntries(Object.entries(LIST_FILTERS).map(([name, description]) => [name, {
+    name,
+    in: 'query',
+    description: `${description}. Repeat the parameter or separate values with commas; prefix a value with ! to exclude it`,
+    style: 'form',
+    explode: true,
+    schema: { type: 'array', items: { type: 'string' } }
+  }])),
+  minMass: {
+    name: 'minMass',
+    in: 'query',
+    description: 'Minimum total payload mass in kg',
+    schema: { type: 'number', minimum: 0 }
+  },
+  maxMass: {
+    name: 'maxMass',
+    in: 'query',
+    description: 'Maximum total payload mass in kg',
+    schema: { type: 'number', minimum: 0 }
+  },
+  near: {
+    name: 'near',
+    in: 'query',
+    description: '"latitude,longitude" in degrees. Limits results to pads with coordinates and adds distances',
+    schema: { type: 'string', example: '28.54,-81.38' }
+  },
+  radiusKm: {
+    name: 'radiusKm',
+    in: 'query',
+    description: 'Search radius around `near`, in kilometres',
+    schema: { type: 'number', minimum: 0, exclusiveMinimum: true }
+  },
+  from: {
+    name: 'from',
+    in: 'query',
+    description: 'Earliest NET',
+    schema: dateOrDateTime
+  },
+  to: {
+    name: 'to',
+    in: 'query',
+    description: 'Latest NET',
+    schema: dateOrDateTime
+  },
+  dateFrom: {
+    name: 'dateFrom',
+    in: 'query',
+    description: 'Alias of `from`',
+    schema: dateOrDateTime
+  },
+  dateTo: {
+    name: 'dateTo',
+    in: 'query',
+    description: 'Alias of `to`',
+    schema: dateOrDateTime
+  },
+  exclude: {
+    name: 'exclude',
+    in: 'query',
+    description: 'Values to leave out per list filter, e.g. `exclude[provider]=SpaceX`',
+    style: 'deepObject',
+    explode: true,
+    schema: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } }
+  },
+  limit: {
+    name: 'limit',
+    in: 'query',
+    description: 'Page size',
+    schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+  },
+  offset: {
+    name: 'offset',
+    in: 'query',
+    description: 'Rows to skip (ignored with `cursor`)',
+    schema: { type: 'integer', minimum: 0, default: 0 }
+  },
+  sort: {
+    name: 'sort',
+    in: 'query',
+    description: '`relevance` needs search text and `distance` needs `near`; otherwise launches sort by `net`. ' +
+      'Defaults to `relevance` when searching',
+    schema: { type: 'string', enum: LAUNCH_SORT_FIELDS }
+  },
+  order: {
+    name: 'order',
+    in: 'query',
+    schema: { type: 'string', enum: ['asc', 'desc'], default: 'asc' }
+  },
+  entityLaunchLimit: {
+    name: 'limit',
+    in: 'query',
+    description: 'Size of each launch list',
+    schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+  },
+  entityId: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'integer' }
+  },
+  launchId: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  },
+  calendarToken: {
+    name: 'token',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  },
+  webhookId: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'integer' }
+  },
+  apiKeyId: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'integer' }
+  },
+  syncRunId: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'integer' }
+  },
+  manualPayloadId: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'integer' }
+  }
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['success', 'error', 'details'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', example: 'Invalid request parameters' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['field', 'message'],
+          properties: {
+            field: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  Launch: {
+    type: 'object',
+    required: ['id', 'name', 'status', 'webcastLive'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      slug: nullable('string'),
+      status: {
+        type: 'object',
+        properties: {
+          id: nullable('integer'),
+          name: nullable('string'),
+          abbrev: nullable('string'),
+          description: nullable('string')
+        }
+      },
+      net: nullable('string', { format: 'date-time' }),
+      windowStart: nullable('string', { format: 'date-time' }),
+      windowEnd: nullable('string', { format: 'date-time' }),
+      rocket: {
+        type: 'object',
+        properties: {
+          id: nullable('integer'),
+          name: nullable('string'),
+          family: nullable('string'),
+          variant: nullable('string'),
+          fullName: nullable('string')
+        }
+      },
+      provider: {
+        type: 'object',
+        properties: {
+          id: nullable('integer'),
+          name: nullable('string'),
+          abbrev: nullable('string'),
+          type: nullable('string'),
+          countryCode: nullable('string')
+        }
+      },
+      pad: {
+        type: 'object',
+        properties: {
+          id: nullable('integer'),
+          name: nullable('string'),
+          wikiUrl: nullable('string'),
+          mapUrl: nullable('string'),
+          latitude: nullable('number'),
+          longitude: nullable('number')
+        }
+      },
+      location: ref('Location'),
+      mission: {
+        type: 'object',
+        properties: {
+          id: nullable('integer'),
+          name: nullable('string'),
+          description: nullable('string'),
+          type: nullable('string'),
+          orbit: {
+            type: 'object',
+            properties: {
+              id: nullable('integer'),
+              name: nullable('string'),
+              abbrev: nullable('string')
+            }
+          }
+        }
+      },
+      spacecraft: {
+        type: 'object',
+        properties: {
+          id: nullable('integer'),
+          name: nullable('string'),
+          serialNumber: nullable('string'),
+          status: nullable('string'),
+          description: nullable('string'),
+          destination: nullable('string'),
+          payloadCount: nullable('integer', { description: 'Payloads in the manifest' }),
+          payloadTotalMassKg: nullable('number', { description: 'Known manifest masses summed, else a manual payload mass' }),
+          payloadSource: nullable('string', { enum: ['api', 'manual'] })
+        }
+      },
+      payloads: {
+        type: 'array',
+        description: 'Payload manifest from the most detailed source (SpaceX API, then Launch Library 2); empty when unknown',
+        items: ref('Payload')
+      },
+      imageUrl: nullable('string'),
+      infographicUrl: nullable('string'),
+      webcastLive: { type: 'boolean' },
+      slugUrl: nullable('string'),
+      lastUpdated: nullable('string'),
+      importedAt: nullable('string'),
+      updatedAt: nullable('string'),
+      flightStats: {
+        allOf: [ref('FlightStats')],
+        nullable: true,
+        description: 'Null until the launch has been numbered by a sync'
+      },
+      searchRank: { type: 'number', description: 'Only for searches. Lower is a better match' },
+      highlights: {
+        type: 'array',
+        description: 'Only for searches. Matches are wrapped in <mark></mark>',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            snippet: { type: 'string' }
+          }
+        }
+      },
+      distanceKm: { type: 'number', description: 'Only for queries with `near`' },
+      bearing: { type: 'integer', description: 'Only for queries with `near`' },
+      direction: { type: 'string', description: 'Only for queries with `near`' },
+      visibility: {
+        allOf: [ref('Visibility')],
+        description: 'Only for upcoming launches in queries with `near`; the estimate from that point, without `viewer`, `pad` and `net`'
+      }
+    }
+  },
+  Location: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      id: nullable('integer'),
+      name: nullable('string'),
+      countryCode: nullable('string'),
+      mapImage: nullable('string'),
+      timezone: nullable('string')
+    }
+  },
+  FlightRecord: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      flightNumber: { type: 'integer' },
+      year: nullable('string'),
+      yearFlightNumber: nullable('integer'),
+      successStreak: nullable('integer'),
+      successes: nullable('integer'),
+      completedFlights: nullable('integer'),
+      successRate: nullable('number')
+    }
+  },
+  FlightStats: {
+    type: 'object',
+    properties: {
+      rocket: ref('FlightRecord'),
+      family: ref('FlightRecord'),
+      provider: ref('FlightRecord'),
+      milestones: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            scope: { type: 'string', enum: ['rocket', 'family', 'provider'] },
+            flightNumber: { type: 'integer' },
+            label: { type: 'string', example: 'Maiden Neutron flight' }
+          }
+        }
+      }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    required: ['limit', 'hasMore', 'hasPrevious'],
+    properties: {
+      limit: { type: 'integer' },
+      offset: { type: 'integer', description: 'Only when paging by offset' },
+      total: { type: 'integer', description: 'Only when counted (`includeTotal`)' },
+      hasMore: { type: 'boolean' },
+      hasPrevious: { type: 'boolean' },
+      nextCursor: nullable('string'),
+      prevCursor: nullable('string')
+    }
+  },
+  LaunchPage: {
+    type: 'object',
+    required: ['launches', 'pagination'],
+    properties: {
+      launches: { type: 'array', items: ref('Launch') },
+      pagination: ref('Pagination')
+    }
+  },
+  Stats: {
+    type: 'object',
+    properties: {
+      totalLaunches: { type: 'integer' },
+      upcomingLaunches: { type: 'integer' },
+      launchesThisYear: { type: 'integer' },
+      lastSync: nullable('string'),
+      nextLaunch: {
+        type: 'object',
+        nullable: true,
+        description: 'Database row of the next upcoming launch',
+        additionalProperties: true
+      }
+    }
+  },
+  OutcomeCounts: {
+    type: 'object',
+    properties: {
+      key: { type: 'string', description: 'Only for groups' },
+      label: { type: 'string', description: 'Only for groups' },
+      period: { type: 'string', description: 'Only for periods' },
+      total: { type: 'integer' },
+      successes: { type: 'integer' },
+      failures: { type: 'integer' },
+      partialFailures: { type: 'integer' },
+      successRate: nullable('number')
+    }
+  },
+  Timeseries: {
+    type: 'object',
+    properties: {
+      interval: { type: 'string', enum: Object.keys(TIMESERIES_INTERVALS) },
+      groupBy: nullable('string', { enum: Object.keys(TIMESERIES_GROUPS) }),
+      totals: ref('OutcomeCounts'),
+      groups: { type: 'array', items: ref('OutcomeCounts') },
+      periods: {
+        type: 'array',
+        items: {
+          allOf: [
+            ref('OutcomeCounts'),
+            {
+              type: 'object',
+              properties: {
+                breakdown: { type: 'array', items: ref('OutcomeCounts'), description: 'Only with `groupBy`' }
+              }
+            }
+          ]
+        }
+      }
+    }
+  },
+  FacetOption: {
+    type: 'object',
+    description: 'A filter value (name, abbrev, code or family, depending on the facet) and its launch count',
+    properties: {
+      name: { type: 'string' },
+      abbrev: { type: 'string' },
+      code: { type: 'string' },
+      countryCode: { type: 'string' },
+      family: { type: 'string' },
+      count: { type: 'integer' }
+    }
+  },
+  FilterOptions: {
+    type: 'object',
+    properties: {
+      ...Object.fromEntries([
+        'providers', 'countries', 'locations', 'statuses', 'rocketFamilies',
+        'states', 'orbits', 'missionTypes', 'destinations', 'providerTypes'
+      ].map(facet => [facet, { type: 'array', items: ref('FacetOption') }])),
+      massRanges: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            label: { type: 'string' },
+            min: nullable('number'),
+            max: nullable('number'),
+            count: { type: 'integer' }
+          }
+        }
+      }
+    }
+  },
+  EntityStats: {
+    type: 'object',
+    properties: {
+      totalLaunches: { type: 'integer' },
+      upcomingLaunches: { type: 'integer' },
+      successes: { type: 'integer' },
+      failures: { type: 'integer' },
+      partialFailures: { type: 'integer' },
+      successRate: nullable('number'),
+      firstLaunch: nullable('string'),
+      lastLaunch: nullable('string'),
+      nextLaunch: nullable('string')
+    }
+  },
+  Provider: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      abbrev: nullable('string'),
+      type: nullable('string'),
+      countryCode: nullable('string'),
+      logoUrl: nullable('string'),
+      wikiUrl: nullable('string'),
+      stats: ref('EntityStats')
+    }
+  },
+  Pad: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      latitude: nullable('number'),
+      longitude: nullable('number'),
+      wikiUrl: nullable('string'),
+      mapUrl: nullable('string'),
+      location: ref('Location'),
+      stats: ref('EntityStats')
+    }
+  },
+  Rocket: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      family: nullable('string'),
+      variant: nullable('string'),
+      fullName: nullable('string'),
+      stats: ref('EntityStats')
+    }
+  },
+  RocketFamilyReliability: {
+    type: 'object',
+    properties: {
+      family: { type: 'string' },
+      stats: ref('EntityStats'),
+      currentStreak: nullable('integer'),
+      longestStreak: nullable('integer'),
+      configurations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            variant: nullable('string'),
+            fullName: nullable('string'),
+            stats: ref('EntityStats'),
+            currentStreak: nullable('integer'),
+            longestStreak: nullable('integer')
+          }
+        }
+      },
+      years: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            year: { type: 'string' },
+            totalLaunches: { type: 'integer' },
+            successes: { type: 'integer' },
+            failures: { type: 'integer' },
+            partialFailures: { type: 'integer' },
+            successRate: nullable('number')
+          }
+        }
+      }
+    }
+  },
+  LaunchHistory: {
+    type: 'object',
+    properties: {
+      launchId: { type: 'string' },
+      name: { type: 'string' },
+      net: nullable('string'),
+      status: nullable('string'),
+      summary: {
+        type: 'object',
+        properties: {
+          totalChanges: { type: 'integer' },
+          netChanges: { type: 'integer' },
+          netSlips: { type: 'integer' },
+          statusChanges: { type: 'integer' },
+          firstRecordedNet: nullable('string')
+        }
+      },
+      timeline: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            changedAt: { type: 'string' },
+            syncId: nullable('integer'),
+            sourceUpdatedAt: nullable('string'),
+            changes: {
+              type: 'array',
+              items: { type: 'object', additionalProperties: true }
+            }
+          }
+        }
+      }
+    }
+  },
+  Visibility: {
+    type: 'object',
+    description: 'Estimate of whether the ascent can be seen from the viewer location',
+    additionalProperties: true,
+    properties: {
+      launchId: { type: 'string' },
+      name: { type: 'string' },
+      visibility: { type: 'string', enum: ['likely', 'possible', 'unlikely', 'unknown'] },
+      reasons: { type: 'array', items: { type: 'string' } },
+      distanceKm: { type: 'number' },
+      bearing: { type: 'integer' },
+      direction: { type: 'string' }
+    }
+  },
+  SlipAnalytics: {
+    type: 'object',
+    description: 'Slip and scrub metrics overall, per provider, rocket family and pad, plus the most slipped launches',
+    additionalProperties: true,
+    properties: {
+      overall: { type: 'object', additionalProperties: true },
+      byProvider: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      byRocketFamily: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      byPad: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      mostSlipped: { type: 'array', items: { type: 'object', additionalProperties: true } }
+    }
+  },
+  LaunchFilters: {
+    type: 'object',
+    description: 'The /api/launches filter parameters as a JSON object',
+    additionalProperties: true
+  },
+  CalendarSubscription: {
+    type: 'object',
+    properties: {
+      token: { type: 'string' },
+      name: nullable('string'),
+      filters: ref('LaunchFilters'),
+      feedUrl: { type: 'string', format: 'uri' },
+      webcalUrl: { type: 'string' },
+      accessCount: { type: 'integer' },
+      lastAccessedAt: nullable('string'),
+      createdAt: { type: 'string' },
+      updatedAt: { type: 'string' }
+    }
+  },
+  CalendarSubscriptionInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      filters: ref('LaunchFilters')
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      url: { type: 'string', format: 'uri' },
+      description: nullable('string'),
+      events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      filters: ref('LaunchFilters'),
+      netThresholdMinutes: { type: 'integer' },
+      active: { type: 'boolean' },
+      createdAt: { type: 'string' },
+      updatedAt: { type: 'string' }
+    }
+  },
+  WebhookInput: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      filters: ref('LaunchFilters'),
+      netThresholdMinutes: { type: 'integer', minimum: 0 },
+      description: { type: 'string' },
+      active: { type: 'boolean' }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      event: { type: 'string' },
+      launchId: nullable('string'),
+      status: { type: 'string', enum: ['pending', 'sending', 'success', 'failed'] },
+      attempts: { type: 'integer' },
+      responseStatus: nullable('integer'),
+      errorMessage: nullable('string'),
+      nextAttemptAt: nullable('string'),
+      createdAt: { type: 'string' },
+      deliveredAt: nullable('string'),
+      payload: { type: 'object', additionalProperties: true }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      keyPrefix: { type: 'string', description: 'First characters of the key, to recognise it by' },
+      role: { type: 'string', enum: API_KEY_ROLES },
+      rateLimitPerMinute: nullable('integer', { description: 'null uses the server default, 0 is unlimited' }),
+      active: { type: 'boolean' },
+      createdAt: { type: 'string' },
+      updatedAt: { type: 'string' },
+      lastUsedAt: nullable('string')
+    }
+  },
+  ApiKeyInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      role: { type: 'string', enum: API_KEY_ROLES },
+      rateLimitPerMinute: nullable('integer', { minimum: 0 }),
+      active: { type: 'boolean' }
+    }
+  },
+  UsageCounts: {
+    type: 'object',
+    properties: {
+      requests: { type: 'integer' },
+      rateLimited: { type: 'integer', description: 'Requests answered with 429' },
+      errors: { type: 'integer', description: 'Other 4xx/5xx responses' }
+    }
+  },
+  SyncRun: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      type: { type: 'string', example: 'incremental' },
+      status: { type: 'string', enum: SYNC_STATUSES },
+      startedAt: { type: 'string' },
+      completedAt: nullable('string'),
+      durationSeconds: nullable('integer'),
+      stats: {
+        type: 'object',
+        properties: {
+          fetched: { type: 'integer' },
+          added: { type: 'integer' },
+          updated: { type: 'integer' },
+          unchanged: { type: 'integer' },
+          apiCalls: { type: 'integer' },
+          lastOffset: nullable('integer')
+        }
+      },
+      errorMessage: nullable('string'),
+      errorCount: { type: 'integer', description: 'Launches the run failed to process' }
+    }
+  },
+  RunningSync: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: SYNC_TYPES },
+      syncId: nullable('integer', { description: 'sync_log ID, null until the script has started' }),
+      pid: { type: 'integer' },
+      startedAt: { type: 'string', format: 'date-time' },
+      startedBy: nullable('string', { description: 'Name of the API key that started it' }),
+      cancelling: { type: 'boolean' },
+      resumedFromOffset: nullable('integer'),
+      progress: {
+        type: 'object',
+        properties: {
+          fetched: { type: 'integer' },
+          added: { type: 'integer' },
+          updated: { type: 'integer' },
+          unchanged: { type: 'integer' },
+          apiCalls: { type: 'integer' },
+          offset: { type: 'integer' },
+          total: { type: 'integer', description: 'Launches the source reported for this run' }
+        }
+      },
+      log: { type: 'array', items: { type: 'string' }, description: 'Last lines of output' }
+    }
+  },
+  ApiKeyUsage: {
+    type: 'object',
+    properties: {
+      apiKey: ref('ApiKey'),
+      from: { type: 'string', format: 'date' },
+      to: { type: 'string', format: 'date' },
+      totals: ref('UsageCounts'),
+      days: {
+        type: 'array',
+        items: {
+          allOf: [ref('UsageCounts'), {
+            type: 'object',
+            properties: {
+              day: { type: 'string', format: 'date' },
+              routes: {
+                type: 'array',
+                items: {
+                  allOf: [ref('UsageCounts'), {
+                    type: 'object',
+                    properties: { route: { type: 'string', example: 'GET /api/launches/:id' } }
+                  }]
+                }
+              }
+            }
+          }]
+        }
+      }
+    }
+  },
+  Payload: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      type: nullable('string', { example: 'Satellite' }),
+      customer: nullable('string', { description: 'Comma-separated when several' }),
+      operator: nullable('string'),
+      quantity: { type: 'integer', description: 'Identical units flown as this entry, e.g. the satellites of a Starlink batch' },
+      massKg: nullable('number', { description: 'Mass of the whole entry' }),
+      orbit: nullable('string', { example: 'LEO' }),
+      noradIds: { type: 'array', items: { type: 'integer' } },
+      cosparId: nullable('string', { example: '2024-001A' }),
+      source: { type: 'string', enum: ['ll2', 'spacex'] }
+    }
+  },
+  ManualPayload: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      missionPattern: { type: 'string', description: 'SQL LIKE pattern matched against launch names', example: '%Tianzhou%' },
+      payloadMassKg: { type: 'number' },
+      source: nullable('string'),
+      notes: nullable('string'),
+      priority: { type: 'integer', description: 'Wins over lower priorities when several patterns match a launch' },
+      matchedLaunches: { type: 'integer', description: 'Launches the pattern matches' },
+      appliedLaunches: { type: 'integer', description: 'Launches this entry is the chosen match for' },
+      createdAt: { type: 'string' },
+      updatedAt: { type: 'string' }
+    }
+  },
+  ManualPayloadInput: {
+    type: 'object',
+    properties: {
+      missionPattern: { type: 'string', minLength: 1, maxLength: 200 },
+      payloadMassKg: { type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 200000 },
+      source: nullable('string'),
+      notes: nullable('string'),
+      priority: { type: 'integer', minimum: -1000, maximum: 1000, default: 0 }
+    }
+  }
+};
+
+const responses = {
+  BadRequest: {
+    description: 'Invalid parameters or filters, one entry in `details` per problem',
+    content: { 'application/json': { schema: ref('ValidationError') } }
+  },
+  NotFound: {
+    description: 'Not found',
+    content: { 'application/json': { schema: ref('Error') } }
+  },
+  Unauthorized: {
+    description: 'Missing, unknown or revoked API key',
+    content: { 'application/json': { schema: ref('Error') } }
+  },
+  Forbidden: {
+    description: 'The API key lacks the required role',
+    content: { 'application/json': { schema: ref('Error') } }
+  },
+  TooManyRequests: {
+    description: 'Rate limit exceeded, retry after `Retry-After` seconds',
+    headers: {
+      'Retry-After': { schema: { type: 'integer' } }
+    },
+    content: { 'application/json': { schema: ref('Error') } }
+  }
+};
+
+const securitySchemes = {
+  apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+  bearerAuth: { type: 'http', scheme: 'bearer' }
+};
+
+// Keys are optional unless the server requires them for a route
+const optionalApiKey = [{}, { apiKeyHeader: [] }, { bearerAuth: [] }];
+const adminApiKey = [{ apiKeyHeader: [] }, { bearerAuth: [] }];
+
+const adminResponses = {
+  401: response('Unauthorized'),
+  403: response('Forbidden'),
+  429: response('TooManyRequests')
+};
+
+const entityDetail = (key, schemaName) => ({
+  type: 'object',
+  properties: {
+    [key]: ref(schemaName),
+    recentLaunches: { type: 'array', items: ref('Launch') },
+    upcomingLaunches: { type: 'array', items: ref('Launch') }
+  }
+});
+
+const paths = {
+  '/api/launches': {
+    get: {
+      operationId: 'listLaunches',
+      tags: ['Launches'],
+      summary: 'List launches with filtering, sorting and pagination',
+      description: 'Pages by `offset`, or by `cursor` (nextCursor/prevCursor from a previous page)',
+      parameters: [
+        ...launchFilterParameters,
+        param('limit'),
+        param('offset'),
+        param('sort'),
+        param('order'),
+        {
+          name: 'cursor',
+          in: 'query',
+          description: 'nextCursor or prevCursor of a previous page. Keeps the sort and order it was issued for; ' +
+            'a different `sort` or `order`, or another search or `near` for relevance and distance cursors, returns 400',
+          schema: { type: 'string' }
+        },
+        {
+          name: 'includeTotal',
+          in: 'query',
+          description: 'Count the matching launches. Defaults to true, or false in cursor mode',
+          schema: { type: 'boolean' }
+        }
+      ],
+      responses: {
+        200: success('A page of launches', ref('LaunchPage')),
+        400: response('BadRequest')
+      }
+    }
+  },
+  '/api/launches/stats': {
+    get: {
+      operationId: 'getLaunchStats',
+      tags: ['Launches'],
+      summary: 'Summary statistics for the launches matching the filters',
+      parameters: launchFilterParameters,
+      responses: {
+        200: success('Summary statistics', ref('Stats')),
+        400: response('BadRequest')
+      }
+    }
+  },
+  '/api/launches/ics': {
+    get: {
+      operationId: 'downloadLaunchesICS',
+      tags: ['Launches'],
+      summary: 'ICS calendar of the launches matching the filters',
+      parameters: [
+        ...launchFilterParameters,
+        {
+          name: 'maxEvents',
+          in: 'query',
+          schema: { type: 'integer', minimum: 1, maximum: 50, default: 50 }
+        }
+      ],
+      responses: {
+        200: fileResponse('Calendar file', ['text/calendar']),
+        400: response('BadRequest'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/launches/export': {
+    get: {
+      operationId: 'exportLaunches',
+      tags: ['Launches'],
+      summary: 'Download every launch matching the filters',
+      parameters: [
+        ...launchFilterParameters,
+        param('sort'),
+        param('order'),
+        {
+          name: 'format',
+          in: 'query',
+          schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' }
+        },
+        {
+          name: 'columns',
+          in: 'query',
+          description: `Comma-separated columns, any of: ${EXPORT_COLUMNS.join(', ')}`,
+          schema: { type: 'string' }
+        },
+        {
+          name: 'limit',
+          in: 'query',
+          description: 'Stop after this many launches',
+          schema: { type: 'integer', minimum: 1 }
+        }
+      ],
+      responses: {
+        200: fileResponse('Launches in the requested format', Object.values(EXPORT_FORMATS).map(({ contentType }) => contentType.split(';')[0])),
+        400: response('BadRequest')
+      }
+    }
+  },
+  '/api/launches/stream': {
+    get: {
+      operationId: 'streamLaunches',
+      tags: ['Launches'],
+      summary: 'Server-Sent Events stream of launch updates matching the filters',
+      parameters: launchFilterParameters,
+      responses: {
+        200: fileResponse('Event stream', ['text/event-stream']),
+        400: response('BadRequest')
+      }
+    }
+  },
+  '/api/launches/{id}': {
+    get: {
+      operationId: 'getLaunch',
+      tags: ['Launches'],
+      summary: 'A single launch',
+      parameters: [param('launchId')],
+      responses: {
+        200: success('The launch', ref('Launch')),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/launches/{id}/history': {
+    get: {
+      operationId: 'getLaunchHistory',
+      tags: ['Launches'],
+      summary: 'Change timeline of a launch (NET slips, status flips, ...)',
+      parameters: [param('launchId')],
+      responses: {
+        200: success('Change timeline, newest first', ref('LaunchHistory')),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/launches/{id}/visibility': {
+    get: {
+      operationId: 'getLaunchVisibility',
+      tags: ['Launches'],
+      summary: 'Whether the launch can be seen from a viewer location',
+      parameters: [
+        param('launchId'),
+        { name: 'lat', in: 'query', required: true, schema: { type: 'number', minimum: -90, maximum: 90 } },
+        { name: 'lon', in: 'query', required: true, schema: { type: 'number', minimum: -180, maximum: 180 } }
+      ],
+      responses: {
+        200: success('Visibility estimate', ref('Visibility')),
+        400: response('BadRequest'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/launches/{id}/ics': {
+    get: {
+      operationId: 'downloadLaunchICS',
+      tags: ['Launches'],
+      summary: 'ICS calendar file for a single launch',
+      parameters: [param('launchId')],
+      responses: {
+        200: fileResponse('Calendar file', ['text/calendar']),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/filters': {
+    get: {
+      operationId: 'getFilterOptions',
+      tags: ['Filters'],
+      summary: 'Filter options with launch counts',
+      description: "Each facet's counts apply every filter but its own",
+      parameters: launchFilterParameters,
+      responses: {
+        200: success('Filter options', ref('FilterOptions')),
+        400: response('BadRequest')
+      }
+    }
+  },
+  '/api/providers': {
+    get: {
+      operationId: 'listProviders',
+      tags: ['Providers'],
+      summary: 'Launch providers, busiest first',
+      responses: {
+        200: success('Providers', { type: 'array', items: ref('Provider') })
+      }
+    }
+  },
+  '/api/providers/{id}': {
+    get: {
+      operationId: 'getProvider',
+      tags: ['Providers'],
+      summary: 'A provider with its recent and upcoming launches',
+      parameters: [param('entityId'), param('entityLaunchLimit')],
+      responses: {
+        200: success('Provider detail', entityDetail('provider', 'Provider')),
+        400: response('BadRequest'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/pads/{id}': {
+    get: {
+      operationId: 'getPad',
+      tags: ['Pads'],
+      summary: 'A launch pad with its recent and upcoming launches',
+      parameters: [param('entityId'), param('entityLaunchLimit')],
+      responses: {
+        200: success('Pad detail', entityDetail('pad', 'Pad')),
+        400: response('BadRequest'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/rockets/{id}': {
+    get: {
+      operationId: 'getRocket',
+      tags: ['Rockets'],
+      summary: 'A rocket configuration with its recent and upcoming launches',
+      parameters: [param('entityId'), param('entityLaunchLimit')],
+      responses: {
+        200: success('Rocket detail', entityDetail('rocket', 'Rocket')),
+        400: response('BadRequest'),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/rockets/{family}/reliability': {
+    get: {
+      operationId: 'getRocketFamilyReliability',
+      tags: ['Rockets'],
+      summary: 'Track record of a rocket family',
+      parameters: [{ name: 'family', in: 'path', required: true, schema: { type: 'string' }, example: 'Falcon' }],
+      responses: {
+        200: success('Family track record', ref('RocketFamilyReliability')),
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/stats/timeseries': {
+    get: {
+      operationId: 'getLaunchTimeseries',
+      tags: ['Statistics'],
+      summary: 'Launch counts and success rates per year, month or week',
+      parameters: [
+        ...launchFilterParameters,
+        {
+          name: 'interval',
+          in: 'query',
+          schema: { type: 'string', enum: Object.keys(TIMESERIES_INTERVALS), default: 'year' }
+        },
+        {
+          name: 'groupBy',
+          in: 'query',
+          schema: { type: 'string', enum: Object.keys(TIMESERIES_GROUPS) }
+        },
+        {
+          name: 'groups',
+          in: 'query',
+          description: 'Largest groups kept, the rest become "Other"',
+          schema: { type: 'integer', minimum: 1, maximum: 50, default: 10 }
+        }
+      ],
+      responses: {
+        200: success('Counts per period', ref('Timeseries')),
+        400: response('BadRequest')
+      }
+    }
+  },
+  '/api/analytics/slips': {
+    get: {
+      operationId: 'getSlipAnalytics',
+      tags: ['Analytics'],
+      summary: 'NET slip and scrub analytics for the launches matching the filters',
+      parameters: [
+        ...launchFilterParameters,
+        {
+          name: 'limit',
+          in: 'query',
+          description: 'Size of the most-slipped list',
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+        }
+      ],
+      responses: {
+        200: success('Slip analytics', ref('SlipAnalytics')),
+        400: response('BadRequest')
+      }
+    }
+  },
+  '/api/calendars': {
+    post: {
+      operationId: 'createCalendarSubscription',
+      tags: ['Calendars'],
+      summary: 'Create a calendar subscription from a filter set',
+      requestBody: jsonBody(ref('CalendarSubscriptionInput')),
+      responses: {
+        201: success('The subscription', ref('CalendarSubscription')),
+        400: response('BadRequest')
+      }
+    }
+  },
+  '/api/calendars/{token}.ics': {
+    get: {
+      operationId: 'getCalendarFeed',
+      tags: ['Calendars'],
+      summary: 'Live calendar feed of a subscription',
+      parameters: [param('calendarToken')],
+      responses: {
+        200: fileResponse('Calendar feed', ['text/calendar']),
+        304: { description: 'Feed unchanged since the ETag in If-None-Match' },
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/calendars/{token}': {
+    get: {
+      operationId: 'getCalendarSubscription',
+      tags: ['Calendars'],
+      summary: 'A calendar subscription',
+      parameters: [param('calendarToken')],
+      responses: {
+        200: success('The subscription', ref('CalendarSubscription')),
+        404: response('NotFound')
+      }
+    },
+    put: {
+      operationId: 'updateCalendarSubscription',
+      tags: ['Calendars'],
+      summary: "Change a subscription's name or filters",
+      parameters: [param('calendarToken')],
+      requestBody: jsonBody(ref('CalendarSubscriptionInput')),
+      responses: {
+        200: success('The subscription', ref('CalendarSubscription')),
+        400: response('BadRequest'),
+        404: response('NotFound')
+      }
+    },
+    delete: {
+      operationId: 'deleteCalendarSubscription',
+      tags: ['Calendars'],
+      summary: 'Remove a calendar subscription',
+      parameters: [param('calendarToken')],
+      responses: {
+        200: { description: 'Removed' },
+        404: response('NotFound')
+      }
+    }
+  },
+  '/api/webhooks': {
+    get: {
+      operationId: 'listWebhooks',
+      tags: ['Webhooks'],
+      summary: 'Webhook subscriptions (secrets are never returned)',
+      security: adminApiKey,
+      responses: {
+        200: success('Webhooks', { type: 'array', items: ref('Webhook') }),
+        ...adminResponses
+      }
+    },
+    post: {
+      operationId: 'createWebhook',
+      tags: ['Webhooks'],
+      summary: 'Register a webhook endpoint',
+      description: 'The response carries the signing `secret`, which is only shown once',
+      security: adminApiKey,
+      requestBody: jsonBody({ allOf: [ref('WebhookInput'), { required: ['url'] }] }),
+      responses: {
+        201: success('The webhook and its secret', {
+          allOf: [ref('Webhook'), { type: 'object', properties: { secret: { type: 'string' } } }]
+        }),
+        400: response('BadRequest'),
+        ...adminResponses
+      }
+    }
+  },
+  '/api/webhooks/{id}': {
+    get: {
+      operationId: 'getWebhook',
+      tags: ['Webhooks'],
+      summary: 'A webhook subscription',
+      security: adminApiKey,
+      parameters: [param('webhookId')],
+      responses: {
+        200: success('The webhook', ref('Webhook')),
+        400: response('BadRequest'),
+        404: response('NotFound'),
+        ...adminResponses
+      }
+    },
+    patch: {
+      operationId: 'updateWebhook',
+      tags: ['Webhooks'],
+      summary: 'Change a webhook',
+      security: adminApiKey,
+      parameters: [param('webhookId')],
+      requestBody: jsonBody(ref('WebhookInput')),
+      responses: {
+        200: success('The webhook', ref('Webhook')),
+        400: response('BadRequest'),
+        404: response('NotFound'),
+        ...adminResponses
+      }
+    },
+    delete: {
+      operationId: 'deleteWebhook',
+      tags: ['Webhooks'],
+      summary: 'Remove a webhook and its delivery log',
+      security: adminApiKey,
+      parameters: [param('webhookId')],
+      responses: {
+        200: { description: 'Removed' },
+        400: response('BadRequest'),
+        404: response('NotFound'),
+        ...adminResponses
+      }
+    }
+  },
+  '/api/webhooks/{id}/deliveries': {
+    get: {
+      operationId: 'listWebhookDeliveries',
+      tags: ['Webhooks'],
+      summary: 'Delivery log of a webhook, newest first',
+      security: adminApiKey,
+      parameters: [
+        param('webhookId'),
+        { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'sending', 'success', 'failed'] } },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 50 } },
+        param('offset')
+      ],
+      responses: {
+        200: success('Deliveries', {
+          type: 'object',
+          properties: {
+            deliveries: { type: 'array', items: ref('WebhookDelivery') },
+            pagination: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                limit: { type: 'integer' },
+                offset: { type: 'integer' },
+                hasMore: { type: 'boolean' }
+              }
+            }
+          }
+        }),
+        400: response('BadRequest'),
+        404: response('NotFound'),
+        ...adminResponses
+      }
+    }
+  },
+  '/api/webhooks/{id}/ping': {
+    post: {
+      operationId: 'pingWebhook',
+      tags: ['Webhooks'],
+      summary: 'Queue and send a test delivery',
+      security: adminApiKey,
+      parameters: [param('webhookId')],
+      responses: {
+        202: success('Queued', {
+          type: 'object',
+          properties: { deliveryId: { type: 'integer' } }
+        }),
+        400: response('BadRequest'),
+        404: response('NotFound'),
+        ...adminResponses
+      }
+    }
+  },
+  '/api/admin/api-keys': {
+    get: {
+      operationId: 'listApiKeys',
+      tags: ['Admin'],
+      summary: 'API keys with request totals',
+      security: adminApiKey,
+      parameters: [
+        { name: 'days', in: 'query', description: 'Days of usage to total', schema: { type: 'integer', minimum: 1, maximum: 366, default: 30 } }
+      ],
+      responses: {
+        200: success('API keys', {
+          type: 'array',
+          items: { allOf: [ref('ApiKey'), { type: 'object', properties: { usage: ref('UsageCounts') } }] }
+        }),
+        400: response('BadRequest'),
+        ...adminResponses
+      }
+    },
+    post: {
+      operationId: 'createApiKey',
+      tags: ['Admin'],
+      summary: 'Issue an API key',
+      security: adminApiKey,
+      requestBody: jsonBody({ allOf: [ref('ApiKeyInput'), { required: ['name'] }] }),
+      responses: {
+        201: success('The key record and the key itself, shown only this once', {
+          allOf: [ref('ApiKey'), { type: 'object', properties: { key: { type: 'string' } } }]
+        }),
+        400: response('BadRequest'),
+        ...adminResponses
+      }
+    }
+  },
+  '/api/admin/api-keys/{id}': {
+    patch: {
+      operationId: 'updateApiKey',
+      tags: ['Admin'],
+      summary: 'Rename, change role or rate limit, revoke (active: false) or reinstate a key',
+      security: adminApiKey,
+      parameters: [param('apiKeyId')],
+      requestBody: jsonBody(ref('ApiKeyInput')),
+      responses: {
+        200: success('The API key', ref('ApiKey')),
+        400: response('BadRequest'),
+        404: response('NotFound'),
+        ...adminResponses
+      }
+    }
+  },
+  '/api/admin/sync': {
+    get: {
+      operationId: 'getSyncStatus',
+      tags: ['Admin'],
+      summary: 'The running sync and the latest finished run',
+      security: adminApiKey,
+      responses: {
+        200: success('Sync status', {
+          type: 'object',
+          properties: {
+            current: { allOf: [ref('RunningSync')], nullable: true },
+            lastRun: { allOf: [ref('SyncRun')], nullable: true }
+          }
+        }),
+        ...adminResponses
+      }
+    },
+    post: {
+      operationId: 'startSync',
+      tags: ['Admin'],
+      summary: 'Start a sync in the background',
+      description: 'incremental: launches updated in the last SYNC_LOOKBACK_HOURS, full: every launch ' +
+        '(resumes an interrupted or cancelled full load), spacex: payload masses from the SpaceX API',
+      security: adminApiKey,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: { type: { type: 'string', enum: SYNC_TYPES, default: 'incremental' } }
+      }),
+      responses: {
+        202: success('Started', ref('RunningSync')),
+        400: response('BadRequest'),
+        409: { description: 'A sync is already running', content: { 'application/json': { schema: ref('Error') } } },
+        ...adminResponses
+      }
+    }
+  },
+  '/api/admin/sync/cancel': {
+    post: {
+      operationId: 'cancelSync',
+      tags: ['Admin'],
+      summary: 'Stop the running sync',
+      security: adminApiKey,
+      responses: {
+        202: success('Stopping', ref('RunningSync')),
+        409: { description: 'No sync is running', content: { 'application/json': { schema: ref('Error') } } },
+        ...adminResponses
+      }
+    }
+  },
+  '/api/admin/sync/events': {
+    get: {
+      operationId: 'streamSyncEvents',
+      tags: ['Admin'],
+      summary: 'Server-Sent Events with sync progress',
+      description: '`status` on connect, then `started`, `progress`, `log` and `finished` events for every run',
+      security: adminApiKey,
+      responses: {
+        200: fileResponse('Event stream', ['text/event-stream']),
+        ...adminResponses
+      }
+    }
+  },
+  '/api/admin/sync/history': {
+    get: {
+      operationId: 'listSyncRuns',
+      tags: ['Admin'],
+      summary: 'Sync runs, newest first',
+      security: adminApiKey,
+      parameters: [
+        { name: 'type', in: 'query', schema: { type: 'string' } },
+        { name: 'status', in: 'query', schema: { type: 'string', enum: SYNC_STATUSES } },
+        param('limit'),
+        param('offset')
+      ],
+      responses: {
+        200: success('Runs', {
+          type: 'object',
+          properties: {
+            runs: { type: 'array', items: ref('SyncRun') },
+            pagination: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                limit: { type: 'integer' },
+                offset: { type: 'integer' },
+                hasMore: { type: 'boolean' }
+              }
+            }
+          }
+        }),
+        400: response('BadRequest'),
+        ...adminResponses
+      }
+    }
+  },
+  '/api/admin/sync/history/{id}': {
+    get: {
+      operationId: 'getSyncRun',
+      tags: ['Admin'],
+      summary: 'A sync run with the launches it failed to process',
+      security: adminApiKey,
+      parameters: [param('syncRunId')],
+      responses: {
+        200: success('The run', {
+          allOf: [ref('SyncRun'), {
+            type: 'object',
+            properties: {
+              errors: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    launchId: nullable('string'),
+                    message: { type: 'string' },
+                    occurredAt: { type: 'string' }
+                  }
+                }
+              }
+            }
+          }]
+        }),
+        400: response('BadRequest'),
+        404: response('NotFound'),
+        ...adminResponses
+      }
+    }
+  },
+  '/api/admin/api-keys/{id}/usage': {
+    get: {
+      operationId: 'getApiKeyUsage',
+      tags: ['Admin'],
+      summary: 'Requests of a key per UTC day and route',
+      security: adminApiKey,
+      parameters: [
+        param('apiKeyId'),
+        { name: 'from', in: 'query', description: 'First day (default 29 days ago)', schema: { type: 'string', format: 'date' } },
+        { name: 'to', in: 'query', description: 'Last day (default today)', schema: { type: 'string', format: 'date' } }
+      ],
+      responses: {
+        200: success('Usage', ref('ApiKeyUsage')),
+        400: response('BadRequest'),
+        404: response('NotFound'),
+        ...adminResponses
+      }
+    }
+  },
+  '/api/admin/manual-payloads': {
+    get: {
+      operationId: 'listManualPayloads',
+      tags: ['Admin'],
+      summary: 'Manual payload masses in the order they are tried',
+      description: 'Launches without a Launch Library 2 payload mass take the mass of one matching entry: ' +
+        'highest priority first, then the longest pattern, then the oldest entry',
+      security: adminApiKey,
+      responses: {
+        200: success('Manual payloads', { type: 'array', items: ref('ManualPayload') }),
+        ...adminResponses
+      }
+    },
+    post: {
+      operationId: 'createManualPayload',
+      tags: ['Admin'],
+      summary: 'Add a manual payload mass',
+      security: adminApiKey,
+      requestBody: jsonBody({ allOf: [ref('ManualPayloadInput'), { required: ['missionPattern', 'payloadMassKg'] }] }),
+      responses: {
+        201: success('The entry', ref('ManualPayload')),
+        400: response('BadRequest'),
+        409: { description: 'Another entry already uses the pattern', content: { 'application/json': { schema: ref('ValidationError') } } },
+        ...adminResponses
+      }
+    }
+  },
+  '/api/admin/manual-payloads/preview': {
+    get: {
+      operationId: 'previewManualPayload',
+      tags: ['Admin'],
+      summary: 'Launches a pattern would match, and which of them it would win at a priority',
+      security: adminApiKey,
+      parameters: [
+        { name: 'pattern', in: 'query', required: true, description: 'SQL LIKE pattern', schema: { type: 'string' } },
+        { name: 'priority', in: 'query', schema: { type: 'integer', default: 0 } },
+        { name: 'excludeId', in: 'query', description: 'Entry being edited, left out of the competition', schema: { type: 'integer' } },
+        { name: 'limit', in: 'query', description: 'Launches to list', schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 } }
+      ],
+      responses: {
+        200: success('Preview', {
+          type: 'object',
+          properties: {
+            pattern: { type: 'string' },
+            priority: { type: 'integer' },
+            total: { type: 'integer', description: 'Launches the pattern matches' },
+            applied: { type: 'integer', description: 'Launches it would be the chosen match for' },
+            launches: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
+                  net: { type: 'string' },
+                  apiPayloadMassKg: nullable('number', { description: 'Mass from Launch Library 2, shown instead of any manual mass' }),
+                  currentMatch: {
+                    type: 'object',
+                    nullable: true,
+                    properties: {
+                      id: { type: 'integer' },
+                      missionPattern: { type: 'string' },
+                      priority: { type: 'integer' }
+                    }
+                  },
+                  wouldApply: { type: 'boolean' }
+                }
+              }
+            }
+          }
+        }),
+        400: response('BadRequest'),
+        ...adminResponses
+      }
+    }
+  },
+  '/api/admin/manual-payloads/{id}': {
+    get: {
+      operationId: 'getManualPayload',
+      tags: ['Admin'],
+      summary: 'A manual payload mass with its launch counts',
+      security: adminApiKey,
+      parameters: [param('manualPayloadId')],
+      responses: {
+        200: success('The entry', ref('ManualPayload')),
+        400: response('BadRequest'),
+        404: response('NotFound'),
+        ...adminResponses
+      }
+    },
+    patch: {
+      operationId: 'updateManualPayload',
+      tags: ['Admin'],
+      summary: 'Change the pattern, mass, source, notes or priority of an entry',
+      security: adminApiKey,
+      parameters: [param('manualPayloadId')],
+      requestBody: jsonBody(ref('ManualPayloadInput')),
+      responses: {
+        200: success('The entry', ref('ManualPayload')),
+        400: response('BadRequest'),
+        404: response('NotFound'),
+        409: { description: 'Another entry already uses the pattern', content: { 'application/json': { schema: ref('ValidationError') } } },
+        ...adminResponses
+      }
+    },
+    delete: {
+      operationId: 'deleteManualPayload',
+      tags: ['Admin'],
+      summary: 'Remove a manual payload mass',
+      security: adminApiKey,
+      parameters: [param('manualPayloadId')],
+      responses: {
+        200: { description: 'Removed' },
+        400: response('BadRequest'),
+        404: response('NotFound'),
+        ...adminResponses
+      }
+    }
+  }
+};
+
+export const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Rocket Launch Tracker API',
+    version: '1.0.0',
+    description: 'Upcoming and past orbital launches, synced from The Space Devs Launch Library 2. ' +
+      'Every JSON response is wrapped as { success, data } or { success: false, error }. ' +
+      'Requests are rate limited per API key, or per client IP without one, and report their budget in RateLimit-* headers'
+  },
+  servers: [{ url: '/' }],
+  security: optionalApiKey,
+  paths,
+  components: { parameters, schemas, responses, securitySchemes }
+};
+
+/**
+ * Look up an operation by operationId
+ * @param {string} operationId - e.g. 'listLaunches'
+ * @returns {Object|null} - The operation object
+ */
+export function getOperation(operationId) {
+  for (const pathItem of Object.values(paths)) {
+    for (const operation of Object.values(pathItem)) {
+      if (operation.operationId === operationId) return operation;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a local "#/components/..." reference
+ */
+export function resolveRef(value) {
+  if (!value || !value.$ref) return value;
+  const target = value.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], openApiDocument);
+  if (!target) {
+    throw new Error(`Unresolvable OpenAPI reference ${value.$ref}`);
+  }
+  return resolveRef(target);
+}
+
+export default {
+  openApiDocument,
+  getOperation,
+  resolveRef
+};
@@ -0,0 +1,236 @@
+/**
+ * 🛰️ Sync Administration Routes
+ * Mounted behind requireApiKey({ role: 'admin' })
+ */
+
+import express from 'express';
+import { getSyncLog, listSyncLogs, listSyncErrors } from '../db/database.js';
+import {
+  SYNC_TYPES,
+  SyncConflictError,
+  startSync,
+  cancelSync,
+  getCurrentSync,
+  subscribeToSync
+} from '../services/syncRunner.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/sync
+ * The running sync (null when idle) and the latest finished run
+ */
+router.get('/', (req, res) => {
+  try {
+    const { runs: [lastRun] } = listSyncLogs({ limit: 1, finished: true });
+
+    res.json({
+      success: true,
+      data: {
+        current: getCurrentSync(),
+        lastRun: lastRun ? formatSyncRun(lastRun) : null
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching sync status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/sync
+ * Start a sync in the background
+ * Body: { type: 'incremental' | 'full' | 'spacex' }
+ */
+router.post('/', (req, res) => {
+  try {
+    const { type = 'incremental' } = req.body || {};
+
+    if (!SYNC_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sync',
+        details: [{ field: 'type', message: `type must be one of ${SYNC_TYPES.join(', ')}` }]
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: startSync(type, { startedBy: req.apiKey.name })
+    });
+  } catch (error) {
+    if (error instanceof SyncConflictError) {
+      return res.status(409).json(error.toResponse());
+    }
+    logger.error('Error starting sync:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/sync/cancel
+ * Stop the running sync
+ */
+router.post('/cancel', (req, res) => {
+  try {
+    res.status(202).json({
+      success: true,
+      data: cancelSync({ cancelledBy: req.apiKey.name })
+    });
+  } catch (error) {
+    if (error instanceof SyncConflictError) {
+      return res.status(409).json(error.toResponse());
+    }
+    logger.error('Error cancelling sync:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/sync/events
+ * Server-Sent Events: status on connect, then started, progress, log and
+ * finished events for every run until the client disconnects
+ */
+router.get('/events', (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Tell nginx not to buffer this response
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('status', { current: getCurrentSync() });
+
+  const unsubscribe = subscribeToSync(send);
+  const heartbeat = setInterval(() => res.write(': keepalive\n\n'), config.streamHeartbeatMs);
+
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+  });
+});
+
+/**
+ * GET /api/admin/sync/history
+ * sync_log runs, newest first (?type=&status=&limit=&offset=)
+ */
+router.get('/history', validateRequest('listSyncRuns'), (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+    const { runs, total } = listSyncLogs({
+      limit,
+      offset,
+      status: req.query.status,
+      type: req.query.type
+    });
+
+    res.json({
+      success: true,
+      data: {
+        runs: runs.map(formatSyncRun),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching sync history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/sync/history/:id
+ * One run with the launches it failed to process
+ */
+router.get('/history/:id', validateRequest('getSyncRun'), (req, res) => {
+  try {
+    const run = getSyncLog(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatSyncRun(run),
+        errors: listSyncErrors(run.id).map(error => ({
+          launchId: error.launch_id,
+          message: error.message,
+          occurredAt: error.created_at
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching sync run:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Format sync_log row for API response
+ */
+function formatSyncRun(run) {
+  const startedAt = parseTimestamp(run.started_at);
+  const completedAt = parseTimestamp(run.completed_at);
+
+  return {
+    id: run.id,
+    type: run.sync_type,
+    status: run.status,
+    startedAt: run.started_at,
+    completedAt: run.completed_at,
+    durationSeconds: startedAt && completedAt ? Math.round((completedAt - startedAt) / 1000) : null,
+    stats: {
+      fetched: run.records_fetched,
+      added: run.records_added,
+      updated: run.records_updated,
+      unchanged: run.records_unchanged,
+      apiCalls: run.api_calls_made,
+      lastOffset: run.last_api_offset
+    },
+    errorMessage: run.error_message,
+    errorCount: run.error_count
+  };
+}
+
+/**
+ * started_at is a SQLite CURRENT_TIMESTAMP (UTC without a zone), completed_at an ISO string
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export default router;
@@ -0,0 +1,43 @@
+/**
+ * 📉 Analytics API Routes
+ */
+
+import express from 'express';
+import { getLaunchTimelines } from '../db/database.js';
+import { computeSlipAnalytics } from '../services/slipAnalytics.js';
+import { parseLaunchFilters, InvalidFilterError } from '../utils/launchFilters.js';
+import { SearchQueryError } from '../utils/searchQuery.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/analytics/slips
+ * NET slip and scrub analytics, filtered exactly like /api/launches
+ * e.g. ?provider=United Launch Alliance&state=CA&from=2025-01-01&to=2025-12-31
+ */
+router.get('/slips', validateRequest('getSlipAnalytics'), (req, res) => {
+  try {
+    const filters = parseLaunchFilters(req.query);
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+
+    const analytics = computeSlipAnalytics(getLaunchTimelines(filters), { limit });
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    if (error instanceof SearchQueryError || error instanceof InvalidFilterError) {
+      return res.status(400).json(error.toResponse());
+    }
+    logger.error('Error computing slip analytics:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
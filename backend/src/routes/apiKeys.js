@@ -0,0 +1,254 @@
+/**
+ * 🔑 API Key Administration Routes
+ * Mounted behind requireApiKey({ role: 'admin' }). The first admin key is created
+ * with `bun run api-keys create <name> --role admin`
+ */
+
+import express from 'express';
+import { createApiKey, getApiKey, listApiKeys, updateApiKey, getApiKeyUsage } from '../db/database.js';
+import { API_KEY_ROLES, generateApiKey, flushApiKeyUsage } from '../services/apiAccess.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const DEFAULT_USAGE_DAYS = 30;
+
+/**
+ * GET /api/admin/api-keys
+ * List keys with request totals for the last ?days= days (default 30)
+ */
+router.get('/', validateRequest('listApiKeys'), (req, res) => {
+  try {
+    flushApiKeyUsage();
+
+    const days = req.query.days ? parseInt(req.query.days) : DEFAULT_USAGE_DAYS;
+
+    res.json({
+      success: true,
+      data: listApiKeys({ since: daysAgo(days - 1) }).map(apiKey => ({
+        ...formatApiKey(apiKey),
+        usage: {
+          requests: apiKey.requests,
+          rateLimited: apiKey.rate_limited,
+          errors: apiKey.errors
+        }
+      }))
+    });
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/api-keys
+ * Issue a key
+ * Body: { name, role?, rateLimitPerMinute? }
+ */
+router.post('/', (req, res) => {
+  try {
+    const { errors, values } = validateApiKeyInput(req.body || {}, { requireName: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key settings',
+        details: errors
+      });
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    const apiKey = createApiKey({ ...values, keyPrefix, keyHash });
+
+    logger.info(`Issued API key #${apiKey.id} (${apiKey.name}, ${apiKey.role})`);
+
+    // The key itself is only ever shown once, at creation
+    res.status(201).json({
+      success: true,
+      data: { ...formatApiKey(apiKey), key }
+    });
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/api-keys/:id
+ * Rename, change role or rate limit, revoke ({ active: false }) or reinstate a key
+ */
+router.patch('/:id', validateRequest('updateApiKey'), (req, res) => {
+  try {
+    if (!getApiKey(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const { errors, values } = validateApiKeyInput(req.body || {}, { requireName: false });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key settings',
+        details: errors
+      });
+    }
+
+    const apiKey = updateApiKey(req.params.id, values);
+    if (values.active === false) {
+      logger.info(`Revoked API key #${apiKey.id} (${apiKey.name})`);
+    }
+
+    res.json({
+      success: true,
+      data: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    logger.error('Error updating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/api-keys/:id/usage
+ * Requests per day and route (?from=&to= days, default the last 30 days)
+ */
+router.get('/:id/usage', validateRequest('getApiKeyUsage'), (req, res) => {
+  try {
+    const apiKey = getApiKey(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    flushApiKeyUsage();
+
+    const from = req.query.from || daysAgo(DEFAULT_USAGE_DAYS - 1);
+    const to = req.query.to || daysAgo(0);
+    const days = new Map();
+
+    for (const row of getApiKeyUsage(apiKey.id, { from, to })) {
+      if (!days.has(row.day)) {
+        days.set(row.day, { day: row.day, requests: 0, rateLimited: 0, errors: 0, routes: [] });
+      }
+      const day = days.get(row.day);
+      day.requests += row.requests;
+      day.rateLimited += row.rate_limited;
+      day.errors += row.errors;
+      day.routes.push({
+        route: row.route,
+        requests: row.requests,
+        rateLimited: row.rate_limited,
+        errors: row.errors
+      });
+    }
+
+    const totals = { requests: 0, rateLimited: 0, errors: 0 };
+    for (const day of days.values()) {
+      totals.requests += day.requests;
+      totals.rateLimited += day.rateLimited;
+      totals.errors += day.errors;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        apiKey: formatApiKey(apiKey),
+        from,
+        to,
+        totals,
+        days: [...days.values()]
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching API key usage:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Validate create/update input, returning DB-ready values
+ */
+function validateApiKeyInput(body, { requireName }) {
+  const errors = [];
+  const values = {};
+
+  if (body.name !== undefined || requireName) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      errors.push({ field: 'name', message: 'name must be a non-empty string' });
+    } else {
+      values.name = body.name.trim();
+    }
+  }
+
+  if (body.role !== undefined) {
+    if (!API_KEY_ROLES.includes(body.role)) {
+      errors.push({ field: 'role', message: `role must be one of ${API_KEY_ROLES.join(', ')}` });
+    } else {
+      values.role = body.role;
+    }
+  }
+
+  // null goes back to the configured default
+  if (body.rateLimitPerMinute !== undefined) {
+    const limit = body.rateLimitPerMinute === null ? null : Number(body.rateLimitPerMinute);
+    if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+      errors.push({
+        field: 'rateLimitPerMinute',
+        message: 'rateLimitPerMinute must be a non-negative integer (0 = unlimited) or null'
+      });
+    } else {
+      values.rateLimitPerMinute = limit;
+    }
+  }
+
+  if (body.active !== undefined) {
+    values.active = !!body.active;
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Format API key for API response (the hash is never returned)
+ */
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    keyPrefix: apiKey.key_prefix,
+    role: apiKey.role,
+    rateLimitPerMinute: apiKey.rate_limit_per_minute,
+    active: apiKey.active,
+    createdAt: apiKey.created_at,
+    updatedAt: apiKey.updated_at,
+    lastUsedAt: apiKey.last_used_at
+  };
+}
+
+/**
+ * UTC day n days before today ('YYYY-MM-DD')
+ */
+function daysAgo(n) {
+  return new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+export default router;
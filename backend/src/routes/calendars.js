@@ -0,0 +1,271 @@
+/**
+ * 📡 Calendar Subscription API Routes
+ * Saved filter sets served as live webcal feeds
+ */
+
+import express from 'express';
+import { randomBytes, createHash } from 'crypto';
+import {
+  queryLaunches,
+  createCalendarSubscription,
+  getCalendarSubscription,
+  updateCalendarSubscription,
+  deleteCalendarSubscription,
+  touchCalendarSubscription
+} from '../db/database.js';
+import { generateCalendarFeed } from '../utils/icsGenerator.js';
+import { parseLaunchFilters, compactLaunchFilters, InvalidFilterError } from '../utils/launchFilters.js';
+import { SearchQueryError } from '../utils/searchQuery.js';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/calendars
+ * Create a subscription from a filter set
+ * Body: { name?, filters: { provider, country, ... } }
+ */
+router.post('/', (req, res) => {
+  try {
+    const { name, filters = {} } = req.body || {};
+
+    if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+      return res.status(400).json({
+        success: false,
+        error: 'filters must be an object'
+      });
+    }
+
+    const subscription = createCalendarSubscription({
+      token: randomBytes(18).toString('base64url'),
+      name,
+      filters: compactLaunchFilters(parseLaunchFilters(filters))
+    });
+
+    logger.info(`Created calendar subscription ${subscription.token}`);
+
+    res.status(201).json({
+      success: true,
+      data: formatSubscription(subscription, req)
+    });
+  } catch (error) {
+    if (error instanceof SearchQueryError || error instanceof InvalidFilterError) {
+      return res.status(400).json(error.toResponse());
+    }
+    logger.error('Error creating calendar subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/calendars/:token.ics
+ * Serve the live calendar feed for a subscription
+ */
+router.get('/:token.ics', (req, res) => {
+  try {
+    const subscription = getCalendarSubscription(req.params.token);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar subscription not found'
+      });
+    }
+
+    const { launches } = queryLaunches({
+      ...buildFeedFilters(subscription.filters),
+      limit: config.calendarFeedMaxEvents,
+      offset: 0,
+      sort: 'net',
+      order: 'asc',
+      includeTotal: false
+    });
+
+    touchCalendarSubscription(subscription.token);
+
+    const etag = computeFeedETag(subscription, launches);
+    const lastModified = getFeedLastModified(subscription, launches);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="rocket-launches-${subscription.token}.ics"`);
+    // The URL is the subscriber's secret, so only their own calendar app may keep a copy
+    res.setHeader('Cache-Control', `private, max-age=${config.calendarFeedCacheSeconds}`);
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+
+    res.send(generateCalendarFeed(launches, {
+      calName: subscription.name || 'Rocket Launches'
+    }));
+  } catch (error) {
+    logger.error('Error generating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/calendars/:token
+ * Get subscription details
+ */
+router.get('/:token', (req, res) => {
+  try {
+    const subscription = getCalendarSubscription(req.params.token);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatSubscription(subscription, req)
+    });
+  } catch (error) {
+    logger.error('Error fetching calendar subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/calendars/:token
+ * Change a subscription's name or filters (feed URL stays the same)
+ */
+router.put('/:token', (req, res) => {
+  try {
+    const { name, filters } = req.body || {};
+
+    if (filters !== undefined && (typeof filters !== 'object' || filters === null || Array.isArray(filters))) {
+      return res.status(400).json({
+        success: false,
+        error: 'filters must be an object'
+      });
+    }
+
+    if (!getCalendarSubscription(req.params.token)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar subscription not found'
+      });
+    }
+
+    const subscription = updateCalendarSubscription(req.params.token, {
+      name,
+      filters: filters === undefined ? undefined : compactLaunchFilters(parseLaunchFilters(filters))
+    });
+
+    res.json({
+      success: true,
+      data: formatSubscription(subscription, req)
+    });
+  } catch (error) {
+    if (error instanceof SearchQueryError || error instanceof InvalidFilterError) {
+      return res.status(400).json(error.toResponse());
+    }
+    logger.error('Error updating calendar subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/calendars/:token
+ * Remove a subscription
+ */
+router.delete('/:token', (req, res) => {
+  try {
+    if (!deleteCalendarSubscription(req.params.token)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar subscription not found'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting calendar subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Turn stored filters into feed query filters
+ * An "upcoming" feed keeps recently launched events for a while instead of
+ * dropping them the moment NET passes
+ */
+function buildFeedFilters(storedFilters) {
+  const filters = parseLaunchFilters(storedFilters);
+
+  if (!filters.from && !filters.past) {
+    const lookbackMs = config.calendarFeedLookbackDays * 24 * 60 * 60 * 1000;
+    filters.upcoming = false;
+    filters.from = new Date(Date.now() - lookbackMs).toISOString();
+  }
+
+  return filters;
+}
+
+/**
+ * ETag changes whenever the subscription or any launch in the feed changes
+ */
+function computeFeedETag(subscription, launches) {
+  const hash = createHash('sha1');
+  hash.update(`${subscription.updated_at}|${JSON.stringify(subscription.filters)}|${subscription.name}`);
+
+  for (const launch of launches) {
+    hash.update(`|${launch.id}:${launch.last_updated}:${launch.updated_at}`);
+  }
+
+  return `"${hash.digest('base64url')}"`;
+}
+
+function getFeedLastModified(subscription, launches) {
+  const timestamps = [subscription.updated_at, ...launches.map(launch => launch.updated_at)]
+    .filter(Boolean)
+    .map(value => new Date(`${value.replace(' ', 'T')}Z`).getTime())
+    .filter(time => !Number.isNaN(time));
+
+  return new Date(timestamps.length > 0 ? Math.max(...timestamps) : Date.now());
+}
+
+/**
+ * Format subscription for API response
+ */
+function formatSubscription(subscription, req) {
+  const host = req.get('host');
+  const protocol = req.get('x-forwarded-proto') || req.protocol;
+  const path = `${req.baseUrl}/${subscription.token}.ics`;
+
+  return {
+    token: subscription.token,
+    name: subscription.name,
+    filters: subscription.filters,
+    feedUrl: `${protocol}://${host}${path}`,
+    webcalUrl: `webcal://${host}${path}`,
+    accessCount: subscription.access_count,
+    lastAccessedAt: subscription.last_accessed_at,
+    createdAt: subscription.created_at,
+    updatedAt: subscription.updated_at
+  };
+}
+
+export default router;
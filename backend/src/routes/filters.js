@@ -4,6 +4,10 @@
 
 import express from 'express';
 import { getFilterOptions } from '../db/database.js';
+import { parseLaunchFilters, InvalidFilterError } from '../utils/launchFilters.js';
+import { SearchQueryError } from '../utils/searchQuery.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import { conditionalGet, getCachedResult } from '../services/responseCache.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -11,16 +15,21 @@ const router = express.Router();
 /**
  * GET /api/filters
  * Get available filter options for populating dropdowns
+ * Accepts the /api/launches filters; each facet's counts apply every filter but its own
  */
-router.get('/', (req, res) => {
+router.get('/', validateRequest('getFilterOptions'), conditionalGet(), (req, res) => {
   try {
-    const filters = getFilterOptions();
+    const filters = parseLaunchFilters(req.query);
+    const options = getCachedResult('filters', filters, () => getFilterOptions(filters), res.locals.dataVersion);
 
     res.json({
       success: true,
-      data: filters
+      data: options
     });
   } catch (error) {
+    if (error instanceof SearchQueryError || error instanceof InvalidFilterError) {
+      return res.status(400).json(error.toResponse());
+    }
     logger.error('Error fetching filter options:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,142 @@
+/**
+ * 🕸️ GraphQL Route
+ * POST (or GET for queries in the URL) /graphql with { query, variables, operationName }
+ */
+
+import express from 'express';
+import { parse, validate, execute, specifiedRules, GraphQLError, Kind } from 'graphql';
+import { schema } from '../graphql/schema.js';
+import { createLoaders } from '../graphql/loaders.js';
+import { SearchQueryError } from '../utils/searchQuery.js';
+import { InvalidFilterError } from '../utils/launchFilters.js';
+import { InvalidCursorError } from '../utils/launchCursor.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Deepest field nesting a query may use (launch -> provider -> recentLaunches -> pad -> ... )
+const MAX_QUERY_DEPTH = 8;
+
+/**
+ * GET|POST /graphql
+ * Responses follow the GraphQL-over-HTTP convention ({ data, errors }), not the REST envelope;
+ * queries that don't parse or validate get a 400
+ */
+router.all('/', async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ errors: [{ message: 'Use GET or POST' }] });
+  }
+
+  const params = req.method === 'POST' ? req.body || {} : req.query;
+  const { query, operationName } = params;
+
+  let variables = params.variables;
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch {
+      return res.status(400).json({ errors: [{ message: 'variables must be a JSON object' }] });
+    }
+  }
+
+  if (typeof query !== 'string' || !query.trim()) {
+    return res.status(400).json({ errors: [{ message: 'Missing query' }] });
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return res.status(400).json({ errors: [error.toJSON()] });
+  }
+
+  const validationErrors = validate(schema, document, [...specifiedRules, depthLimitRule(MAX_QUERY_DEPTH)]);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ errors: validationErrors.map(error => error.toJSON()) });
+  }
+
+  try {
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName,
+      contextValue: { loaders: createLoaders() }
+    });
+
+    if (result.errors) {
+      result.errors = result.errors.map(formatError);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error executing GraphQL query:', error);
+    res.status(500).json({ errors: [{ message: error.message }] });
+  }
+});
+
+/**
+ * Filter, search and cursor problems keep the REST field details and get a code
+ * clients can branch on; anything unexpected is logged
+ */
+function formatError(error) {
+  const original = error.originalError;
+
+  if (original instanceof SearchQueryError || original instanceof InvalidFilterError || original instanceof InvalidCursorError) {
+    const { details } = original.toResponse();
+    return {
+      ...error.toJSON(),
+      extensions: { code: 'BAD_USER_INPUT', details }
+    };
+  }
+
+  if (original && !(original instanceof GraphQLError)) {
+    logger.error('GraphQL resolver error:', original);
+  }
+
+  return error.toJSON();
+}
+
+/**
+ * Validation rule rejecting operations nested deeper than maxDepth fields
+ */
+function depthLimitRule(maxDepth) {
+  return context => {
+    const fragments = Object.fromEntries(
+      context.getDocument().definitions
+        .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+        .map(definition => [definition.name.value, definition])
+    );
+
+    const depthOf = (selectionSet, visited) => {
+      if (!selectionSet) return 0;
+
+      return Math.max(0, ...selectionSet.selections.map(selection => {
+        if (selection.kind === Kind.FIELD) {
+          return selection.name.value.startsWith('__') ? 0 : 1 + depthOf(selection.selectionSet, visited);
+        }
+        if (selection.kind === Kind.INLINE_FRAGMENT) {
+          return depthOf(selection.selectionSet, visited);
+        }
+        const name = selection.name.value;
+        if (visited.has(name) || !fragments[name]) return 0;
+        return depthOf(fragments[name].selectionSet, new Set([...visited, name]));
+      }));
+    };
+
+    return {
+      OperationDefinition(operation) {
+        const depth = depthOf(operation.selectionSet, new Set());
+        if (depth > maxDepth) {
+          context.reportError(new GraphQLError(
+            `Query is nested ${depth} levels deep, the limit is ${maxDepth}`,
+            { nodes: [operation] }
+          ));
+        }
+      }
+    };
+  };
+}
+
+export default router;
@@ -1,14 +1,26 @@
 /**
  * 🚀 Launch API Routes
+ * Query parameters are checked against the OpenAPI document (openapi/spec.js) before the handlers run
  */
 
 import express from 'express';
 import {
   queryLaunches,
   getLaunchById,
+  getLaunchHistory,
   getStats
 } from '../db/database.js';
 import { generateICS, generateBulkICS } from '../utils/icsGenerator.js';
+import { parseLaunchFilters, InvalidFilterError } from '../utils/launchFilters.js';
+import { SearchQueryError } from '../utils/searchQuery.js';
+import { decodeCursor, encodeCursor, InvalidCursorError } from '../utils/launchCursor.js';
+import { formatLaunchForAPI } from '../utils/launchFormatter.js';
+import { parseCoordinates } from '../utils/geo.js';
+import { estimateVisibility } from '../utils/visibility.js';
+import { subscribe } from '../services/launchStream.js';
+import { EXPORT_COLUMNS, streamLaunchExport } from '../services/launchExport.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import { conditionalGet, getCachedResult } from '../services/responseCache.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -16,70 +28,67 @@ const router = express.Router();
 /**
  * GET /api/launches
  * List launches with filtering, sorting, and pagination
+ * Pages by `offset`, or by `cursor` (nextCursor/prevCursor from a previous page);
+ * `includeTotal=false` skips the count, which is also the default in cursor mode
  */
-router.get('/', (req, res) => {
+router.get('/', validateRequest('listLaunches'), conditionalGet(), (req, res) => {
   try {
-    const {
-      upcoming,
-      past,
-      provider,
-      country,
-      state,
-      location,
-      rocket,
-      status,
-      from,
-      to,
-      dateFrom,
-      dateTo,
-      search,
-      limit,
-      offset,
-      sort,
-      order
-    } = req.query;
+    const { limit, offset, sort, order, cursor, includeTotal } = req.query;
+
+    const launchFilters = parseLaunchFilters(req.query);
 
     const filters = {
-      upcoming: upcoming === 'true',
-      past: past === 'true',
-      provider,
-      country,
-      state,
-      location,
-      rocket,
-      status,
-      from: dateFrom || from,
-      to: dateTo || to,
-      search,
-      limit: parseInt(limit) || 20,
-      offset: parseInt(offset) || 0,
-      sort: sort || 'net',
-      order: order || 'asc'
+      ...launchFilters,
+      limit: limit ? parseInt(limit) : 20,
+      offset: offset ? parseInt(offset) : 0,
+      // Left unset unless requested: searches then rank by relevance, and a cursor keeps its own
+      sort,
+      order,
+      cursor: cursor ? decodeCursor(cursor) : null,
+      includeTotal: includeTotal === undefined ? !cursor : includeTotal === 'true'
     };
 
-    // Validate limit
-    if (filters.limit > 100) {
-      filters.limit = 100;
-    }
+    const result = queryLaunches(filters);
+
+    // Transform launches to API format. With a near point, upcoming launches also
+    // carry their visibility estimate so lists don't need a request per launch
+    const now = new Date();
+    const formattedLaunches = result.launches.map(launch => {
+      const formatted = formatLaunchForAPI(launch);
+      if (filters.near && new Date(launch.net) > now) {
+        const { viewer, pad, net, ...estimate } = estimateVisibility(launch, filters.near);
+        formatted.visibility = estimate;
+      }
+      return formatted;
+    });
 
-    const { launches, total } = queryLaunches(filters);
+    const pagination = {
+      limit: filters.limit,
+      hasMore: result.hasMore,
+      hasPrevious: result.hasPrevious,
+      nextCursor: encodeCursor(result.nextCursor),
+      prevCursor: encodeCursor(result.prevCursor)
+    };
+
+    if (!filters.cursor) {
+      pagination.offset = filters.offset;
+    }
 
-    // Transform launches to API format
-    const formattedLaunches = launches.map(formatLaunchForAPI);
+    if (result.total !== null) {
+      pagination.total = result.total;
+    }
 
     res.json({
       success: true,
       data: {
         launches: formattedLaunches,
-        pagination: {
-          total,
-          limit: filters.limit,
-          offset: filters.offset,
-          hasMore: filters.offset + filters.limit < total
-        }
+        pagination
       }
     });
   } catch (error) {
+    if (error instanceof SearchQueryError || error instanceof InvalidFilterError || error instanceof InvalidCursorError) {
+      return res.status(400).json(error.toResponse());
+    }
     logger.error('Error fetching launches:', error);
     res.status(500).json({
       success: false,
@@ -90,17 +99,21 @@ router.get('/', (req, res) => {
 
 /**
  * GET /api/launches/stats
- * Get summary statistics
+ * Get summary statistics, scoped by the /api/launches filters
  */
-router.get('/stats', (req, res) => {
+router.get('/stats', validateRequest('getLaunchStats'), conditionalGet(), (req, res) => {
   try {
-    const stats = getStats();
+    const filters = parseLaunchFilters(req.query);
+    const stats = getCachedResult('stats', filters, () => getStats(filters), res.locals.dataVersion);
 
     res.json({
       success: true,
       data: stats
     });
   } catch (error) {
+    if (error instanceof SearchQueryError || error instanceof InvalidFilterError) {
+      return res.status(400).json(error.toResponse());
+    }
     logger.error('Error fetching stats:', error);
     res.status(500).json({
       success: false,
@@ -113,48 +126,19 @@ router.get('/stats', (req, res) => {
  * GET /api/launches/ics
  * Download ICS file for multiple filtered launches
  */
-router.get('/ics', (req, res) => {
+router.get('/ics', validateRequest('downloadLaunchesICS'), (req, res) => {
   try {
-    const {
-      upcoming,
-      past,
-      provider,
-      country,
-      state,
-      location,
-      rocket,
-      status,
-      from,
-      to,
-      dateFrom,
-      dateTo,
-      search,
-      maxEvents
-    } = req.query;
+    const { maxEvents } = req.query;
 
     const filters = {
-      upcoming: upcoming === 'true',
-      past: past === 'true',
-      provider,
-      country,
-      state,
-      location,
-      rocket,
-      status,
-      from: dateFrom || from,
-      to: dateTo || to,
-      search,
-      limit: parseInt(maxEvents) || 50,
+      ...parseLaunchFilters(req.query),
+      limit: maxEvents ? parseInt(maxEvents) : 50,
       offset: 0,
       sort: 'net',
-      order: 'asc'
+      order: 'asc',
+      includeTotal: false
     };
 
-    // Limit to 50 events max
-    if (filters.limit > 50) {
-      filters.limit = 50;
-    }
-
     const { launches } = queryLaunches(filters);
 
     if (launches.length === 0) {
@@ -170,6 +154,9 @@ router.get('/ics', (req, res) => {
     res.setHeader('Content-Disposition', 'attachment; filename="rocket-launches.ics"');
     res.send(icsContent);
   } catch (error) {
+    if (error instanceof SearchQueryError || error instanceof InvalidFilterError) {
+      return res.status(400).json(error.toResponse());
+    }
     logger.error('Error generating bulk ICS:', error);
     res.status(500).json({
       success: false,
@@ -178,11 +165,91 @@ router.get('/ics', (req, res) => {
   }
 });
 
+/**
+ * GET /api/launches/export
+ * Download every launch matching the /api/launches filters, without the 100-row page cap
+ * `format` (csv|ndjson|json, default csv), `columns` (comma-separated paths such as
+ * `name,net,rocket.name`), `sort`/`order` as for /api/launches and an optional `limit`
+ */
+router.get('/export', validateRequest('exportLaunches'), async (req, res) => {
+  try {
+    const { format = 'csv', columns, sort, order, limit } = req.query;
+    const errors = [];
+
+    // format and limit are checked against the OpenAPI document, columns against EXPORT_COLUMNS
+    const selectedColumns = columns
+      ? String(columns).split(',').map(column => column.trim()).filter(Boolean)
+      : null;
+    const unknownColumns = (selectedColumns || []).filter(column => !EXPORT_COLUMNS.includes(column));
+    if (unknownColumns.length > 0) {
+      errors.push({ field: 'columns', message: `Unknown columns: ${unknownColumns.join(', ')}` });
+    } else if (selectedColumns && selectedColumns.length === 0) {
+      errors.push({ field: 'columns', message: 'Pick at least one column, or leave columns out for all of them' });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid export options',
+        details: errors
+      });
+    }
+
+    const launchFilters = parseLaunchFilters(req.query);
+    const filters = {
+      ...launchFilters,
+      sort: sort || (launchFilters.search ? 'relevance' : 'net'),
+      order: order || 'asc'
+    };
+
+    await streamLaunchExport(res, filters, {
+      format,
+      columns: selectedColumns,
+      limit: limit ? parseInt(limit) : null
+    });
+  } catch (error) {
+    if (error instanceof SearchQueryError || error instanceof InvalidFilterError) {
+      return res.status(400).json(error.toResponse());
+    }
+    logger.error('Error exporting launches:', error);
+    // Once rows are streaming the status can't change, so cut the download short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/launches/stream
+ * Server-Sent Events stream of launch updates as syncs write them
+ * Accepts the /api/launches filters; upcoming/past are ignored so a launch
+ * that just lifted off still delivers its final status
+ */
+router.get('/stream', validateRequest('streamLaunches'), (req, res) => {
+  try {
+    const { upcoming, past, ...filters } = parseLaunchFilters(req.query);
+    subscribe(req, res, filters);
+  } catch (error) {
+    if (error instanceof SearchQueryError || error instanceof InvalidFilterError) {
+      return res.status(400).json(error.toResponse());
+    }
+    logger.error('Error opening launch stream:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/launches/:id
  * Get detailed information for a single launch
  */
-router.get('/:id', (req, res) => {
+router.get('/:id', conditionalGet({ scope: 'launch' }), (req, res) => {
   try {
     const { id } = req.params;
     const launch = getLaunchById(id);
@@ -207,11 +274,86 @@ router.get('/:id', (req, res) => {
   }
 });
 
+/**
+ * GET /api/launches/:id/history
+ * Get the change timeline for a launch (NET slips, status flips, ...)
+ */
+router.get('/:id/history', conditionalGet({ scope: 'launch' }), (req, res) => {
+  try {
+    const { id } = req.params;
+    const launch = getLaunchById(id);
+
+    if (!launch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Launch not found'
+      });
+    }
+
+    const entries = getLaunchHistory(id);
+
+    res.json({
+      success: true,
+      data: {
+        launchId: launch.id,
+        name: launch.name,
+        net: launch.net,
+        status: launch.status_abbrev,
+        summary: summarizeHistory(entries),
+        timeline: groupHistoryEntries(entries)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching launch history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/launches/:id/visibility?lat=&lon=
+ * Estimate whether the launch can be seen from a viewer location
+ * (lighting at NET, approximate ascent track, elevation above the viewer's horizon)
+ */
+router.get('/:id/visibility', validateRequest('getLaunchVisibility'), (req, res) => {
+  try {
+    const { id } = req.params;
+    const { lat, lon } = req.query;
+    const viewer = parseCoordinates({ latitude: lat, longitude: lon });
+
+    const launch = getLaunchById(id);
+
+    if (!launch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Launch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        launchId: launch.id,
+        name: launch.name,
+        ...estimateVisibility(launch, viewer)
+      }
+    });
+  } catch (error) {
+    logger.error('Error estimating launch visibility:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/launches/:id/ics
  * Download ICS calendar file for a single launch
  */
-router.get('/:id/ics', (req, res) => {
+router.get('/:id/ics', conditionalGet({ scope: 'launch' }), (req, res) => {
   try {
     const { id } = req.params;
     const launch = getLaunchById(id);
@@ -238,81 +380,52 @@ router.get('/:id/ics', (req, res) => {
 });
 
 /**
- * Format launch data for API response
- * Transforms flat database record to nested JSON structure
+ * Group history rows into revisions (one per sync update), newest first
  */
-function formatLaunchForAPI(launch) {
+function groupHistoryEntries(entries) {
+  const revisions = [];
+  const byKey = new Map();
+
+  for (const entry of entries) {
+    const key = `${entry.changed_at}|${entry.sync_id}|${entry.source_updated_at}`;
+
+    if (!byKey.has(key)) {
+      const revision = {
+        changedAt: entry.changed_at,
+        syncId: entry.sync_id,
+        sourceUpdatedAt: entry.source_updated_at,
+        changes: []
+      };
+      byKey.set(key, revision);
+      revisions.push(revision);
+    }
+
+    byKey.get(key).changes.push({
+      field: entry.field,
+      oldValue: entry.old_value,
+      newValue: entry.new_value
+    });
+  }
+
+  return revisions;
+}
+
+/**
+ * Answer "how many times has this slipped?" from history rows
+ */
+function summarizeHistory(entries) {
+  const netChanges = entries.filter(entry => entry.field === 'net');
+  const slips = netChanges.filter(entry =>
+    entry.old_value && entry.new_value && new Date(entry.new_value) > new Date(entry.old_value)
+  );
+  const statusChanges = entries.filter(entry => entry.field === 'status_abbrev');
+
   return {
-    id: launch.id,
-    name: launch.name,
-    slug: launch.slug,
-    status: {
-      id: launch.status_id,
-      name: launch.status_name,
-      abbrev: launch.status_abbrev,
-      description: launch.status_description
-    },
-    net: launch.net,
-    windowStart: launch.window_start,
-    windowEnd: launch.window_end,
-    rocket: {
-      id: launch.rocket_id,
-      name: launch.rocket_name,
-      family: launch.rocket_family,
-      variant: launch.rocket_variant,
-      fullName: launch.rocket_full_name
-    },
-    provider: {
-      id: launch.provider_id,
-      name: launch.provider_name,
-      abbrev: launch.provider_abbrev,
-      type: launch.provider_type,
-      countryCode: launch.provider_country_code
-    },
-    pad: {
-      id: launch.pad_id,
-      name: launch.pad_name,
-      wikiUrl: launch.pad_wiki_url,
-      mapUrl: launch.pad_map_url,
-      latitude: launch.pad_latitude,
-      longitude: launch.pad_longitude
-    },
-    location: {
-      id: launch.location_id,
-      name: launch.location_name,
-      countryCode: launch.location_country_code,
-      mapImage: launch.location_map_image,
-      timezone: launch.location_timezone
-    },
-    mission: {
-      id: launch.mission_id,
-      name: launch.mission_name,
-      description: launch.mission_description,
-      type: launch.mission_type,
-      orbit: {
-        id: launch.mission_orbit_id,
-        name: launch.mission_orbit_name,
-        abbrev: launch.mission_orbit_abbrev
-      }
-    },
-    spacecraft: {
-      id: launch.spacecraft_stage_id,
-      name: launch.spacecraft_name,
-      serialNumber: launch.spacecraft_serial_number,
-      status: launch.spacecraft_status,
-      description: launch.spacecraft_description,
-      destination: launch.spacecraft_destination,
-      payloadCount: launch.payload_count,
-      payloadTotalMassKg: launch.payload_total_mass_kg || launch.manual_payload_mass_kg || null,
-      payloadSource: launch.payload_total_mass_kg ? 'api' : (launch.manual_payload_mass_kg ? 'manual' : null)
-    },
-    imageUrl: launch.image_url,
-    infographicUrl: launch.infographic_url,
-    webcastLive: launch.webcast_live === 1,
-    slugUrl: launch.slug_url,
-    lastUpdated: launch.last_updated,
-    importedAt: launch.imported_at,
-    updatedAt: launch.updated_at
+    totalChanges: entries.length,
+    netChanges: netChanges.length,
+    netSlips: slips.length,
+    statusChanges: statusChanges.length,
+    firstRecordedNet: netChanges.length > 0 ? netChanges[netChanges.length - 1].old_value : null
   };
 }
 
@@ -0,0 +1,329 @@
+/**
+ * ⚖️ Manual Payload Administration Routes
+ * Curated payload masses for launches Launch Library 2 has none for, matched by
+ * SQL LIKE patterns on the launch name. Mounted behind requireApiKey({ role: 'admin' })
+ */
+
+import express from 'express';
+import {
+  listManualPayloads,
+  getManualPayload,
+  getManualPayloadByPattern,
+  createManualPayload,
+  updateManualPayload,
+  deleteManualPayload,
+  previewManualPayloadPattern
+} from '../db/database.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const MAX_PATTERN_LENGTH = 200;
+const MIN_PATTERN_LITERALS = 3;
+// Heavier than anything flown so far, low enough to catch grams typed as kilograms
+const MAX_PAYLOAD_MASS_KG = 200000;
+const MAX_PRIORITY = 1000;
+
+/**
+ * GET /api/admin/manual-payloads
+ * All entries in the order they are tried, with launch match counts
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listManualPayloads().map(formatManualPayload)
+    });
+  } catch (error) {
+    logger.error('Error listing manual payloads:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/manual-payloads/preview
+ * Launches a pattern would match and whether it would win them
+ * (?pattern=&priority=&excludeId= entry being edited&limit=)
+ */
+router.get('/preview', validateRequest('previewManualPayload'), (req, res) => {
+  try {
+    const { errors, values } = validateManualPayloadInput(
+      { missionPattern: req.query.pattern, priority: req.query.priority },
+      { requireAll: false }
+    );
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid manual payload',
+        details: errors
+      });
+    }
+
+    const priority = values.priority ?? 0;
+    const { launches, total, applied } = previewManualPayloadPattern({
+      pattern: values.missionPattern,
+      priority,
+      excludeId: req.query.excludeId ? parseInt(req.query.excludeId) : null,
+      limit: req.query.limit ? parseInt(req.query.limit) : 50
+    });
+
+    res.json({
+      success: true,
+      data: {
+        pattern: values.missionPattern,
+        priority,
+        total,
+        applied,
+        launches: launches.map(launch => ({
+          id: launch.id,
+          name: launch.name,
+          net: launch.net,
+          apiPayloadMassKg: launch.payload_total_mass_kg,
+          currentMatch: launch.current_id
+            ? { id: launch.current_id, missionPattern: launch.current_pattern, priority: launch.current_priority }
+            : null,
+          wouldApply: launch.would_apply
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error previewing manual payload pattern:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/manual-payloads
+ * Add an entry
+ * Body: { missionPattern, payloadMassKg, source?, notes?, priority? }
+ */
+router.post('/', (req, res) => {
+  try {
+    const { errors, values } = validateManualPayloadInput(req.body || {}, { requireAll: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid manual payload',
+        details: errors
+      });
+    }
+
+    const conflict = findPatternConflict(values.missionPattern);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+
+    const entry = createManualPayload(values);
+    logger.info(`Added manual payload #${entry.id} ${entry.mission_pattern} (${entry.payload_mass_kg} kg)`);
+
+    res.status(201).json({
+      success: true,
+      data: formatManualPayload(entry)
+    });
+  } catch (error) {
+    logger.error('Error creating manual payload:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/manual-payloads/:id
+ * One entry with launch match counts
+ */
+router.get('/:id', validateRequest('getManualPayload'), (req, res) => {
+  try {
+    const entry = getManualPayload(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Manual payload not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatManualPayload(entry)
+    });
+  } catch (error) {
+    logger.error('Error fetching manual payload:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/manual-payloads/:id
+ * Change pattern, mass, source, notes or priority
+ */
+router.patch('/:id', validateRequest('updateManualPayload'), (req, res) => {
+  try {
+    const entry = getManualPayload(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Manual payload not found'
+      });
+    }
+
+    const { errors, values } = validateManualPayloadInput(req.body || {}, { requireAll: false });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid manual payload',
+        details: errors
+      });
+    }
+
+    const conflict = values.missionPattern && findPatternConflict(values.missionPattern, entry.id);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+
+    res.json({
+      success: true,
+      data: formatManualPayload(updateManualPayload(entry.id, values))
+    });
+  } catch (error) {
+    logger.error('Error updating manual payload:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/manual-payloads/:id
+ * Remove an entry (its launches fall back to the next matching pattern, if any)
+ */
+router.delete('/:id', validateRequest('deleteManualPayload'), (req, res) => {
+  try {
+    if (!deleteManualPayload(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Manual payload not found'
+      });
+    }
+
+    logger.info(`Deleted manual payload #${req.params.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting manual payload:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Validate create/update input, returning DB-ready values
+ */
+function validateManualPayloadInput(body, { requireAll }) {
+  const errors = [];
+  const values = {};
+
+  if (body.missionPattern !== undefined || requireAll) {
+    const pattern = typeof body.missionPattern === 'string' ? body.missionPattern.trim() : null;
+    if (!pattern || pattern.length > MAX_PATTERN_LENGTH) {
+      errors.push({
+        field: 'missionPattern',
+        message: `missionPattern must be a SQL LIKE pattern of 1-${MAX_PATTERN_LENGTH} characters`
+      });
+    } else if (pattern.replace(/[%_]/g, '').length < MIN_PATTERN_LITERALS) {
+      // "%" or "%a%" would hand a mass to most of the launch table
+      errors.push({
+        field: 'missionPattern',
+        message: `missionPattern must contain at least ${MIN_PATTERN_LITERALS} characters besides the % and _ wildcards`
+      });
+    } else {
+      values.missionPattern = pattern;
+    }
+  }
+
+  if (body.payloadMassKg !== undefined || requireAll) {
+    const mass = Number(body.payloadMassKg);
+    if (body.payloadMassKg === null || !Number.isFinite(mass) || mass <= 0 || mass > MAX_PAYLOAD_MASS_KG) {
+      errors.push({
+        field: 'payloadMassKg',
+        message: `payloadMassKg must be a number above 0 and at most ${MAX_PAYLOAD_MASS_KG}`
+      });
+    } else {
+      values.payloadMassKg = mass;
+    }
+  }
+
+  for (const field of ['source', 'notes']) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && typeof body[field] !== 'string') {
+      errors.push({ field, message: `${field} must be a string or null` });
+    } else {
+      values[field] = body[field] === null ? null : body[field].trim() || null;
+    }
+  }
+
+  if (body.priority !== undefined) {
+    const priority = Number(body.priority);
+    if (body.priority === null || !Number.isInteger(priority) || Math.abs(priority) > MAX_PRIORITY) {
+      errors.push({
+        field: 'priority',
+        message: `priority must be an integer between -${MAX_PRIORITY} and ${MAX_PRIORITY}`
+      });
+    } else {
+      values.priority = priority;
+    }
+  }
+
+  return { errors, values };
+}
+
+/**
+ * 409 body when another entry already uses the pattern
+ */
+function findPatternConflict(pattern, ownId = null) {
+  const existing = getManualPayloadByPattern(pattern);
+  if (!existing || existing.id === ownId) return null;
+
+  return {
+    success: false,
+    error: 'Manual payload pattern already exists',
+    details: [{ field: 'missionPattern', message: `missionPattern is already used by entry #${existing.id}` }]
+  };
+}
+
+/**
+ * Format manual payload entry for API response
+ */
+function formatManualPayload(entry) {
+  return {
+    id: entry.id,
+    missionPattern: entry.mission_pattern,
+    payloadMassKg: entry.payload_mass_kg,
+    source: entry.source,
+    notes: entry.notes,
+    priority: entry.priority,
+    matchedLaunches: entry.matched_launches,
+    appliedLaunches: entry.applied_launches,
+    createdAt: entry.created_at,
+    updatedAt: entry.updated_at
+  };
+}
+
+export default router;
@@ -0,0 +1,43 @@
+/**
+ * 🛫 Launch Pad API Routes
+ */
+
+import express from 'express';
+import { getPadById } from '../db/database.js';
+import { formatPadForAPI, formatEntityDetailForAPI } from '../utils/entityFormatter.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/pads/:id
+ * Get a pad and its location with launch counts, recent launches and upcoming launches
+ * `limit` caps each launch list (default 20, max 100)
+ */
+router.get('/:id', validateRequest('getPad'), (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+    const detail = getPadById(Number(req.params.id), { limit });
+
+    if (!detail) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pad not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatEntityDetailForAPI(detail, 'pad', formatPadForAPI)
+    });
+  } catch (error) {
+    logger.error('Error fetching pad:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,64 @@
+/**
+ * 🏢 Launch Service Provider API Routes
+ */
+
+import express from 'express';
+import { listProviders, getProviderById } from '../db/database.js';
+import { formatProviderForAPI, formatEntityDetailForAPI } from '../utils/entityFormatter.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/providers
+ * List providers with their launch counts, busiest first
+ */
+router.get('/', (req, res) => {
+  try {
+    const providers = listProviders();
+
+    res.json({
+      success: true,
+      data: providers.map(formatProviderForAPI)
+    });
+  } catch (error) {
+    logger.error('Error fetching providers:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/providers/:id
+ * Get a provider with launch counts, recent launches and upcoming launches
+ * `limit` caps each launch list (default 20, max 100)
+ */
+router.get('/:id', validateRequest('getProvider'), (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+    const detail = getProviderById(Number(req.params.id), { limit });
+
+    if (!detail) {
+      return res.status(404).json({
+        success: false,
+        error: 'Provider not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatEntityDetailForAPI(detail, 'provider', formatProviderForAPI)
+    });
+  } catch (error) {
+    logger.error('Error fetching provider:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
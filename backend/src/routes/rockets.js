@@ -0,0 +1,76 @@
+/**
+ * 🚀 Rocket Configuration API Routes
+ */
+
+import express from 'express';
+import { getRocketConfigurationById, getRocketFamilyReliability } from '../db/database.js';
+import {
+  formatRocketForAPI,
+  formatRocketFamilyReliabilityForAPI,
+  formatEntityDetailForAPI
+} from '../utils/entityFormatter.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/rockets/:family/reliability
+ * Track record of a rocket family (e.g. "Falcon", "Long March 2"): launch counts,
+ * success rate, success streaks, per-configuration and per-year breakdowns
+ */
+router.get('/:family/reliability', (req, res) => {
+  try {
+    const reliability = getRocketFamilyReliability(req.params.family);
+
+    if (!reliability) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rocket family not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatRocketFamilyReliabilityForAPI(reliability)
+    });
+  } catch (error) {
+    logger.error('Error fetching rocket family reliability:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/rockets/:id
+ * Get a rocket configuration with launch counts, recent launches and upcoming launches
+ * `limit` caps each launch list (default 20, max 100)
+ */
+router.get('/:id', validateRequest('getRocket'), (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+    const detail = getRocketConfigurationById(Number(req.params.id), { limit });
+
+    if (!detail) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rocket not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatEntityDetailForAPI(detail, 'rocket', formatRocketForAPI)
+    });
+  } catch (error) {
+    logger.error('Error fetching rocket:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,49 @@
+/**
+ * 📈 Statistics API Routes
+ */
+
+import express from 'express';
+import { getLaunchTimeseries } from '../db/database.js';
+import { buildTimeseries } from '../services/launchStats.js';
+import { parseLaunchFilters, InvalidFilterError } from '../utils/launchFilters.js';
+import { SearchQueryError } from '../utils/searchQuery.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import { conditionalGet, getCachedResult } from '../services/responseCache.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/stats/timeseries
+ * Launch counts and success rates per year, month or week
+ * `interval` (year|month|week), optional `groupBy` (provider|country|rocketFamily|orbit|status)
+ * with `groups` (largest N kept, default 10, the rest become "Other"), plus the /api/launches filters
+ */
+router.get('/timeseries', validateRequest('getLaunchTimeseries'), conditionalGet(), (req, res) => {
+  try {
+    const { interval = 'year', groupBy, groups } = req.query;
+
+    const filters = parseLaunchFilters(req.query);
+    const groupLimit = groups ? parseInt(groups) : 10;
+
+    const options = { interval, groupBy: groupBy || null, groupLimit };
+    const timeseries = getCachedResult('timeseries', { filters, options }, () =>
+      buildTimeseries(getLaunchTimeseries(filters, options), options), res.locals.dataVersion);
+
+    res.json({
+      success: true,
+      data: timeseries
+    });
+  } catch (error) {
+    if (error instanceof SearchQueryError || error instanceof InvalidFilterError) {
+      return res.status(400).json(error.toResponse());
+    }
+    logger.error('Error computing launch timeseries:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
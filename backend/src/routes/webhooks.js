@@ -0,0 +1,370 @@
+/**
+ * 🪝 Webhook Subscription API Routes
+ * Mounted behind requireApiKey({ role: 'admin' })
+ */
+
+import express from 'express';
+import { randomBytes } from 'crypto';
+import {
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  createWebhookDelivery,
+  listWebhookDeliveries
+} from '../db/database.js';
+import { WEBHOOK_EVENTS, deliverWebhook } from '../services/webhooks.js';
+import { parseLaunchFilters, compactLaunchFilters, InvalidFilterError } from '../utils/launchFilters.js';
+import { SearchQueryError } from '../utils/searchQuery.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import { isNonPublicHostname } from '../utils/network.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const DEFAULT_NET_THRESHOLD_MINUTES = 60;
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions (secrets are never returned)
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listWebhooks().map(formatWebhook)
+    });
+  } catch (error) {
+    logger.error('Error listing webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Register an endpoint
+ * Body: { url, events?, filters?, netThresholdMinutes?, description? }
+ */
+router.post('/', (req, res) => {
+  try {
+    const { errors, values } = validateWebhookInput(req.body || {}, { requireUrl: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook',
+        details: errors
+      });
+    }
+
+    const secret = randomBytes(32).toString('hex');
+    const webhook = createWebhook({
+      events: WEBHOOK_EVENTS,
+      netThresholdMinutes: DEFAULT_NET_THRESHOLD_MINUTES,
+      ...values,
+      secret
+    });
+
+    logger.info(`Registered webhook #${webhook.id} -> ${webhook.url}`);
+
+    // The secret is only ever shown once, at creation
+    res.status(201).json({
+      success: true,
+      data: { ...formatWebhook(webhook), secret }
+    });
+  } catch (error) {
+    logger.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Get a webhook subscription
+ */
+router.get('/:id', validateRequest('getWebhook'), (req, res) => {
+  try {
+    const webhook = getWebhook(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatWebhook(webhook)
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Change url, events, filters, threshold or active flag
+ */
+router.patch('/:id', validateRequest('updateWebhook'), (req, res) => {
+  try {
+    if (!getWebhook(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const { errors, values } = validateWebhookInput(req.body || {}, { requireUrl: false });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook',
+        details: errors
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatWebhook(updateWebhook(req.params.id, values))
+    });
+  } catch (error) {
+    logger.error('Error updating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a webhook and its delivery log
+ */
+router.delete('/:id', validateRequest('deleteWebhook'), (req, res) => {
+  try {
+    if (!deleteWebhook(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log, newest first (?status=pending|sending|success|failed&limit=&offset=)
+ */
+router.get('/:id/deliveries', validateRequest('listWebhookDeliveries'), (req, res) => {
+  try {
+    if (!getWebhook(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+    const { deliveries, total } = listWebhookDeliveries(req.params.id, {
+      limit,
+      offset,
+      status: req.query.status
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(formatDelivery),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/ping
+ * Queue and send a test delivery (its retries continue in the background)
+ */
+router.post('/:id/ping', validateRequest('pingWebhook'), async (req, res) => {
+  try {
+    const webhook = getWebhook(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const deliveryId = createWebhookDelivery({
+      webhookId: webhook.id,
+      event: 'ping',
+      payload: JSON.stringify({
+        event: 'ping',
+        occurredAt: new Date().toISOString(),
+        webhookId: webhook.id
+      })
+    });
+
+    deliverWebhook(deliveryId).catch(error => {
+      logger.error('Webhook delivery error:', error.message);
+    });
+
+    res.status(202).json({
+      success: true,
+      data: { deliveryId }
+    });
+  } catch (error) {
+    logger.error('Error pinging webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Validate create/update input, returning DB-ready values
+ */
+function validateWebhookInput(body, { requireUrl }) {
+  const errors = [];
+  const values = {};
+
+  if (body.url !== undefined || requireUrl) {
+    let parsed = null;
+    try {
+      parsed = new URL(body.url);
+    } catch {
+      // handled below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      errors.push({ field: 'url', message: 'url must be an absolute http(s) URL' });
+    } else if (isNonPublicHostname(parsed.hostname)) {
+      errors.push({ field: 'url', message: 'url must not point at a loopback, private or link-local host' });
+    } else {
+      values.url = parsed.toString();
+    }
+  }
+
+  if (body.events !== undefined) {
+    const unknown = Array.isArray(body.events)
+      ? body.events.filter(event => !WEBHOOK_EVENTS.includes(event))
+      : null;
+    if (!unknown || unknown.length > 0 || body.events.length === 0) {
+      errors.push({
+        field: 'events',
+        message: `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`
+      });
+    } else {
+      values.events = body.events;
+    }
+  }
+
+  if (body.filters !== undefined) {
+    if (typeof body.filters !== 'object' || body.filters === null || Array.isArray(body.filters)) {
+      errors.push({ field: 'filters', message: 'filters must be an object' });
+    } else {
+      try {
+        values.filters = compactLaunchFilters(parseLaunchFilters(body.filters));
+      } catch (error) {
+        if (error instanceof SearchQueryError) {
+          errors.push(...error.details.map(detail => ({ ...detail, field: 'filters.q' })));
+        } else if (error instanceof InvalidFilterError) {
+          errors.push(...error.details.map(detail => ({ ...detail, field: `filters.${detail.field}` })));
+        } else {
+          throw error;
+        }
+      }
+    }
+  }
+
+  if (body.netThresholdMinutes !== undefined) {
+    const threshold = Number(body.netThresholdMinutes);
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      errors.push({ field: 'netThresholdMinutes', message: 'netThresholdMinutes must be a non-negative integer' });
+    } else {
+      values.netThresholdMinutes = threshold;
+    }
+  }
+
+  if (body.description !== undefined) {
+    values.description = body.description;
+  }
+
+  if (body.active !== undefined) {
+    values.active = !!body.active;
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Format webhook for API response
+ */
+function formatWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    description: webhook.description,
+    events: webhook.events,
+    filters: webhook.filters,
+    netThresholdMinutes: webhook.net_threshold_minutes,
+    active: webhook.active,
+    createdAt: webhook.created_at,
+    updatedAt: webhook.updated_at
+  };
+}
+
+/**
+ * Format delivery log entry for API response
+ */
+function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    launchId: delivery.launch_id,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.response_status,
+    errorMessage: delivery.error_message,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    createdAt: delivery.created_at,
+    deliveredAt: delivery.delivered_at,
+    payload: JSON.parse(delivery.payload)
+  };
+}
+
+export default router;
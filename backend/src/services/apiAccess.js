@@ -0,0 +1,210 @@
+/**
+ * 🔑 API keys, rate limiting and usage accounting
+ * - identifyClient() resolves the X-API-Key / Authorization: Bearer key, if any
+ * - rateLimit() gives every key (or anonymous IP) a token bucket and answers 429 when it is empty
+ * - requireApiKey() guards routes that need a key, or a key with a given role
+ * Usage is counted in memory per key, day and route and flushed to api_key_usage
+ * on a timer, so requests never wait on a write
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { getActiveApiKeyByHash, recordApiKeyUsage } from '../db/database.js';
+import { createRateLimiter } from './rateLimiter.js';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+
+export const API_KEY_ROLES = ['client', 'admin'];
+
+const KEY_PREFIX = 'rlt_';
+const KEY_PREFIX_LENGTH = 12;
+const BUCKET_PRUNE_MS = 60 * 1000;
+
+const limiter = createRateLimiter();
+const pendingUsage = new Map();
+
+setInterval(() => limiter.prune(), BUCKET_PRUNE_MS).unref();
+
+/**
+ * 🎲 Generate a new API key
+ * @returns {Object} - { key, keyPrefix, keyHash }: only keyPrefix and keyHash are stored
+ */
+export function generateApiKey() {
+  const key = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+  return { key, keyPrefix: key.slice(0, KEY_PREFIX_LENGTH), keyHash: hashApiKey(key) };
+}
+
+/**
+ * #️⃣ Hash a presented key for lookup
+ * Keys are random, so a plain SHA-256 is enough (no need for a slow password hash)
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * 🪪 Express middleware resolving the caller's API key into req.apiKey
+ * Requests without a key pass through anonymously, an unknown or revoked key is a 401
+ */
+export function identifyClient(req, res, next) {
+  const key = readPresentedKey(req);
+  if (!key) return next();
+
+  const apiKey = getActiveApiKeyByHash(hashApiKey(key));
+  if (!apiKey) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid API key'
+    });
+  }
+
+  req.apiKey = apiKey;
+  res.on('finish', () => countUsage(req, res));
+  next();
+}
+
+/**
+ * 🚦 Express middleware applying the caller's token bucket
+ * Keys use their own rate_limit_per_minute or RATE_LIMIT_PER_MINUTE, anonymous
+ * callers share RATE_LIMIT_ANONYMOUS_PER_MINUTE per IP. A limit of 0 disables limiting
+ */
+export function rateLimit(req, res, next) {
+  const perMinute = req.apiKey
+    ? req.apiKey.rate_limit_per_minute ?? config.rateLimitPerMinute
+    : config.rateLimitAnonymousPerMinute;
+
+  if (perMinute <= 0) return next();
+
+  const clientId = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+  const result = limiter.take(clientId, perMinute);
+
+  res.setHeader('RateLimit-Limit', result.limit);
+  res.setHeader('RateLimit-Remaining', result.remaining);
+  res.setHeader('RateLimit-Reset', result.resetSeconds);
+  res.setHeader('RateLimit-Policy', `${perMinute};w=60`);
+
+  if (!result.allowed) {
+    res.setHeader('Retry-After', result.retryAfterSeconds);
+    return res.status(429).json({
+      success: false,
+      error: 'Too many requests',
+      retryAfter: result.retryAfterSeconds
+    });
+  }
+
+  next();
+}
+
+/**
+ * 🔒 Middleware factory rejecting requests without a (suitable) API key
+ * Responses behind it are marked private so shared caches don't serve them to other callers
+ * @param {Object} options - { role: required role, admin keys pass any role check }
+ * @returns {Function} - Middleware
+ */
+export function requireApiKey({ role } = {}) {
+  return (req, res, next) => {
+    res.locals.apiKeyRequired = true;
+
+    if (!req.apiKey) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: 'API key required'
+      });
+    }
+
+    if (role && req.apiKey.role !== role && req.apiKey.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: `This endpoint requires an API key with the ${role} role`
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * 💾 Write buffered usage counts to the database
+ * Called on a timer, before usage reports and on shutdown
+ */
+export function flushApiKeyUsage() {
+  if (pendingUsage.size === 0) return;
+
+  const entries = [...pendingUsage.values()];
+  pendingUsage.clear();
+
+  try {
+    recordApiKeyUsage(entries);
+  } catch (error) {
+    logger.error('Failed to record API key usage:', error.message);
+  }
+}
+
+/**
+ * ⏱️ Start flushing usage counts every API_USAGE_FLUSH_MS
+ */
+export function startUsageFlush() {
+  setInterval(flushApiKeyUsage, config.apiUsageFlushMs).unref();
+}
+
+function readPresentedKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : null;
+}
+
+function countUsage(req, res) {
+  // Same "YYYY-MM-DD HH:MM:SS" UTC format as the CURRENT_TIMESTAMP columns
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+  const day = now.slice(0, 10);
+  const route = routeLabel(req);
+  const id = `${req.apiKey.id}|${day}|${route}`;
+
+  const entry = pendingUsage.get(id) || {
+    apiKeyId: req.apiKey.id,
+    day,
+    route,
+    requests: 0,
+    rateLimited: 0,
+    errors: 0
+  };
+
+  entry.requests++;
+  if (res.statusCode === 429) {
+    entry.rateLimited++;
+  } else if (res.statusCode >= 400) {
+    entry.errors++;
+  }
+  entry.lastUsedAt = now;
+
+  pendingUsage.set(id, entry);
+}
+
+/**
+ * Route pattern a request matched ('GET /api/launches/:id'). Requests that never
+ * reached a route (429s, 404s) are grouped by their first two path segments so
+ * IDs don't end up in the usage table
+ */
+function routeLabel(req) {
+  if (req.route) {
+    const path = req.route.path === '/' && req.baseUrl ? '' : req.route.path;
+    return `${req.method} ${req.baseUrl}${path}`;
+  }
+
+  const segments = req.originalUrl.split('?')[0].split('/');
+  return `${req.method} ${segments.slice(0, 3).join('/')}${segments.length > 3 ? '/*' : ''}`;
+}
+
+export default {
+  API_KEY_ROLES,
+  generateApiKey,
+  hashApiKey,
+  identifyClient,
+  rateLimit,
+  requireApiKey,
+  flushApiKeyUsage,
+  startUsageFlush
+};
@@ -0,0 +1,210 @@
+/**
+ * 📤 Launch Export
+ * Streams filtered launches as CSV, NDJSON or JSON for bulk download.
+ * Launches are read in keyset-paged batches, so exports aren't capped at one API page
+ * and memory use stays flat however many rows match
+ */
+
+import { queryLaunches } from '../db/database.js';
+import { formatLaunchForAPI } from '../utils/launchFormatter.js';
+
+// Launches read from the database per batch
+const BATCH_SIZE = 500;
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const FLIGHT_STATS_EXPORT_FIELDS = ['flightNumber', 'yearFlightNumber', 'successStreak', 'successes', 'completedFlights', 'successRate'];
+
+// Only filled in for free-text searches and `near` queries
+const SEARCH_COLUMNS = ['searchRank'];
+const DISTANCE_COLUMNS = ['distanceKm', 'bearing', 'direction'];
+
+/**
+ * Exportable columns: dotted paths into the formatLaunchForAPI shape
+ */
+export const EXPORT_COLUMNS = [
+  'id', 'name', 'slug',
+  'status.id', 'status.name', 'status.abbrev', 'status.description',
+  'net', 'windowStart', 'windowEnd',
+  'rocket.id', 'rocket.name', 'rocket.family', 'rocket.variant', 'rocket.fullName',
+  'provider.id', 'provider.name', 'provider.abbrev', 'provider.type', 'provider.countryCode',
+  'pad.id', 'pad.name', 'pad.wikiUrl', 'pad.mapUrl', 'pad.latitude', 'pad.longitude',
+  'location.id', 'location.name', 'location.countryCode', 'location.mapImage', 'location.timezone',
+  'mission.id', 'mission.name', 'mission.description', 'mission.type',
+  'mission.orbit.id', 'mission.orbit.name', 'mission.orbit.abbrev',
+  'spacecraft.id', 'spacecraft.name', 'spacecraft.serialNumber', 'spacecraft.status',
+  'spacecraft.description', 'spacecraft.destination', 'spacecraft.payloadCount',
+  'spacecraft.payloadTotalMassKg', 'spacecraft.payloadSource', 'payloads',
+  'imageUrl', 'infographicUrl', 'webcastLive', 'slugUrl',
+  'lastUpdated', 'importedAt', 'updatedAt',
+  ...['rocket', 'family', 'provider'].flatMap(scope =>
+    FLIGHT_STATS_EXPORT_FIELDS.map(field => `flightStats.${scope}.${field}`)
+  ),
+  'flightStats.milestones',
+  ...SEARCH_COLUMNS,
+  ...DISTANCE_COLUMNS
+];
+
+/**
+ * Columns exported when the caller doesn't pick any: everything that has a value for this query
+ * @param {Object} filters - Parsed launch filters
+ * @returns {string[]}
+ */
+export function defaultExportColumns(filters = {}) {
+  return EXPORT_COLUMNS.filter(column =>
+    (!SEARCH_COLUMNS.includes(column) || filters.search) &&
+    (!DISTANCE_COLUMNS.includes(column) || filters.near)
+  );
+}
+
+/**
+ * 📤 Stream an export of every launch matching the filters to an HTTP response
+ * The first batch is read before any header is written, so bad filters still
+ * reject with their usual errors (SearchQueryError, InvalidFilterError)
+ * @param {Object} res - Express response
+ * @param {Object} filters - Launch filters plus sort/order (see queryLaunches)
+ * @param {Object} options - { format: key of EXPORT_FORMATS, columns: string[]|null, limit: number|null }
+ *   Without columns, JSON and NDJSON carry full launch objects and CSV uses defaultExportColumns
+ * @returns {Promise<number>} - Launches written
+ */
+export async function streamLaunchExport(res, filters, { format = 'csv', columns = null, limit = null } = {}) {
+  const batches = launchBatches(filters);
+  let batch = batches.next();
+
+  const writer = createWriter(format, columns || (format === 'csv' ? defaultExportColumns(filters) : null));
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="rocket-launches.${EXPORT_FORMATS[format].extension}"`);
+
+  let written = 0;
+  await write(res, writer.start());
+
+  while (!batch.done && !res.destroyed) {
+    const launches = limit ? batch.value.slice(0, limit - written) : batch.value;
+    await write(res, launches.map(launch => writer.row(launch, written++)).join(''));
+
+    if (limit && written >= limit) break;
+    batch = batches.next();
+  }
+
+  res.end(writer.end());
+  return written;
+}
+
+/**
+ * Formatted launches, one keyset page at a time
+ */
+function* launchBatches(filters) {
+  let cursor = null;
+
+  do {
+    const result = queryLaunches({ ...filters, limit: BATCH_SIZE, offset: 0, cursor, includeTotal: false });
+    if (result.launches.length > 0) {
+      yield result.launches.map(formatLaunchForAPI);
+    }
+    cursor = result.hasMore ? result.nextCursor : null;
+  } while (cursor);
+}
+
+/**
+ * Serializer for one export format: start(), row(launch, index) and end() return text to write
+ */
+function createWriter(format, columns) {
+  if (format === 'csv') {
+    return {
+      start: () => `${columns.map(toCsvCell).join(',')}\r\n`,
+      row: launch => `${columns.map(column => toCsvCell(flattenValue(getPath(launch, column)))).join(',')}\r\n`,
+      end: () => ''
+    };
+  }
+
+  const select = launch => (columns ? pickColumns(launch, columns) : launch);
+
+  if (format === 'ndjson') {
+    return {
+      start: () => '',
+      row: launch => `${JSON.stringify(select(launch))}\n`,
+      end: () => ''
+    };
+  }
+
+  return {
+    start: () => '[',
+    row: (launch, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(select(launch))}`,
+    end: () => '\n]\n'
+  };
+}
+
+/**
+ * Write a chunk, waiting for the client to catch up when the socket buffer is full
+ */
+function write(res, chunk) {
+  if (!chunk || res.destroyed || res.write(chunk)) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? value : value[key]), object);
+}
+
+/**
+ * Nested object holding only the requested paths, for JSON and NDJSON
+ */
+function pickColumns(launch, columns) {
+  const picked = {};
+
+  for (const column of columns) {
+    const keys = column.split('.');
+    let target = picked;
+    for (const key of keys.slice(0, -1)) {
+      target[key] = target[key] || {};
+      target = target[key];
+    }
+    const value = getPath(launch, column);
+    target[keys[keys.length - 1]] = value === undefined ? null : value;
+  }
+
+  return picked;
+}
+
+// Lists (milestones, payloads) become "a; b" in a single cell
+function flattenValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => (item && typeof item === 'object' ? item.label ?? item.name : item)).join('; ');
+  }
+  return value;
+}
+
+/**
+ * CSV cell per RFC 4180. Text that a spreadsheet would run as a formula gets a leading quote
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  defaultExportColumns,
+  streamLaunchExport
+};
@@ -128,6 +128,9 @@ export function mapLaunchToDb(apiLaunch) {
     provider_abbrev: apiLaunch.launch_service_provider?.abbrev || null,
     provider_type: apiLaunch.launch_service_provider?.type || null,
     provider_country_code: apiLaunch.launch_service_provider?.country_code || null,
+    // Only stored on the providers table (not launch columns); absent outside detailed mode
+    provider_logo_url: apiLaunch.launch_service_provider?.logo_url || null,
+    provider_wiki_url: apiLaunch.launch_service_provider?.wiki_url || null,
 
     // Pad
     pad_id: apiLaunch.pad?.id || null,
@@ -143,6 +146,9 @@ export function mapLaunchToDb(apiLaunch) {
     location_country_code: apiLaunch.pad?.location?.country_code || null,
     location_map_image: apiLaunch.pad?.location?.map_image || null,
     location_timezone: apiLaunch.pad?.location?.timezone_name || null,
+    // Only stored on the locations table
+    location_latitude: apiLaunch.pad?.location?.latitude ?? null,
+    location_longitude: apiLaunch.pad?.location?.longitude ?? null,
 
     // Mission
     mission_id: apiLaunch.mission?.id || null,
@@ -160,8 +166,9 @@ export function mapLaunchToDb(apiLaunch) {
     spacecraft_status: apiLaunch.rocket?.spacecraft_stage?.spacecraft?.status?.name || null,
     spacecraft_description: apiLaunch.rocket?.spacecraft_stage?.spacecraft?.description || null,
     spacecraft_destination: apiLaunch.rocket?.spacecraft_stage?.destination || null,
-    payload_count: apiLaunch.rocket?.spacecraft_stage?.spacecraft_count || null,
-    payload_total_mass_kg: apiLaunch.rocket?.spacecraft_stage?.spacecraft?.spacecraft_config?.payload_capacity || null,
+    // Totals of the payload manifest, filled in by upsertLaunch (see mapLaunchPayloads)
+    payload_count: null,
+    payload_total_mass_kg: null,
 
     // Media
     image_url: apiLaunch.image || null,
@@ -176,6 +183,47 @@ export function mapLaunchToDb(apiLaunch) {
   };
 }
 
+/**
+ * 📦 Map the payloads of an API launch to payloads table rows
+ * 2.2.0 describes at most one spacecraft flight (capsules, crewed vehicles); later API
+ * versions return a list of them plus payload flights for everything else. The spacecraft
+ * config's payload_capacity is what the vehicle can carry, not what flew, so spacecraft
+ * rows have no mass
+ * @param {Object} apiLaunch - Launch object from API
+ * @returns {Array} - Rows for upsertLaunch's `payloads` option, in API order
+ */
+export function mapLaunchPayloads(apiLaunch) {
+  const customer = apiLaunch.mission?.agencies?.map(agency => agency.name).join(', ') || null;
+  const orbit = apiLaunch.mission?.orbit?.abbrev || null;
+
+  const spacecraftFlights = [apiLaunch.rocket?.spacecraft_stage].flat().filter(flight => flight?.spacecraft?.name);
+  const payloadFlights = (apiLaunch.rocket?.payloads || []).filter(flight => flight?.payload?.name);
+
+  return [
+    ...spacecraftFlights.map(({ spacecraft }) => ({
+      source_id: spacecraft.id ?? null,
+      name: spacecraft.name,
+      type: spacecraft.spacecraft_config?.type?.name || null,
+      customer,
+      operator: spacecraft.spacecraft_config?.agency?.name || null,
+      quantity: 1,
+      mass_kg: null,
+      orbit
+    })),
+    ...payloadFlights.map(({ payload, amount }) => ({
+      source_id: payload.id ?? null,
+      name: payload.name,
+      type: payload.type?.name || null,
+      customer,
+      operator: payload.operator?.name || null,
+      quantity: amount || 1,
+      // Payload mass is per unit
+      mass_kg: payload.mass ? payload.mass * (amount || 1) : null,
+      orbit
+    }))
+  ];
+}
+
 /**
  * ⏱️ Sleep utility for rate limiting
  * @param {number} ms - Milliseconds to sleep
@@ -202,6 +250,7 @@ export default {
   fetchLaunches,
   fetchLaunchById,
   mapLaunchToDb,
+  mapLaunchPayloads,
   sleep,
   getRateLimitInfo
 };
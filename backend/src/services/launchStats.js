@@ -0,0 +1,157 @@
+/**
+ * 📈 Launch Statistics
+ * Shapes per-period launch counts into chart- and report-friendly time series
+ */
+
+/**
+ * 📊 Build a time series from getLaunchTimeseries() rows
+ * Periods without launches are filled in so charts get an even axis.
+ * With a breakdown, the largest `groupLimit` groups are kept and the rest merged into "Other"
+ * @param {Array} rows - [{ period, group_key, group_label, total, successes, failures, partial_failures }]
+ * @param {Object} options - { interval, groupBy, groupLimit }
+ * @returns {Object} - { interval, groupBy, totals, groups, periods }
+ */
+export function buildTimeseries(rows, { interval = 'year', groupBy = null, groupLimit = 10 } = {}) {
+  const totals = emptyCounts();
+  const groupTotals = new Map();
+
+  for (const row of rows) {
+    addCounts(totals, row);
+    if (groupBy) {
+      const key = groupKey(row);
+      if (!groupTotals.has(key)) {
+        groupTotals.set(key, { key, label: row.group_label ?? 'Unknown', ...emptyCounts() });
+      }
+      addCounts(groupTotals.get(key), row);
+    }
+  }
+
+  // Biggest groups first; the tail is folded into one "Other" group
+  const rankedGroups = [...groupTotals.values()].sort((a, b) => b.total - a.total || a.label.localeCompare(b.label));
+  const keptKeys = new Set(rankedGroups.slice(0, groupLimit).map(group => group.key));
+  const groups = rankedGroups.slice(0, groupLimit);
+  if (rankedGroups.length > groupLimit) {
+    const other = { key: 'Other', label: 'Other', ...emptyCounts() };
+    for (const group of rankedGroups.slice(groupLimit)) {
+      addCounts(other, toRow(group));
+    }
+    groups.push(other);
+  }
+
+  const periods = new Map();
+  for (const period of fillPeriods(rows.map(row => row.period), interval)) {
+    periods.set(period, { period, ...emptyCounts(), ...(groupBy && { breakdown: new Map() }) });
+  }
+
+  for (const row of rows) {
+    const period = periods.get(row.period);
+    addCounts(period, row);
+
+    if (groupBy) {
+      const key = keptKeys.has(groupKey(row)) ? groupKey(row) : 'Other';
+      if (!period.breakdown.has(key)) {
+        period.breakdown.set(key, { key, ...emptyCounts() });
+      }
+      addCounts(period.breakdown.get(key), row);
+    }
+  }
+
+  return {
+    interval,
+    groupBy,
+    totals: withSuccessRate(totals),
+    groups: groups.map(withSuccessRate),
+    periods: [...periods.values()].map(period => ({
+      ...withSuccessRate(period),
+      ...(groupBy && { breakdown: [...period.breakdown.values()].map(withSuccessRate) })
+    }))
+  };
+}
+
+/**
+ * ✅ Success rate in percent over launches with a known outcome
+ * Partial failures count against the rate; null when no launch has an outcome yet
+ * @param {Object} counts - { successes, failures, partialFailures }
+ * @returns {number|null}
+ */
+export function successRate({ successes, failures, partialFailures }) {
+  const completed = successes + failures + partialFailures;
+  return completed > 0 ? Math.round((successes / completed) * 1000) / 10 : null;
+}
+
+function emptyCounts() {
+  return { total: 0, successes: 0, failures: 0, partialFailures: 0 };
+}
+
+function addCounts(target, row) {
+  target.total += row.total;
+  target.successes += row.successes || 0;
+  target.failures += row.failures || 0;
+  target.partialFailures += row.partial_failures || 0;
+}
+
+// Group counts back in row shape, for merging groups
+function toRow(counts) {
+  return {
+    total: counts.total,
+    successes: counts.successes,
+    failures: counts.failures,
+    partial_failures: counts.partialFailures
+  };
+}
+
+function groupKey(row) {
+  return row.group_key ?? 'Unknown';
+}
+
+function withSuccessRate(counts) {
+  const { breakdown, ...rest } = counts;
+  return { ...rest, successRate: successRate(rest) };
+}
+
+/**
+ * Every period between the first and last one seen, in order
+ */
+function fillPeriods(seen, interval) {
+  if (seen.length === 0) return [];
+
+  const sorted = [...new Set(seen)].sort();
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const periods = [];
+
+  if (interval === 'month') {
+    let [year, month] = first.split('-').map(Number);
+    for (let key = first; key <= last; key = formatMonth(year, month)) {
+      periods.push(key);
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+  } else if (interval === 'week') {
+    for (let date = new Date(`${first}T00:00:00Z`); toDateKey(date) <= last; date.setUTCDate(date.getUTCDate() + 7)) {
+      periods.push(toDateKey(date));
+    }
+  } else {
+    for (let year = Number(first); year <= Number(last); year++) {
+      periods.push(String(year));
+    }
+  }
+
+  return periods;
+}
+
+function formatMonth(year, month) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export default {
+  buildTimeseries,
+  successRate
+};
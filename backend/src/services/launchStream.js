@@ -0,0 +1,173 @@
+/**
+ * 📡 Live Launch Update Stream (Server-Sent Events)
+ * Syncs run as separate processes, so the API polls launches.updated_at once for
+ * all clients and fans the new rows out to each client whose filters they match
+ */
+
+import { getLaunchesUpdatedSince, getLatestLaunchCursor, filterLaunchIds } from '../db/database.js';
+import { formatLaunchForAPI } from '../utils/launchFormatter.js';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+
+// Rows read per poll; anything beyond goes out on the next poll
+const MAX_ROWS_PER_POLL = 200;
+
+const clients = new Set();
+let pollTimer = null;
+let heartbeatTimer = null;
+
+// Last row the shared poll has read; every client is caught up to here
+let streamCursor = null;
+
+/**
+ * ➕ Attach an SSE response to the stream
+ * Event IDs are "<updated_at>|<launch id>" so a reconnecting browser
+ * (Last-Event-ID) resumes exactly where it left off
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} filters - Launch filters for this client
+ */
+export function subscribe(req, res, filters) {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Tell nginx not to buffer this response
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  const client = {
+    res,
+    filters,
+    cursor: parseEventId(req.get('Last-Event-ID')) || getLatestLaunchCursor()
+  };
+
+  // Ask the browser to retry after 5s if the connection drops
+  res.write('retry: 5000\n\n');
+  res.write('event: ready\ndata: {}\n\n');
+
+  startPolling();
+
+  // A resuming browser gets what it missed up to the shared cursor on its own,
+  // after that it is served by the shared poll
+  try {
+    catchUp(client);
+  } catch (error) {
+    logger.error('Stream catch-up error:', error.message);
+  }
+
+  clients.add(client);
+  logger.debug(`Stream client connected (${clients.size} total)`);
+
+  req.on('close', () => {
+    clients.delete(client);
+    logger.debug(`Stream client disconnected (${clients.size} total)`);
+    if (clients.size === 0) stopPolling();
+  });
+}
+
+/**
+ * Number of connected stream clients
+ * @returns {number}
+ */
+export function getClientCount() {
+  return clients.size;
+}
+
+function startPolling() {
+  if (pollTimer) return;
+
+  streamCursor = getLatestLaunchCursor();
+  pollTimer = setInterval(poll, config.streamPollMs);
+  heartbeatTimer = setInterval(() => {
+    for (const client of clients) {
+      client.res.write(': keepalive\n\n');
+    }
+  }, config.streamHeartbeatMs);
+}
+
+function stopPolling() {
+  clearInterval(pollTimer);
+  clearInterval(heartbeatTimer);
+  pollTimer = null;
+  heartbeatTimer = null;
+  streamCursor = null;
+}
+
+/**
+ * Read rows written since the shared cursor and hand each client the ones it wants
+ */
+function poll() {
+  let rows;
+  try {
+    rows = getLaunchesUpdatedSince(streamCursor, {}, MAX_ROWS_PER_POLL);
+  } catch (error) {
+    logger.error('Stream poll error:', error.message);
+    return;
+  }
+  if (rows.length === 0) return;
+
+  const last = rows[rows.length - 1];
+  streamCursor = { updatedAt: last.updated_at, id: last.id };
+
+  // One filter query per distinct filter set, however many clients share it
+  const matchesByFilters = new Map();
+  const ids = rows.map(row => row.id);
+
+  for (const client of clients) {
+    try {
+      const key = JSON.stringify(client.filters);
+      if (!matchesByFilters.has(key)) {
+        matchesByFilters.set(key, filterLaunchIds(ids, client.filters));
+      }
+      const matching = matchesByFilters.get(key);
+      send(client, rows.filter(row => matching.has(row.id)));
+    } catch (error) {
+      logger.error('Stream poll error:', error.message);
+    }
+  }
+}
+
+/**
+ * Send a resuming client the matching rows between its cursor and the shared one
+ */
+function catchUp(client) {
+  while (compareCursors(client.cursor, streamCursor) < 0) {
+    const rows = getLaunchesUpdatedSince(client.cursor, client.filters, MAX_ROWS_PER_POLL)
+      .filter(row => compareCursors({ updatedAt: row.updated_at, id: row.id }, streamCursor) <= 0);
+    if (rows.length === 0) break;
+    send(client, rows);
+  }
+}
+
+/**
+ * Write rows to a client, skipping any it has already seen
+ */
+function send(client, rows) {
+  for (const row of rows) {
+    const cursor = { updatedAt: row.updated_at, id: row.id };
+    if (compareCursors(cursor, client.cursor) <= 0) continue;
+
+    client.cursor = cursor;
+    client.res.write(
+      `id: ${row.updated_at}|${row.id}\nevent: launch\ndata: ${JSON.stringify(formatLaunchForAPI(row))}\n\n`
+    );
+  }
+}
+
+// Same (updated_at, id) order as getLaunchesUpdatedSince
+function compareCursors(a, b) {
+  if (a.updatedAt !== b.updatedAt) return a.updatedAt < b.updatedAt ? -1 : 1;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? -1 : 1;
+}
+
+function parseEventId(eventId) {
+  if (!eventId || !eventId.includes('|')) return null;
+  const [updatedAt, id] = eventId.split('|');
+  return { updatedAt, id };
+}
+
+export default {
+  subscribe,
+  getClientCount
+};
@@ -0,0 +1,78 @@
+/**
+ * 🪣 Token bucket rate limiter
+ * Each client gets a bucket holding up to `perMinute` tokens that refills at
+ * `perMinute` tokens a minute, so short bursts are fine but the sustained rate is capped.
+ * Buckets live in memory, which holds because the API runs as a single process
+ * (PM2 fork mode, see deploy/ecosystem.config.js)
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Create a limiter with its own set of buckets
+ * @returns {Object} - { take(clientId, perMinute), prune(), size() }
+ */
+export function createRateLimiter() {
+  const buckets = new Map();
+
+  return {
+    /**
+     * 🎟️ Spend one token from a client's bucket
+     * @param {string} clientId - e.g. 'key:12' or 'ip:203.0.113.7'
+     * @param {number} perMinute - Bucket size and refill rate
+     * @param {number} now - Current time in ms (for tests)
+     * @returns {Object} - { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+     *   resetSeconds: until the bucket is full again, retryAfterSeconds: until the next token (0 when allowed)
+     */
+    take(clientId, perMinute, now = Date.now()) {
+      const refillPerMs = perMinute / MINUTE_MS;
+      let bucket = buckets.get(clientId);
+
+      if (!bucket) {
+        bucket = { tokens: perMinute, updatedAt: now };
+        buckets.set(clientId, bucket);
+      }
+
+      // A changed limit takes effect straight away
+      bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+      bucket.updatedAt = now;
+      bucket.fullAt = now + (perMinute - bucket.tokens) / refillPerMs;
+
+      const allowed = bucket.tokens >= 1;
+      if (allowed) {
+        bucket.tokens -= 1;
+        bucket.fullAt += 1 / refillPerMs;
+      }
+
+      return {
+        allowed,
+        limit: perMinute,
+        remaining: Math.floor(bucket.tokens),
+        resetSeconds: Math.ceil((bucket.fullAt - now) / 1000),
+        retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)
+      };
+    },
+
+    /**
+     * Forget buckets that have refilled completely (a new one would be identical)
+     * @param {number} now - Current time in ms
+     * @returns {number} - Buckets removed
+     */
+    prune(now = Date.now()) {
+      let removed = 0;
+      for (const [clientId, bucket] of buckets) {
+        if (bucket.fullAt <= now) {
+          buckets.delete(clientId);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    size: () => buckets.size
+  };
+}
+
+export default {
+  createRateLimiter
+};
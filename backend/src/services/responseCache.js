@@ -0,0 +1,161 @@
+/**
+ * 🗄️ Sync-aware response cache
+ * Launch data only changes when a sync writes it (syncs run as separate processes)
+ * or when a NET passes and a launch moves from upcoming to past. Both show up in
+ * getDataVersion(), which is read on every request instead of trusting a timer:
+ * - conditionalGet() turns it into ETag/Last-Modified validators and answers
+ *   matching If-None-Match/If-Modified-Since requests with a 304 before any query runs
+ * - getCachedResult() memoizes expensive results (filter facets, stats) until it moves on
+ */
+
+import { createHash } from 'crypto';
+import { getDataVersion, getLaunchVersion } from '../db/database.js';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+
+// A deploy can change response shapes without touching the data
+const SERVER_STARTED_AT = new Date();
+
+const cache = new Map();
+let cachedVersion = null;
+
+/**
+ * 🏷️ Current version of the launch data
+ * @returns {Object} - { tag, lastModified }: tag changes whenever responses may differ,
+ *   lastModified is the latest sync, launch write or passed NET
+ */
+export function readDataVersion() {
+  const version = getDataVersion();
+
+  return {
+    tag: [
+      version.sync_id, version.synced_at, version.launches_updated_at,
+      version.last_net_passed, version.next_net, version.year
+    ].join('|'),
+    lastModified: latestDate([version.synced_at, version.launches_updated_at, netPassedAt(version.last_net_passed)])
+  };
+}
+
+/**
+ * 🔁 Memoize a result until the launch data changes
+ * Entries are shared between requests, so callers must not mutate the result
+ * @param {string} namespace - What is cached, e.g. 'filters'
+ * @param {Object} params - Inputs the result depends on (parsed filters)
+ * @param {Function} compute - Produces the result on a miss
+ * @param {Object} version - readDataVersion() result, if the caller already has one
+ * @returns {*} - Cached or freshly computed result
+ */
+export function getCachedResult(namespace, params, compute, version = readDataVersion()) {
+  if (version.tag !== cachedVersion) {
+    if (cache.size > 0) {
+      logger.debug(`Launch data changed, dropping ${cache.size} cached results`);
+    }
+    cache.clear();
+    cachedVersion = version.tag;
+  }
+
+  const key = `${namespace}:${JSON.stringify(params)}`;
+  if (cache.has(key)) {
+    // Re-insert so the least recently used entry is first in line for eviction
+    const value = cache.get(key);
+    cache.delete(key);
+    cache.set(key, value);
+    return value;
+  }
+
+  const value = compute();
+  cache.set(key, value);
+  if (cache.size > config.responseCacheMaxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return value;
+}
+
+/**
+ * 🏁 Express middleware adding cache validators and answering conditional GETs
+ * 'data' scope validates against the whole launch table (lists, facets, stats);
+ * 'launch' scope against the launch in req.params.id. The data version is left in
+ * res.locals.dataVersion for getCachedResult()
+ * @param {Object} options - { scope: 'data'|'launch' }
+ * @returns {Function} - Middleware
+ */
+export function conditionalGet({ scope = 'data' } = {}) {
+  return (req, res, next) => {
+    let tag;
+    let lastModified;
+
+    if (scope === 'launch') {
+      const launch = getLaunchVersion(req.params.id);
+      // Let the route answer its 404
+      if (!launch) return next();
+      tag = `${launch.updated_at}|${launch.flight_stats_computed_at}`;
+      lastModified = latestDate([launch.updated_at, launch.flight_stats_computed_at]);
+    } else {
+      const version = readDataVersion();
+      res.locals.dataVersion = version;
+      tag = version.tag;
+      lastModified = version.lastModified;
+    }
+
+    const etag = createHash('sha1')
+      .update(`${SERVER_STARTED_AT.getTime()}|${tag}|${req.originalUrl}`)
+      .digest('base64url');
+
+    res.setHeader('ETag', `W/"${etag}"`);
+    res.setHeader('Last-Modified', latestDate([lastModified, SERVER_STARTED_AT]).toUTCString());
+    // Routes behind an API key must not be served from a shared cache to callers without one
+    const visibility = res.locals.apiKeyRequired ? 'private' : 'public';
+    res.setHeader('Cache-Control', config.apiCacheMaxAgeSeconds > 0
+      ? `${visibility}, max-age=${config.apiCacheMaxAgeSeconds}`
+      : `${visibility}, no-cache`);
+
+    // Errors shouldn't be cached under the validators of a good response
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode >= 400) {
+        res.removeHeader('ETag');
+        res.removeHeader('Last-Modified');
+        res.setHeader('Cache-Control', 'no-store');
+      }
+      return json(body);
+    };
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    next();
+  };
+}
+
+/**
+ * When a NET started counting as passed. The filters compare NETs as text against
+ * datetime('now') ("YYYY-MM-DD HH:MM:SS"), so an ISO NET only does so from the
+ * following midnight UTC
+ */
+function netPassedAt(net) {
+  if (!net) return null;
+  const nextMidnight = new Date(`${net.slice(0, 10)}T00:00:00Z`);
+  nextMidnight.setUTCDate(nextMidnight.getUTCDate() + 1);
+  return new Date(Math.min(nextMidnight.getTime(), Date.now()));
+}
+
+/**
+ * Latest of several timestamps (ISO strings, SQLite "YYYY-MM-DD HH:MM:SS" UTC strings or Dates)
+ */
+function latestDate(values) {
+  const times = values
+    .filter(Boolean)
+    .map(value => (value instanceof Date ? value : new Date(/([zZ]|[+-]\d{2}:?\d{2})$/.test(value) ? value : `${value.replace(' ', 'T')}Z`)))
+    .map(date => date.getTime())
+    .filter(time => !Number.isNaN(time));
+
+  return new Date(times.length > 0 ? Math.max(...times) : 0);
+}
+
+export default {
+  readDataVersion,
+  getCachedResult,
+  conditionalGet
+};
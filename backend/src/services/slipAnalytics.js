@@ -0,0 +1,213 @@
+/**
+ * 📉 NET Slip & Scrub Analytics
+ * Aggregates launch_history into reliability figures per provider, rocket family and pad
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A NET moved later this close to the old NET is counted as a scrub
+const SCRUB_WINDOW_MS = DAY_MS;
+
+// Statuses a launch falls back to when a Go is called off
+const SCRUB_STATUSES = new Set(['Hold', 'TBD', 'TBC']);
+
+// Statuses that mean the launch actually flew
+const FLOWN_STATUSES = new Set(['Success', 'Failure', 'Partial Failure', 'In Flight']);
+
+/**
+ * 📊 Compute slip analytics
+ * @param {Object} timelines - { launches, history } from getLaunchTimelines()
+ * @param {Object} options - Output options
+ * @param {number} options.limit - Number of most-slipped launches to list
+ * @returns {Object} - Overall metrics, per-group breakdowns and most-slipped launches
+ */
+export function computeSlipAnalytics({ launches, history }, { limit = 20 } = {}) {
+  const historyByLaunch = new Map();
+  for (const entry of history) {
+    if (!historyByLaunch.has(entry.launch_id)) {
+      historyByLaunch.set(entry.launch_id, []);
+    }
+    historyByLaunch.get(entry.launch_id).push(entry);
+  }
+
+  const perLaunch = launches.map(launch =>
+    analyzeLaunch(launch, historyByLaunch.get(launch.id) || [])
+  );
+
+  return {
+    overall: summarize(perLaunch),
+    byProvider: groupBy(perLaunch, item => item.launch.provider_name, item => ({
+      id: item.launch.provider_id,
+      name: item.launch.provider_name
+    })),
+    byRocketFamily: groupBy(perLaunch, item => item.launch.rocket_family, item => ({
+      name: item.launch.rocket_family
+    })),
+    byPad: groupBy(perLaunch, item => item.launch.pad_id, item => ({
+      id: item.launch.pad_id,
+      name: item.launch.pad_name,
+      location: item.launch.location_name
+    })),
+    mostSlipped: perLaunch
+      .filter(item => item.netChanges > 0)
+      .sort((a, b) => b.slipDays - a.slipDays || b.scrubs - a.scrubs)
+      .slice(0, limit)
+      .map(item => ({
+        id: item.launch.id,
+        name: item.launch.name,
+        net: item.launch.net,
+        status: item.launch.status_abbrev,
+        provider: item.launch.provider_name,
+        netChanges: item.netChanges,
+        slips: item.slips,
+        scrubs: item.scrubs,
+        slipDays: round(item.slipDays)
+      }))
+  };
+}
+
+/**
+ * Derive per-launch slip figures from its NET/status history
+ */
+function analyzeLaunch(launch, entries) {
+  const netEntries = entries.filter(entry => entry.field === 'net');
+
+  let slips = 0;
+  let scrubs = 0;
+
+  // A scrub usually shows up as a NET move and a Go -> Hold in the same sync,
+  // so count at most one per revision
+  for (const revision of groupRevisions(entries)) {
+    let scrubbed = false;
+
+    for (const entry of revision) {
+      if (entry.field === 'status_abbrev') {
+        if (entry.old_value === 'Go' && SCRUB_STATUSES.has(entry.new_value)) {
+          scrubbed = true;
+        }
+        continue;
+      }
+
+      const oldNet = parseTime(entry.old_value);
+      const newNet = parseTime(entry.new_value);
+      if (oldNet === null || newNet === null || newNet <= oldNet) continue;
+
+      slips++;
+
+      const changedAt = parseTime(entry.changed_at);
+      if (changedAt !== null && changedAt >= oldNet - SCRUB_WINDOW_MS) {
+        scrubbed = true;
+      }
+    }
+
+    if (scrubbed) scrubs++;
+  }
+
+  // Total movement from the first NET we ever recorded to the current one
+  const firstNet = netEntries.length > 0 ? parseTime(netEntries[0].old_value) : null;
+  const currentNet = parseTime(launch.net);
+  const slipDays = firstNet !== null && currentNet !== null ? (currentNet - firstNet) / DAY_MS : 0;
+
+  // How long before liftoff the final NET was set (only meaningful once flown)
+  let netHeldDays = null;
+  if (FLOWN_STATUSES.has(launch.status_abbrev) && currentNet !== null) {
+    const lastNetChange = netEntries[netEntries.length - 1];
+    const setAt = parseTime(lastNetChange ? lastNetChange.changed_at : launch.imported_at);
+    if (setAt !== null && setAt <= currentNet) {
+      netHeldDays = (currentNet - setAt) / DAY_MS;
+    }
+  }
+
+  return {
+    launch,
+    netChanges: netEntries.length,
+    slips,
+    scrubs,
+    slipDays,
+    netHeldDays
+  };
+}
+
+/**
+ * Split a launch's history rows into revisions (rows written by the same update)
+ */
+function groupRevisions(entries) {
+  const revisions = new Map();
+
+  for (const entry of entries) {
+    const key = `${entry.changed_at}|${entry.sync_id}`;
+    if (!revisions.has(key)) {
+      revisions.set(key, []);
+    }
+    revisions.get(key).push(entry);
+  }
+
+  return revisions.values();
+}
+
+/**
+ * Aggregate per-launch figures into one metrics object
+ */
+function summarize(items) {
+  const slipped = items.filter(item => item.slipDays > 0);
+  const held = items.map(item => item.netHeldDays).filter(days => days !== null);
+  const scrubs = items.reduce((sum, item) => sum + item.scrubs, 0);
+
+  return {
+    launches: items.length,
+    launchesWithNetChanges: items.filter(item => item.netChanges > 0).length,
+    netChanges: items.reduce((sum, item) => sum + item.netChanges, 0),
+    slips: items.reduce((sum, item) => sum + item.slips, 0),
+    scrubs,
+    avgScrubsPerLaunch: items.length > 0 ? round(scrubs / items.length) : null,
+    avgSlipDays: items.length > 0 ? round(mean(items.map(item => item.slipDays))) : null,
+    avgSlipDaysWhenSlipped: slipped.length > 0 ? round(mean(slipped.map(item => item.slipDays))) : null,
+    maxSlipDays: slipped.length > 0 ? round(Math.max(...slipped.map(item => item.slipDays))) : null,
+    avgNetHeldDays: held.length > 0 ? round(mean(held)) : null,
+    medianNetHeldDays: held.length > 0 ? round(median(held)) : null
+  };
+}
+
+function groupBy(items, keyFn, describeFn) {
+  const groups = new Map();
+
+  for (const item of items) {
+    const key = keyFn(item);
+    if (key === null || key === undefined) continue;
+
+    if (!groups.has(key)) {
+      groups.set(key, { ...describeFn(item), items: [] });
+    }
+    groups.get(key).items.push(item);
+  }
+
+  return Array.from(groups.values())
+    .map(({ items: groupItems, ...description }) => ({ ...description, ...summarize(groupItems) }))
+    .sort((a, b) => b.launches - a.launches);
+}
+
+function parseTime(value) {
+  if (!value) return null;
+  // SQLite CURRENT_TIMESTAMP values are UTC without a timezone marker
+  const normalized = /(Z|[+-]\d{2}:?\d{2})$/i.test(value) ? value : `${value.replace(' ', 'T')}Z`;
+  const time = new Date(normalized).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  computeSlipAnalytics
+};
@@ -5,7 +5,8 @@ const SPACEX_API_VERSION = 'v5';
 
 /**
  * 🚀 Fetch all SpaceX launches with payload data
- * @returns {Promise<Array>} - Array of launches with payload details
+ * @returns {Promise<Array>} - Array of launches with payload details (totalMassKg is 0 when
+ *   no payload mass is published)
  */
 export async function fetchSpaceXLaunches() {
   try {
@@ -48,7 +49,7 @@ export async function fetchSpaceXLaunches() {
         return sum + (payload.mass_kg || 0);
       }, 0);
 
-      if (totalMassKg > 0) {
+      if (validPayloads.length > 0) {
         launchesWithPayloads.push({
           name: launch.name,
           date: launch.date_utc,
@@ -59,7 +60,7 @@ export async function fetchSpaceXLaunches() {
       }
     }
 
-    logger.info(`✅ Found ${launchesWithPayloads.length} SpaceX launches with payload mass data`);
+    logger.info(`✅ Found ${launchesWithPayloads.length} SpaceX launches with payload data`);
     return launchesWithPayloads;
 
   } catch (error) {
@@ -68,6 +69,27 @@ export async function fetchSpaceXLaunches() {
   }
 }
 
+/**
+ * 📦 Map the payloads of a SpaceX launch to payloads table rows
+ * @param {Object} spacexLaunch - Launch from fetchSpaceXLaunches
+ * @returns {Array} - Rows for replaceLaunchPayloads
+ */
+export function mapSpaceXPayloads(spacexLaunch) {
+  return spacexLaunch.payloads.map(payload => ({
+    source_id: payload.id,
+    name: payload.name,
+    type: payload.type || null,
+    customer: payload.customers?.join(', ') || null,
+    operator: null,
+    // One catalog number per object put in orbit, so a Starlink batch counts its satellites
+    quantity: Math.max(payload.norad_ids?.length || 0, 1),
+    mass_kg: payload.mass_kg ?? null,
+    orbit: payload.orbit || null,
+    norad_ids: payload.norad_ids || [],
+    cospar_id: null
+  }));
+}
+
 /**
  * 🔍 Match SpaceX launch name with Launch Library launch name
  * SpaceX uses different naming conventions, so we need fuzzy matching
@@ -0,0 +1,255 @@
+/**
+ * 🛰️ Background Sync Runner
+ * Runs the sync scripts as child processes on behalf of the admin API, exactly as
+ * cron would, so a crashing or cancelled sync never takes the API down with it.
+ * The scripts report their sync_log ID and counts over IPC (utils/syncProgress.js);
+ * their output is kept as a short log tail. One run at a time, tracked in memory,
+ * which holds because the API is a single process (PM2 fork mode)
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { getSyncLog, updateSyncLog } from '../db/database.js';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const BACKEND_DIR = join(__dirname, '../..');
+
+export const SYNC_SCRIPTS = {
+  incremental: 'scripts/dailySync.js',
+  full: 'scripts/initialLoad.js',
+  spacex: 'scripts/syncSpaceXPayloads.js'
+};
+
+export const SYNC_TYPES = Object.keys(SYNC_SCRIPTS);
+
+const LOG_TAIL_LINES = 100;
+
+let current = null;
+const listeners = new Set();
+
+export class SyncConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SyncConflictError';
+  }
+
+  /**
+   * Body for a 409 response
+   */
+  toResponse() {
+    return {
+      success: false,
+      error: this.message
+    };
+  }
+}
+
+/**
+ * ▶️ Start a sync in the background
+ * @param {string} type - One of SYNC_TYPES
+ * @param {Object} options - { startedBy: name of the API key that asked }
+ * @returns {Object} - getCurrentSync() snapshot
+ * @throws {SyncConflictError} - When a sync is already running
+ */
+export function startSync(type, { startedBy = null } = {}) {
+  if (current) {
+    throw new SyncConflictError(`A sync is already running (${current.type})`);
+  }
+
+  const run = {
+    type,
+    child: null,
+    syncId: null,
+    startedAt: new Date().toISOString(),
+    startedBy,
+    cancelledBy: null,
+    resumedFromOffset: null,
+    progress: {},
+    log: []
+  };
+
+  run.child = Bun.spawn([process.execPath, SYNC_SCRIPTS[type]], {
+    cwd: BACKEND_DIR,
+    env: process.env,
+    stdout: 'pipe',
+    stderr: 'pipe',
+    ipc: message => handleMessage(run, message)
+  });
+  current = run;
+
+  logger.sync(`Started ${type} sync (pid ${run.child.pid})${startedBy ? ` for ${startedBy}` : ''}`);
+  emit('started', snapshot(run));
+
+  readLines(run.child.stdout, line => appendLog(run, line));
+  readLines(run.child.stderr, line => appendLog(run, line));
+  run.child.exited.then(exitCode => finish(run, exitCode));
+
+  return snapshot(run);
+}
+
+/**
+ * ⏹️ Stop the running sync
+ * The sync_log row is marked cancelled once the process has exited; a cancelled
+ * full load resumes from its last page the next time one is started
+ * @param {Object} options - { cancelledBy: name of the API key that asked }
+ * @returns {Object} - getCurrentSync() snapshot
+ * @throws {SyncConflictError} - When nothing is running
+ */
+export function cancelSync({ cancelledBy = null } = {}) {
+  if (!current) {
+    throw new SyncConflictError('No sync is running');
+  }
+
+  current.cancelledBy = cancelledBy || 'unknown';
+  current.child.kill('SIGTERM');
+  logger.sync(`Cancelling ${current.type} sync${cancelledBy ? ` for ${cancelledBy}` : ''}`);
+
+  return snapshot(current);
+}
+
+/**
+ * 🧹 Stop the running sync when the API itself shuts down
+ * Runs synchronously: the exit handler never gets to mark the row
+ */
+export function stopSyncOnShutdown() {
+  if (!current) return;
+
+  current.child.kill('SIGTERM');
+  if (current.syncId) {
+    markInterrupted(current.syncId, 'cancelled', 'API server shut down during the sync');
+  }
+}
+
+/**
+ * 📊 The running sync, or null when idle
+ * @returns {Object|null} - { type, syncId, pid, startedAt, startedBy, cancelling, resumedFromOffset, progress, log }
+ */
+export function getCurrentSync() {
+  return current ? snapshot(current) : null;
+}
+
+/**
+ * 👂 Listen for sync events: started (process spawned), progress (sync_log ID
+ * known, counts after each page), log (a line of output) and finished
+ * @param {Function} listener - (event, data) => void
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToSync(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function handleMessage(run, message) {
+  if (message.type === 'started') {
+    run.syncId = message.syncId;
+    run.resumedFromOffset = message.resumedFromOffset ?? null;
+  } else if (message.type === 'progress') {
+    const { type, ...progress } = message;
+    run.progress = progress;
+  } else {
+    return;
+  }
+
+  emit('progress', {
+    syncId: run.syncId,
+    resumedFromOffset: run.resumedFromOffset,
+    ...run.progress
+  });
+}
+
+function appendLog(run, line) {
+  if (!line.trim()) return;
+
+  run.log.push(line);
+  if (run.log.length > LOG_TAIL_LINES) {
+    run.log.shift();
+  }
+  emit('log', { syncId: run.syncId, line });
+}
+
+function finish(run, exitCode) {
+  current = null;
+
+  // Scripts record their own outcome; a killed or crashed one leaves the row running
+  if (run.syncId) {
+    if (run.cancelledBy) {
+      markInterrupted(run.syncId, 'cancelled', `Cancelled by ${run.cancelledBy}`);
+    } else if (exitCode !== 0) {
+      markInterrupted(run.syncId, 'failed', `Sync process exited with code ${exitCode}`);
+    }
+  }
+
+  const row = run.syncId ? getSyncLog(run.syncId) : null;
+  const status = row?.status || (run.cancelledBy ? 'cancelled' : 'failed');
+
+  logger.sync(`${run.type} sync ${run.syncId ? `#${run.syncId} ` : ''}finished: ${status} (exit code ${exitCode})`);
+  emit('finished', { ...snapshot(run), status, exitCode });
+}
+
+function markInterrupted(syncId, status, message) {
+  try {
+    const row = getSyncLog(syncId);
+    if (row && row.status === 'running') {
+      updateSyncLog(syncId, {
+        status,
+        completed_at: new Date().toISOString(),
+        error_message: message
+      });
+    }
+  } catch (error) {
+    logger.error(`Failed to update sync log #${syncId}:`, error.message);
+  }
+}
+
+function snapshot(run) {
+  return {
+    type: run.type,
+    syncId: run.syncId,
+    pid: run.child.pid,
+    startedAt: run.startedAt,
+    startedBy: run.startedBy,
+    cancelling: run.cancelledBy !== null,
+    resumedFromOffset: run.resumedFromOffset,
+    progress: run.progress,
+    log: [...run.log]
+  };
+}
+
+function emit(event, data) {
+  for (const listener of listeners) {
+    try {
+      listener(event, data);
+    } catch (error) {
+      logger.error('Sync listener error:', error.message);
+    }
+  }
+}
+
+/**
+ * Call onLine for every line a child process writes
+ */
+async function readLines(stream, onLine) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(onLine);
+  }
+
+  if (buffer) onLine(buffer);
+}
+
+export default {
+  SYNC_SCRIPTS,
+  SYNC_TYPES,
+  startSync,
+  cancelSync,
+  stopSyncOnShutdown,
+  getCurrentSync,
+  subscribeToSync
+};
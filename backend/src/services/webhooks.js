@@ -0,0 +1,292 @@
+/**
+ * 🪝 Outbound Webhooks
+ * Detects launch events during syncs, queues signed deliveries and retries with backoff
+ */
+
+import { createHmac } from 'crypto';
+import {
+  getLaunchById,
+  listWebhooks,
+  launchMatchesFilters,
+  createWebhookDelivery,
+  claimNextWebhookDelivery,
+  updateWebhookDelivery
+} from '../db/database.js';
+import { formatLaunchForAPI } from '../utils/launchFormatter.js';
+import { resolvesToNonPublicAddress } from '../utils/network.js';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+
+// How long a claimed delivery stays reserved: the request timeout plus room for DNS
+// and bookkeeping. After that another process may assume the sender died and retry
+const CLAIM_LEASE_SECONDS = Math.ceil(config.webhookTimeoutMs / 1000) + 60;
+
+export const WEBHOOK_EVENTS = [
+  'launch.created',
+  'launch.status_changed',
+  'launch.net_changed',
+  'launch.webcast_live'
+];
+
+/**
+ * 🔎 Work out which webhook events an upsert produced
+ * @param {Object} upsertResult - Return value of upsertLaunch ({ isNew, fieldChanges })
+ * @returns {Array} - [{ event, changes, netDeltaMinutes? }]
+ */
+export function detectLaunchEvents({ isNew, fieldChanges }) {
+  if (isNew) {
+    return [{ event: 'launch.created', changes: [] }];
+  }
+
+  const events = [];
+  const byField = new Map(fieldChanges.map(change => [change.field, change]));
+
+  const statusChange = byField.get('status_abbrev');
+  if (statusChange) {
+    const nameChange = byField.get('status_name');
+    events.push({
+      event: 'launch.status_changed',
+      changes: nameChange ? [statusChange, nameChange] : [statusChange]
+    });
+  }
+
+  const netChange = byField.get('net');
+  if (netChange && netChange.oldValue && netChange.newValue) {
+    const deltaMs = new Date(netChange.newValue) - new Date(netChange.oldValue);
+    if (!Number.isNaN(deltaMs)) {
+      events.push({
+        event: 'launch.net_changed',
+        changes: [netChange],
+        netDeltaMinutes: Math.round(deltaMs / 60000)
+      });
+    }
+  }
+
+  const webcastChange = byField.get('webcast_live');
+  if (webcastChange && webcastChange.newValue === '1') {
+    events.push({ event: 'launch.webcast_live', changes: [webcastChange] });
+  }
+
+  return events;
+}
+
+/**
+ * 📨 Queue deliveries for every active webhook interested in a launch's events
+ * @param {Object} launchData - Launch data that was upserted (mapLaunchToDb shape)
+ * @param {Object} upsertResult - Return value of upsertLaunch
+ * @param {Array} webhooks - Active webhooks (fetch once per sync with getActiveWebhooks())
+ * @returns {number} - Number of deliveries queued
+ */
+export function queueLaunchEvents(launchData, upsertResult, webhooks) {
+  const events = detectLaunchEvents(upsertResult);
+  if (events.length === 0 || webhooks.length === 0) return 0;
+
+  // Re-read so the payload carries the stored row (timestamps, manual payload mass)
+  const launch = getLaunchById(launchData.id) || launchData;
+
+  let queued = 0;
+
+  for (const webhook of webhooks) {
+    const wanted = events.filter(({ event, netDeltaMinutes }) => {
+      if (!webhook.events.includes(event)) return false;
+      if (event === 'launch.net_changed') {
+        return Math.abs(netDeltaMinutes) >= (webhook.net_threshold_minutes || 0);
+      }
+      return true;
+    });
+
+    if (wanted.length === 0 || !launchMatchesFilters(launch.id, webhook.filters)) continue;
+
+    for (const { event, changes, netDeltaMinutes } of wanted) {
+      const deliveryPayload = {
+        event,
+        occurredAt: new Date().toISOString(),
+        webhookId: webhook.id,
+        changes: changes.map(change => ({
+          field: change.field,
+          oldValue: change.oldValue,
+          newValue: change.newValue
+        })),
+        launch: formatLaunchForAPI(launch)
+      };
+
+      if (netDeltaMinutes !== undefined) {
+        deliveryPayload.netDeltaMinutes = netDeltaMinutes;
+      }
+
+      createWebhookDelivery({
+        webhookId: webhook.id,
+        event,
+        launchId: launch.id,
+        payload: JSON.stringify(deliveryPayload)
+      });
+      queued++;
+    }
+  }
+
+  return queued;
+}
+
+/**
+ * ✍️ Sign a payload
+ * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Value for X-Webhook-Signature
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * 🚚 POST a single delivery and record the outcome
+ * @param {Object} delivery - Row from claimNextWebhookDelivery()
+ * @returns {Promise<boolean>} - True if delivered
+ */
+export async function attemptDelivery(delivery) {
+  const attempts = delivery.attempts + 1;
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  try {
+    // Re-checked at send time: the hostname may have been re-pointed since it was registered
+    if (await resolvesToNonPublicAddress(new URL(delivery.url).hostname)) {
+      recordFailure(delivery, attempts, null, 'URL resolves to a loopback, private or link-local address');
+      return false;
+    }
+
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'RocketLaunchFinder-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      // A redirect could lead anywhere, including internal hosts
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.webhookTimeoutMs)
+    });
+
+    if (response.ok) {
+      updateWebhookDelivery(delivery.id, {
+        status: 'success',
+        attempts,
+        responseStatus: response.status
+      });
+      return true;
+    }
+
+    recordFailure(delivery, attempts, response.status, `HTTP ${response.status} ${response.statusText}`);
+  } catch (error) {
+    recordFailure(delivery, attempts, null, error.message);
+  }
+
+  return false;
+}
+
+function recordFailure(delivery, attempts, responseStatus, errorMessage) {
+  const exhausted = attempts >= config.webhookMaxAttempts;
+  // Exponential backoff: base, 2x base, 4x base, ...
+  const retryInSeconds = config.webhookRetryBaseSeconds * 2 ** (attempts - 1);
+
+  updateWebhookDelivery(delivery.id, {
+    status: exhausted ? 'failed' : 'pending',
+    attempts,
+    responseStatus,
+    errorMessage,
+    retryInSeconds: exhausted ? 0 : retryInSeconds
+  });
+
+  logger.warn(
+    `Webhook delivery #${delivery.id} to ${delivery.url} failed (attempt ${attempts}): ${errorMessage}` +
+    (exhausted ? ' - giving up' : ` - retrying in ${retryInSeconds}s`)
+  );
+}
+
+// In-flight delivery pass, shared so concurrent callers in this process reuse it
+// (other processes are kept off the same rows by claimNextWebhookDelivery)
+let activePass = null;
+
+/**
+ * 🔁 One pass over the deliveries that are due now: each gets one attempt, failures
+ * are rescheduled with backoff for a later pass. Never waits for a retry to come due
+ * @param {Object} options - { maxMs: stop claiming new deliveries after this long }
+ * @returns {Promise<Object>} - { delivered, failed } (failed = out of attempts)
+ */
+export function deliverDueWebhooks({ maxMs = Infinity } = {}) {
+  if (!activePass) {
+    activePass = runPass(maxMs).finally(() => {
+      activePass = null;
+    });
+  }
+  return activePass;
+}
+
+async function runPass(maxMs) {
+  const startedAt = Date.now();
+  let delivered = 0;
+  let failed = 0;
+
+  while (Date.now() - startedAt < maxMs) {
+    const delivery = claimNextWebhookDelivery({ leaseSeconds: CLAIM_LEASE_SECONDS });
+    if (!delivery) break;
+
+    if (await attemptDelivery(delivery)) {
+      delivered++;
+    } else if (delivery.attempts + 1 >= config.webhookMaxAttempts) {
+      failed++;
+    }
+  }
+
+  return { delivered, failed };
+}
+
+/**
+ * ⏲️ Run a delivery pass every WEBHOOK_POLL_MS in the API process, which sends
+ * retries as they come due and whatever a sync's pass had no time for
+ */
+export function startWebhookDelivery() {
+  if (config.webhookPollMs <= 0) return;
+
+  setInterval(() => {
+    deliverDueWebhooks().catch(error => {
+      logger.error('Webhook delivery error:', error.message);
+    });
+  }, config.webhookPollMs).unref();
+}
+
+/**
+ * 🎯 Make the first attempt at one delivery right away, leaving the rest of the
+ * queue (and this delivery's retries) to the delivery passes
+ * @param {number} deliveryId - Delivery ID
+ * @returns {Promise<boolean>} - True if delivered (false if it failed or another process took it)
+ */
+export async function deliverWebhook(deliveryId) {
+  const delivery = claimNextWebhookDelivery({ deliveryId, leaseSeconds: CLAIM_LEASE_SECONDS });
+  return delivery ? attemptDelivery(delivery) : false;
+}
+
+/**
+ * 🛎️ Active webhooks snapshot for a sync run
+ * @returns {Array}
+ */
+export function getActiveWebhooks() {
+  return listWebhooks({ activeOnly: true });
+}
+
+export default {
+  WEBHOOK_EVENTS,
+  detectLaunchEvents,
+  queueLaunchEvents,
+  signPayload,
+  attemptDelivery,
+  deliverDueWebhooks,
+  startWebhookDelivery,
+  deliverWebhook,
+  getActiveWebhooks
+};
@@ -0,0 +1,134 @@
+/**
+ * 🏢 Provider, pad and rocket API formatters
+ * Shape rows from the providers, pads and rocket_configurations tables
+ * (with their launch counts) and rocket family track records for the entity endpoints
+ */
+
+import { formatLaunchForAPI } from './launchFormatter.js';
+
+/**
+ * Format a providers row for API response
+ */
+export function formatProviderForAPI(provider) {
+  return {
+    id: provider.id,
+    name: provider.name,
+    abbrev: provider.abbrev,
+    type: provider.type,
+    countryCode: provider.country_code,
+    logoUrl: provider.logo_url,
+    wikiUrl: provider.wiki_url,
+    stats: formatLaunchStats(provider)
+  };
+}
+
+/**
+ * Format a pads row (joined with its location) for API response
+ */
+export function formatPadForAPI(pad) {
+  return {
+    id: pad.id,
+    name: pad.name,
+    latitude: pad.latitude,
+    longitude: pad.longitude,
+    wikiUrl: pad.wiki_url,
+    mapUrl: pad.map_url,
+    location: pad.location_id ? {
+      id: pad.location_id,
+      name: pad.location_name,
+      countryCode: pad.location_country_code,
+      mapImage: pad.location_map_image,
+      timezone: pad.location_timezone
+    } : null,
+    stats: formatLaunchStats(pad)
+  };
+}
+
+/**
+ * Format a rocket_configurations row for API response
+ */
+export function formatRocketForAPI(rocket) {
+  return {
+    id: rocket.id,
+    name: rocket.name,
+    family: rocket.family,
+    variant: rocket.variant,
+    fullName: rocket.full_name,
+    stats: formatLaunchStats(rocket)
+  };
+}
+
+/**
+ * Format a rocket family track record (getRocketFamilyReliability) for API response
+ * Streaks are null until flight stats have been computed
+ */
+export function formatRocketFamilyReliabilityForAPI({ family, configurations, years }) {
+  return {
+    family: family.name,
+    stats: formatLaunchStats(family),
+    currentStreak: family.current_streak,
+    longestStreak: family.longest_streak,
+    configurations: configurations.map(configuration => ({
+      id: configuration.id,
+      name: configuration.name,
+      variant: configuration.variant,
+      fullName: configuration.full_name,
+      stats: formatLaunchStats(configuration),
+      currentStreak: configuration.current_streak,
+      longestStreak: configuration.longest_streak
+    })),
+    years: years.map(year => {
+      const completed = year.successes + year.failures + year.partial_failures;
+      return {
+        year: year.year,
+        totalLaunches: year.total,
+        successes: year.successes,
+        failures: year.failures,
+        partialFailures: year.partial_failures,
+        successRate: completed > 0 ? Math.round((year.successes / completed) * 1000) / 10 : null
+      };
+    })
+  };
+}
+
+/**
+ * Format an entity detail ({ <entity>, recentLaunches, upcomingLaunches }) for API response
+ * @param {Object} detail - Return value of getProviderById/getPadById/getRocketConfigurationById
+ * @param {string} key - Entity key in the detail object ('provider', 'pad' or 'rocket')
+ * @param {Function} formatEntity - Formatter for the entity row
+ */
+export function formatEntityDetailForAPI(detail, key, formatEntity) {
+  return {
+    [key]: formatEntity(detail[key]),
+    recentLaunches: detail.recentLaunches.map(formatLaunchForAPI),
+    upcomingLaunches: detail.upcomingLaunches.map(formatLaunchForAPI)
+  };
+}
+
+/**
+ * Aggregate launch counts (ENTITY_STATS_COLUMNS in database.js)
+ * successRate counts partial failures as failures and is null before any outcome is known
+ */
+function formatLaunchStats(row) {
+  const completed = row.successes + row.failures + row.partial_failures;
+
+  return {
+    totalLaunches: row.total_launches,
+    upcomingLaunches: row.upcoming_launches,
+    successes: row.successes,
+    failures: row.failures,
+    partialFailures: row.partial_failures,
+    successRate: completed > 0 ? Math.round((row.successes / completed) * 1000) / 10 : null,
+    firstLaunch: row.first_launch,
+    lastLaunch: row.last_launch,
+    nextLaunch: row.next_launch
+  };
+}
+
+export default {
+  formatProviderForAPI,
+  formatPadForAPI,
+  formatRocketForAPI,
+  formatRocketFamilyReliabilityForAPI,
+  formatEntityDetailForAPI
+};
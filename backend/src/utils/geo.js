@@ -0,0 +1,158 @@
+/**
+ * 🌍 Geographic helpers
+ * Great-circle distance and bearing on a spherical Earth, which is accurate
+ * to well under 1% - plenty for "how far is the pad"
+ */
+
+export const EARTH_RADIUS_KM = 6371.0088;
+
+// Kilometres per degree of latitude (and of longitude at the equator)
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * 📍 Parse a point given as "lat,lon", [lat, lon] or { latitude, longitude }
+ * @param {string|Array|Object} value - Point in any of the accepted forms
+ * @returns {Object|null} - { latitude, longitude } in degrees, or null if invalid
+ */
+export function parseCoordinates(value) {
+  let latitude;
+  let longitude;
+
+  if (typeof value === 'string') {
+    const parts = value.split(',');
+    if (parts.length !== 2) return null;
+    [latitude, longitude] = parts.map(part => part.trim());
+  } else if (Array.isArray(value) && value.length === 2) {
+    [latitude, longitude] = value;
+  } else if (value && typeof value === 'object') {
+    ({ latitude, longitude } = value);
+  } else {
+    return null;
+  }
+
+  if (latitude === '' || longitude === '' || latitude === null || longitude === null) return null;
+
+  latitude = Number(latitude);
+  longitude = Number(longitude);
+
+  const valid = Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+  return valid ? { latitude, longitude } : null;
+}
+
+/**
+ * 📦 Latitude/longitude box that contains every point within radiusKm of a point
+ * Used as a cheap index-friendly prefilter before the exact distance check.
+ * Longitude bounds are null when the circle reaches a pole or crosses the antimeridian
+ * @param {Object} point - { latitude, longitude }
+ * @param {number} radiusKm - Search radius
+ * @returns {Object} - { minLatitude, maxLatitude, minLongitude, maxLongitude }
+ */
+export function boundingBox({ latitude, longitude }, radiusKm) {
+  const latitudeDelta = radiusKm / KM_PER_DEGREE;
+  const minLatitude = Math.max(-90, latitude - latitudeDelta);
+  const maxLatitude = Math.min(90, latitude + latitudeDelta);
+
+  // Widest longitude span is at the box edge nearest a pole
+  const widestLatitude = Math.max(Math.abs(minLatitude), Math.abs(maxLatitude));
+  const cosLatitude = Math.cos(toRadians(widestLatitude));
+  const longitudeDelta = cosLatitude > 1e-6 ? radiusKm / (KM_PER_DEGREE * cosLatitude) : Infinity;
+
+  const wraps = longitude - longitudeDelta < -180 || longitude + longitudeDelta > 180;
+
+  return {
+    minLatitude,
+    maxLatitude,
+    minLongitude: wraps ? null : longitude - longitudeDelta,
+    maxLongitude: wraps ? null : longitude + longitudeDelta
+  };
+}
+
+/**
+ * 📏 Great-circle distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} - Kilometres
+ */
+export function distanceKm(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * 🧭 Initial bearing from one point towards another
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} - Degrees clockwise from north, 0-360
+ */
+export function initialBearing(from, to) {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * 📍 Point reached by travelling a distance along a great circle
+ * @param {Object} from - { latitude, longitude }
+ * @param {number} bearing - Initial heading in degrees
+ * @param {number} km - Distance travelled
+ * @returns {Object} - { latitude, longitude }
+ */
+export function destinationPoint(from, bearing, km) {
+  const angle = km / EARTH_RADIUS_KM;
+  const heading = toRadians(bearing);
+  const lat1 = toRadians(from.latitude);
+  const lon1 = toRadians(from.longitude);
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angle) + Math.cos(lat1) * Math.sin(angle) * Math.cos(heading)
+  );
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(heading) * Math.sin(angle) * Math.cos(lat1),
+    Math.cos(angle) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return {
+    latitude: toDegrees(lat2),
+    longitude: ((toDegrees(lon2) + 540) % 360) - 180
+  };
+}
+
+/**
+ * 🧭 Compass point (N, NE, E, ...) for a bearing in degrees
+ * @param {number} bearing - Degrees clockwise from north
+ * @returns {string}
+ */
+export function compassPoint(bearing) {
+  const normalized = ((bearing % 360) + 360) % 360;
+  return COMPASS_POINTS[Math.round(normalized / 45) % COMPASS_POINTS.length];
+}
+
+export function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+export function toDegrees(radians) {
+  return (radians * 180) / Math.PI;
+}
+
+export default {
+  EARTH_RADIUS_KM,
+  parseCoordinates,
+  boundingBox,
+  distanceKm,
+  initialBearing,
+  destinationPoint,
+  compassPoint,
+  toRadians,
+  toDegrees
+};
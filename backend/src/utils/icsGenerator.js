@@ -6,6 +6,10 @@
 import { createEvents } from 'ics';
 import logger from './logger.js';
 
+// SEQUENCE is counted in minutes since this epoch so it only ever grows
+// as LL2 revises a launch, and stays within the 32-bit range clients expect
+const SEQUENCE_EPOCH_MS = Date.UTC(2020, 0, 1);
+
 /**
  * 🚀 Generate ICS file for a single launch
  * @param {Object} launch - Launch database record
@@ -42,6 +46,30 @@ export function generateBulkICS(launches) {
   return value;
 }
 
+/**
+ * 📡 Generate a subscribable calendar feed
+ * @param {Array} launches - Array of launch database records
+ * @param {Object} options - Feed options
+ * @param {string} options.calName - Calendar name shown by the client
+ * @returns {string} - ICS file content
+ */
+export function generateCalendarFeed(launches, { calName = 'Rocket Launches' } = {}) {
+  const events = launches.map(launchToICSEvent);
+
+  const { error, value } = createEvents(events, {
+    productId: '-//Rocket Launch Finder//EN',
+    method: 'PUBLISH',
+    calName
+  });
+
+  if (error) {
+    logger.error('Calendar feed generation error:', error);
+    throw new Error('Failed to generate calendar feed');
+  }
+
+  return value;
+}
+
 /**
  * 🗺️ Convert launch record to ICS event format
  * @param {Object} launch - Launch database record
@@ -61,6 +89,9 @@ function launchToICSEvent(launch) {
   // Build description
   const description = buildDescription(launch);
 
+  // Revision info so subscribed calendars pick up NET slips and status changes
+  const modifiedAt = getModifiedTime(launch);
+
   // Build event object
   const event = {
     uid: `${launch.id}@rocketlaunch.finder`,
@@ -70,6 +101,8 @@ function launchToICSEvent(launch) {
     description,
     location: launch.location_name || launch.pad_name || 'Unknown Location',
     status,
+    sequence: Math.max(0, Math.floor((modifiedAt - SEQUENCE_EPOCH_MS) / 60000)),
+    lastModified: modifiedAt,
     busyStatus: 'FREE',
     productId: '-//Rocket Launch Finder//EN',
     calName: 'Rocket Launches'
@@ -91,6 +124,26 @@ function launchToICSEvent(launch) {
   return event;
 }
 
+/**
+ * 🕒 Get the time a launch record last changed
+ * Prefers LL2's last_updated, which only moves when the launch data changes
+ * @param {Object} launch - Launch database record
+ * @returns {number} - Timestamp in milliseconds
+ */
+function getModifiedTime(launch) {
+  const candidates = [launch.last_updated, launch.updated_at];
+
+  for (const value of candidates) {
+    if (!value) continue;
+    // SQLite CURRENT_TIMESTAMP has no timezone marker but is UTC
+    const normalized = /(Z|[+-]\d{2}:?\d{2})$/i.test(value) ? value : `${value.replace(' ', 'T')}Z`;
+    const time = new Date(normalized).getTime();
+    if (!Number.isNaN(time)) return time;
+  }
+
+  return SEQUENCE_EPOCH_MS;
+}
+
 /**
  * 📝 Build event description from launch data
  * @param {Object} launch - Launch database record
@@ -159,5 +212,6 @@ function dateToICSArray(date) {
 
 export default {
   generateICS,
-  generateBulkICS
+  generateBulkICS,
+  generateCalendarFeed
 };
@@ -0,0 +1,101 @@
+/**
+ * 🔖 Opaque pagination cursors for /api/launches
+ * Cursors are base64url JSON so clients treat them as tokens, not as an API
+ */
+
+import { createHash } from 'crypto';
+
+const VALID_SORTS = ['net', 'provider_name', 'location_name', 'rocket_name', 'relevance', 'distance'];
+
+// Sorts whose cursors only make sense for the same search or near point
+const FINGERPRINTED_SORTS = ['relevance', 'distance'];
+
+/**
+ * ❗ Raised for cursors that weren't issued by this API (or were tampered with)
+ */
+export class InvalidCursorError extends Error {
+  constructor(message = 'Invalid pagination cursor', hint = 'Use a nextCursor/prevCursor value returned by the API') {
+    super(message);
+    this.name = 'InvalidCursorError';
+    this.hint = hint;
+  }
+
+  /**
+   * Body for a 400 response
+   */
+  toResponse() {
+    return {
+      success: false,
+      error: this.message,
+      details: [{ field: 'cursor', message: this.hint }]
+    };
+  }
+}
+
+/**
+ * 🔏 Short hash of what relevance and distance positions depend on (the search
+ * query or the near point), stored in those cursors as `match`
+ * @param {string} value - Normalized search query or "lat,lon"
+ * @returns {string}
+ */
+export function cursorFingerprint(value) {
+  return createHash('sha256').update(value).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Encode a cursor object returned by queryLaunches
+ * @param {Object|null} cursor - { sort, order, key: [sortValue, id], direction } or { sort, order, offset },
+ *   plus `match` for relevance and distance cursors
+ * @returns {string|null}
+ */
+export function encodeCursor(cursor) {
+  if (!cursor) return null;
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode and validate a cursor string from a request
+ * @param {string} token - Cursor from the query string
+ * @returns {Object} - Cursor object for queryLaunches
+ * @throws {InvalidCursorError}
+ */
+export function decodeCursor(token) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf-8'));
+  } catch {
+    throw new InvalidCursorError();
+  }
+
+  const validShape =
+    cursor && typeof cursor === 'object' &&
+    VALID_SORTS.includes(cursor.sort) &&
+    ['asc', 'desc'].includes(cursor.order) &&
+    (!FINGERPRINTED_SORTS.includes(cursor.sort) || typeof cursor.match === 'string') &&
+    (isKeysetCursor(cursor) || isOffsetCursor(cursor));
+
+  if (!validShape) {
+    throw new InvalidCursorError();
+  }
+
+  return cursor;
+}
+
+function isKeysetCursor(cursor) {
+  return Array.isArray(cursor.key) &&
+    cursor.key.length === 2 &&
+    typeof cursor.key[1] === 'string' &&
+    ['string', 'number'].includes(typeof cursor.key[0]) &&
+    ['next', 'prev'].includes(cursor.direction);
+}
+
+function isOffsetCursor(cursor) {
+  return Number.isInteger(cursor.offset) && cursor.offset >= 0;
+}
+
+export default {
+  InvalidCursorError,
+  cursorFingerprint,
+  encodeCursor,
+  decodeCursor
+};
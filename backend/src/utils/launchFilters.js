@@ -0,0 +1,256 @@
+/**
+ * 🎛️ Launch filter parsing
+ * Shared by every route that accepts the /api/launches filter vocabulary
+ */
+
+import { parseSearchQuery, LIST_FIELDS } from './searchQuery.js';
+import { parseCoordinates } from './geo.js';
+
+/**
+ * Filter keys understood by queryLaunches (pagination and sorting excluded)
+ */
+export const LAUNCH_FILTER_KEYS = [
+  'upcoming',
+  'past',
+  'provider',
+  'country',
+  'state',
+  'location',
+  'rocket',
+  'status',
+  'orbit',
+  'missionType',
+  'destination',
+  'providerType',
+  'minMass',
+  'maxMass',
+  'near',
+  'radiusKm',
+  'from',
+  'to',
+  'search',
+  'exclude'
+];
+
+/**
+ * ❗ Raised for filter values that can't be used (the `q` syntax has SearchQueryError)
+ * `details` lists every problem as { field, message }
+ */
+export class InvalidFilterError extends Error {
+  constructor(details) {
+    super(details.map(detail => detail.message).join('; '));
+    this.name = 'InvalidFilterError';
+    this.details = details;
+  }
+
+  /**
+   * Body for a 400 response, matching the other validation errors in the API
+   */
+  toResponse() {
+    return {
+      success: false,
+      error: 'Invalid filters',
+      details: this.details
+    };
+  }
+}
+
+/**
+ * 🔧 Parse launch filters from a query string or JSON body
+ * Accepts `dateFrom`/`dateTo` as aliases for `from`/`to`, and a structured
+ * search query in `q` (see searchQuery.js) whose fields override the plain ones.
+ * List fields (provider, country, state, location, rocket, status, orbit,
+ * missionType, destination, providerType) take several values and
+ * `!`-prefixed exclusions, see parseListValue().
+ * `near` ("lat,lon") limits results to pads with coordinates, within `radiusKm` if given
+ * @param {Object} source - req.query or a stored filter object
+ * @returns {Object} - Filter object for queryLaunches
+ * @throws {SearchQueryError} - When `q` can't be parsed
+ * @throws {InvalidFilterError} - When `near` or `radiusKm` is malformed
+ */
+export function parseLaunchFilters(source = {}) {
+  const filters = {
+    upcoming: isTrue(source.upcoming),
+    past: isTrue(source.past),
+    from: source.dateFrom || source.from,
+    to: source.dateTo || source.to
+  };
+
+  for (const key of LAUNCH_FILTER_KEYS) {
+    if (key in filters) continue;
+    filters[key] = source[key];
+  }
+
+  const exclude = {};
+  for (const [key, values] of Object.entries(isPlainObject(source.exclude) ? source.exclude : {})) {
+    if (LIST_FIELDS.includes(key) || key === 'search') {
+      exclude[key] = toArray(values);
+    }
+  }
+
+  for (const key of LIST_FIELDS) {
+    const { included, excluded } = parseListValue(source[key]);
+    filters[key] = included.length > 0 ? included : undefined;
+    if (excluded.length > 0) {
+      exclude[key] = [...toArray(exclude[key]), ...excluded];
+    }
+  }
+
+  filters.exclude = Object.keys(exclude).length > 0 ? exclude : undefined;
+
+  Object.assign(filters, parseNearFilter(source));
+
+  if (typeof source.q === 'string' && source.q.trim()) {
+    return mergeQueryFilters(filters, parseSearchQuery(source.q));
+  }
+
+  return filters;
+}
+
+/**
+ * 📋 Split a list filter value into included and excluded values
+ * Strings are comma-separated (`SpaceX,Rocket Lab,!Starlink`); a comma followed
+ * by a space stays part of the value so location names like
+ * "Cape Canaveral SFS, FL, USA" survive, and "double quotes" protect anything.
+ * Arrays (repeated query params, JSON bodies) are taken item by item
+ * @param {string|Array} value - Raw filter value
+ * @returns {Object} - { included: [], excluded: [] }
+ */
+export function parseListValue(value) {
+  const items = Array.isArray(value)
+    ? value.map(item => String(item).trim())
+    : splitList(value);
+
+  const included = [];
+  const excluded = [];
+
+  for (const item of items) {
+    const negated = item.startsWith('!');
+    const text = unquote(negated ? item.slice(1).trim() : item);
+    if (!text) continue;
+    (negated ? excluded : included).push(text);
+  }
+
+  return { included, excluded };
+}
+
+/**
+ * Validate the `near`/`radiusKm` pair; near is normalized to { latitude, longitude }
+ */
+function parseNearFilter(source) {
+  const errors = [];
+  const hasNear = source.near !== undefined && source.near !== null && source.near !== '';
+  const hasRadius = source.radiusKm !== undefined && source.radiusKm !== null && source.radiusKm !== '';
+
+  const near = hasNear ? parseCoordinates(source.near) : undefined;
+  if (hasNear && !near) {
+    errors.push({ field: 'near', message: 'near must be "latitude,longitude" in degrees, e.g. 28.54,-81.38' });
+  }
+
+  const radiusKm = hasRadius ? Number(source.radiusKm) : undefined;
+  if (hasRadius && !(Number.isFinite(radiusKm) && radiusKm > 0)) {
+    errors.push({ field: 'radiusKm', message: 'radiusKm must be a positive number of kilometres' });
+  } else if (hasRadius && !hasNear) {
+    errors.push({ field: 'radiusKm', message: 'radiusKm needs a near point' });
+  }
+
+  if (errors.length > 0) {
+    throw new InvalidFilterError(errors);
+  }
+
+  return { near, radiusKm };
+}
+
+function splitList(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  const items = [];
+  let current = '';
+  let inQuotes = false;
+  const text = String(value);
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ',' && !inQuotes && !/\s/.test(text[i + 1] ?? '')) {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  items.push(current.trim());
+
+  return items;
+}
+
+function unquote(text) {
+  return text.length >= 2 && text.startsWith('"') && text.endsWith('"') ? text.slice(1, -1).trim() : text;
+}
+
+/**
+ * Combine filters parsed from `q` with the plain filter params
+ * Free text and exclusions add up, any other field in the query wins
+ */
+function mergeQueryFilters(filters, queryFilters) {
+  const { search, exclude, ...fields } = queryFilters;
+  const merged = { ...filters, ...fields };
+
+  if (search) {
+    merged.search = [filters.search, search].filter(Boolean).join(' ');
+  }
+
+  if (exclude) {
+    merged.exclude = { ...(filters.exclude || {}) };
+    for (const [key, values] of Object.entries(exclude)) {
+      merged.exclude[key] = [...toArray(merged.exclude[key]), ...values];
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * 🧹 Drop empty values so a filter set can be stored or compared
+ * @param {Object} filters - Parsed filter object
+ * @returns {Object} - Filters with only meaningful values
+ */
+export function compactLaunchFilters(filters) {
+  const compacted = {};
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (value === undefined || value === null || value === '' || value === false) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+
+    if (key === 'exclude') {
+      const exclude = compactLaunchFilters(value);
+      if (Object.keys(exclude).length > 0) compacted.exclude = exclude;
+      continue;
+    }
+
+    compacted[key] = value;
+  }
+
+  return compacted;
+}
+
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function toArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+export default {
+  LAUNCH_FILTER_KEYS,
+  InvalidFilterError,
+  parseLaunchFilters,
+  parseListValue,
+  compactLaunchFilters
+};
@@ -0,0 +1,205 @@
+/**
+ * 🧾 Launch API formatter
+ * Shared by the REST routes, outbound webhooks and the live update stream
+ */
+
+import { compassPoint } from './geo.js';
+
+// API key, launch_flight_stats column prefix and milestone wording of each flight count
+const FLIGHT_SCOPES = [
+  { key: 'rocket', prefix: 'config', name: launch => launch.rocket_name, first: 'Maiden', noun: 'flight' },
+  { key: 'family', prefix: 'family', name: launch => launch.rocket_family, first: 'Maiden', noun: 'flight' },
+  { key: 'provider', prefix: 'provider', name: launch => launch.provider_name, first: 'First', noun: 'launch' }
+];
+
+// Flight numbers worth a badge, besides every 100th
+const MILESTONE_FLIGHT_NUMBERS = [1, 10, 25, 50];
+
+/**
+ * Format launch data for API response
+ * Transforms flat database record to nested JSON structure
+ */
+export function formatLaunchForAPI(launch) {
+  return {
+    id: launch.id,
+    name: launch.name,
+    slug: launch.slug,
+    status: {
+      id: launch.status_id,
+      name: launch.status_name,
+      abbrev: launch.status_abbrev,
+      description: launch.status_description
+    },
+    net: launch.net,
+    windowStart: launch.window_start,
+    windowEnd: launch.window_end,
+    rocket: {
+      id: launch.rocket_id,
+      name: launch.rocket_name,
+      family: launch.rocket_family,
+      variant: launch.rocket_variant,
+      fullName: launch.rocket_full_name
+    },
+    provider: {
+      id: launch.provider_id,
+      name: launch.provider_name,
+      abbrev: launch.provider_abbrev,
+      type: launch.provider_type,
+      countryCode: launch.provider_country_code
+    },
+    pad: {
+      id: launch.pad_id,
+      name: launch.pad_name,
+      wikiUrl: launch.pad_wiki_url,
+      mapUrl: launch.pad_map_url,
+      latitude: launch.pad_latitude,
+      longitude: launch.pad_longitude
+    },
+    location: {
+      id: launch.location_id,
+      name: launch.location_name,
+      countryCode: launch.location_country_code,
+      mapImage: launch.location_map_image,
+      timezone: launch.location_timezone
+    },
+    mission: {
+      id: launch.mission_id,
+      name: launch.mission_name,
+      description: launch.mission_description,
+      type: launch.mission_type,
+      orbit: {
+        id: launch.mission_orbit_id,
+        name: launch.mission_orbit_name,
+        abbrev: launch.mission_orbit_abbrev
+      }
+    },
+    spacecraft: {
+      id: launch.spacecraft_stage_id,
+      name: launch.spacecraft_name,
+      serialNumber: launch.spacecraft_serial_number,
+      status: launch.spacecraft_status,
+      description: launch.spacecraft_description,
+      destination: launch.spacecraft_destination,
+      payloadCount: launch.payload_count,
+      payloadTotalMassKg: launch.payload_total_mass_kg || launch.manual_payload_mass_kg || null,
+      payloadSource: launch.payload_total_mass_kg ? 'api' : (launch.manual_payload_mass_kg ? 'manual' : null)
+    },
+    payloads: formatPayloads(launch.payload_manifest),
+    imageUrl: launch.image_url,
+    infographicUrl: launch.infographic_url,
+    webcastLive: launch.webcast_live === 1,
+    slugUrl: launch.slug_url,
+    lastUpdated: launch.last_updated,
+    importedAt: launch.imported_at,
+    updatedAt: launch.updated_at,
+    flightStats: formatFlightStats(launch),
+    ...(launch.search_rank !== undefined && {
+      searchRank: launch.search_rank,
+      highlights: formatSearchHighlights(launch)
+    }),
+    // Only present for queries with a `near` point
+    ...(launch.distance_km !== undefined && {
+      distanceKm: Math.round(launch.distance_km * 10) / 10,
+      bearing: Math.round(launch.bearing),
+      direction: compassPoint(launch.bearing)
+    })
+  };
+}
+
+/**
+ * Payload manifest from the payload_manifest JSON column; null when it wasn't selected
+ */
+function formatPayloads(manifest) {
+  if (manifest === undefined) return null;
+
+  return JSON.parse(manifest || '[]').map(payload => ({
+    name: payload.name,
+    type: payload.type,
+    customer: payload.customer,
+    operator: payload.operator,
+    quantity: payload.quantity,
+    massKg: payload.mass_kg,
+    orbit: payload.orbit,
+    noradIds: payload.norad_ids || [],
+    cosparId: payload.cospar_id,
+    source: payload.source
+  }));
+}
+
+/**
+ * Flight numbers, streaks and success rate per rocket configuration, family and provider
+ * Reads the launch_flight_stats columns; null when they weren't selected or the
+ * launch hasn't been numbered yet (new launches are numbered after the sync)
+ */
+function formatFlightStats(launch) {
+  const numbered = FLIGHT_SCOPES.some(({ prefix }) => {
+    const flightNumber = launch[`${prefix}_flight_number`];
+    return flightNumber !== undefined && flightNumber !== null;
+  });
+  if (!numbered) return null;
+
+  const stats = {};
+  const milestones = [];
+  const year = launch.net ? launch.net.slice(0, 4) : null;
+
+  for (const scope of FLIGHT_SCOPES) {
+    const { key, prefix } = scope;
+    const flightNumber = launch[`${prefix}_flight_number`];
+    if (flightNumber === null) {
+      stats[key] = null;
+      continue;
+    }
+
+    const successes = launch[`${prefix}_successes`];
+    const completed = launch[`${prefix}_completed`];
+    stats[key] = {
+      flightNumber,
+      year,
+      yearFlightNumber: launch[`${prefix}_year_flight_number`],
+      successStreak: launch[`${prefix}_success_streak`],
+      successes,
+      completedFlights: completed,
+      successRate: completed > 0 ? Math.round((successes / completed) * 1000) / 10 : null
+    };
+
+    const label = milestoneLabel(flightNumber, scope, launch);
+    // A family with a single configuration would repeat the same badge
+    if (label && !milestones.some(milestone => milestone.label === label)) {
+      milestones.push({ scope: key, flightNumber, label });
+    }
+  }
+
+  return { ...stats, milestones };
+}
+
+function milestoneLabel(flightNumber, { name, first, noun }, launch) {
+  const subject = name(launch);
+  if (!subject) return null;
+  if (flightNumber === 1) return `${first} ${subject} ${noun}`;
+  if (MILESTONE_FLIGHT_NUMBERS.includes(flightNumber) || flightNumber % 100 === 0) {
+    return `${ordinal(flightNumber)} ${subject} ${noun}`;
+  }
+  return null;
+}
+
+function ordinal(number) {
+  const lastTwo = number % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${number}th`;
+  return `${number}${{ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th'}`;
+}
+
+/**
+ * Matched fragments for a search result, with hits wrapped in <mark></mark>
+ * Reads the search_highlight_<field> columns queryLaunches selects when searching,
+ * keeping only fields that actually matched
+ */
+function formatSearchHighlights(launch) {
+  return Object.keys(launch)
+    .filter(key => key.startsWith('search_highlight_'))
+    .map(key => ({ field: key.slice('search_highlight_'.length), snippet: launch[key] }))
+    .filter(({ snippet }) => snippet && snippet.includes('<mark>'));
+}
+
+export default {
+  formatLaunchForAPI
+};
@@ -0,0 +1,84 @@
+/**
+ * 🛡️ Outbound address checks
+ * Keeps requests to user-supplied URLs (webhooks) off loopback, private,
+ * link-local and other non-public networks
+ */
+
+import { BlockList, isIP } from 'net';
+import { lookup } from 'dns/promises';
+
+const NON_PUBLIC = new BlockList();
+
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],        // "this" network, 0.0.0.0 reaches the local host
+  ['10.0.0.0', 8],       // private
+  ['100.64.0.0', 10],    // carrier-grade NAT
+  ['127.0.0.0', 8],      // loopback
+  ['169.254.0.0', 16],   // link-local, cloud metadata services
+  ['172.16.0.0', 12],    // private
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.168.0.0', 16],   // private
+  ['198.18.0.0', 15],    // benchmarking
+  ['224.0.0.0', 3]       // multicast and reserved
+]) {
+  NON_PUBLIC.addSubnet(network, prefix, 'ipv4');
+}
+
+for (const [network, prefix] of [
+  ['::', 128],           // unspecified
+  ['::1', 128],          // loopback
+  ['64:ff9b:1::', 48],   // local-use NAT64
+  ['fc00::', 7],         // unique local
+  ['fe80::', 10],        // link-local
+  ['ff00::', 8]          // multicast
+]) {
+  NON_PUBLIC.addSubnet(network, prefix, 'ipv6');
+}
+
+// Names that only ever point inside the host or the local network
+const LOCAL_HOSTNAME = /(^|\.)(localhost|local|internal|home\.arpa)$/i;
+
+/**
+ * 🔒 Whether an IP address is outside the public internet
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isNonPublicAddress(address) {
+  const version = isIP(address);
+  if (version === 0) return false;
+  return NON_PUBLIC.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * 🏷️ Whether a URL hostname is a non-public IP literal or a local-only name
+ * Does not resolve DNS - see resolvesToNonPublicAddress()
+ * @param {string} hostname - URL#hostname (IPv6 literals keep their brackets)
+ * @returns {boolean}
+ */
+export function isNonPublicHostname(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  return isNonPublicAddress(host) || LOCAL_HOSTNAME.test(host);
+}
+
+/**
+ * 🔍 Resolve a hostname and report whether any of its addresses is non-public
+ * Catches public names pointed at internal addresses after validation
+ * @param {string} hostname - URL#hostname
+ * @returns {Promise<boolean>}
+ */
+export async function resolvesToNonPublicAddress(hostname) {
+  if (isNonPublicHostname(hostname)) return true;
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host)) return false;
+
+  const addresses = await lookup(host, { all: true, verbatim: true });
+  return addresses.some(({ address }) => isNonPublicAddress(address));
+}
+
+export default {
+  isNonPublicAddress,
+  isNonPublicHostname,
+  resolvesToNonPublicAddress
+};
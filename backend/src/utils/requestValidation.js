@@ -0,0 +1,185 @@
+/**
+ * ✅ Request validation
+ * Checks query and path parameters against the schemas declared for an operation
+ * in the OpenAPI document (openapi/spec.js), so bad input is rejected with a 400
+ * listing every invalid parameter instead of being coerced to a default.
+ * Parameters the operation doesn't declare are left alone
+ */
+
+import { getOperation, resolveRef } from '../openapi/spec.js';
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/**
+ * ❗ Raised for request parameters that don't match the OpenAPI document
+ * `details` lists every problem as { field, message }
+ */
+export class RequestValidationError extends Error {
+  constructor(details) {
+    super(details.map(detail => detail.message).join('; '));
+    this.name = 'RequestValidationError';
+    this.details = details;
+  }
+
+  /**
+   * Body for a 400 response, matching the other validation errors in the API
+   */
+  toResponse() {
+    return {
+      success: false,
+      error: 'Invalid request parameters',
+      details: this.details
+    };
+  }
+}
+
+/**
+ * 🛂 Express middleware validating a request against an OpenAPI operation
+ * @param {string} operationId - operationId in openapi/spec.js
+ * @returns {Function} - Middleware answering 400 when a parameter is invalid
+ */
+export function validateRequest(operationId) {
+  const operation = getOperation(operationId);
+  if (!operation) {
+    throw new Error(`No OpenAPI operation named ${operationId}`);
+  }
+
+  const parameters = (operation.parameters || []).map(resolveRef);
+
+  return (req, res, next) => {
+    const details = validateParameters(parameters, req);
+
+    if (details.length > 0) {
+      return res.status(400).json(new RequestValidationError(details).toResponse());
+    }
+
+    next();
+  };
+}
+
+/**
+ * Check request values against parameter definitions
+ * @param {Array} parameters - Resolved OpenAPI parameter objects
+ * @param {Object} req - Express request (query and params are read)
+ * @returns {Array} - [{ field, message }], empty when everything is valid
+ */
+export function validateParameters(parameters, req) {
+  const details = [];
+
+  for (const parameter of parameters) {
+    const source = parameter.in === 'path' ? req.params : req.query;
+    const value = source?.[parameter.name];
+
+    if (value === undefined || value === '') {
+      if (parameter.required) {
+        details.push({ field: parameter.name, message: `${parameter.name} is required` });
+      }
+      continue;
+    }
+
+    const message = validateValue(value, resolveRef(parameter.schema), parameter.name);
+    if (message) {
+      details.push({ field: parameter.name, message });
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Validate one raw parameter value (a string, or an array/object parsed from the query string)
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateValue(value, schema, field) {
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validateValue(value, resolveRef(option), field) === null);
+    return matches ? null : `${field} must be ${schema.anyOf.map(describe).join(' or ')}`;
+  }
+
+  if (schema.type === 'array') {
+    const items = Array.isArray(value) ? value : [value];
+    for (const item of items) {
+      const message = validateValue(item, resolveRef(schema.items || {}), field);
+      if (message) return message;
+    }
+    return null;
+  }
+
+  if (schema.type === 'object') {
+    return typeof value === 'object' && value !== null && !Array.isArray(value)
+      ? null
+      : `${field} must be an object, e.g. ${field}[key]=value`;
+  }
+
+  if (typeof value !== 'string') {
+    return `${field} must be a single value`;
+  }
+
+  if (schema.type === 'integer' && !/^-?\d+$/.test(value.trim())) {
+    return `${field} must be an integer`;
+  }
+  if (schema.type === 'number' && !(value.trim() !== '' && Number.isFinite(Number(value)))) {
+    return `${field} must be a number`;
+  }
+  if (schema.type === 'boolean' && value !== 'true' && value !== 'false') {
+    return `${field} must be true or false`;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${field} must be one of ${schema.enum.join(', ')}`;
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    return checkRange(Number(value), schema, field);
+  }
+
+  if (schema.format === 'date' && !isValidDate(value)) {
+    return `${field} must be ${describe(schema)}`;
+  }
+  if (schema.format === 'date-time' && !isValidDateTime(value)) {
+    return `${field} must be ${describe(schema)}`;
+  }
+
+  return null;
+}
+
+// OpenAPI 3.0 style bounds: exclusiveMinimum/exclusiveMaximum are flags
+function checkRange(number, schema, field) {
+  if (schema.minimum !== undefined) {
+    if (schema.exclusiveMinimum && number <= schema.minimum) return `${field} must be greater than ${schema.minimum}`;
+    if (number < schema.minimum) return `${field} must be at least ${schema.minimum}`;
+  }
+  if (schema.maximum !== undefined) {
+    if (schema.exclusiveMaximum && number >= schema.maximum) return `${field} must be less than ${schema.maximum}`;
+    if (number > schema.maximum) return `${field} must be at most ${schema.maximum}`;
+  }
+  return null;
+}
+
+function isValidDate(value) {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return false;
+
+  // Rejects days that roll over into the next month, like 2025-02-30
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isValidDateTime(value) {
+  return DATE_TIME_PATTERN.test(value) && isValidDate(value.slice(0, 10)) && !Number.isNaN(Date.parse(value));
+}
+
+// Wording for "must be ..." messages
+function describe(schema) {
+  if (schema.format === 'date') return 'a date (YYYY-MM-DD)';
+  if (schema.format === 'date-time') return 'an ISO 8601 date-time (YYYY-MM-DDTHH:MM:SSZ)';
+  return `a ${schema.type}`;
+}
+
+export default {
+  RequestValidationError,
+  validateRequest,
+  validateParameters
+};
@@ -0,0 +1,339 @@
+/**
+ * 🔣 Structured search query language
+ * Turns `provider:spacex orbit:LEO status:Go after:2025-06-01 -starlink`
+ * into the filter object understood by queryLaunches
+ *
+ * Syntax:
+ *   word / "quoted phrase"   free text (full-text search)
+ *   field:value              field filter, value may be "quoted"
+ *   -term                    exclude (works for free text and list fields)
+ *   a OR b                   either value, for free text or the same list field
+ */
+
+/**
+ * Fields that accept lists of values (OR) and exclusions
+ */
+export const LIST_FIELDS = [
+  'provider',
+  'country',
+  'state',
+  'location',
+  'rocket',
+  'status',
+  'orbit',
+  'missionType',
+  'destination',
+  'providerType'
+];
+
+// Query field names (lowercase) that differ from their filter key
+const FIELD_ALIASES = {
+  type: 'missionType',
+  missiontype: 'missionType',
+  dest: 'destination',
+  providertype: 'providerType'
+};
+
+// Numeric fields map onto the payload mass range (kg)
+const NUMBER_FIELDS = {
+  minmass: 'minMass',
+  maxmass: 'maxMass'
+};
+
+// Date fields map onto the from/to filters
+const DATE_FIELDS = {
+  after: 'from',
+  from: 'from',
+  before: 'to',
+  to: 'to'
+};
+
+// is:upcoming / is:past
+const FLAG_VALUES = ['upcoming', 'past'];
+
+/**
+ * Every field name the parser understands, for hints and error messages
+ */
+export const QUERY_FIELDS = [
+  ...LIST_FIELDS.filter(field => field === field.toLowerCase()),
+  ...Object.keys(FIELD_ALIASES),
+  ...Object.keys(DATE_FIELDS),
+  ...Object.keys(NUMBER_FIELDS),
+  'is'
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * ❗ Raised for queries that can't be parsed
+ * `details` lists every problem with its position (0-based) and length in the query
+ */
+export class SearchQueryError extends Error {
+  constructor(details) {
+    super(details.length === 1 ? details[0].message : `${details.length} problems in search query`);
+    this.name = 'SearchQueryError';
+    this.details = details;
+  }
+
+  /**
+   * Body for a 400 response, matching the other validation errors in the API
+   */
+  toResponse() {
+    return {
+      success: false,
+      error: 'Invalid search query',
+      details: this.details.map(detail => ({ field: 'q', ...detail }))
+    };
+  }
+}
+
+/**
+ * 🔍 Parse a structured search query
+ * @param {string} query - Raw query text
+ * @returns {Object} - Filters for queryLaunches (list fields are arrays, exclusions under `exclude`)
+ * @throws {SearchQueryError} - When the query has syntax errors
+ */
+export function parseSearchQuery(query) {
+  const errors = [];
+  const groups = groupAlternatives(tokenize(String(query ?? ''), errors), errors);
+
+  const filters = {};
+  const exclude = {};
+  const searchParts = [];
+  const seen = new Map();
+
+  for (const group of groups) {
+    const [first] = group;
+
+    if (first.field === null) {
+      if (first.negated) {
+        exclude.search = [...(exclude.search || []), toSearchText(first)];
+      } else {
+        searchParts.push(group.map(toSearchText).join(' OR '));
+      }
+      continue;
+    }
+
+    const field = resolveField(first.field);
+
+    if (seen.has(field) && !first.negated) {
+      errors.push(problem(first, `${first.field}: is given more than once - use OR to match either value`));
+      continue;
+    }
+
+    if (LIST_FIELDS.includes(field)) {
+      const values = group.map(term => term.value);
+      if (first.negated) {
+        exclude[field] = [...(exclude[field] || []), ...values];
+      } else {
+        filters[field] = values;
+        seen.set(field, first);
+      }
+      continue;
+    }
+
+    if (first.negated || group.length > 1) {
+      errors.push(problem(first, `${first.field}: cannot be ${first.negated ? 'negated' : 'combined with OR'}`));
+      continue;
+    }
+
+    if (field in NUMBER_FIELDS) {
+      const number = Number(first.value);
+      if (first.value === '' || !Number.isFinite(number) || number < 0) {
+        errors.push(problem(first, `${first.field}: expects a mass in kg like 5000`, 'value'));
+        continue;
+      }
+      filters[NUMBER_FIELDS[field]] = number;
+      seen.set(field, first);
+      continue;
+    }
+
+    if (field in DATE_FIELDS) {
+      if (!DATE_PATTERN.test(first.value) || Number.isNaN(Date.parse(first.value))) {
+        errors.push(problem(first, `${first.field}: expects a date like 2025-06-01`, 'value'));
+        continue;
+      }
+      filters[DATE_FIELDS[field]] = first.value;
+      seen.set(field, first);
+      continue;
+    }
+
+    if (field === 'is') {
+      const flag = first.value.toLowerCase();
+      if (!FLAG_VALUES.includes(flag)) {
+        errors.push(problem(first, `is: expects one of ${FLAG_VALUES.join(', ')}`, 'value'));
+        continue;
+      }
+      filters.upcoming = flag === 'upcoming';
+      filters.past = flag === 'past';
+      seen.set(field, first);
+      continue;
+    }
+
+    errors.push(problem(first, `Unknown field "${first.field}" - expected one of ${QUERY_FIELDS.join(', ')}`, 'field'));
+  }
+
+  if (errors.length > 0) {
+    throw new SearchQueryError(errors.sort((a, b) => a.position - b.position));
+  }
+
+  if (searchParts.length > 0) {
+    filters.search = searchParts.join(' ');
+  }
+
+  if (Object.keys(exclude).length > 0) {
+    filters.exclude = exclude;
+  }
+
+  return filters;
+}
+
+/**
+ * Split a query into terms and OR operators, remembering where each one starts
+ */
+function tokenize(query, errors) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    if (/\s/.test(query[index])) {
+      index++;
+      continue;
+    }
+
+    const start = index;
+    let negated = false;
+
+    if (query[index] === '-') {
+      negated = true;
+      index++;
+    }
+
+    // field:value, where the value may be quoted
+    const fieldMatch = /^([A-Za-z_]+):/.exec(query.slice(index));
+    let field = null;
+    if (fieldMatch) {
+      field = fieldMatch[1];
+      index += fieldMatch[0].length;
+    }
+
+    const valueStart = index;
+    let value;
+    let quoted = false;
+
+    if (query[index] === '"') {
+      const close = query.indexOf('"', index + 1);
+      if (close === -1) {
+        errors.push({ message: 'Unterminated quote', position: index, length: query.length - index });
+        value = query.slice(index + 1);
+        index = query.length;
+      } else {
+        value = query.slice(index + 1, close);
+        index = close + 1;
+      }
+      quoted = true;
+    } else {
+      while (index < query.length && !/\s/.test(query[index])) index++;
+      value = query.slice(valueStart, index);
+    }
+
+    const token = {
+      field,
+      value: value.trim(),
+      negated,
+      quoted,
+      position: start,
+      length: index - start,
+      valuePosition: valueStart,
+      fieldLength: field ? field.length + 1 : 0
+    };
+
+    if (!negated && !field && !quoted && value === 'OR') {
+      tokens.push({ ...token, operator: 'OR' });
+      continue;
+    }
+
+    if (!token.value) {
+      errors.push(problem(token, field ? `Missing value for ${field}:` : 'Nothing to exclude after "-"'));
+      continue;
+    }
+
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+/**
+ * Collapse `a OR b OR c` runs into groups; every other term is a group of one
+ */
+function groupAlternatives(tokens, errors) {
+  const groups = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.operator) {
+      const previous = groups[groups.length - 1];
+      const next = tokens[i + 1];
+
+      if (!previous || tokens[i - 1]?.operator) {
+        errors.push(problem(token, 'OR needs a term before it'));
+        continue;
+      }
+      if (!next || next.operator) {
+        errors.push(problem(token, 'OR needs a term after it'));
+        continue;
+      }
+
+      const [first] = previous;
+      if (first.negated || next.negated) {
+        errors.push(problem(token, 'OR cannot be combined with "-" exclusions'));
+      } else if (resolveField(first.field) !== resolveField(next.field)) {
+        errors.push(problem(token, 'OR can only join values of the same field'));
+      } else {
+        previous.push(next);
+      }
+
+      i++;
+      continue;
+    }
+
+    groups.push([token]);
+  }
+
+  return groups;
+}
+
+/**
+ * Filter key for a query field name (case-insensitive, aliases resolved)
+ */
+function resolveField(name) {
+  if (!name) return null;
+  const lower = name.toLowerCase();
+  return FIELD_ALIASES[lower] || LIST_FIELDS.find(field => field.toLowerCase() === lower) || lower;
+}
+
+function toSearchText(term) {
+  return term.quoted ? `"${term.value.replace(/"/g, '')}"` : term.value;
+}
+
+/**
+ * Error detail pointing at the whole term, its field name or its value
+ */
+function problem(term, message, part = 'term') {
+  if (part === 'field') {
+    return { message, position: term.position + (term.negated ? 1 : 0), length: term.fieldLength - 1 };
+  }
+  if (part === 'value') {
+    return { message, position: term.valuePosition, length: term.position + term.length - term.valuePosition };
+  }
+  return { message, position: term.position, length: term.length };
+}
+
+export default {
+  LIST_FIELDS,
+  QUERY_FIELDS,
+  SearchQueryError,
+  parseSearchQuery
+};
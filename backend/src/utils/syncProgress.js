@@ -0,0 +1,28 @@
+/**
+ * 📣 Sync progress reporting
+ * Sync scripts started from the admin API (services/syncRunner.js) get an IPC
+ * channel and report their sync_log ID and counts over it. Run from cron or a
+ * shell there is no channel and reporting does nothing
+ */
+
+/**
+ * Tell the parent process which sync_log row this run writes to
+ * @param {number} syncId - Sync log ID
+ * @param {Object} details - e.g. { resumedFromOffset }
+ */
+export function reportSyncStarted(syncId, details = {}) {
+  process.send?.({ type: 'started', syncId, ...details });
+}
+
+/**
+ * Report counts so far
+ * @param {Object} progress - { fetched, added, updated, unchanged, apiCalls, offset, total }
+ */
+export function reportSyncProgress(progress) {
+  process.send?.({ type: 'progress', ...progress });
+}
+
+export default {
+  reportSyncStarted,
+  reportSyncProgress
+};
@@ -0,0 +1,284 @@
+/**
+ * 🔭 Launch visibility estimate
+ * Answers "will I see it from here?" from geometry and lighting alone:
+ * the Sun's elevation at the viewer and the pad at NET, an approximate ascent
+ * track from the pad, and how high above the viewer's horizon that track climbs.
+ * Weather, terrain and the real trajectory aren't known, so this is a rough guide
+ */
+
+import {
+  EARTH_RADIUS_KM,
+  distanceKm,
+  initialBearing,
+  destinationPoint,
+  compassPoint,
+  toRadians,
+  toDegrees
+} from './geo.js';
+
+// Rough ascent profile: [downrange km, altitude km]. Real profiles vary by vehicle,
+// this is close to a typical orbital ascent through second stage burn
+const ASCENT_PROFILE = [
+  [0, 0],
+  [30, 20],
+  [60, 45],
+  [100, 70],
+  [200, 110],
+  [400, 150],
+  [900, 200]
+];
+
+// Downrange sampling step along the ascent track (km)
+const TRACK_STEP_KM = 10;
+
+// Altitude where the exhaust plume spreads out and can catch sunlight (km)
+const PLUME_ALTITUDE_KM = 150;
+
+// Sky is dark enough for a sunlit plume to stand out below this solar elevation
+const DARK_SKY_SUN_ELEVATION = -4;
+
+// Orbit inclinations (degrees) for well-known destinations and orbit types
+const DESTINATION_INCLINATIONS = [
+  { pattern: /international space station|\bISS\b/i, inclination: 51.6, basis: 'ISS orbit (51.6°)' },
+  { pattern: /tiangong|chinese space station/i, inclination: 41.5, basis: 'Tiangong orbit (41.5°)' }
+];
+
+const ORBIT_INCLINATIONS = {
+  SSO: { inclination: 97.6, basis: 'sun-synchronous orbit (~97.6°)' },
+  PO: { inclination: 90, basis: 'polar orbit (90°)' }
+};
+
+/**
+ * 🔭 Estimate whether a launch can be seen from a viewer location
+ * @param {Object} launch - Launch row (pad_latitude, pad_longitude, net, mission_orbit_abbrev, spacecraft_destination)
+ * @param {Object} viewer - { latitude, longitude }
+ * @returns {Object} - { visibility: 'likely'|'possible'|'unlikely'|'unknown', reasons, ... }
+ */
+export function estimateVisibility(launch, viewer) {
+  const pad = launch.pad_latitude !== null && launch.pad_longitude !== null
+    ? { latitude: Number(launch.pad_latitude), longitude: Number(launch.pad_longitude) }
+    : null;
+  const net = launch.net ? new Date(launch.net) : null;
+
+  if (!pad || !net || Number.isNaN(net.getTime())) {
+    return {
+      visibility: 'unknown',
+      reasons: [!pad ? "The launch pad's coordinates aren't known" : 'The launch has no NET date'],
+      viewer,
+      pad,
+      net: launch.net
+    };
+  }
+
+  const distance = distanceKm(viewer, pad);
+  const bearing = initialBearing(viewer, pad);
+
+  const viewerSun = solarElevation(net, viewer);
+  const padSun = solarElevation(net, pad);
+  const plumeSunlit = padSun > -horizonDip(PLUME_ALTITUDE_KM);
+  const darkSky = viewerSun < DARK_SKY_SUN_ELEVATION;
+  const jellyfish = darkSky && plumeSunlit;
+
+  const trajectory = estimateAscentTrack(launch, pad);
+  const view = highestPointSeen(viewer, pad, trajectory.azimuth);
+
+  const { visibility, reasons } = classify({ distance, viewerSun, darkSky, jellyfish, view });
+
+  return {
+    visibility,
+    reasons,
+    viewer,
+    pad: { ...pad, name: launch.pad_name },
+    net: launch.net,
+    distanceKm: round(distance, 1),
+    bearing: Math.round(bearing),
+    direction: compassPoint(bearing),
+    lighting: {
+      viewer: { sunElevation: round(viewerSun, 1), condition: skyCondition(viewerSun) },
+      pad: { sunElevation: round(padSun, 1), condition: skyCondition(padSun) },
+      plumeSunlit,
+      jellyfish
+    },
+    trajectory: {
+      ascentAzimuth: Math.round(trajectory.azimuth),
+      ascentDirection: compassPoint(trajectory.azimuth),
+      inclination: trajectory.inclination,
+      basis: trajectory.basis,
+      maxElevation: round(view.elevation, 1),
+      lookAzimuth: Math.round(view.azimuth),
+      lookDirection: compassPoint(view.azimuth)
+    }
+  };
+}
+
+/**
+ * ☀️ Solar elevation above the horizon (degrees, no refraction)
+ * Low-precision solar ephemeris, good to a few hundredths of a degree this century
+ * @param {Date} date - Moment to evaluate
+ * @param {Object} point - { latitude, longitude }
+ * @returns {number}
+ */
+export function solarElevation(date, { latitude, longitude }) {
+  const days = date.getTime() / 86400000 + 2440587.5 - 2451545.0; // days since J2000.0
+
+  const meanLongitude = normalizeDegrees(280.460 + 0.9856474 * days);
+  const meanAnomaly = toRadians(normalizeDegrees(357.528 + 0.9856003 * days));
+  const eclipticLongitude = toRadians(
+    meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)
+  );
+  const obliquity = toRadians(23.439 - 0.0000004 * days);
+
+  const rightAscension = Math.atan2(
+    Math.cos(obliquity) * Math.sin(eclipticLongitude),
+    Math.cos(eclipticLongitude)
+  );
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+
+  const siderealTime = normalizeDegrees(280.46061837 + 360.98564736629 * days);
+  const hourAngle = toRadians(siderealTime + longitude) - rightAscension;
+  const lat = toRadians(latitude);
+
+  return toDegrees(Math.asin(
+    Math.sin(lat) * Math.sin(declination) +
+    Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle)
+  ));
+}
+
+/**
+ * Ascent heading from the pad for the launch's (estimated) orbit inclination
+ * Uses sin(azimuth) = cos(inclination) / cos(latitude), ignoring Earth's rotation.
+ * Polar and sun-synchronous launches are assumed to head south, everything else north
+ */
+function estimateAscentTrack(launch, pad) {
+  const destination = launch.spacecraft_destination || '';
+  const known = DESTINATION_INCLINATIONS.find(({ pattern }) => pattern.test(destination)) ||
+    ORBIT_INCLINATIONS[String(launch.mission_orbit_abbrev || '').toUpperCase()];
+
+  const minimumInclination = Math.abs(pad.latitude);
+  const inclination = known ? known.inclination : minimumInclination;
+  const basis = known ? known.basis : 'due east (lowest inclination from the pad)';
+
+  const ratio = Math.cos(toRadians(inclination)) / Math.cos(toRadians(pad.latitude));
+  // Inclinations below the pad latitude can't be flown directly, so launch due east
+  const northbound = Math.abs(ratio) >= 1 ? 90 * Math.sign(ratio) : toDegrees(Math.asin(ratio));
+  const southbound = inclination >= 80;
+
+  return {
+    azimuth: normalizeDegrees(southbound ? 180 - northbound : northbound),
+    inclination: round(inclination, 1),
+    basis
+  };
+}
+
+/**
+ * Highest elevation the vehicle reaches above the viewer's horizon along the ascent track
+ * @returns {Object} - { elevation, azimuth } in degrees
+ */
+function highestPointSeen(viewer, pad, azimuth) {
+  const maxDownrange = ASCENT_PROFILE[ASCENT_PROFILE.length - 1][0];
+  let best = { elevation: -90, azimuth: initialBearing(viewer, pad) };
+
+  for (let downrange = 0; downrange <= maxDownrange; downrange += TRACK_STEP_KM) {
+    const position = destinationPoint(pad, azimuth, downrange);
+    const altitude = altitudeAt(downrange);
+    const groundDistance = distanceKm(viewer, position);
+    const elevation = elevationAngle(groundDistance, altitude);
+
+    if (elevation > best.elevation) {
+      best = {
+        elevation,
+        azimuth: groundDistance > 0.5 ? initialBearing(viewer, position) : best.azimuth
+      };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Visibility verdict with human-readable reasons
+ */
+function classify({ distance, viewerSun, darkSky, jellyfish, view }) {
+  const reasons = [];
+  const where = `${Math.round(distance)} km away`;
+
+  if (view.elevation < 1) {
+    reasons.push(`The pad is ${where} and the ascent stays below your horizon`);
+    return { visibility: 'unlikely', reasons };
+  }
+
+  reasons.push(`The ascent should climb to about ${Math.round(view.elevation)}° above your horizon`);
+
+  if (jellyfish) {
+    reasons.push('Your sky is dark while the exhaust plume is still in sunlight ("jellyfish" conditions)');
+    return { visibility: 'likely', reasons };
+  }
+
+  if (darkSky) {
+    reasons.push('Dark sky at your location, so the engine flame should stand out');
+    return { visibility: view.elevation >= 5 ? 'likely' : 'possible', reasons };
+  }
+
+  reasons.push(viewerSun >= 0 ? 'Daylight launch at your location' : 'Bright twilight at your location');
+  if (distance <= 30) {
+    return { visibility: 'likely', reasons };
+  }
+  if (distance <= 150 && view.elevation >= 10) {
+    reasons.push('Daytime launches are hard to spot this far out, but the exhaust trail may be visible');
+    return { visibility: 'possible', reasons };
+  }
+  reasons.push('Daytime launches are rarely visible this far from the pad');
+  return { visibility: 'unlikely', reasons };
+}
+
+/**
+ * Sky condition for a solar elevation
+ */
+function skyCondition(sunElevation) {
+  if (sunElevation >= -0.833) return 'day';
+  if (sunElevation >= -18) return 'twilight';
+  return 'night';
+}
+
+/**
+ * How far the Sun can be below the horizon while still lighting an object at this altitude
+ */
+function horizonDip(altitudeKm) {
+  return toDegrees(Math.acos(EARTH_RADIUS_KM / (EARTH_RADIUS_KM + altitudeKm)));
+}
+
+/**
+ * Elevation angle of an object at altitudeKm above a point groundDistanceKm away
+ * (spherical Earth, no refraction)
+ */
+function elevationAngle(groundDistanceKm, altitudeKm) {
+  const angle = groundDistanceKm / EARTH_RADIUS_KM;
+  if (angle < 1e-9) return 90;
+  const ratio = EARTH_RADIUS_KM / (EARTH_RADIUS_KM + altitudeKm);
+  return toDegrees(Math.atan((Math.cos(angle) - ratio) / Math.sin(angle)));
+}
+
+function altitudeAt(downrangeKm) {
+  for (let i = 1; i < ASCENT_PROFILE.length; i++) {
+    const [x1, h1] = ASCENT_PROFILE[i];
+    if (downrangeKm <= x1) {
+      const [x0, h0] = ASCENT_PROFILE[i - 1];
+      return h0 + ((h1 - h0) * (downrangeKm - x0)) / (x1 - x0);
+    }
+  }
+  return ASCENT_PROFILE[ASCENT_PROFILE.length - 1][1];
+}
+
+function normalizeDegrees(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  estimateVisibility,
+  solarElevation
+};
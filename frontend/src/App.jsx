@@ -1,45 +1,71 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import { fetchLaunches, fetchFilters, getBulkICSDownloadUrl } from './utils/api';
+import { fetchLaunches, fetchFilters, getBulkICSDownloadUrl, getExportDownloadUrl, createCalendarSubscription } from './utils/api';
 import Header from './components/Header';
 import LaunchList from './components/LaunchList';
+import StatsDashboard from './components/StatsDashboard';
 import SearchFilters from './components/SearchFilters';
 import About from './components/About';
+import useLaunchStream from './hooks/useLaunchStream';
 import { Rocket } from 'lucide-react';
 
 function App() {
   const [showAbout, setShowAbout] = useState(false);
+  const [view, setView] = useState('launches');
   const [filters, setFilters] = useState({
     upcoming: true,
     limit: 20,
-    offset: 0,
     sort: 'net',
     order: 'asc'
   });
+  const [page, setPage] = useState({ cursor: null, number: 1 });
+  const [total, setTotal] = useState();
+
+  // Only the first page is counted, later pages reuse its total
+  const launchQuery = { ...filters, cursor: page.cursor || undefined };
 
   const { data, isLoading, error } = useQuery({
-    queryKey: ['launches', filters],
-    queryFn: () => fetchLaunches(filters)
+    queryKey: ['launches', launchQuery],
+    queryFn: () => fetchLaunches(launchQuery),
+    // Keep showing the last results while a bad search query is corrected
+    placeholderData: (previousData) => previousData,
+    retry: (failureCount, err) => !err.details && failureCount < 3
   });
 
+  // Search syntax errors are shown next to the search box instead of replacing the page
+  const queryErrors = error?.details || [];
+
+  useEffect(() => {
+    const count = data?.data?.pagination?.total;
+    if (count !== undefined) setTotal(count);
+  }, [data]);
+
+  const { status: streamStatus, updatedIds } = useLaunchStream(filters);
+
+  // Facet counts follow the applied filters, so no option leads to an empty list
+  const { limit, sort, order, ...activeFilters } = filters;
   const { data: filterOptions } = useQuery({
-    queryKey: ['filters'],
-    queryFn: fetchFilters
+    queryKey: ['filters', activeFilters],
+    queryFn: () => fetchFilters(activeFilters),
+    placeholderData: (previousData) => previousData
   });
 
   const handleFilterChange = (newFilters) => {
+    const merged = { ...filters, ...newFilters };
     setFilters({
-      ...filters,
-      ...newFilters,
-      offset: 0 // Reset to first page when filters change
+      ...merged,
+      // Rank search results by relevance, otherwise keep chronological order unless
+      // "closest first" was picked (the API falls back to date order when a query
+      // has no free text, or when there is no point to measure distance from)
+      sort: merged.q ? 'relevance' : (merged.sort === 'distance' && merged.near ? 'distance' : 'net')
     });
+    // Reset to first page when filters change
+    setPage({ cursor: null, number: 1 });
+    setTotal(undefined);
   };
 
-  const handlePageChange = (newOffset) => {
-    setFilters({
-      ...filters,
-      offset: newOffset
-    });
+  const handlePageChange = (cursor, number) => {
+    setPage({ cursor: number > 1 ? cursor : null, number });
   };
 
   const handleDownloadICS = () => {
@@ -47,7 +73,17 @@ function App() {
     window.location.href = url;
   };
 
-  if (error) {
+  // Every matching launch in the list's order, not just the current page
+  const handleExport = (format) => {
+    window.location.href = getExportDownloadUrl({ ...activeFilters, sort, order }, format);
+  };
+
+  const handleSubscribeCalendar = async () => {
+    const result = await createCalendarSubscription(activeFilters);
+    return result.data;
+  };
+
+  if (error && !error.details) {
     return (
       <div className="min-h-screen bg-gray-100 flex items-center justify-center">
         <div className="text-center">
@@ -62,7 +98,7 @@ function App() {
 
   return (
     <div className="min-h-screen bg-gray-100">
-      <Header onAboutClick={() => setShowAbout(true)} />
+      <Header view={view} onViewChange={setView} onAboutClick={() => setShowAbout(true)} />
 
       <main className="container mx-auto px-4 py-8">
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
@@ -71,19 +107,30 @@ function App() {
             <SearchFilters
               filters={filters}
               filterOptions={filterOptions?.data || {}}
+              queryErrors={queryErrors}
               onFilterChange={handleFilterChange}
               onDownloadICS={handleDownloadICS}
+              onExport={handleExport}
+              onSubscribeCalendar={handleSubscribeCalendar}
             />
           </aside>
 
-          {/* Launches List */}
+          {/* Launches List or Statistics */}
           <div className="lg:col-span-3">
-            <LaunchList
-              launches={data?.data?.launches || []}
-              pagination={data?.data?.pagination || {}}
-              isLoading={isLoading}
-              onPageChange={handlePageChange}
-            />
+            {view === 'stats' ? (
+              <StatsDashboard filters={activeFilters} />
+            ) : (
+              <LaunchList
+                launches={data?.data?.launches || []}
+                pagination={data?.data?.pagination || {}}
+                page={page.number}
+                total={total}
+                isLoading={isLoading}
+                onPageChange={handlePageChange}
+                streamStatus={streamStatus}
+                updatedIds={updatedIds}
+              />
+            )}
           </div>
         </div>
       </main>
@@ -0,0 +1,30 @@
+/**
+ * Horizontal bar chart: one labelled row per item, bar length relative to the largest value
+ * Items are { key, label, value, display?, title? }
+ */
+export default function BarList({ items, color = 'bg-blue-500', emptyText = 'No launches match these filters' }) {
+  if (items.length === 0) {
+    return <p className="text-sm text-gray-500 py-6 text-center">{emptyText}</p>;
+  }
+
+  const max = Math.max(...items.map((item) => item.value), 1);
+
+  return (
+    <ul className="space-y-2">
+      {items.map((item) => (
+        <li key={item.key} className="text-sm" title={item.title}>
+          <div className="flex justify-between text-gray-700 mb-0.5">
+            <span className="truncate mr-2">{item.label}</span>
+            <span className="font-semibold flex-shrink-0">{item.display ?? item.value.toLocaleString()}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+            <div
+              className={`h-full rounded-full ${color}`}
+              style={{ width: `${(item.value / max) * 100}%` }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,58 @@
+/**
+ * Stacked column chart for a time series
+ * `periods` are { period, segments: [{ key, value }] }; `segments` describes the
+ * stack order, colours and legend labels: [{ key, label, color }]
+ */
+export default function ColumnChart({ periods, segments, height = 180 }) {
+  if (periods.length === 0) {
+    return <p className="text-sm text-gray-500 py-6 text-center">No launches match these filters</p>;
+  }
+
+  const totals = periods.map((period) => period.segments.reduce((sum, segment) => sum + segment.value, 0));
+  const max = Math.max(...totals, 1);
+  // Label every nth column so long ranges stay readable
+  const labelEvery = Math.ceil(periods.length / 12);
+
+  return (
+    <div>
+      <div className="flex items-end gap-px" style={{ height }}>
+        {periods.map((period, index) => (
+          <div
+            key={period.period}
+            className="flex-1 flex flex-col-reverse min-w-0"
+            style={{ height: `${(totals[index] / max) * 100}%` }}
+            title={`${period.period}: ${totals[index].toLocaleString()} launches`}
+          >
+            {segments.map((segment) => {
+              const value = period.segments.find((item) => item.key === segment.key)?.value || 0;
+              return value > 0 ? (
+                <div
+                  key={segment.key}
+                  className={segment.color}
+                  style={{ height: `${(value / totals[index]) * 100}%` }}
+                />
+              ) : null;
+            })}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-px mt-1">
+        {periods.map((period, index) => (
+          <div key={period.period} className="flex-1 min-w-0 text-center text-[10px] text-gray-500 overflow-hidden">
+            {index % labelEvery === 0 ? period.period : ''}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600">
+        {segments.map((segment) => (
+          <span key={segment.key} className="flex items-center">
+            <span className={`w-3 h-3 rounded-sm mr-1 ${segment.color}`} />
+            {segment.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,11 @@
-import { Rocket, Info } from 'lucide-react';
+import { Rocket, Info, List, BarChart3 } from 'lucide-react';
 
-export default function Header({ onAboutClick }) {
+const VIEWS = [
+  { id: 'launches', label: 'Launches', icon: List },
+  { id: 'stats', label: 'Statistics', icon: BarChart3 }
+];
+
+export default function Header({ view, onViewChange, onAboutClick }) {
   return (
     <header className="bg-gradient-to-r from-blue-600 to-purple-600 text-white shadow-lg">
       <div className="container mx-auto px-4 py-6">
@@ -12,13 +17,27 @@ export default function Header({ onAboutClick }) {
             </div>
             <p className="mt-2 text-blue-100">Find rocket launches from around the world</p>
           </div>
-          <button
-            onClick={onAboutClick}
-            className="flex items-center space-x-2 px-4 py-2 bg-white bg-opacity-20 hover:bg-opacity-30 rounded-lg transition-colors"
-          >
-            <Info className="w-5 h-5" />
-            <span className="hidden sm:inline">About</span>
-          </button>
+          <div className="flex items-center space-x-2">
+            {VIEWS.map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                onClick={() => onViewChange(id)}
+                className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
+                  view === id ? 'bg-white text-blue-700' : 'bg-white bg-opacity-20 hover:bg-opacity-30'
+                }`}
+              >
+                <Icon className="w-5 h-5" />
+                <span className="hidden sm:inline">{label}</span>
+              </button>
+            ))}
+            <button
+              onClick={onAboutClick}
+              className="flex items-center space-x-2 px-4 py-2 bg-white bg-opacity-20 hover:bg-opacity-30 rounded-lg transition-colors"
+            >
+              <Info className="w-5 h-5" />
+              <span className="hidden sm:inline">About</span>
+            </button>
+          </div>
         </div>
       </div>
     </header>
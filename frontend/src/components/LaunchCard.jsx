@@ -1,11 +1,27 @@
 import { format, formatDistanceToNow, isPast, isFuture } from 'date-fns';
-import { Calendar, MapPin, Rocket, Download, Package } from 'lucide-react';
+import { Calendar, MapPin, Rocket, Download, Package, Eye, Trophy } from 'lucide-react';
 import { getICSDownloadUrl } from '../utils/api';
 
-export default function LaunchCard({ launch }) {
+// Payloads listed before collapsing the rest into "+N more"
+const MAX_LISTED_PAYLOADS = 4;
+
+const VISIBILITY_STYLES = {
+  likely: 'bg-green-100 text-green-800',
+  possible: 'bg-yellow-100 text-yellow-800',
+  unlikely: 'bg-gray-100 text-gray-600'
+};
+
+export default function LaunchCard({ launch, justUpdated = false }) {
   const launchDate = new Date(launch.net);
   const isUpcoming = isFuture(launchDate);
 
+  // Only set on upcoming launches listed with a "near" point
+  const visibility = launch.visibility;
+
+  const rocketFlight = launch.flightStats?.rocket;
+  const milestones = launch.flightStats?.milestones || [];
+  const payloads = launch.payloads || [];
+
   const getStatusColor = (status) => {
     const colors = {
       'Go': 'bg-green-100 text-green-800',
@@ -23,12 +39,31 @@ export default function LaunchCard({ launch }) {
   };
 
   return (
-    <div className="bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow p-6">
+    <div className={`bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow p-6 ${justUpdated ? 'ring-2 ring-blue-400' : ''}`}>
       <div className="flex justify-between items-start mb-4">
         <div className="flex-1">
           <span className={`inline-block px-3 py-1 rounded-full text-sm font-semibold mb-2 ${getStatusColor(launch.status.abbrev)}`}>
             {launch.status.name}
           </span>
+          {justUpdated && (
+            <span className="inline-block ml-2 px-2 py-1 rounded-full text-xs font-semibold mb-2 bg-blue-600 text-white">
+              Updated
+            </span>
+          )}
+          {launch.webcastLive && (
+            <span className="inline-block ml-2 px-2 py-1 rounded-full text-xs font-semibold mb-2 bg-red-600 text-white">
+              Webcast Live
+            </span>
+          )}
+          {milestones.map((milestone) => (
+            <span
+              key={milestone.scope}
+              className="inline-flex items-center ml-2 px-2 py-1 rounded-full text-xs font-semibold mb-2 bg-amber-100 text-amber-800"
+            >
+              <Trophy className="w-3 h-3 mr-1" />
+              {milestone.label}
+            </span>
+          ))}
           <h3 className="text-xl font-bold text-gray-800 mb-2">{launch.name}</h3>
         </div>
         {launch.imageUrl && (
@@ -67,27 +102,77 @@ export default function LaunchCard({ launch }) {
           <div>
             <p className="font-semibold">{launch.provider.name}</p>
             <p className="text-sm">{launch.rocket.name}</p>
+            {rocketFlight && (
+              <p className="text-xs text-gray-500">
+                Flight #{rocketFlight.flightNumber}, {ordinal(rocketFlight.yearFlightNumber)} of {rocketFlight.year}
+                {rocketFlight.successRate !== null && ` · ${rocketFlight.successRate}% success`}
+                {rocketFlight.successStreak > 1 && ` (${rocketFlight.successStreak} in a row)`}
+              </p>
+            )}
           </div>
         </div>
 
         <div className="flex items-center text-gray-600">
           <MapPin className="w-5 h-5 mr-2 flex-shrink-0" />
-          <p className="text-sm">{launch.location.name}</p>
+          <div>
+            <p className="text-sm">{launch.location.name}</p>
+            {launch.distanceKm !== undefined && (
+              <p className="text-xs text-gray-500">
+                {Math.round(launch.distanceKm).toLocaleString()} km away ({launch.direction})
+              </p>
+            )}
+          </div>
         </div>
 
-        {(launch.spacecraft?.name || launch.spacecraft?.payloadTotalMassKg) && (
-          <div className="flex items-center text-gray-600">
+        {visibility && visibility.visibility !== 'unknown' && (
+          <div className="flex items-start text-gray-600">
+            <Eye className="w-5 h-5 mr-2 flex-shrink-0" />
+            <div title={visibility.reasons.join('\n')}>
+              <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${VISIBILITY_STYLES[visibility.visibility]}`}>
+                Visibility: {visibility.visibility}
+              </span>
+              {visibility.lighting.jellyfish && (
+                <span className="inline-block ml-1 px-2 py-0.5 rounded-full text-xs font-semibold bg-indigo-100 text-indigo-800">
+                  Jellyfish conditions
+                </span>
+              )}
+              {visibility.visibility !== 'unlikely' && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Look {visibility.trajectory.lookDirection}, up to {Math.round(visibility.trajectory.maxElevation)}° above the horizon
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {(payloads.length > 0 || launch.spacecraft?.name || launch.spacecraft?.payloadTotalMassKg) && (
+          <div className="flex items-start text-gray-600">
             <Package className="w-5 h-5 mr-2 flex-shrink-0" />
             <div>
-              {launch.spacecraft.name && (
+              {payloads.length > 0 ? (
+                <ul className="space-y-0.5">
+                  {payloads.slice(0, MAX_LISTED_PAYLOADS).map((payload, index) => (
+                    <li key={index} className="text-sm">
+                      <span className="font-semibold">{payload.name}</span>
+                      {payload.quantity > 1 && <span className="text-gray-500"> ×{payload.quantity}</span>}
+                      {payloadDetails(payload) && (
+                        <span className="text-xs text-gray-500"> · {payloadDetails(payload)}</span>
+                      )}
+                    </li>
+                  ))}
+                  {payloads.length > MAX_LISTED_PAYLOADS && (
+                    <li className="text-xs text-gray-500">+{payloads.length - MAX_LISTED_PAYLOADS} more</li>
+                  )}
+                </ul>
+              ) : launch.spacecraft.name && (
                 <p className="font-semibold text-sm">{launch.spacecraft.name}</p>
               )}
-              {launch.spacecraft.destination && (
+              {launch.spacecraft?.destination && (
                 <p className="text-xs text-gray-500">→ {launch.spacecraft.destination}</p>
               )}
-              {launch.spacecraft.payloadTotalMassKg && (
+              {launch.spacecraft?.payloadTotalMassKg && (
                 <p className="text-xs text-gray-500">
-                  Payload{launch.spacecraft.name ? ' Capacity' : ''}: {launch.spacecraft.payloadTotalMassKg.toLocaleString()} kg
+                  Payload{payloads.length > 1 ? ' total' : ''}: {launch.spacecraft.payloadTotalMassKg.toLocaleString()} kg
                 </p>
               )}
             </div>
@@ -99,7 +184,45 @@ export default function LaunchCard({ launch }) {
             {launch.mission.description}
           </p>
         )}
+
+        {launch.highlights?.length > 0 && (
+          <div className="mt-4 pt-3 border-t border-gray-100 space-y-1">
+            {launch.highlights.map(({ field, snippet }) => (
+              <p key={field} className="text-xs text-gray-600">
+                <span className="font-semibold text-gray-500 uppercase mr-2">{field}</span>
+                <HighlightedSnippet snippet={snippet} />
+              </p>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
 }
+
+// Customer (or operator), orbit and mass of a manifest entry
+function payloadDetails(payload) {
+  return [
+    payload.customer || payload.operator,
+    payload.orbit,
+    payload.massKg ? `${payload.massKg.toLocaleString()} kg` : null
+  ].filter(Boolean).join(' · ');
+}
+
+function ordinal(number) {
+  const lastTwo = number % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${number}th`;
+  return `${number}${{ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th'}`;
+}
+
+// Render an API search snippet, turning <mark>…</mark> into highlighted text
+// without injecting HTML
+function HighlightedSnippet({ snippet }) {
+  const parts = snippet.split(/<mark>|<\/mark>/);
+
+  return parts.map((part, index) =>
+    index % 2 === 1
+      ? <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">{part}</mark>
+      : <span key={index}>{part}</span>
+  );
+}
@@ -1,7 +1,10 @@
 import LaunchCard from './LaunchCard';
 import { Loader2, Rocket } from 'lucide-react';
 
-export default function LaunchList({ launches, pagination, isLoading, onPageChange }) {
+export default function LaunchList({ launches, pagination, page = 1, total, isLoading, onPageChange, streamStatus, updatedIds }) {
+  const firstShown = (page - 1) * pagination.limit + 1;
+  const lastShown = firstShown + launches.length - 1;
+
   if (isLoading) {
     return (
       <div className="flex justify-center items-center py-20">
@@ -25,34 +28,43 @@ export default function LaunchList({ launches, pagination, isLoading, onPageChan
     <div>
       <div className="mb-6 flex justify-between items-center">
         <p className="text-gray-600">
-          Showing {pagination.offset + 1}-{Math.min(pagination.offset + pagination.limit, pagination.total)} of {pagination.total} launches
+          Showing {firstShown}-{lastShown}{total !== undefined && ` of ${total}`} launches
         </p>
+        {streamStatus && (
+          <span
+            className="flex items-center text-sm text-gray-500"
+            title={streamStatus === 'live' ? 'Receiving live updates' : 'Connecting to live updates...'}
+          >
+            <span className={`w-2 h-2 rounded-full mr-2 ${streamStatus === 'live' ? 'bg-green-500 animate-pulse' : 'bg-gray-400'}`} />
+            {streamStatus === 'live' ? 'Live' : streamStatus === 'reconnecting' ? 'Reconnecting' : 'Connecting'}
+          </span>
+        )}
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         {launches.map((launch) => (
-          <LaunchCard key={launch.id} launch={launch} />
+          <LaunchCard key={launch.id} launch={launch} justUpdated={updatedIds?.has(launch.id)} />
         ))}
       </div>
 
-      {/* Pagination */}
-      {pagination.total > pagination.limit && (
+      {/* Pagination (cursor based, so pages don't shift while syncs add launches) */}
+      {(pagination.hasMore || pagination.hasPrevious) && (
         <div className="mt-8 flex justify-center space-x-2">
           <button
-            onClick={() => onPageChange(Math.max(0, pagination.offset - pagination.limit))}
-            disabled={pagination.offset === 0}
+            onClick={() => onPageChange(pagination.prevCursor, page - 1)}
+            disabled={!pagination.prevCursor}
             className="px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
           >
             Previous
           </button>
 
           <span className="px-4 py-2 bg-white border border-gray-300 rounded-lg">
-            Page {Math.floor(pagination.offset / pagination.limit) + 1} of {Math.ceil(pagination.total / pagination.limit)}
+            Page {page}{total !== undefined && ` of ${Math.max(1, Math.ceil(total / pagination.limit))}`}
           </span>
 
           <button
-            onClick={() => onPageChange(pagination.offset + pagination.limit)}
-            disabled={!pagination.hasMore}
+            onClick={() => onPageChange(pagination.nextCursor, page + 1)}
+            disabled={!pagination.nextCursor}
             className="px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
           >
             Next
@@ -0,0 +1,81 @@
+import { X } from 'lucide-react';
+
+/**
+ * Multi-value filter: picked options show as chips, clicking a chip flips it
+ * between "include" and "exclude" (sent to the API as a `!`-prefixed value)
+ */
+export default function MultiSelectChips({ label, placeholder, options, values, onChange }) {
+  const selected = values.map((value) => ({
+    value: value.replace(/^!/, ''),
+    excluded: value.startsWith('!')
+  }));
+  const selectedValues = new Set(selected.map(({ value }) => value));
+  const labelFor = (value) => options.find((option) => option.value === value)?.label || value;
+
+  const addValue = (value) => {
+    if (value) onChange([...values, value]);
+  };
+
+  const toggleExcluded = (index) => {
+    onChange(values.map((value, i) => (
+      i === index ? (value.startsWith('!') ? value.slice(1) : `!${value}`) : value
+    )));
+  };
+
+  const removeValue = (index) => {
+    onChange(values.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-700 mb-2">
+        {label}
+      </label>
+
+      {selected.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {selected.map(({ value, excluded }, index) => (
+            <span
+              key={value}
+              className={`inline-flex items-center rounded-full text-xs font-medium ${
+                excluded ? 'bg-red-100 text-red-800' : 'bg-blue-100 text-blue-800'
+              }`}
+            >
+              <button
+                type="button"
+                onClick={() => toggleExcluded(index)}
+                className={`pl-3 py-1 ${excluded ? 'line-through' : ''}`}
+                title={excluded ? 'Excluded - click to include' : 'Included - click to exclude'}
+              >
+                {excluded ? 'not ' : ''}{labelFor(value)}
+              </button>
+              <button
+                type="button"
+                onClick={() => removeValue(index)}
+                className="px-2 py-1 hover:opacity-70"
+                title="Remove"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <select
+        value=""
+        onChange={(e) => addValue(e.target.value)}
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      >
+        <option value="">{placeholder}</option>
+        {options
+          .filter((option) => !selectedValues.has(option.value))
+          .map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}{option.count !== undefined ? ` (${option.count})` : ''}
+            </option>
+          ))}
+      </select>
+    </div>
+  );
+}
@@ -1,47 +1,71 @@
 import { useState } from 'react';
-import { Filter, Download, X } from 'lucide-react';
+import { Filter, Download, X, CalendarPlus, LocateFixed, FileDown, ChevronDown } from 'lucide-react';
+import SearchQueryInput from './SearchQueryInput';
+import MultiSelectChips from './MultiSelectChips';
 
-export default function SearchFilters({ filters, filterOptions, onFilterChange, onDownloadICS }) {
+// Values picked in a chip list, without the "!" exclusions
+const includedValues = (values) => values.filter((value) => !value.startsWith('!'));
+
+const RADIUS_OPTIONS_KM = [50, 100, 300, 500, 1000];
+
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV', hint: 'Spreadsheets, one column per field' },
+  { format: 'ndjson', label: 'NDJSON', hint: 'One JSON launch per line, for scripts' },
+  { format: 'json', label: 'JSON', hint: 'A single array of launches' }
+];
+
+export default function SearchFilters({ filters, filterOptions, queryErrors = [], onFilterChange, onDownloadICS, onExport, onSubscribeCalendar }) {
   const [localFilters, setLocalFilters] = useState({
-    search: '',
-    provider: '',
-    country: '',
-    state: '',
-    location: '',
-    rocket: '',
-    status: '',
+    q: '',
+    provider: [],
+    country: [],
+    state: [],
+    location: [],
+    status: [],
+    orbit: [],
+    missionType: [],
+    destination: [],
+    providerType: [],
+    minMassTonnes: '',
+    maxMassTonnes: '',
+    near: '',
+    radiusKm: '',
+    closestFirst: false,
     dateFrom: '',
     dateTo: ''
   });
+  const [subscription, setSubscription] = useState(null);
+  const [subscribeError, setSubscribeError] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [locationError, setLocationError] = useState(null);
 
   const handleInputChange = (key, value) => {
-    // If changing country, clear state and location if they don't match the new country
+    const newFilters = { ...localFilters, [key]: value };
+
     if (key === 'country') {
-      const newFilters = { ...localFilters, [key]: value };
-      // Clear state and location when country changes
-      if (value !== 'USA') {
-        newFilters.state = '';
+      // States only apply to USA, and picked locations must sit in a picked country
+      const countries = includedValues(value);
+      if (countries.length > 0 && !countries.includes('USA')) {
+        newFilters.state = [];
       }
-      if (localFilters.location && value) {
-        const currentLocation = filterOptions.locations?.find(loc => loc.name === localFilters.location);
-        if (currentLocation && currentLocation.countryCode !== value) {
-          newFilters.location = '';
-        }
+      if (countries.length > 0) {
+        newFilters.location = localFilters.location.filter((location) => {
+          const option = filterOptions.locations?.find(loc => loc.name === location.replace(/^!/, ''));
+          return !option || countries.includes(option.countryCode);
+        });
       }
-      setLocalFilters(newFilters);
     } else if (key === 'state') {
-      // If changing state, clear location if it doesn't match the new state
-      const newFilters = { ...localFilters, [key]: value };
-      if (localFilters.location && value) {
-        // Check if current location matches the new state
-        if (!localFilters.location.includes(`, ${value},`)) {
-          newFilters.location = '';
-        }
+      // Keep only locations in one of the picked states
+      const states = includedValues(value);
+      if (states.length > 0) {
+        newFilters.location = localFilters.location.filter((location) =>
+          states.some((state) => location.includes(`, ${state},`))
+        );
       }
-      setLocalFilters(newFilters);
-    } else {
-      setLocalFilters({ ...localFilters, [key]: value });
     }
+
+    setLocalFilters(newFilters);
   };
 
   const applyFilters = () => {
@@ -60,6 +84,22 @@ export default function SearchFilters({ filters, filterOptions, onFilterChange,
       filtersToApply.dateTo = toDate.toISOString();
     }
 
+    // Payload mass is entered in tonnes, the API filters in kg
+    const { minMassTonnes, maxMassTonnes } = filtersToApply;
+    delete filtersToApply.minMassTonnes;
+    delete filtersToApply.maxMassTonnes;
+    filtersToApply.minMass = minMassTonnes === '' ? '' : Number(minMassTonnes) * 1000;
+    filtersToApply.maxMass = maxMassTonnes === '' ? '' : Number(maxMassTonnes) * 1000;
+
+    // A radius only means something around a point; "closest first" becomes the distance sort
+    const { closestFirst } = filtersToApply;
+    delete filtersToApply.closestFirst;
+    filtersToApply.near = filtersToApply.near.trim();
+    if (!filtersToApply.near) {
+      filtersToApply.radiusKm = '';
+    }
+    filtersToApply.sort = closestFirst && filtersToApply.near ? 'distance' : undefined;
+
     // If date range is set, clear upcoming/past flags
     if (filtersToApply.dateFrom || filtersToApply.dateTo) {
       filtersToApply.upcoming = undefined;
@@ -71,13 +111,21 @@ export default function SearchFilters({ filters, filterOptions, onFilterChange,
 
   const clearFilters = () => {
     const cleared = {
-      search: '',
-      provider: '',
-      country: '',
-      state: '',
-      location: '',
-      rocket: '',
-      status: '',
+      q: '',
+      provider: [],
+      country: [],
+      state: [],
+      location: [],
+      status: [],
+      orbit: [],
+      missionType: [],
+      destination: [],
+      providerType: [],
+      minMassTonnes: '',
+      maxMassTonnes: '',
+      near: '',
+      radiusKm: '',
+      closestFirst: false,
       dateFrom: '',
       dateTo: '',
       upcoming: true
@@ -86,6 +134,34 @@ export default function SearchFilters({ filters, filterOptions, onFilterChange,
     onFilterChange(cleared);
   };
 
+  const handleSubscribe = async () => {
+    setSubscribeError(null);
+    try {
+      setSubscription(await onSubscribeCalendar());
+    } catch (error) {
+      setSubscribeError(error.message);
+    }
+  };
+
+  const locateMe = () => {
+    if (!navigator.geolocation) {
+      setLocationError('Location is not available in this browser');
+      return;
+    }
+    setLocating(true);
+    setLocationError(null);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setLocating(false);
+        handleInputChange('near', `${coords.latitude.toFixed(3)},${coords.longitude.toFixed(3)}`);
+      },
+      (error) => {
+        setLocating(false);
+        setLocationError(error.message || 'Could not get your location');
+      }
+    );
+  };
+
   const toggleUpcoming = (value) => {
     onFilterChange({ upcoming: value, past: !value });
   };
@@ -115,12 +191,12 @@ export default function SearchFilters({ filters, filterOptions, onFilterChange,
           <label className="block text-sm font-semibold text-gray-700 mb-2">
             Search
           </label>
-          <input
-            type="text"
-            value={localFilters.search}
-            onChange={(e) => handleInputChange('search', e.target.value)}
-            placeholder="Search launches..."
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          <SearchQueryInput
+            value={localFilters.q}
+            onChange={(value) => handleInputChange('q', value)}
+            onSubmit={applyFilters}
+            // Error positions refer to the query that was sent, so hide them once it's edited
+            errors={localFilters.q === filters.q ? queryErrors : []}
           />
         </div>
 
@@ -192,23 +268,17 @@ export default function SearchFilters({ filters, filterOptions, onFilterChange,
 
         {/* Launch Agency or Company */}
         {filterOptions.providers && (
-          <div>
-            <label className="block text-sm font-semibold text-gray-700 mb-2">
-              Launch Agency or Company
-            </label>
-            <select
-              value={localFilters.provider}
-              onChange={(e) => handleInputChange('provider', e.target.value)}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            >
-              <option value="">All Agencies</option>
-              {filterOptions.providers.slice(0, 20).map((provider) => (
-                <option key={provider.name} value={provider.name}>
-                  {provider.name} ({provider.count})
-                </option>
-              ))}
-            </select>
-          </div>
+          <MultiSelectChips
+            label="Launch Agency or Company"
+            placeholder="Add agency..."
+            options={filterOptions.providers.slice(0, 20).map((provider) => ({
+              value: provider.name,
+              label: provider.name,
+              count: provider.count
+            }))}
+            values={localFilters.provider}
+            onChange={(values) => handleInputChange('provider', values)}
+          />
         )}
 
         {/* Location Filters Group */}
@@ -216,95 +286,236 @@ export default function SearchFilters({ filters, filterOptions, onFilterChange,
           {/* Country */}
           {filterOptions.countries && (
             <div className="mb-4">
-              <label className="block text-sm font-semibold text-gray-700 mb-2">
-                Country
-              </label>
-              <select
-                value={localFilters.country}
-                onChange={(e) => handleInputChange('country', e.target.value)}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              >
-                <option value="">All Countries</option>
-                {filterOptions.countries.slice(0, 20).map((country) => (
-                  <option key={country.code} value={country.code}>
-                    {country.name} ({country.count})
-                  </option>
-                ))}
-              </select>
+              <MultiSelectChips
+                label="Country"
+                placeholder="Add country..."
+                options={filterOptions.countries.slice(0, 20).map((country) => ({
+                  value: country.code,
+                  label: country.name,
+                  count: country.count
+                }))}
+                values={localFilters.country}
+                onChange={(values) => handleInputChange('country', values)}
+              />
             </div>
           )}
 
           {/* State (USA only) */}
-          {localFilters.country === 'USA' && filterOptions.states && (
+          {includedValues(localFilters.country).includes('USA') && filterOptions.states && (
             <div className="mb-4">
-              <label className="block text-sm font-semibold text-gray-700 mb-2">
-                State
-              </label>
-              <select
-                value={localFilters.state}
-                onChange={(e) => handleInputChange('state', e.target.value)}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              >
-                <option value="">All States</option>
-                {filterOptions.states.map((state) => (
-                  <option key={state.code} value={state.code}>
-                    {state.name} ({state.count})
-                  </option>
-                ))}
-              </select>
+              <MultiSelectChips
+                label="State"
+                placeholder="Add state..."
+                options={filterOptions.states.map((state) => ({
+                  value: state.code,
+                  label: state.name,
+                  count: state.count
+                }))}
+                values={localFilters.state}
+                onChange={(values) => handleInputChange('state', values)}
+              />
             </div>
           )}
 
           {/* Location */}
           {filterOptions.locations && (
-            <div>
-              <label className="block text-sm font-semibold text-gray-700 mb-2">
-                Launch Location
-              </label>
-              <select
-                value={localFilters.location}
-                onChange={(e) => handleInputChange('location', e.target.value)}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              >
-                <option value="">All Locations</option>
-                {filterOptions.locations
-                  .filter(loc => {
-                    if (localFilters.country && loc.countryCode !== localFilters.country) return false;
-                    if (localFilters.state && !loc.name.includes(`, ${localFilters.state},`)) return false;
-                    return true;
-                  })
-                  .slice(0, 30)
-                  .map((location) => (
-                    <option key={location.name} value={location.name}>
-                      {location.name} ({location.count})
-                    </option>
-                  ))}
-              </select>
-            </div>
+            <MultiSelectChips
+              label="Launch Location"
+              placeholder="Add location..."
+              options={filterOptions.locations
+                .filter(loc => {
+                  const countries = includedValues(localFilters.country);
+                  const states = includedValues(localFilters.state);
+                  if (countries.length > 0 && !countries.includes(loc.countryCode)) return false;
+                  if (states.length > 0 && !states.some((state) => loc.name.includes(`, ${state},`))) return false;
+                  return true;
+                })
+                .slice(0, 30)
+                .map((location) => ({
+                  value: location.name,
+                  label: location.name,
+                  count: location.count
+                }))}
+              values={localFilters.location}
+              onChange={(values) => handleInputChange('location', values)}
+            />
           )}
         </div>
 
-        {/* Status */}
-        {filterOptions.statuses && (
-          <div>
-            <label className="block text-sm font-semibold text-gray-700 mb-2">
-              Status
-            </label>
+        {/* Distance from a point */}
+        <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+          <label className="block text-sm font-semibold text-gray-700 mb-2">
+            Near
+          </label>
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={localFilters.near}
+              onChange={(e) => handleInputChange('near', e.target.value)}
+              placeholder="Latitude, longitude"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+            />
+            <button
+              type="button"
+              onClick={locateMe}
+              disabled={locating}
+              className="p-2 rounded-lg border border-gray-300 bg-white text-gray-600 hover:bg-gray-100 disabled:opacity-50 flex-shrink-0"
+              title="Use my location"
+            >
+              <LocateFixed className="w-4 h-4" />
+            </button>
+          </div>
+          {locationError && (
+            <p className="mt-1 text-xs text-red-600">{locationError}</p>
+          )}
+          <div className="flex items-center space-x-2 mt-2">
             <select
-              value={localFilters.status}
-              onChange={(e) => handleInputChange('status', e.target.value)}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              value={localFilters.radiusKm}
+              onChange={(e) => handleInputChange('radiusKm', e.target.value)}
+              disabled={!localFilters.near.trim()}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm disabled:bg-gray-100"
             >
-              <option value="">All Statuses</option>
-              {filterOptions.statuses.map((status) => (
-                <option key={status.abbrev} value={status.abbrev}>
-                  {status.name} ({status.count})
-                </option>
+              <option value="">Any distance</option>
+              {RADIUS_OPTIONS_KM.map((radius) => (
+                <option key={radius} value={radius}>Within {radius.toLocaleString()} km</option>
               ))}
             </select>
           </div>
+          <label className="flex items-center mt-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={localFilters.closestFirst}
+              onChange={(e) => handleInputChange('closestFirst', e.target.checked)}
+              disabled={!localFilters.near.trim()}
+              className="mr-2"
+            />
+            Closest first
+          </label>
+          <p className="mt-2 text-xs text-gray-500">
+            Upcoming launches also show whether they should be visible from this point.
+          </p>
+        </div>
+
+        {/* Status */}
+        {filterOptions.statuses && (
+          <MultiSelectChips
+            label="Status"
+            placeholder="Add status..."
+            options={filterOptions.statuses.map((status) => ({
+              value: status.abbrev,
+              label: status.name,
+              count: status.count
+            }))}
+            values={localFilters.status}
+            onChange={(values) => handleInputChange('status', values)}
+          />
         )}
 
+        {/* Mission Filters Group */}
+        <div className="border border-gray-200 rounded-lg p-4 bg-gray-50 space-y-4">
+          {filterOptions.orbits && (
+            <MultiSelectChips
+              label="Orbit"
+              placeholder="Add orbit..."
+              options={filterOptions.orbits.map((orbit) => ({
+                value: orbit.abbrev,
+                label: `${orbit.name} (${orbit.abbrev})`,
+                count: orbit.count
+              }))}
+              values={localFilters.orbit}
+              onChange={(values) => handleInputChange('orbit', values)}
+            />
+          )}
+
+          {filterOptions.missionTypes && (
+            <MultiSelectChips
+              label="Mission Type"
+              placeholder="Add mission type..."
+              options={filterOptions.missionTypes.map((type) => ({
+                value: type.name,
+                label: type.name,
+                count: type.count
+              }))}
+              values={localFilters.missionType}
+              onChange={(values) => handleInputChange('missionType', values)}
+            />
+          )}
+
+          {filterOptions.destinations?.length > 0 && (
+            <MultiSelectChips
+              label="Destination"
+              placeholder="Add destination..."
+              options={filterOptions.destinations.map((destination) => ({
+                value: destination.name,
+                label: destination.name,
+                count: destination.count
+              }))}
+              values={localFilters.destination}
+              onChange={(values) => handleInputChange('destination', values)}
+            />
+          )}
+
+          {filterOptions.providerTypes && (
+            <MultiSelectChips
+              label="Agency Type"
+              placeholder="Add agency type..."
+              options={filterOptions.providerTypes.map((type) => ({
+                value: type.name,
+                label: type.name,
+                count: type.count
+              }))}
+              values={localFilters.providerType}
+              onChange={(values) => handleInputChange('providerType', values)}
+            />
+          )}
+
+          {/* Payload Mass Range */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Payload Mass (t)
+            </label>
+            <div className="flex items-center space-x-2">
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={localFilters.minMassTonnes}
+                onChange={(e) => handleInputChange('minMassTonnes', e.target.value)}
+                placeholder="Min"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+              />
+              <span className="text-gray-400">-</span>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={localFilters.maxMassTonnes}
+                onChange={(e) => handleInputChange('maxMassTonnes', e.target.value)}
+                placeholder="Max"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+              />
+            </div>
+            {filterOptions.massRanges && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {filterOptions.massRanges.map((range) => (
+                  <button
+                    key={range.label}
+                    type="button"
+                    onClick={() => setLocalFilters({
+                      ...localFilters,
+                      minMassTonnes: range.min === null ? '' : String(range.min / 1000),
+                      maxMassTonnes: range.max === null ? '' : String(range.max / 1000)
+                    })}
+                    className="px-2 py-0.5 rounded bg-white border border-gray-300 text-xs text-gray-600 hover:bg-gray-100"
+                  >
+                    {range.label} ({range.count})
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
         {/* Apply Filters Button */}
         <button
           onClick={applyFilters}
@@ -321,6 +532,70 @@ export default function SearchFilters({ filters, filterOptions, onFilterChange,
           <Download className="w-4 h-4" />
           <span>Download All (ICS)</span>
         </button>
+
+        {/* Export filtered launches for spreadsheets and scripts */}
+        <div>
+          <button
+            onClick={() => setShowExportMenu(!showExportMenu)}
+            className="w-full flex items-center justify-center space-x-2 bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+          >
+            <FileDown className="w-4 h-4" />
+            <span>Export</span>
+            <ChevronDown className={`w-4 h-4 transition-transform ${showExportMenu ? 'rotate-180' : ''}`} />
+          </button>
+
+          {showExportMenu && (
+            <div className="mt-2 border border-gray-200 rounded-lg divide-y divide-gray-100 text-sm">
+              {EXPORT_FORMATS.map(({ format, label, hint }) => (
+                <button
+                  key={format}
+                  onClick={() => {
+                    setShowExportMenu(false);
+                    onExport(format);
+                  }}
+                  className="w-full text-left px-3 py-2 hover:bg-gray-50"
+                >
+                  <span className="font-medium text-gray-800">{label}</span>
+                  <span className="block text-xs text-gray-500">{hint}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Subscribe to live calendar feed */}
+        <button
+          onClick={handleSubscribe}
+          className="w-full flex items-center justify-center space-x-2 bg-white border border-green-600 text-green-700 px-4 py-2 rounded-lg hover:bg-green-50 transition-colors font-medium"
+        >
+          <CalendarPlus className="w-4 h-4" />
+          <span>Subscribe (Calendar Feed)</span>
+        </button>
+
+        {subscribeError && (
+          <p className="text-sm text-red-600">{subscribeError}</p>
+        )}
+
+        {subscription && (
+          <div className="text-sm bg-gray-50 border border-gray-200 rounded-lg p-3 space-y-2">
+            <p className="text-gray-700">
+              Your calendar app will keep these launches up to date.
+            </p>
+            <a
+              href={subscription.webcalUrl}
+              className="block text-blue-600 hover:text-blue-800 font-medium"
+            >
+              Open in calendar app
+            </a>
+            <input
+              type="text"
+              readOnly
+              value={subscription.feedUrl}
+              onFocus={(e) => e.target.select()}
+              className="w-full px-2 py-1 border border-gray-300 rounded text-xs text-gray-600"
+            />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { Search } from 'lucide-react';
+
+// Fields understood by the backend query parser (backend/src/utils/searchQuery.js)
+const QUERY_FIELDS = [
+  { name: 'provider', example: 'provider:spacex' },
+  { name: 'rocket', example: 'rocket:"falcon 9"' },
+  { name: 'status', example: 'status:Go' },
+  { name: 'orbit', example: 'orbit:LEO' },
+  { name: 'type', example: 'type:communications' },
+  { name: 'dest', example: 'dest:"international space station"' },
+  { name: 'providertype', example: 'providertype:commercial' },
+  { name: 'minmass', example: 'minmass:5000' },
+  { name: 'maxmass', example: 'maxmass:20000' },
+  { name: 'country', example: 'country:USA' },
+  { name: 'state', example: 'state:FL' },
+  { name: 'location', example: 'location:vandenberg' },
+  { name: 'after', example: 'after:2025-06-01' },
+  { name: 'before', example: 'before:2025-12-31' },
+  { name: 'is', example: 'is:upcoming' }
+];
+
+export default function SearchQueryInput({ value, onChange, onSubmit, errors = [] }) {
+  const [focused, setFocused] = useState(false);
+
+  // The word being typed, if it could still become a field name
+  const currentWord = value.match(/(?:^|\s)-?([A-Za-z]+)$/)?.[1]?.toLowerCase() || '';
+  const suggestions = currentWord
+    ? QUERY_FIELDS.filter(({ name }) => name.startsWith(currentWord) && name !== currentWord)
+    : [];
+
+  const completeField = (name) => {
+    onChange(value.replace(/[A-Za-z]+$/, `${name}:`));
+  };
+
+  return (
+    <div>
+      <div className="relative">
+        <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && onSubmit()}
+          onFocus={() => setFocused(true)}
+          onBlur={() => setFocused(false)}
+          placeholder="Search launches..."
+          spellCheck={false}
+          className={`w-full pl-9 pr-4 py-2 border rounded-lg focus:ring-2 focus:border-transparent font-mono text-sm ${
+            errors.length > 0 ? 'border-red-400 focus:ring-red-400' : 'border-gray-300 focus:ring-blue-500'
+          }`}
+        />
+      </div>
+
+      {errors.length > 0 ? (
+        <div className="mt-2 text-xs">
+          <p className="font-mono text-gray-700 break-all">
+            <QueryWithErrors query={value} errors={errors} />
+          </p>
+          <ul className="mt-1 space-y-0.5 text-red-600">
+            {errors.map((error) => (
+              <li key={`${error.position}-${error.message}`}>
+                Col {error.position + 1}: {error.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : suggestions.length > 0 ? (
+        <div className="mt-2 flex flex-wrap gap-1">
+          {suggestions.map(({ name, example }) => (
+            <button
+              key={name}
+              type="button"
+              // Fire before the input's blur so the click isn't lost
+              onMouseDown={(e) => {
+                e.preventDefault();
+                completeField(name);
+              }}
+              className="px-2 py-0.5 rounded bg-blue-50 text-blue-700 text-xs font-mono hover:bg-blue-100"
+              title={example}
+            >
+              {name}:
+            </button>
+          ))}
+        </div>
+      ) : focused || value ? (
+        <p className="mt-2 text-xs text-gray-500">
+          Try <span className="font-mono">provider:spacex orbit:LEO after:2025-06-01 -starlink</span>.
+          Use <span className="font-mono">OR</span> between values of the same field,{' '}
+          <span className="font-mono">-</span> to exclude and quotes for phrases.
+        </p>
+      ) : null}
+    </div>
+  );
+}
+
+// Echo the query with the parts the API rejected underlined
+function QueryWithErrors({ query, errors }) {
+  const parts = [];
+  let index = 0;
+
+  for (const { position, length } of [...errors].sort((a, b) => a.position - b.position)) {
+    if (position < index) continue;
+    if (position > index) parts.push({ text: query.slice(index, position) });
+    parts.push({ text: query.slice(position, position + Math.max(length, 1)) || ' ', error: true });
+    index = position + Math.max(length, 1);
+  }
+  if (index < query.length) parts.push({ text: query.slice(index) });
+
+  return parts.map((part, i) =>
+    part.error
+      ? <span key={i} className="underline decoration-wavy decoration-red-500 text-red-700">{part.text}</span>
+      : <span key={i}>{part.text}</span>
+  );
+}
@@ -0,0 +1,205 @@
+import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { format } from 'date-fns';
+import { BarChart3, Loader2, Timer } from 'lucide-react';
+import { fetchStats, fetchTimeseries } from '../utils/api';
+import BarList from './BarList';
+import ColumnChart from './ColumnChart';
+
+// Launches per year, stacked by outcome (bottom to top)
+const OUTCOME_SEGMENTS = [
+  { key: 'successes', label: 'Success', color: 'bg-green-500' },
+  { key: 'partialFailures', label: 'Partial failure', color: 'bg-orange-400' },
+  { key: 'failures', label: 'Failure', color: 'bg-red-500' },
+  { key: 'other', label: 'Upcoming / unknown', color: 'bg-blue-300' }
+];
+
+/**
+ * Statistics view, scoped by the same filters as the launch list
+ * (the Upcoming/Past toggle is left out so history shows up; use the date range instead)
+ */
+export default function StatsDashboard({ filters }) {
+  const { upcoming, past, ...statsFilters } = filters;
+
+  const statsQuery = useQuery({
+    queryKey: ['stats', statsFilters],
+    queryFn: () => fetchStats(statsFilters),
+    placeholderData: (previousData) => previousData
+  });
+  const stats = statsQuery.data;
+  const byYear = useTimeseries(statsFilters, { interval: 'year' });
+  const byProvider = useTimeseries(statsFilters, { interval: 'year', groupBy: 'provider', groups: 10 });
+  const byCountry = useTimeseries(statsFilters, { interval: 'year', groupBy: 'country', groups: 10 });
+  const byFamily = useTimeseries(statsFilters, { interval: 'year', groupBy: 'rocketFamily', groups: 12 });
+
+  const error = [statsQuery, byYear, byProvider, byCountry, byFamily].find((query) => query.error)?.error;
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-600">
+        <p className="font-semibold text-red-600 mb-1">Couldn't load statistics</p>
+        <p className="text-sm">{error.message}</p>
+      </div>
+    );
+  }
+
+  if (!stats || !byYear.data) {
+    return (
+      <div className="flex justify-center items-center py-20">
+        <Loader2 className="w-8 h-8 text-blue-600 animate-spin" />
+        <span className="ml-3 text-gray-600">Loading statistics...</span>
+      </div>
+    );
+  }
+
+  const summary = stats.data;
+  const totals = byYear.data.data.totals;
+
+  const yearPeriods = byYear.data.data.periods.map((period) => ({
+    period: period.period,
+    segments: [
+      { key: 'successes', value: period.successes },
+      { key: 'partialFailures', value: period.partialFailures },
+      { key: 'failures', value: period.failures },
+      { key: 'other', value: period.total - period.successes - period.failures - period.partialFailures }
+    ]
+  }));
+
+  const countItems = (query) => (query.data?.data.groups || []).map((group) => ({
+    key: group.key,
+    label: group.label,
+    value: group.total
+  }));
+
+  // Families with no finished flights have no rate to show
+  const familyItems = (byFamily.data?.data.groups || [])
+    .filter((group) => group.successRate !== null && group.key !== 'Other')
+    .sort((a, b) => b.successRate - a.successRate)
+    .map((group) => {
+      const flown = group.successes + group.failures + group.partialFailures;
+      return {
+        key: group.key,
+        label: `${group.label} (${flown} flown)`,
+        value: group.successRate,
+        display: `${group.successRate}%`,
+        title: `${group.successes} successes, ${group.failures} failures, ${group.partialFailures} partial failures`
+      };
+    });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center text-gray-600">
+        <BarChart3 className="w-5 h-5 mr-2" />
+        <p className="text-sm">
+          Statistics follow the filters on the left (except Upcoming/Past - use the date range to pick years).
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <SummaryCard label="Launches" value={summary.totalLaunches} />
+        <SummaryCard label="Upcoming" value={summary.upcomingLaunches} />
+        <SummaryCard label="This year" value={summary.launchesThisYear} />
+        <SummaryCard
+          label="Success rate"
+          value={totals.successRate === null ? '-' : `${totals.successRate}%`}
+        />
+      </div>
+
+      <NextLaunchCountdown launch={summary.nextLaunch} />
+
+      <ChartCard title="Launches per year">
+        <ColumnChart periods={yearPeriods} segments={OUTCOME_SEGMENTS} />
+      </ChartCard>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <ChartCard title="Launches per provider">
+          <BarList items={countItems(byProvider)} />
+        </ChartCard>
+        <ChartCard title="Launches per country">
+          <BarList items={countItems(byCountry)} color="bg-purple-500" />
+        </ChartCard>
+      </div>
+
+      <ChartCard title="Success rate by rocket family">
+        <BarList
+          items={familyItems}
+          color="bg-green-500"
+          emptyText="No completed launches match these filters"
+        />
+      </ChartCard>
+    </div>
+  );
+}
+
+function useTimeseries(filters, options) {
+  return useQuery({
+    queryKey: ['timeseries', options, filters],
+    queryFn: () => fetchTimeseries({ ...filters, ...options }),
+    placeholderData: (previousData) => previousData
+  });
+}
+
+function SummaryCard({ label, value }) {
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4">
+      <p className="text-sm text-gray-500">{label}</p>
+      <p className="text-2xl font-bold text-gray-800">
+        {typeof value === 'number' ? value.toLocaleString() : value}
+      </p>
+    </div>
+  );
+}
+
+function ChartCard({ title, children }) {
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h3 className="text-lg font-bold text-gray-800 mb-4">{title}</h3>
+      {children}
+    </div>
+  );
+}
+
+function NextLaunchCountdown({ launch }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!launch) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 text-gray-500 text-sm">
+        No upcoming launch matches these filters.
+      </div>
+    );
+  }
+
+  const launchTime = new Date(launch.net).getTime();
+  const remaining = Math.max(0, Math.floor((launchTime - now) / 1000));
+  const parts = [
+    { label: 'days', value: Math.floor(remaining / 86400) },
+    { label: 'hrs', value: Math.floor((remaining % 86400) / 3600) },
+    { label: 'min', value: Math.floor((remaining % 3600) / 60) },
+    { label: 'sec', value: remaining % 60 }
+  ];
+
+  return (
+    <div className="bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg shadow-md p-6">
+      <div className="flex items-center text-blue-100 text-sm mb-2">
+        <Timer className="w-4 h-4 mr-2" />
+        Next launch
+      </div>
+      <p className="text-xl font-bold">{launch.name}</p>
+      <p className="text-sm text-blue-100 mb-4">{format(new Date(launch.net), 'PPP p')}</p>
+      <div className="flex space-x-4">
+        {parts.map(({ label, value }) => (
+          <div key={label} className="text-center">
+            <p className="text-3xl font-mono font-bold">T-{label === 'days' ? value : String(value).padStart(2, '0')}</p>
+            <p className="text-xs text-blue-100 uppercase">{label}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { getLaunchStreamUrl } from '../utils/api';
+
+// How long a card stays highlighted after a live update
+const HIGHLIGHT_MS = 15 * 1000;
+
+/**
+ * 📡 Subscribe to live launch updates and patch cached launch lists in place
+ * Returns the connection status and the IDs of recently updated launches
+ */
+export default function useLaunchStream(filters) {
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState('connecting');
+  const [updatedIds, setUpdatedIds] = useState(() => new Set());
+
+  // Only the filter values matter for the stream, not pagination or sorting
+  const { limit, offset, sort, order, ...streamFilters } = filters;
+  const streamUrl = getLaunchStreamUrl(streamFilters);
+
+  useEffect(() => {
+    const source = new EventSource(streamUrl);
+    const timers = new Set();
+
+    source.addEventListener('ready', () => setStatus('live'));
+    source.onerror = () => setStatus('reconnecting');
+
+    source.addEventListener('launch', (event) => {
+      const launch = JSON.parse(event.data);
+
+      queryClient.setQueriesData({ queryKey: ['launches'] }, (old) => {
+        if (!old?.data?.launches?.some((item) => item.id === launch.id)) return old;
+        return {
+          ...old,
+          data: {
+            ...old.data,
+            // Merge rather than replace: stream rows lack the per-query fields
+            // (search highlights and rank, distance and bearing from `near`)
+            launches: old.data.launches.map((item) => (item.id === launch.id ? { ...item, ...launch } : item))
+          }
+        };
+      });
+
+      setUpdatedIds((ids) => new Set(ids).add(launch.id));
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        setUpdatedIds((ids) => {
+          const next = new Set(ids);
+          next.delete(launch.id);
+          return next;
+        });
+      }, HIGHLIGHT_MS);
+      timers.add(timer);
+    });
+
+    return () => {
+      source.close();
+      timers.forEach(clearTimeout);
+    };
+  }, [streamUrl, queryClient]);
+
+  return { status, updatedIds };
+}
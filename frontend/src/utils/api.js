@@ -6,20 +6,41 @@
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api';
 
 /**
- * Fetch launches with filters
+ * Build query params from filters
+ * Arrays (multi-value filters) become repeated params: provider=SpaceX&provider=!Rocket Lab
  */
-export async function fetchLaunches(filters = {}) {
+function toSearchParams(filters) {
   const params = new URLSearchParams();
 
   Object.entries(filters).forEach(([key, value]) => {
-    if (value !== undefined && value !== null && value !== '') {
-      params.append(key, value);
-    }
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((item) => {
+      if (item !== undefined && item !== null && item !== '') {
+        params.append(key, item);
+      }
+    });
   });
 
+  return params;
+}
+
+/**
+ * Fetch launches with filters
+ */
+export async function fetchLaunches(filters = {}) {
+  const params = toSearchParams(filters);
+
   const url = `${API_BASE_URL}/launches?${params.toString()}`;
   const response = await fetch(url);
 
+  if (response.status === 400) {
+    // Search query syntax errors carry positions for inline hints
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || 'Invalid search');
+    error.details = body.details || [];
+    throw error;
+  }
+
   if (!response.ok) {
     throw new Error('Failed to fetch launches');
   }
@@ -41,10 +62,11 @@ export async function fetchLaunchById(id) {
 }
 
 /**
- * Fetch filter options
+ * Fetch filter options, with counts for the active filters
  */
-export async function fetchFilters() {
-  const response = await fetch(`${API_BASE_URL}/filters`);
+export async function fetchFilters(filters = {}) {
+  const params = toSearchParams(filters);
+  const response = await fetch(`${API_BASE_URL}/filters?${params.toString()}`);
 
   if (!response.ok) {
     throw new Error('Failed to fetch filters');
@@ -54,10 +76,11 @@ export async function fetchFilters() {
 }
 
 /**
- * Fetch stats
+ * Fetch stats, scoped by filters
  */
-export async function fetchStats() {
-  const response = await fetch(`${API_BASE_URL}/launches/stats`);
+export async function fetchStats(filters = {}) {
+  const params = toSearchParams(filters);
+  const response = await fetch(`${API_BASE_URL}/launches/stats?${params.toString()}`);
 
   if (!response.ok) {
     throw new Error('Failed to fetch stats');
@@ -66,6 +89,29 @@ export async function fetchStats() {
   return response.json();
 }
 
+/**
+ * Fetch launch counts over time ({ interval, groupBy, groups } plus filters)
+ */
+export async function fetchTimeseries(filters = {}) {
+  const params = toSearchParams(filters);
+  const response = await fetch(`${API_BASE_URL}/stats/timeseries?${params.toString()}`);
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch statistics');
+  }
+
+  return response.json();
+}
+
+/**
+ * Get live update stream (SSE) URL with filters
+ */
+export function getLaunchStreamUrl(filters = {}) {
+  const params = toSearchParams(filters);
+
+  return `${API_BASE_URL}/launches/stream?${params.toString()}`;
+}
+
 /**
  * Get ICS download URL for a launch
  */
@@ -77,13 +123,33 @@ export function getICSDownloadUrl(id) {
  * Get bulk ICS download URL with filters
  */
 export function getBulkICSDownloadUrl(filters = {}) {
-  const params = new URLSearchParams();
+  const params = toSearchParams(filters);
 
-  Object.entries(filters).forEach(([key, value]) => {
-    if (value !== undefined && value !== null && value !== '') {
-      params.append(key, value);
-    }
+  return `${API_BASE_URL}/launches/ics?${params.toString()}`;
+}
+
+/**
+ * Get bulk export download URL (format: csv, ndjson or json) with filters
+ */
+export function getExportDownloadUrl(filters = {}, format = 'csv') {
+  const params = toSearchParams({ ...filters, format });
+
+  return `${API_BASE_URL}/launches/export?${params.toString()}`;
+}
+
+/**
+ * Create a calendar subscription (webcal feed) from filters
+ */
+export async function createCalendarSubscription(filters = {}, name) {
+  const response = await fetch(`${API_BASE_URL}/calendars`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, filters })
   });
 
-  return `${API_BASE_URL}/launches/ics?${params.toString()}`;
+  if (!response.ok) {
+    throw new Error('Failed to create calendar subscription');
+  }
+
+  return response.json();
 }